@@ -0,0 +1,53 @@
+const { purgeDueAccounts } = require('../utils/accountData');
+const { remindExpiringJobRequests, expireOverdueJobRequests } = require('../utils/jobRequestExpiry');
+
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const JOB_REQUEST_EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Run a job now and then every intervalMs. Runs never overlap, and a
+ * failing run is logged without stopping the next ones.
+ */
+const every = (name, intervalMs, job) => {
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await job();
+        } catch (error) {
+            console.error(`Background job ${name} failed:`, error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    // Don't keep the process alive just for the timer
+    setInterval(run, intervalMs).unref();
+};
+
+/**
+ * Start the background jobs; called once the database is connected
+ */
+const startJobs = () => {
+    every('account-purge', ACCOUNT_PURGE_INTERVAL_MS, async () => {
+        const purged = await purgeDueAccounts();
+        if (purged > 0) {
+            console.log(`🗑️  Deleted ${purged} account(s) after their grace period`);
+        }
+    });
+
+    every('job-request-expiry', JOB_REQUEST_EXPIRY_INTERVAL_MS, async () => {
+        const reminded = await remindExpiringJobRequests();
+        const expired = await expireOverdueJobRequests();
+        if (reminded > 0 || expired > 0) {
+            console.log(`⏰ Sent ${reminded} job request reminder(s), expired ${expired} job request(s)`);
+        }
+    });
+};
+
+module.exports = {
+    startJobs,
+};
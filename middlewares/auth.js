@@ -1,18 +1,90 @@
-const jwt = require('jsonwebtoken');
 const Developer = require('../models/Developer');
 const Employer = require('../models/Employer');
+const Admin = require('../models/Admin');
+const CompanyMember = require('../models/CompanyMember');
+const { touchActiveSession } = require('../utils/sessions');
+const { isApiKeyRoute, useApiKey } = require('../utils/apiKeys');
+const { can, canAny, principalOf } = require('../policies');
+const { recordAudit } = require('../utils/audit');
+const { hasValidCsrfToken } = require('../utils/csrf');
+const { verifyToken } = require('../utils/keyring');
 
 /**
- * Middleware to verify JWT token and attach user to request
+ * Write an audit entry for a request made while impersonating, once its response is sent
+ */
+const auditImpersonatedRequest = (req, res) => {
+    res.on('finish', () => {
+        recordAudit(req, {
+            action: 'impersonation.request',
+            actorId: req.impersonator._id,
+            actorModel: 'Admin',
+            targetId: req.user._id,
+            targetModel: req.userRole,
+            metadata: {
+                sessionId: req.sessionId,
+                method: req.method,
+                path: req.originalUrl,
+                statusCode: res.statusCode,
+            },
+        });
+    });
+};
+
+/**
+ * Authenticate an integration by its API key. Keys act for their company
+ * with only the permissions of their scopes, on read-only routes.
+ */
+const authenticateApiKey = async (req, res, next, presentedKey) => {
+    if (!isApiKeyRoute(req)) {
+        return res.status(403).json({
+            success: false,
+            message: 'API keys can only be used to read job requests and search',
+        });
+    }
+
+    const apiKey = await useApiKey(presentedKey, req);
+    const employer = apiKey && await Employer.findById(apiKey.employerId).select('-password');
+
+    if (!employer) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid API key',
+        });
+    }
+
+    req.user = employer;
+    req.userRole = 'Employer';
+    req.sessionId = null;
+    req.member = null;
+    req.impersonator = null;
+    req.apiKey = apiKey;
+    next();
+};
+
+/**
+ * Middleware to verify JWT token (or API key) and attach user to request
  */
 const authenticateToken = async (req, res, next) => {
     try {
+        // Integrations send an API key instead of logging in
+        const presentedKey = req.headers['x-api-key'];
+        if (presentedKey) {
+            return await authenticateApiKey(req, res, next, presentedKey);
+        }
+
         const authHeader = req.headers['authorization'];
         let token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-        // If no token in Authorization header, try to get from cookies
+        // If no token in Authorization header, try to get from cookies.
+        // The browser sends cookies on cross-site requests too, so state changes also need the CSRF token.
         if (!token) {
             token = req.cookies.token;
+            if (token && !hasValidCsrfToken(req)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Invalid or missing CSRF token',
+                });
+            }
         }
 
         if (!token) {
@@ -22,7 +94,24 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+        const decoded = verifyToken(token);
+
+        // Purpose-bound tokens (like the 2FA login challenge) are not access tokens
+        if (decoded.purpose) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token',
+            });
+        }
+
+        // Access tokens are only valid while their session has not been revoked
+        const session = decoded.sid && await touchActiveSession(decoded.sid, req);
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked',
+            });
+        }
 
         // Find user based on role
         let user;
@@ -30,6 +119,8 @@ const authenticateToken = async (req, res, next) => {
             user = await Developer.findById(decoded.userId).select('-password');
         } else if (decoded.role === 'Employer') {
             user = await Employer.findById(decoded.userId).select('-password');
+        } else if (decoded.role === 'Admin') {
+            user = await Admin.findOne({ _id: decoded.userId, isActive: true }).select('-password');
         } else {
             return res.status(401).json({
                 success: false,
@@ -44,8 +135,42 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
+        // Team members act for their company, with the rights of their own role
+        let member = null;
+        if (session.memberId) {
+            member = await CompanyMember.findOne({ _id: session.memberId, employerId: user._id, status: 'active' });
+            if (!member) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Team membership has ended',
+                });
+            }
+        }
+
+        // Impersonation tokens name the admin, who must match the session and still be active
+        let impersonator = null;
+        if (session.impersonatedBy) {
+            impersonator = decoded.imp === session.impersonatedBy.toString()
+                && await Admin.findOne({ _id: session.impersonatedBy, isActive: true });
+            if (!impersonator) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Impersonation session is no longer valid',
+                });
+            }
+        }
+
         req.user = user;
         req.userRole = decoded.role;
+        req.sessionId = session._id;
+        req.member = member;
+        req.impersonator = impersonator;
+
+        if (impersonator) {
+            res.set('X-Impersonated-By', impersonator._id.toString());
+            auditImpersonatedRequest(req, res);
+        }
+
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
@@ -68,57 +193,33 @@ const authenticateToken = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user has required role
+ * Middleware for routes that also serve anonymous users:
+ * authenticates when credentials are sent, otherwise continues as a guest
  */
-const authorizeRole = (...roles) => {
-    return (req, res, next) => {
-        if (!req.user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Authentication required',
-            });
-        }
-
-        if (!roles.includes(req.userRole)) {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. Insufficient permissions.',
-            });
-        }
-
-        next();
-    };
+const optionalAuthentication = (req, res, next) => {
+    const hasCredentials = req.headers['x-api-key'] || req.headers['authorization'] || (req.cookies && req.cookies.token);
+    if (!hasCredentials) {
+        return next();
+    }
+    return authenticateToken(req, res, next);
 };
 
 /**
- * Middleware to check if user is accessing their own resource
+ * Middleware for public routes that integrations may also call with an API key:
+ * only the key is authenticated. Login tokens and cookies are ignored, so a
+ * stale one still gets the public answer instead of a 401 or a CSRF error.
  */
-const authorizeOwnResource = (resourceIdField = 'id') => {
-    return (req, res, next) => {
-        if (!req.user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Authentication required',
-            });
-        }
-
-        const resourceId = req.params[resourceIdField] || req.body[resourceIdField];
-
-        if (req.user._id.toString() !== resourceId && req.userRole !== 'Admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. You can only access your own resources.',
-            });
-        }
-
-        next();
-    };
+const apiKeyAuthentication = (req, res, next) => {
+    if (!req.headers['x-api-key']) {
+        return next();
+    }
+    return authenticateToken(req, res, next);
 };
 
 /**
- * Middleware to check if user is Admin
+ * Answer a request the policy refused
  */
-const isAdmin = (req, res, next) => {
+const refuse = (req, res) => {
     if (!req.user) {
         return res.status(401).json({
             success: false,
@@ -126,19 +227,47 @@ const isAdmin = (req, res, next) => {
         });
     }
 
-    if (req.userRole !== 'Admin') {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied. Admin privileges required.',
-        });
-    }
+    return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+    });
+};
 
-    next();
+/**
+ * Middleware to check a permission (`resource:action`) through the policy module.
+ * getResource picks the resource from the request when the route already knows it;
+ * without it the user only needs the permission in some scope and the route
+ * checks the loaded resource with can() itself.
+ */
+const authorize = (action, getResource) => {
+    return (req, res, next) => {
+        const resource = getResource ? getResource(req) : undefined;
+        if (can(principalOf(req), action, resource)) {
+            return next();
+        }
+
+        return refuse(req, res);
+    };
+};
+
+/**
+ * Like authorize(), but only the `any` scope will do. For routes that act on
+ * someone else's resource by ID, such as the admin edits of a profile.
+ */
+const authorizeAny = (action) => {
+    return (req, res, next) => {
+        if (canAny(principalOf(req), action)) {
+            return next();
+        }
+
+        return refuse(req, res);
+    };
 };
 
 module.exports = {
     authenticateToken,
-    authorizeRole,
-    authorizeOwnResource,
-    isAdmin,
+    optionalAuthentication,
+    apiKeyAuthentication,
+    authorize,
+    authorizeAny,
 }; 
\ No newline at end of file
@@ -0,0 +1,99 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Ensure uploads directory exists
+const uploadsDir = path.join(__dirname, '../uploads');
+if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+const imageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+// Where each form field is stored and which file types it accepts
+const fields = {
+    resume: { dir: 'resumes', types: ['application/pdf'] },
+    profilePicture: { dir: 'profile-pictures', types: imageTypes },
+    companyLogo: { dir: 'company-logos', types: imageTypes },
+    projectImage: { dir: 'project-images', types: imageTypes },
+    attachments: {
+        dir: 'message-attachments',
+        types: [
+            'application/pdf',
+            'text/plain',
+            'application/msword',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            ...imageTypes,
+        ],
+    },
+};
+
+// Other fields go to the uploads directory itself and accept nothing
+const fieldOf = (fieldname) => fields[fieldname] || { dir: '', types: [] };
+
+// Configure multer storage
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        // Create subdirectories based on file type
+        const uploadPath = path.join(uploadsDir, fieldOf(file.fieldname).dir);
+
+        if (!fs.existsSync(uploadPath)) {
+            fs.mkdirSync(uploadPath, { recursive: true });
+        }
+
+        cb(null, uploadPath);
+    },
+    filename: (req, file, cb) => {
+        // Generate unique filename
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const ext = path.extname(file.originalname);
+        cb(null, file.fieldname + '-' + uniqueSuffix + ext);
+    }
+});
+
+// File filter function
+const fileFilter = (req, file, cb) => {
+    const allowedTypes = fieldOf(file.fieldname).types;
+
+    if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new Error(`Invalid file type for ${file.fieldname}. Allowed types: ${allowedTypes.join(', ')}`), false);
+    }
+};
+
+// Configure multer
+const upload = multer({
+    storage,
+    fileFilter,
+    limits: {
+        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
+    }
+});
+
+/**
+ * Remove the files multer stored for a request that is then refused
+ */
+const discardUploadedFiles = async (req) => {
+    const files = req.files || (req.file ? [req.file] : []);
+    await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+};
+
+/**
+ * Wrap a handler that receives uploads so they are removed when it throws
+ */
+const discardUploadsOnError = (handler) => async (req, res, next) => {
+    try {
+        return await handler(req, res, next);
+    } catch (error) {
+        await discardUploadedFiles(req);
+        throw error;
+    }
+};
+
+module.exports = {
+    uploadsDir,
+    upload,
+    discardUploadedFiles,
+    discardUploadsOnError,
+};
@@ -1,11 +1,11 @@
 const Joi = require('joi');
 
 /**
- * Generic validation middleware
+ * Generic validation middleware (validates req.body unless another request property is given)
  */
-const validate = (schema) => {
+const validate = (schema, property = 'body') => {
     return (req, res, next) => {
-        const { error } = schema.validate(req.body);
+        const { error } = schema.validate(req[property]);
 
         if (error) {
             const errorMessage = error.details.map(detail => detail.message).join(', ');
@@ -20,6 +20,22 @@ const validate = (schema) => {
     };
 };
 
+// Offer fields of a job request, shared by single and batch sends; a template can supply the required ones
+const jobRequestOffer = {
+    templateId: Joi.string().hex().length(24).optional(),
+    jobTitle: Joi.string().required().min(2).max(100).trim()
+        .when('templateId', { is: Joi.exist(), then: Joi.optional() }),
+    jobDescription: Joi.string().max(2000).trim().optional(),
+    salaryOffer: Joi.number().min(0).required()
+        .when('templateId', { is: Joi.exist(), then: Joi.optional() }),
+    salaryType: Joi.string().valid('hourly', 'monthly', 'yearly').default('yearly'),
+    interviewDate: Joi.date().optional(),
+    interviewTimezone: Joi.string().max(64).optional(),
+    interviewLocation: Joi.string().trim().optional(),
+    interviewNotes: Joi.string().max(500).trim().optional(),
+    responseWindowDays: Joi.number().integer().min(1).max(90).optional(),
+};
+
 /**
  * Validation schemas
  */
@@ -78,6 +94,7 @@ const schemas = {
         linkedin: Joi.string().uri().optional(),
         industry: Joi.string().trim().optional(),
         companySize: Joi.string().valid('1-10', '11-50', '51-200', '201-500', '500+').optional(),
+        responseWindowDays: Joi.number().integer().min(1).max(90).allow(null).optional(),
     }),
 
     // Project validation schemas
@@ -104,24 +121,182 @@ const schemas = {
     // Job Request validation schemas
     jobRequestCreate: Joi.object({
         developerId: Joi.string().required(),
+        ...jobRequestOffer,
+    }),
+
+    jobRequestBatch: Joi.object({
+        developerIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(50).unique().required(),
+        template: Joi.object(jobRequestOffer).required(),
+    }),
+
+    jobRequestTemplateCreate: Joi.object({
+        name: Joi.string().required().max(100).trim(),
         jobTitle: Joi.string().required().min(2).max(100).trim(),
         jobDescription: Joi.string().max(2000).trim().optional(),
         salaryOffer: Joi.number().min(0).required(),
-        salaryType: Joi.string().valid('hourly', 'monthly', 'yearly').default('yearly'),
-        interviewDate: Joi.date().optional(),
-        interviewLocation: Joi.string().trim().optional(),
+        salaryType: Joi.string().valid('hourly', 'monthly', 'yearly').optional(),
+        interviewLocation: Joi.string().max(200).trim().optional(),
         interviewNotes: Joi.string().max(500).trim().optional(),
+        responseWindowDays: Joi.number().integer().min(1).max(90).allow(null).optional(),
+        skills: Joi.array().items(Joi.string().max(50).trim()).max(30).optional(),
+    }),
+
+    jobRequestTemplateUpdate: Joi.object({
+        name: Joi.string().max(100).trim().optional(),
+        jobTitle: Joi.string().min(2).max(100).trim().optional(),
+        jobDescription: Joi.string().max(2000).trim().allow('').optional(),
+        salaryOffer: Joi.number().min(0).optional(),
+        salaryType: Joi.string().valid('hourly', 'monthly', 'yearly').optional(),
+        interviewLocation: Joi.string().max(200).trim().allow('').optional(),
+        interviewNotes: Joi.string().max(500).trim().allow('').optional(),
+        responseWindowDays: Joi.number().integer().min(1).max(90).allow(null).optional(),
+        skills: Joi.array().items(Joi.string().max(50).trim()).max(30).optional(),
+    }).min(1),
+
+    jobPostingCreate: Joi.object({
+        title: Joi.string().required().min(2).max(100).trim(),
+        description: Joi.string().required().max(2000).trim(),
+        requiredSkills: Joi.array().items(Joi.string().max(50).trim()).max(30).optional(),
+        salaryMin: Joi.number().min(0).allow(null).optional(),
+        salaryMax: Joi.number().min(0).allow(null).optional(),
+        salaryType: Joi.string().valid('hourly', 'monthly', 'yearly').optional(),
+        city: Joi.string().max(100).trim().optional(),
+        remotePolicy: Joi.string().valid('onsite', 'hybrid', 'remote').optional(),
+        status: Joi.string().valid('draft', 'open').optional(),
+    }),
+
+    jobPostingUpdate: Joi.object({
+        title: Joi.string().min(2).max(100).trim().optional(),
+        description: Joi.string().max(2000).trim().optional(),
+        requiredSkills: Joi.array().items(Joi.string().max(50).trim()).max(30).optional(),
+        salaryMin: Joi.number().min(0).allow(null).optional(),
+        salaryMax: Joi.number().min(0).allow(null).optional(),
+        salaryType: Joi.string().valid('hourly', 'monthly', 'yearly').optional(),
+        city: Joi.string().max(100).trim().allow('').optional(),
+        remotePolicy: Joi.string().valid('onsite', 'hybrid', 'remote').optional(),
+        status: Joi.string().valid('draft', 'open', 'closed').optional(),
+    }).min(1),
+
+    jobPostingSearch: Joi.object({
+        q: Joi.string().max(100).optional(),
+        skills: Joi.string().max(500).optional(),
+        city: Joi.string().max(100).optional(),
+        remotePolicy: Joi.string().pattern(/^(onsite|hybrid|remote)(,(onsite|hybrid|remote))*$/).optional(),
+        salaryMin: Joi.number().min(0).optional(),
+        employerId: Joi.string().hex().length(24).optional(),
+        page: Joi.number().integer().min(1).optional(),
+        limit: Joi.number().integer().min(1).max(100).optional(),
+        sortBy: Joi.string().valid('publishedAt', 'salaryMax').optional(),
+        sortOrder: Joi.string().valid('asc', 'desc').optional(),
+    }),
+
+    jobPostingApplication: Joi.object({
+        salaryOffer: Joi.number().min(0).optional(),
+        coverLetter: Joi.string().max(1000).trim().optional(),
+    }),
+
+    shortlistCreate: Joi.object({
+        name: Joi.string().required().max(100).trim(),
+        description: Joi.string().max(500).trim().optional(),
+        shared: Joi.boolean().optional(),
+    }),
+
+    shortlistUpdate: Joi.object({
+        name: Joi.string().max(100).trim().optional(),
+        description: Joi.string().max(500).trim().allow('').optional(),
+        shared: Joi.boolean().optional(),
+    }).min(1),
+
+    shortlistCandidate: Joi.object({
+        notes: Joi.string().max(2000).trim().allow('').optional(),
+        tags: Joi.array().items(Joi.string().max(30).trim()).max(20).optional(),
+    }),
+
+    shortlistQuery: Joi.object({
+        contacted: Joi.boolean().optional(),
+        tag: Joi.string().max(30).optional(),
+    }),
+
+    shortlistJobRequests: Joi.object({
+        developerIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(50).unique().optional(),
+        contacted: Joi.boolean().optional(),
+        template: Joi.object(jobRequestOffer).required(),
     }),
 
     jobRequestUpdate: Joi.object({
         status: Joi.string().valid('pending', 'accepted', 'rejected', 'withdrawn').optional(),
         interviewDate: Joi.date().optional(),
+        interviewTimezone: Joi.string().max(64).optional(),
         interviewLocation: Joi.string().trim().optional(),
         interviewNotes: Joi.string().max(500).trim().optional(),
         employerNotes: Joi.string().max(1000).trim().optional(),
         developerNotes: Joi.string().max(1000).trim().optional(),
     }),
 
+    jobRequestStage: Joi.object({
+        stage: Joi.string().required(),
+        note: Joi.string().max(1000).trim().optional(),
+    }),
+
+    jobRequestProposal: Joi.object({
+        salaryOffer: Joi.number().min(0).optional(),
+        salaryType: Joi.string().valid('hourly', 'monthly', 'yearly').optional(),
+        startDate: Joi.date().greater('now').optional(),
+        terms: Joi.string().max(2000).trim().optional(),
+    }).or('salaryOffer', 'salaryType', 'startDate', 'terms'),
+
+    interviewSlots: Joi.object({
+        slots: Joi.array().items(Joi.object({
+            start: Joi.date().iso().required(),
+            durationMinutes: Joi.number().integer().min(15).max(480).default(60),
+            timezone: Joi.string().required().custom((value, helpers) => {
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: value });
+                    return value;
+                } catch (error) {
+                    return helpers.message('"timezone" must be an IANA timezone such as Europe/Berlin');
+                }
+            }),
+        })).min(1).max(10).required(),
+        location: Joi.string().max(200).trim().optional(),
+    }),
+
+    messageCreate: Joi.object({
+        body: Joi.string().max(5000).trim().allow('').optional(),
+    }),
+
+    pipelineStages: Joi.object({
+        stages: Joi.array().items(Joi.object({
+            key: Joi.string().pattern(/^[a-z0-9-]+$/).max(40).required(),
+            name: Joi.string().trim().max(60).required(),
+            outcome: Joi.string().valid('hired', 'declined').allow(null).default(null),
+        })).min(2).max(20).unique('key').required(),
+    }),
+
+    // Company team validation schemas
+    teamInvite: Joi.object({
+        email: Joi.string().email().required().trim(),
+        name: Joi.string().max(100).trim().optional(),
+        role: Joi.string().valid('owner', 'recruiter', 'viewer').default('recruiter'),
+    }),
+
+    teamAcceptInvitation: Joi.object({
+        token: Joi.string().hex().length(64).required(),
+        name: Joi.string().required().min(2).max(100).trim(),
+        password: Joi.string().required().min(6).max(100),
+    }),
+
+    teamMemberUpdate: Joi.object({
+        role: Joi.string().valid('owner', 'recruiter', 'viewer').required(),
+    }),
+
+    // API key validation schemas
+    apiKeyCreate: Joi.object({
+        name: Joi.string().required().min(2).max(100).trim(),
+        scopes: Joi.array().items(Joi.string().valid('jobRequests:read', 'search:read')).min(1).required(),
+        expiresInDays: Joi.number().integer().min(1).max(365).optional(),
+    }),
+
     // Search validation schemas
     developerSearch: Joi.object({
         skills: Joi.array().items(Joi.string()).optional(),
@@ -145,7 +320,73 @@ const schemas = {
     login: Joi.object({
         email: Joi.string().email().required().trim(),
         password: Joi.string().required(),
+        userType: Joi.string().valid('Developer', 'Employer').optional(),
+    }),
+
+    switchRole: Joi.object({
+        role: Joi.string().valid('Developer', 'Employer').required(),
+    }),
+
+    twoFactorLogin: Joi.object({
+        challengeToken: Joi.string().required(),
+        code: Joi.string().trim().pattern(/^\d{6}$/),
+        recoveryCode: Joi.string().trim(),
+    }).xor('code', 'recoveryCode'),
+
+    twoFactorEnable: Joi.object({
+        code: Joi.string().trim().pattern(/^\d{6}$/).required(),
+    }),
+
+    twoFactorDisable: Joi.object({
+        password: Joi.string().required(),
+        code: Joi.string().trim().pattern(/^\d{6}$/),
+        recoveryCode: Joi.string().trim(),
+    }).xor('code', 'recoveryCode'),
+
+    adminLogin: Joi.object({
+        email: Joi.string().email().required().trim(),
+        password: Joi.string().required(),
+    }),
+
+    memberLogin: Joi.object({
+        email: Joi.string().email().required().trim(),
+        password: Joi.string().required(),
+    }),
+
+    accountDelete: Joi.object({
+        password: Joi.string().required(),
+        code: Joi.string().trim().pattern(/^\d{6}$/),
+        recoveryCode: Joi.string().trim(),
+    }).oxor('code', 'recoveryCode'),
+
+    impersonate: Joi.object({
+        userId: Joi.string().hex().length(24).required(),
         userType: Joi.string().valid('Developer', 'Employer').required(),
+        reason: Joi.string().required().min(5).max(500).trim(),
+    }),
+
+    refreshToken: Joi.object({
+        refreshToken: Joi.string().optional(),
+    }),
+
+    forgotPassword: Joi.object({
+        email: Joi.string().email().required().trim(),
+        userType: Joi.string().valid('Developer', 'Employer', 'CompanyMember').required(),
+    }),
+
+    resetPassword: Joi.object({
+        token: Joi.string().hex().length(64).required(),
+        userType: Joi.string().valid('Developer', 'Employer', 'CompanyMember').required(),
+        newPassword: Joi.string().required().min(6).max(100),
+    }),
+
+    verifyEmail: Joi.object({
+        token: Joi.string().hex().length(64).required(),
+        userType: Joi.string().valid('Developer', 'Employer').required(),
+    }),
+
+    unlockAccount: Joi.object({
+        token: Joi.string().required(),
     }),
 
     // Password change validation
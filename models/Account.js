@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Account:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Email shared by every linked profile
+ *         developerId:
+ *           type: string
+ *           format: ObjectId
+ *           description: Linked developer profile
+ *         employerId:
+ *           type: string
+ *           format: ObjectId
+ *           description: Linked employer profile
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Profile field holding each role's reference
+const PROFILE_FIELDS = {
+    Developer: 'developerId',
+    Employer: 'employerId',
+};
+
+const accountSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            unique: true,
+            lowercase: true,
+            trim: true,
+        },
+        developerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Developer',
+        },
+        employerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employer',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+accountSchema.index({ developerId: 1 }, { unique: true, sparse: true });
+accountSchema.index({ employerId: 1 }, { unique: true, sparse: true });
+
+// Method to list the roles this identity can act as
+accountSchema.methods.getRoles = function () {
+    return Object.keys(PROFILE_FIELDS).filter(role => !!this[PROFILE_FIELDS[role]]);
+};
+
+// Method to get the profile ID linked for a role
+accountSchema.methods.getProfileId = function (role) {
+    return PROFILE_FIELDS[role] ? this[PROFILE_FIELDS[role]] : undefined;
+};
+
+accountSchema.statics.PROFILE_FIELDS = PROFILE_FIELDS;
+
+module.exports = mongoose.model('Account', accountSchema);
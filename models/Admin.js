@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Admin:
+ *       type: object
+ *       required:
+ *         - name
+ *         - email
+ *         - password
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Admin's display name
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Admin's email address
+ *         password:
+ *           type: string
+ *           description: Hashed password
+ *         role:
+ *           type: string
+ *           default: Admin
+ *           enum: [Admin]
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *           description: Whether the admin account can log in
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *           description: Time of the last successful login
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const adminSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+        },
+        password: {
+            type: String,
+            required: [true, 'Password is required'],
+            minlength: [8, 'Password must be at least 8 characters'],
+            select: false,
+        },
+        role: {
+            type: String,
+            default: 'Admin',
+            enum: ['Admin'],
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        lastLoginAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+// Hash password before saving
+adminSchema.pre('save', async function (next) {
+    if (!this.isModified('password')) return next();
+
+    try {
+        const salt = await bcrypt.genSalt(12);
+        this.password = await bcrypt.hash(this.password, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Method to compare password
+adminSchema.methods.comparePassword = async function (candidatePassword) {
+    return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to get public profile (without sensitive data)
+adminSchema.methods.getPublicProfile = function () {
+    const adminObject = this.toObject();
+    delete adminObject.password;
+    delete adminObject.__v;
+    return adminObject;
+};
+
+module.exports = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: ObjectId
+ *         name:
+ *           type: string
+ *           description: Label to recognise the key by, e.g. the integration using it
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, safe to display
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [jobRequests:read, search:read]
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Keys without an expiry date work until revoked
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Read-only scopes an API key can be given
+const API_KEY_SCOPES = ['jobRequests:read', 'search:read'];
+
+const apiKeySchema = new mongoose.Schema(
+    {
+        employerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employer',
+            required: [true, 'Employer ID is required'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        prefix: {
+            type: String,
+            required: [true, 'Prefix is required'],
+        },
+        keyHash: {
+            type: String,
+            required: [true, 'Key hash is required'],
+            unique: true,
+            select: false,
+        },
+        scopes: {
+            type: [{ type: String, enum: API_KEY_SCOPES }],
+            validate: [scopes => scopes.length > 0, 'At least one scope is required'],
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+        lastUsedIp: {
+            type: String,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+apiKeySchema.index({ employerId: 1, createdAt: -1 });
+
+// Method to check if the key can still be used
+apiKeySchema.methods.isActive = function () {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to get the fields shown to the key owner
+apiKeySchema.methods.getSummary = function () {
+    return {
+        _id: this._id,
+        name: this.name,
+        prefix: this.prefix,
+        scopes: this.scopes,
+        lastUsedAt: this.lastUsedAt,
+        lastUsedIp: this.lastUsedIp,
+        expiresAt: this.expiresAt,
+        revokedAt: this.revokedAt,
+        createdAt: this.createdAt,
+    };
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
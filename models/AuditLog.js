@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           description: What happened, e.g. auth.lockout
+ *         actorId:
+ *           type: string
+ *           format: ObjectId
+ *           description: Who did it (if known)
+ *         actorModel:
+ *           type: string
+ *           enum: [Developer, Employer, Admin, CompanyMember]
+ *         targetId:
+ *           type: string
+ *           format: ObjectId
+ *           description: Who or what it was done to
+ *         targetModel:
+ *           type: string
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         metadata:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const auditLogSchema = new mongoose.Schema(
+    {
+        action: {
+            type: String,
+            required: [true, 'Action is required'],
+            trim: true,
+        },
+        actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'actorModel',
+        },
+        actorModel: {
+            type: String,
+            enum: ['Developer', 'Employer', 'Admin', 'CompanyMember'],
+        },
+        targetId: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'targetModel',
+        },
+        targetModel: {
+            type: String,
+        },
+        ip: {
+            type: String,
+        },
+        userAgent: {
+            type: String,
+        },
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
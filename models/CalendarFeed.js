@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: Secret iCalendar feed URL; only shown when the feed is created or reset
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time a calendar app fetched the feed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// One secret feed URL per user; calendar apps cannot log in, so the URL is the credential
+const calendarFeedSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'userModel',
+            required: [true, 'User ID is required'],
+        },
+        userModel: {
+            type: String,
+            required: [true, 'User model is required'],
+            enum: ['Developer', 'Employer'],
+        },
+        // Set for a company team member's feed; userId is then the company
+        memberId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        tokenHash: {
+            type: String,
+            required: [true, 'Token hash is required'],
+            unique: true,
+            select: false,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+calendarFeedSchema.index({ userId: 1, userModel: 1, memberId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
\ No newline at end of file
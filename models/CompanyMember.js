@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CompanyMember:
+ *       type: object
+ *       required:
+ *         - employerId
+ *         - email
+ *         - role
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: ObjectId
+ *         employerId:
+ *           type: string
+ *           format: ObjectId
+ *           description: Company the member works for
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Member's login email
+ *         name:
+ *           type: string
+ *           description: Member's display name
+ *         role:
+ *           type: string
+ *           enum: [owner, recruiter, viewer]
+ *           default: recruiter
+ *           description: |
+ *             owner manages the team and the company profile,
+ *             recruiter sends and updates job requests,
+ *             viewer can only read
+ *         status:
+ *           type: string
+ *           enum: [invited, active]
+ *           description: Invited members become active once they accept the invitation
+ *         invitedBy:
+ *           type: string
+ *           format: ObjectId
+ *           description: Member who sent the invitation (empty when it was the company login)
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           default: false
+ *           description: Whether login requires a TOTP code
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const companyMemberSchema = new mongoose.Schema(
+    {
+        employerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employer',
+            required: [true, 'Employer ID is required'],
+        },
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+        },
+        name: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        password: {
+            type: String,
+            minlength: [6, 'Password must be at least 6 characters'],
+            select: false,
+        },
+        role: {
+            type: String,
+            enum: ['owner', 'recruiter', 'viewer'],
+            default: 'recruiter',
+        },
+        status: {
+            type: String,
+            enum: ['invited', 'active'],
+            default: 'invited',
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        invitationTokenHash: {
+            type: String,
+            select: false,
+        },
+        invitationExpires: {
+            type: Date,
+            select: false,
+        },
+        joinedAt: {
+            type: Date,
+        },
+        lastLoginAt: {
+            type: Date,
+        },
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        twoFactorSecret: {
+            type: String,
+            select: false,
+        },
+        twoFactorPendingSecret: {
+            type: String,
+            select: false,
+        },
+        twoFactorRecoveryCodes: {
+            type: [String],
+            select: false,
+        },
+        twoFactorLastUsedStep: {
+            type: Number,
+            select: false,
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false,
+        },
+        passwordResetExpires: {
+            type: Date,
+            select: false,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+companyMemberSchema.index({ employerId: 1, status: 1 });
+companyMemberSchema.index({ invitationTokenHash: 1 }, { sparse: true });
+
+// Hash password before saving
+companyMemberSchema.pre('save', async function (next) {
+    if (!this.isModified('password') || !this.password) return next();
+
+    try {
+        const salt = await bcrypt.genSalt(12);
+        this.password = await bcrypt.hash(this.password, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Method to compare password
+companyMemberSchema.methods.comparePassword = async function (candidatePassword) {
+    if (!this.password) return false;
+    return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to create an invitation token (only its hash is stored)
+companyMemberSchema.methods.createInvitationToken = function (expiresInDays) {
+    const invitationToken = crypto.randomBytes(32).toString('hex');
+    this.invitationTokenHash = crypto.createHash('sha256').update(invitationToken).digest('hex');
+    this.invitationExpires = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    return invitationToken;
+};
+
+// Method to create a single-use password reset token (only its hash is stored)
+companyMemberSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    this.passwordResetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    return resetToken;
+};
+
+// Method to get public profile (without sensitive data)
+companyMemberSchema.methods.getPublicProfile = function () {
+    const memberObject = this.toObject();
+    delete memberObject.password;
+    delete memberObject.invitationTokenHash;
+    delete memberObject.invitationExpires;
+    delete memberObject.twoFactorSecret;
+    delete memberObject.twoFactorPendingSecret;
+    delete memberObject.twoFactorRecoveryCodes;
+    delete memberObject.twoFactorLastUsedStep;
+    delete memberObject.passwordResetTokenHash;
+    delete memberObject.passwordResetExpires;
+    delete memberObject.__v;
+    return memberObject;
+};
+
+module.exports = mongoose.model('CompanyMember', companyMemberSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 /**
  * @swagger
@@ -71,6 +72,27 @@ const bcrypt = require('bcryptjs');
  *           type: boolean
  *           default: true
  *           description: Whether developer is available for work
+ *         emailVerified:
+ *           type: boolean
+ *           default: false
+ *           description: Whether the email address has been confirmed
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           default: false
+ *           description: Whether login requires a TOTP code
+ *         deletionScheduledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the account will be deleted, if its owner asked to leave
+ *         deletionStartedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the purge of the account began; a login can no longer cancel it
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -159,6 +181,58 @@ const developerSchema = new mongoose.Schema(
             default: 'Developer',
             enum: ['Developer', 'Admin'],
         },
+        emailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        emailVerifiedAt: {
+            type: Date,
+        },
+        emailVerificationTokenHash: {
+            type: String,
+            select: false,
+        },
+        emailVerificationExpires: {
+            type: Date,
+            select: false,
+        },
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        twoFactorSecret: {
+            type: String,
+            select: false,
+        },
+        twoFactorPendingSecret: {
+            type: String,
+            select: false,
+        },
+        twoFactorRecoveryCodes: {
+            type: [String],
+            select: false,
+        },
+        twoFactorLastUsedStep: {
+            type: Number,
+            select: false,
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false,
+        },
+        passwordResetExpires: {
+            type: Date,
+            select: false,
+        },
+        deletionScheduledAt: {
+            type: Date,
+            default: null,
+            index: true,
+        },
+        deletionStartedAt: {
+            type: Date,
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -226,10 +300,34 @@ developerSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to create an email verification token (only its hash is stored)
+developerSchema.methods.createEmailVerificationToken = function (expiresInHours) {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationTokenHash = crypto.createHash('sha256').update(verificationToken).digest('hex');
+    this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    return verificationToken;
+};
+
+// Method to create a single-use password reset token (only its hash is stored)
+developerSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    this.passwordResetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    return resetToken;
+};
+
 // Method to get public profile (without sensitive data)
 developerSchema.methods.getPublicProfile = function () {
     const developerObject = this.toObject();
     delete developerObject.password;
+    delete developerObject.emailVerificationTokenHash;
+    delete developerObject.emailVerificationExpires;
+    delete developerObject.twoFactorSecret;
+    delete developerObject.twoFactorPendingSecret;
+    delete developerObject.twoFactorRecoveryCodes;
+    delete developerObject.twoFactorLastUsedStep;
+    delete developerObject.passwordResetTokenHash;
+    delete developerObject.passwordResetExpires;
     delete developerObject.__v;
     return developerObject;
 };
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 /**
  * @swagger
@@ -55,6 +56,33 @@ const bcrypt = require('bcryptjs');
  *           type: string
  *           default: Employer
  *           enum: [Employer, Admin]
+ *         emailVerified:
+ *           type: boolean
+ *           default: false
+ *           description: Whether the email address has been confirmed
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           default: false
+ *           description: Whether login requires a TOTP code
+ *         responseWindowDays:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 1
+ *           maximum: 90
+ *           description: Days developers get to answer this company's job requests (server default when empty)
+ *         deletionScheduledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the account will be deleted, if its owner asked to leave
+ *         deletionStartedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the purge of the account began; a login can no longer cancel it
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -63,6 +91,32 @@ const bcrypt = require('bcryptjs');
  *           format: date-time
  */
 
+// A step of the company's hiring pipeline; see utils/pipeline.js
+const pipelineStageSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: [true, 'Stage key is required'],
+            trim: true,
+            lowercase: true,
+            match: [/^[a-z0-9-]+$/, 'Stage keys may only contain letters, digits and dashes'],
+            maxlength: [40, 'Stage key cannot exceed 40 characters'],
+        },
+        name: {
+            type: String,
+            required: [true, 'Stage name is required'],
+            trim: true,
+            maxlength: [60, 'Stage name cannot exceed 60 characters'],
+        },
+        outcome: {
+            type: String,
+            enum: ['hired', 'declined', null],
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
 const employerSchema = new mongoose.Schema(
     {
         companyName: {
@@ -127,6 +181,69 @@ const employerSchema = new mongoose.Schema(
             default: 'Employer',
             enum: ['Employer', 'Admin'],
         },
+        emailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        emailVerifiedAt: {
+            type: Date,
+        },
+        emailVerificationTokenHash: {
+            type: String,
+            select: false,
+        },
+        emailVerificationExpires: {
+            type: Date,
+            select: false,
+        },
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        twoFactorSecret: {
+            type: String,
+            select: false,
+        },
+        twoFactorPendingSecret: {
+            type: String,
+            select: false,
+        },
+        twoFactorRecoveryCodes: {
+            type: [String],
+            select: false,
+        },
+        twoFactorLastUsedStep: {
+            type: Number,
+            select: false,
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false,
+        },
+        passwordResetExpires: {
+            type: Date,
+            select: false,
+        },
+        responseWindowDays: {
+            type: Number,
+            min: [1, 'Response window must be at least 1 day'],
+            max: [90, 'Response window cannot exceed 90 days'],
+            default: null,
+        },
+        deletionScheduledAt: {
+            type: Date,
+            default: null,
+            index: true,
+        },
+        deletionStartedAt: {
+            type: Date,
+            default: null,
+        },
+        pipelineStages: {
+            type: [pipelineStageSchema],
+            default: undefined,
+            select: false,
+        },
     },
     {
         timestamps: true,
@@ -156,10 +273,34 @@ employerSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to create an email verification token (only its hash is stored)
+employerSchema.methods.createEmailVerificationToken = function (expiresInHours) {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationTokenHash = crypto.createHash('sha256').update(verificationToken).digest('hex');
+    this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    return verificationToken;
+};
+
+// Method to create a single-use password reset token (only its hash is stored)
+employerSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    this.passwordResetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    return resetToken;
+};
+
 // Method to get public profile (without sensitive data)
 employerSchema.methods.getPublicProfile = function () {
     const employerObject = this.toObject();
     delete employerObject.password;
+    delete employerObject.emailVerificationTokenHash;
+    delete employerObject.emailVerificationExpires;
+    delete employerObject.twoFactorSecret;
+    delete employerObject.twoFactorPendingSecret;
+    delete employerObject.twoFactorRecoveryCodes;
+    delete employerObject.twoFactorLastUsedStep;
+    delete employerObject.passwordResetTokenHash;
+    delete employerObject.passwordResetExpires;
     delete employerObject.__v;
     return employerObject;
 };
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobPosting:
+ *       type: object
+ *       required:
+ *         - title
+ *         - description
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: ObjectId
+ *         employerId:
+ *           type: string
+ *           format: ObjectId
+ *           description: The company offering the job
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 2000
+ *         requiredSkills:
+ *           type: array
+ *           items:
+ *             type: string
+ *         salaryMin:
+ *           type: number
+ *           minimum: 0
+ *         salaryMax:
+ *           type: number
+ *           minimum: 0
+ *         salaryType:
+ *           type: string
+ *           enum: [hourly, monthly, yearly]
+ *           default: yearly
+ *         city:
+ *           type: string
+ *         remotePolicy:
+ *           type: string
+ *           enum: [onsite, hybrid, remote]
+ *           default: onsite
+ *         status:
+ *           type: string
+ *           enum: [draft, open, closed]
+ *           default: open
+ *           description: Only open postings are listed publicly and accept applications
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the posting was first opened
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         createdBy:
+ *           type: string
+ *           format: ObjectId
+ *           description: Team member who created the posting (empty when it was the company login)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const JOB_POSTING_STATUSES = ['draft', 'open', 'closed'];
+const REMOTE_POLICIES = ['onsite', 'hybrid', 'remote'];
+
+const jobPostingSchema = new mongoose.Schema(
+    {
+        employerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employer',
+            required: [true, 'Employer ID is required'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        title: {
+            type: String,
+            required: [true, 'Title is required'],
+            trim: true,
+            maxlength: [100, 'Title cannot exceed 100 characters'],
+        },
+        description: {
+            type: String,
+            required: [true, 'Description is required'],
+            trim: true,
+            maxlength: [2000, 'Description cannot exceed 2000 characters'],
+        },
+        requiredSkills: {
+            type: [String],
+            default: [],
+        },
+        salaryMin: {
+            type: Number,
+            min: [0, 'Salary cannot be negative'],
+            default: null,
+        },
+        salaryMax: {
+            type: Number,
+            min: [0, 'Salary cannot be negative'],
+            default: null,
+        },
+        salaryType: {
+            type: String,
+            enum: ['hourly', 'monthly', 'yearly'],
+            default: 'yearly',
+        },
+        city: {
+            type: String,
+            trim: true,
+        },
+        remotePolicy: {
+            type: String,
+            enum: REMOTE_POLICIES,
+            default: 'onsite',
+        },
+        status: {
+            type: String,
+            enum: JOB_POSTING_STATUSES,
+            default: 'open',
+        },
+        publishedAt: {
+            type: Date,
+            default: null,
+        },
+        closedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+jobPostingSchema.index({ status: 1, publishedAt: -1 });
+jobPostingSchema.index({ employerId: 1, status: 1 });
+jobPostingSchema.index({ requiredSkills: 1, city: 1, remotePolicy: 1 });
+
+// Open postings are public; the policy module reads this for the `public` scope
+jobPostingSchema.virtual('isPublic').get(function () {
+    return this.status === 'open';
+});
+
+jobPostingSchema.pre('validate', function (next) {
+    if (this.salaryMin !== null && this.salaryMax !== null && this.salaryMin > this.salaryMax) {
+        this.invalidate('salaryMax', 'Maximum salary cannot be lower than the minimum');
+    }
+
+    // Keep the publish and close dates in step with the status
+    if (this.status === 'open' && !this.publishedAt) {
+        this.publishedAt = new Date();
+    }
+    this.closedAt = this.status === 'closed' ? this.closedAt || new Date() : null;
+
+    next();
+});
+
+module.exports = mongoose.model('JobPosting', jobPostingSchema);
\ No newline at end of file
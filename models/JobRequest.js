@@ -21,6 +21,27 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: ObjectId
  *           description: Reference to the developer
+ *         sentBy:
+ *           type: string
+ *           format: ObjectId
+ *           description: Company team member who sent the request (empty when it was the company login)
+ *         batchId:
+ *           type: string
+ *           format: ObjectId
+ *           description: The batch send the request was part of, if any
+ *         templateId:
+ *           type: string
+ *           format: ObjectId
+ *           description: The template the request was sent from, if any
+ *         direction:
+ *           type: string
+ *           enum: [outreach, application]
+ *           default: outreach
+ *           description: Sent by the employer (outreach), or a developer's application to a job posting
+ *         jobPostingId:
+ *           type: string
+ *           format: ObjectId
+ *           description: The job posting an application is for
  *         jobTitle:
  *           type: string
  *           description: Title of the job position
@@ -35,18 +56,52 @@ const mongoose = require('mongoose');
  *           enum: [hourly, monthly, yearly]
  *           default: yearly
  *           description: Type of salary (hourly, monthly, yearly)
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *           description: Agreed start date (set when a proposal is accepted)
  *         status:
  *           type: string
- *           enum: [pending, accepted, rejected, withdrawn]
+ *           enum: [pending, accepted, rejected, withdrawn, expired]
  *           default: pending
  *           description: Current status of the job request
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a pending request expires if the developer has not answered
+ *         reminderSentAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the developer was reminded that the request is about to expire
  *         interviewDate:
  *           type: string
  *           format: date-time
  *           description: Scheduled interview date and time
+ *         interviewTimezone:
+ *           type: string
+ *           default: UTC
+ *           description: IANA timezone the interview was planned in, e.g. Asia/Tehran
+ *         interviewDurationMinutes:
+ *           type: integer
+ *           default: 60
  *         interviewLocation:
  *           type: string
  *           description: Interview location or platform
+ *         interviewStatus:
+ *           type: string
+ *           enum: [proposed, scheduled, rescheduling, cancelled]
+ *           nullable: true
+ *           description: |
+ *             proposed: slots wait for the developer's pick; scheduled: interviewDate is set;
+ *             rescheduling: scheduled, and new slots wait for a pick; cancelled: called off
+ *         interviewSlots:
+ *           type: array
+ *           description: Time slots the employer proposed
+ *           items:
+ *             $ref: '#/components/schemas/InterviewSlot'
+ *         interviewSequence:
+ *           type: integer
+ *           description: Revision of the calendar event (iCalendar SEQUENCE)
  *         interviewNotes:
  *           type: string
  *           description: Additional notes for the interview
@@ -56,14 +111,305 @@ const mongoose = require('mongoose');
  *         developerNotes:
  *           type: string
  *           description: Notes from developer
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the developer accepted or rejected the request
+ *         statusHistory:
+ *           type: array
+ *           description: Every status change, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/JobRequestStatusChange'
+ *         stage:
+ *           type: string
+ *           description: Hiring pipeline stage key of an accepted request
+ *         stageHistory:
+ *           type: array
+ *           description: Every pipeline stage change, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/JobRequestStatusChange'
+ *         proposals:
+ *           type: array
+ *           description: Offer negotiation, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/JobRequestProposal'
+ *         agreedTerms:
+ *           allOf:
+ *             - $ref: '#/components/schemas/JobRequestProposal'
+ *           nullable: true
+ *           description: The accepted proposal; cannot be changed once set
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     JobRequestStatusChange:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           nullable: true
+ *           description: Previous status (empty for the request being sent)
+ *         to:
+ *           type: string
+ *         changedBy:
+ *           type: string
+ *           format: ObjectId
+ *           nullable: true
+ *           description: Who made the change (empty for changes the system made)
+ *         changedByModel:
+ *           type: string
+ *           enum: [Developer, Employer, CompanyMember, Admin]
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           description: Why the system made the change, e.g. account_deleted
+ *         note:
+ *           type: string
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *     InterviewSlot:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: ObjectId
+ *         start:
+ *           type: string
+ *           format: date-time
+ *         durationMinutes:
+ *           type: integer
+ *           default: 60
+ *         timezone:
+ *           type: string
+ *           description: IANA timezone, e.g. Europe/Berlin
+ *     JobRequestProposal:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *           description: 1 for the first proposal, then one more for each counter-offer
+ *         side:
+ *           type: string
+ *           enum: [Developer, Employer]
+ *           description: Which side made the proposal
+ *         proposedBy:
+ *           type: string
+ *           format: ObjectId
+ *         proposedByModel:
+ *           type: string
+ *           enum: [Developer, Employer, CompanyMember]
+ *         salaryOffer:
+ *           type: number
+ *         salaryType:
+ *           type: string
+ *           enum: [hourly, monthly, yearly]
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         terms:
+ *           type: string
+ *           description: Other terms in free text
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedBy:
+ *           type: string
+ *           format: ObjectId
+ *           description: Only on agreedTerms
+ *         acceptedByModel:
+ *           type: string
+ *           enum: [Developer, Employer, CompanyMember]
+ *           description: Only on agreedTerms
+ *         agreedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Only on agreedTerms
  */
 
+const JOB_REQUEST_STATUSES = ['pending', 'accepted', 'rejected', 'withdrawn', 'expired'];
+
+// One status change; see utils/jobRequestStateMachine.js for which changes are allowed
+const statusChangeSchema = new mongoose.Schema(
+    {
+        from: {
+            type: String,
+            enum: [...JOB_REQUEST_STATUSES, null],
+            default: null,
+        },
+        to: {
+            type: String,
+            enum: JOB_REQUEST_STATUSES,
+            required: [true, 'New status is required'],
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'statusHistory.changedByModel',
+            default: null,
+        },
+        changedByModel: {
+            type: String,
+            enum: ['Developer', 'Employer', 'CompanyMember', 'Admin', null],
+            default: null,
+        },
+        reason: {
+            type: String,
+            trim: true,
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Note cannot exceed 1000 characters'],
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+// A move between hiring pipeline stages (stage keys of the company)
+const stageChangeSchema = new mongoose.Schema(
+    {
+        from: {
+            type: String,
+            default: null,
+        },
+        to: {
+            type: String,
+            required: [true, 'New stage is required'],
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'stageHistory.changedByModel',
+            default: null,
+        },
+        changedByModel: {
+            type: String,
+            enum: ['Developer', 'Employer', 'CompanyMember', 'Admin', null],
+            default: null,
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Note cannot exceed 1000 characters'],
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const SALARY_TYPES = ['hourly', 'monthly', 'yearly'];
+const INTERVIEW_STATUSES = ['proposed', 'scheduled', 'rescheduling', 'cancelled'];
+
+// Whether a timezone name is one the runtime knows (IANA names such as Asia/Tehran)
+const isTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// A time the employer offers for the interview; the developer picks one by its _id
+const interviewSlotSchema = new mongoose.Schema({
+    start: {
+        type: Date,
+        required: [true, 'Slot start is required'],
+    },
+    durationMinutes: {
+        type: Number,
+        min: [15, 'Interviews last at least 15 minutes'],
+        max: [480, 'Interviews cannot last more than 8 hours'],
+        default: 60,
+    },
+    timezone: {
+        type: String,
+        required: [true, 'Slot timezone is required'],
+        validate: [isTimezone, 'Unknown timezone'],
+    },
+});
+
+const PROPOSER_MODELS = ['Developer', 'Employer', 'CompanyMember'];
+
+// The terms of one proposal; see utils/negotiation.js
+const proposalFields = {
+    version: {
+        type: Number,
+        required: [true, 'Proposal version is required'],
+        min: [1, 'Proposal version starts at 1'],
+    },
+    side: {
+        type: String,
+        enum: ['Developer', 'Employer'],
+        required: [true, 'Proposing side is required'],
+    },
+    proposedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'proposals.proposedByModel',
+        required: [true, 'Proposer is required'],
+    },
+    proposedByModel: {
+        type: String,
+        enum: PROPOSER_MODELS,
+        required: [true, 'Proposer type is required'],
+    },
+    salaryOffer: {
+        type: Number,
+        required: [true, 'Salary offer is required'],
+        min: [0, 'Salary offer cannot be negative'],
+    },
+    salaryType: {
+        type: String,
+        enum: SALARY_TYPES,
+        required: [true, 'Salary type is required'],
+    },
+    startDate: {
+        type: Date,
+    },
+    terms: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Terms cannot exceed 2000 characters'],
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+};
+
+const proposalSchema = new mongoose.Schema(proposalFields, { _id: false });
+
+// The accepted proposal, with who accepted it
+const agreedTermsSchema = new mongoose.Schema(
+    {
+        ...proposalFields,
+        proposedBy: { ...proposalFields.proposedBy, refPath: 'agreedTerms.proposedByModel' },
+        acceptedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'agreedTerms.acceptedByModel',
+            required: [true, 'Accepting user is required'],
+        },
+        acceptedByModel: {
+            type: String,
+            enum: PROPOSER_MODELS,
+            required: [true, 'Accepting user type is required'],
+        },
+        agreedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
 const jobRequestSchema = new mongoose.Schema(
     {
         employerId: {
@@ -76,6 +422,31 @@ const jobRequestSchema = new mongoose.Schema(
             ref: 'Developer',
             required: [true, 'Developer ID is required'],
         },
+        sentBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        batchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JobRequestBatch',
+            default: null,
+        },
+        templateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JobRequestTemplate',
+            default: null,
+        },
+        direction: {
+            type: String,
+            enum: ['outreach', 'application'],
+            default: 'outreach',
+        },
+        jobPostingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JobPosting',
+            default: null,
+        },
         jobTitle: {
             type: String,
             required: [true, 'Job title is required'],
@@ -94,21 +465,48 @@ const jobRequestSchema = new mongoose.Schema(
         },
         salaryType: {
             type: String,
-            enum: ['hourly', 'monthly', 'yearly'],
+            enum: SALARY_TYPES,
             default: 'yearly',
         },
+        startDate: {
+            type: Date,
+        },
         status: {
             type: String,
-            enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
+            enum: JOB_REQUEST_STATUSES,
             default: 'pending',
         },
         interviewDate: {
             type: Date,
         },
+        interviewTimezone: {
+            type: String,
+            default: 'UTC',
+            validate: [isTimezone, 'Unknown timezone'],
+        },
+        interviewDurationMinutes: {
+            type: Number,
+            min: [15, 'Interviews last at least 15 minutes'],
+            max: [480, 'Interviews cannot last more than 8 hours'],
+            default: 60,
+        },
         interviewLocation: {
             type: String,
             trim: true,
         },
+        interviewStatus: {
+            type: String,
+            enum: [...INTERVIEW_STATUSES, null],
+            default: null,
+        },
+        interviewSlots: {
+            type: [interviewSlotSchema],
+            default: [],
+        },
+        interviewSequence: {
+            type: Number,
+            default: 0,
+        },
         interviewNotes: {
             type: String,
             trim: true,
@@ -124,6 +522,38 @@ const jobRequestSchema = new mongoose.Schema(
             trim: true,
             maxlength: [1000, 'Developer notes cannot exceed 1000 characters'],
         },
+        respondedAt: {
+            type: Date,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        reminderSentAt: {
+            type: Date,
+            default: null,
+        },
+        statusHistory: {
+            type: [statusChangeSchema],
+            default: [],
+        },
+        stage: {
+            type: String,
+            default: null,
+        },
+        stageHistory: {
+            type: [stageChangeSchema],
+            default: [],
+        },
+        proposals: {
+            type: [proposalSchema],
+            default: [],
+        },
+        // Only set by acceptProposal (utils/negotiation.js), whose filter requires it to still be null
+        agreedTerms: {
+            type: agreedTermsSchema,
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -136,11 +566,26 @@ const jobRequestSchema = new mongoose.Schema(
 jobRequestSchema.index({ employerId: 1, status: 1 });
 jobRequestSchema.index({ developerId: 1, status: 1 });
 jobRequestSchema.index({ status: 1, createdAt: -1 });
+jobRequestSchema.index({ employerId: 1, status: 1, stage: 1 });
+jobRequestSchema.index({ status: 1, expiresAt: 1 });
+jobRequestSchema.index({ jobPostingId: 1, developerId: 1 }, { partialFilterExpression: { jobPostingId: { $type: 'objectId' } } });
+jobRequestSchema.index({ batchId: 1, developerId: 1 }, { partialFilterExpression: { batchId: { $type: 'objectId' } } });
 
-// Virtual for formatted interview date
+jobRequestSchema.index({ developerId: 1, interviewDate: 1 });
+jobRequestSchema.index({ employerId: 1, interviewDate: 1 });
+
+// Virtual for formatted interview date, in the timezone the interview was planned in
 jobRequestSchema.virtual('formattedInterviewDate').get(function () {
     if (!this.interviewDate) return null;
-    return this.interviewDate.toLocaleString();
+    return this.interviewDate.toLocaleString('en-US', {
+        timeZone: this.interviewTimezone || 'UTC',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short',
+    });
 });
 
 // Virtual for salary display
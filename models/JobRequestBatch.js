@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobRequestBatchResult:
+ *       type: object
+ *       properties:
+ *         developerId:
+ *           type: string
+ *           format: ObjectId
+ *         success:
+ *           type: boolean
+ *         jobRequestId:
+ *           type: string
+ *           format: ObjectId
+ *           description: The job request sent to this developer
+ *         statusCode:
+ *           type: integer
+ *           description: Why no job request was sent, as the single send would have answered
+ *         message:
+ *           type: string
+ *     JobRequestBatch:
+ *       type: object
+ *       properties:
+ *         batchId:
+ *           type: string
+ *           format: ObjectId
+ *         sent:
+ *           type: integer
+ *           description: Number of job requests sent
+ *         failed:
+ *           type: integer
+ *           description: Number of developers no job request was sent to
+ *         results:
+ *           type: array
+ *           description: One entry per developer, in the order they were given
+ *           items:
+ *             $ref: '#/components/schemas/JobRequestBatchResult'
+ */
+
+const batchResultSchema = new mongoose.Schema(
+    {
+        developerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Developer',
+            required: [true, 'Developer ID is required'],
+        },
+        success: {
+            type: Boolean,
+            required: [true, 'Success is required'],
+        },
+        jobRequestId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JobRequest',
+            default: null,
+        },
+        statusCode: {
+            type: Number,
+            default: null,
+        },
+        message: {
+            type: String,
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+// One batch send, remembered under its Idempotency-Key so a retry gets the same report
+const jobRequestBatchSchema = new mongoose.Schema(
+    {
+        employerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employer',
+            required: [true, 'Employer ID is required'],
+        },
+        sentBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        idempotencyKey: {
+            type: String,
+            required: [true, 'Idempotency key is required'],
+        },
+        // Hash of the developer IDs and template, to refuse a key reused for another batch
+        requestHash: {
+            type: String,
+            required: [true, 'Request hash is required'],
+        },
+        status: {
+            type: String,
+            enum: ['processing', 'completed'],
+            default: 'processing',
+        },
+        // A run that stopped half way can be resumed by a retry after this
+        lockedUntil: {
+            type: Date,
+            required: [true, 'Lock expiry is required'],
+        },
+        results: {
+            type: [batchResultSchema],
+            default: [],
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry date is required'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+jobRequestBatchSchema.index({ employerId: 1, idempotencyKey: 1 }, { unique: true });
+jobRequestBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('JobRequestBatch', jobRequestBatchSchema);
\ No newline at end of file
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobRequestTemplate:
+ *       type: object
+ *       required:
+ *         - name
+ *         - jobTitle
+ *         - salaryOffer
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: ObjectId
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           description: Label to recognise the template by; unique within the company
+ *         jobTitle:
+ *           type: string
+ *           maxLength: 100
+ *         jobDescription:
+ *           type: string
+ *           maxLength: 2000
+ *         salaryOffer:
+ *           type: number
+ *           minimum: 0
+ *         salaryType:
+ *           type: string
+ *           enum: [hourly, monthly, yearly]
+ *           default: yearly
+ *         interviewLocation:
+ *           type: string
+ *         interviewNotes:
+ *           type: string
+ *           maxLength: 500
+ *         responseWindowDays:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 90
+ *           description: Days the developer has to answer (the company's default window when empty)
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Skills the job needs; `{{matchedSkills}}` lists the ones the developer has
+ *         createdBy:
+ *           type: string
+ *           format: ObjectId
+ *           description: Team member who created the template (empty when it was the company login)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// A job request offer a company reuses; text fields can hold placeholders (see utils/jobRequestTemplates.js)
+const jobRequestTemplateSchema = new mongoose.Schema(
+    {
+        employerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employer',
+            required: [true, 'Employer ID is required'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        jobTitle: {
+            type: String,
+            required: [true, 'Job title is required'],
+            trim: true,
+            maxlength: [100, 'Job title cannot exceed 100 characters'],
+        },
+        jobDescription: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Job description cannot exceed 2000 characters'],
+        },
+        salaryOffer: {
+            type: Number,
+            required: [true, 'Salary offer is required'],
+            min: [0, 'Salary offer cannot be negative'],
+        },
+        salaryType: {
+            type: String,
+            enum: ['hourly', 'monthly', 'yearly'],
+            default: 'yearly',
+        },
+        interviewLocation: {
+            type: String,
+            trim: true,
+        },
+        interviewNotes: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Interview notes cannot exceed 500 characters'],
+        },
+        responseWindowDays: {
+            type: Number,
+            min: [1, 'Response window must be at least 1 day'],
+            max: [90, 'Response window cannot exceed 90 days'],
+            default: null,
+        },
+        skills: {
+            type: [String],
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+jobRequestTemplateSchema.index({ employerId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobRequestTemplate', jobRequestTemplateSchema);
\ No newline at end of file
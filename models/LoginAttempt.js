@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failed login counters used by the MongoDB login attempt store.
+ * Keys look like `account:login:jane@example.com` or `ip:203.0.113.7`.
+ */
+const loginAttemptSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: [true, 'Key is required'],
+            unique: true,
+        },
+        failures: {
+            type: Number,
+            default: 0,
+        },
+        lastFailureAt: {
+            type: Date,
+        },
+        lockedUntil: {
+            type: Date,
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry date is required'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Counters disappear on their own once nothing happened for a while
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
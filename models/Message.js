@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Message:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: ObjectId
+ *         jobRequestId:
+ *           type: string
+ *           format: ObjectId
+ *           description: The job request the thread belongs to
+ *         side:
+ *           type: string
+ *           enum: [Developer, Employer]
+ *           description: Which side sent the message
+ *         senderId:
+ *           type: string
+ *           format: ObjectId
+ *         senderModel:
+ *           type: string
+ *           enum: [Developer, Employer, CompanyMember]
+ *           description: Team members send as themselves
+ *         body:
+ *           type: string
+ *         attachments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               filename:
+ *                 type: string
+ *                 description: Stored file name, used to download the attachment
+ *               originalName:
+ *                 type: string
+ *               mimetype:
+ *                 type: string
+ *               size:
+ *                 type: number
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the other side first read the message
+ *         readBy:
+ *           type: string
+ *           format: ObjectId
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const attachmentSchema = new mongoose.Schema(
+    {
+        filename: {
+            type: String,
+            required: [true, 'File name is required'],
+        },
+        originalName: {
+            type: String,
+            trim: true,
+        },
+        mimetype: {
+            type: String,
+        },
+        size: {
+            type: Number,
+        },
+    },
+    { _id: false }
+);
+
+const messageSchema = new mongoose.Schema(
+    {
+        jobRequestId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JobRequest',
+            required: [true, 'Job request ID is required'],
+        },
+        // Copied from the job request so unread messages can be counted per user
+        employerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employer',
+            required: [true, 'Employer ID is required'],
+        },
+        developerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Developer',
+            required: [true, 'Developer ID is required'],
+        },
+        side: {
+            type: String,
+            enum: ['Developer', 'Employer'],
+            required: [true, 'Sending side is required'],
+        },
+        senderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'senderModel',
+            required: [true, 'Sender is required'],
+        },
+        senderModel: {
+            type: String,
+            enum: ['Developer', 'Employer', 'CompanyMember'],
+            required: [true, 'Sender type is required'],
+        },
+        body: {
+            type: String,
+            trim: true,
+            maxlength: [5000, 'Message cannot exceed 5000 characters'],
+        },
+        attachments: {
+            type: [attachmentSchema],
+            default: [],
+        },
+        readAt: {
+            type: Date,
+            default: null,
+        },
+        readBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'readByModel',
+            default: null,
+        },
+        readByModel: {
+            type: String,
+            enum: ['Developer', 'Employer', 'CompanyMember', null],
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+messageSchema.index({ jobRequestId: 1, createdAt: -1 });
+messageSchema.index({ developerId: 1, side: 1, readAt: 1 });
+messageSchema.index({ employerId: 1, side: 1, readAt: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
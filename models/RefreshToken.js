@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+ * Every login starts a new token family (the Session id) and each refresh
+ * rotates the token inside that family, so presenting an already-rotated
+ * token reveals reuse.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'userModel',
+            required: [true, 'User ID is required'],
+        },
+        userModel: {
+            type: String,
+            required: [true, 'User model is required'],
+            enum: ['Developer', 'Employer', 'Admin'],
+        },
+        tokenHash: {
+            type: String,
+            required: [true, 'Token hash is required'],
+            unique: true,
+        },
+        family: {
+            type: String,
+            required: [true, 'Token family is required'],
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry date is required'],
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedReason: {
+            type: String,
+            enum: ['rotated', 'session_revoked'],
+        },
+        replacedByHash: {
+            type: String,
+        },
+        createdByIp: {
+            type: String,
+        },
+        userAgent: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+// Let MongoDB drop tokens a day after they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Method to check if token can still be exchanged
+refreshTokenSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
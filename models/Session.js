@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: ObjectId
+ *         device:
+ *           type: string
+ *           description: Browser and operating system derived from the user agent
+ *         ip:
+ *           type: string
+ *           description: IP address the login came from
+ *         userAgent:
+ *           type: string
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time the session made an authenticated request
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *         impersonated:
+ *           type: boolean
+ *           description: Whether an admin opened this session to see the account as its owner does
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const sessionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'userModel',
+            required: [true, 'User ID is required'],
+        },
+        userModel: {
+            type: String,
+            required: [true, 'User model is required'],
+            enum: ['Developer', 'Employer', 'Admin'],
+        },
+        // Set when a company team member logged in; userId is then the company
+        memberId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        // Set when an admin is impersonating the user
+        impersonatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            default: null,
+        },
+        device: {
+            type: String,
+            trim: true,
+        },
+        ip: {
+            type: String,
+        },
+        userAgent: {
+            type: String,
+        },
+        lastSeenAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry date is required'],
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedReason: {
+            type: String,
+            enum: ['logout', 'revoked', 'reuse_detected', 'password_changed', 'role_switched', 'account_deleted'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+sessionSchema.index({ userId: 1, userModel: 1, memberId: 1, revokedAt: 1 });
+// Let MongoDB drop sessions a day after their last refresh token expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Method to check if session can still be used
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to get the fields shown to the session owner
+sessionSchema.methods.getSummary = function (currentSessionId) {
+    return {
+        _id: this._id,
+        device: this.device,
+        ip: this.ip,
+        userAgent: this.userAgent,
+        lastSeenAt: this.lastSeenAt,
+        createdAt: this.createdAt,
+        current: !!currentSessionId && this._id.toString() === currentSessionId.toString(),
+        impersonated: !!this.impersonatedBy,
+    };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShortlistCandidate:
+ *       type: object
+ *       properties:
+ *         developerId:
+ *           type: string
+ *           format: ObjectId
+ *         notes:
+ *           type: string
+ *           maxLength: 2000
+ *           description: The company's own notes; developers never see them
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         addedBy:
+ *           type: string
+ *           format: ObjectId
+ *           description: Team member who added the candidate (empty when it was the company login)
+ *         addedAt:
+ *           type: string
+ *           format: date-time
+ *     Shortlist:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           format: ObjectId
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           description: Unique within the company
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         shared:
+ *           type: boolean
+ *           default: true
+ *           description: Shared lists are visible to the whole team; others only to whoever created them
+ *         candidates:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShortlistCandidate'
+ *         createdBy:
+ *           type: string
+ *           format: ObjectId
+ *           description: Team member who created the list (empty when it was the company login)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const MAX_SHORTLIST_CANDIDATES = 500;
+
+const candidateSchema = new mongoose.Schema(
+    {
+        developerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Developer',
+            required: [true, 'Developer ID is required'],
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+            default: '',
+        },
+        tags: {
+            type: [String],
+            default: [],
+        },
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const shortlistSchema = new mongoose.Schema(
+    {
+        employerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employer',
+            required: [true, 'Employer ID is required'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyMember',
+            default: null,
+        },
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Description cannot exceed 500 characters'],
+        },
+        shared: {
+            type: Boolean,
+            default: true,
+        },
+        candidates: {
+            type: [candidateSchema],
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+shortlistSchema.index({ employerId: 1, name: 1 }, { unique: true });
+shortlistSchema.index({ 'candidates.developerId': 1 });
+
+shortlistSchema.statics.MAX_CANDIDATES = MAX_SHORTLIST_CANDIDATES;
+
+module.exports = mongoose.model('Shortlist', shortlistSchema);
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * Central authorization policy.
+ *
+ * Permissions are written as `resource:action:scope`:
+ * - `any`    the action is allowed on every resource of that type
+ * - `own`    only on resources the user owns (see `owners` below)
+ * - `public` only on resources marked public
+ *
+ * Employers are split by team role. The company login itself is `Employer`;
+ * team members are `Employer:owner`, `Employer:recruiter` and `Employer:viewer`.
+ * Requests without a logged-in user are `Guest`. API keys only get the
+ * permissions their scopes map to in `apiKeyScopes`.
+ *
+ * While an admin impersonates a user, deletes and the actions in
+ * `blockedWhileImpersonating` are refused whatever the role allows.
+ */
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => !!idOf(a) && !!idOf(b) && idOf(a).toString() === idOf(b).toString();
+
+// How to tell whether a user owns a resource, per resource type
+const owners = {
+    developer: (user, resource) => user.role === 'Developer' && sameId(resource, user.id),
+    employer: (user, resource) => user.role === 'Employer' && sameId(resource, user.id),
+    project: (user, resource) => user.role === 'Developer' && sameId(resource.developerId, user.id),
+    jobRequest: (user, resource) => (user.role === 'Developer'
+        ? sameId(resource.developerId, user.id)
+        : user.role === 'Employer' && sameId(resource.employerId, user.id)),
+    // Messages are checked against their job request: its two sides may write
+    message: (user, resource) => owners.jobRequest(user, resource),
+    team: (user, resource) => user.role === 'Employer' && sameId(resource.employerId, user.id),
+    apiKey: (user, resource) => user.role === 'Employer' && sameId(resource.employerId, user.id),
+    pipeline: (user, resource) => user.role === 'Employer' && sameId(resource.employerId, user.id),
+    jobRequestTemplate: (user, resource) => user.role === 'Employer' && sameId(resource.employerId, user.id),
+    jobPosting: (user, resource) => user.role === 'Employer' && sameId(resource.employerId, user.id),
+    shortlist: (user, resource) => user.role === 'Employer' && sameId(resource.employerId, user.id),
+    file: (user, resource) => sameId(resource.ownerId, user.id),
+    account: (user, resource) => ['Developer', 'Employer'].includes(user.role) && sameId(resource, user.id),
+};
+
+const viewerPermissions = [
+    'employer:read:own',
+    'employerDashboard:read:own',
+    'jobRequest:read:own',
+    'team:read:own',
+    'pipeline:read:own',
+    'jobRequestTemplate:read:own',
+    'jobPosting:read:public',
+    'jobPosting:read:own',
+    'shortlist:read:own',
+    'calendarFeed:manage:own',
+    'file:read:own',
+    'session:read:own',
+    'session:delete:own',
+    'password:update:own',
+    'twoFactor:update:own',
+    'project:read:public',
+    'search:read:any',
+];
+
+const recruiterPermissions = [
+    ...viewerPermissions,
+    'jobRequest:create:own',
+    'jobRequest:update:own',
+    'jobRequest:negotiate:own',
+    'jobRequest:move:own',
+    'jobRequestTemplate:manage:own',
+    'jobRequestTemplate:delete:own',
+    'jobPosting:manage:own',
+    'jobPosting:delete:own',
+    'shortlist:manage:own',
+    'shortlist:delete:own',
+    'message:send:own',
+    'file:upload:own',
+];
+
+const ownerPermissions = [
+    ...recruiterPermissions,
+    'employer:update:own',
+    'team:manage:own',
+    'apiKey:manage:own',
+    'pipeline:manage:own',
+    'file:delete:own',
+];
+
+const permissions = {
+    Guest: [
+        'project:read:public',
+        'jobPosting:read:public',
+        'search:read:any',
+    ],
+    Developer: [
+        'developer:read:own',
+        'developer:update:own',
+        'developerDashboard:read:own',
+        'project:read:public',
+        'project:read:own',
+        'project:create:own',
+        'project:update:own',
+        'project:delete:own',
+        'jobRequest:read:own',
+        'jobRequest:update:own',
+        'jobRequest:respond:own',
+        'jobRequest:negotiate:own',
+        'jobPosting:read:public',
+        'jobPosting:apply:public',
+        'message:send:own',
+        'calendarFeed:manage:own',
+        'file:upload:own',
+        'file:read:own',
+        'file:delete:own',
+        'session:read:own',
+        'session:delete:own',
+        'password:update:own',
+        'twoFactor:update:own',
+        'search:read:any',
+        'credentials:update:own',
+        'account:export:own',
+        'account:delete:own',
+    ],
+    // The company login: a team owner that also holds the account's credentials
+    Employer: [
+        ...ownerPermissions,
+        'credentials:update:own',
+        'account:export:own',
+        'account:delete:own',
+    ],
+    'Employer:owner': ownerPermissions,
+    'Employer:recruiter': recruiterPermissions,
+    'Employer:viewer': viewerPermissions,
+    Admin: [
+        'developer:read:any',
+        'developer:update:any',
+        'developer:delete:any',
+        'employer:read:any',
+        'employer:update:any',
+        'employer:delete:any',
+        'adminDashboard:read:any',
+        'project:read:any',
+        'project:delete:any',
+        'jobRequest:read:any',
+        'jobRequest:delete:any',
+        'jobPosting:read:any',
+        'file:upload:any',
+        'file:read:any',
+        'file:delete:any',
+        'search:read:any',
+        'user:impersonate:any',
+    ],
+};
+
+// What each API key scope allows; keys act for their company with nothing else
+const apiKeyScopes = {
+    'jobRequests:read': ['jobRequest:read:own'],
+    'search:read': ['search:read:any'],
+};
+
+// Actions an admin must not take on a user's behalf (on top of every `:delete`)
+const blockedWhileImpersonating = [
+    'credentials:update',
+    'password:update',
+    'twoFactor:update',
+    'account:delete',
+    'account:export',
+    'apiKey:manage',
+    'team:manage',
+    'calendarFeed:manage',
+];
+
+const isBlockedWhileImpersonating = (action) => action.endsWith(':delete') || blockedWhileImpersonating.includes(action);
+
+const GUEST = Object.freeze({ id: null, role: 'Guest', teamRole: null });
+
+/**
+ * The user a request acts as, in the shape can() expects
+ */
+const principalOf = (req) => {
+    if (!req.user) return GUEST;
+
+    return {
+        id: req.user._id,
+        role: req.userRole,
+        teamRole: req.member ? req.member.role : null,
+        apiKeyScopes: req.apiKey ? req.apiKey.scopes : null,
+        impersonatedBy: req.impersonator ? req.impersonator._id : null,
+    };
+};
+
+/**
+ * Permission list for a user
+ */
+const permissionsFor = (user) => {
+    if (user.apiKeyScopes) {
+        return user.apiKeyScopes.flatMap(scope => apiKeyScopes[scope] || []);
+    }
+
+    const key = user.role === 'Employer' && user.teamRole ? `Employer:${user.teamRole}` : user.role;
+    return permissions[key] || [];
+};
+
+/**
+ * Whether a user may perform an action (`resource:action`).
+ *
+ * With a resource, one of the user's scopes for the action has to match it.
+ * Without one, holding the action in any scope is enough; routes use this to
+ * turn users away early and check the loaded resource afterwards.
+ */
+const can = (user, action, resource) => {
+    user = user || GUEST;
+    if (user.impersonatedBy && isBlockedWhileImpersonating(action)) return false;
+
+    const [resourceType] = action.split(':');
+    const scopes = permissionsFor(user)
+        .filter(permission => permission.startsWith(`${action}:`))
+        .map(permission => permission.slice(action.length + 1));
+
+    if (scopes.length === 0) return false;
+    if (resource === undefined) return true;
+
+    return scopes.some(scope => {
+        if (scope === 'any') return true;
+        if (scope === 'public') return !!(resource && resource.isPublic);
+        if (scope === 'own') return !!(resource && owners[resourceType] && owners[resourceType](user, resource));
+        return false;
+    });
+};
+
+/**
+ * Whether a user may perform an action on every resource of its type (`any` scope)
+ */
+const canAny = (user, action) => can(user, action) && permissionsFor(user || GUEST).includes(`${action}:any`);
+
+module.exports = {
+    can,
+    canAny,
+    principalOf,
+    permissions,
+    apiKeyScopes,
+    blockedWhileImpersonating,
+    GUEST,
+};
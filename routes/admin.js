@@ -0,0 +1,105 @@
+const express = require('express');
+const Developer = require('../models/Developer');
+const Employer = require('../models/Employer');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate, schemas } = require('../middlewares/validation');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { issueImpersonationToken } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const userModels = { Developer, Employer };
+
+/**
+ * @swagger
+ * /api/admin/impersonate:
+ *   post:
+ *     summary: Get a token to see the API as a developer or employer does (Admin only)
+ *     description: |
+ *       Returns a short-lived access token for the user. It carries both identities
+ *       (the `imp` claim names the admin), cannot be refreshed, and responses made
+ *       with it include an `X-Impersonated-By` header. Deletes, password and 2FA
+ *       changes, API key and team management are refused, and every request made
+ *       with the token is written to the audit log. End it early with POST /api/auth/logout.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - userType
+ *               - reason
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 format: ObjectId
+ *               userType:
+ *                 type: string
+ *                 enum: [Developer, Employer]
+ *               reason:
+ *                 type: string
+ *                 description: Why support needs to see the account, kept in the audit log
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.post('/impersonate', authenticateToken, authorize('user:impersonate'), validate(schemas.impersonate), asyncHandler(async (req, res) => {
+    const { userId, userType, reason } = req.body;
+
+    const user = await userModels[userType].findById(userId);
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            message: `${userType} not found`,
+        });
+    }
+
+    const { token, sessionId, expiresAt } = await issueImpersonationToken(req, req.user, user, userType);
+
+    await recordAudit(req, {
+        action: 'impersonation.start',
+        actorId: req.user._id,
+        actorModel: 'Admin',
+        targetId: user._id,
+        targetModel: userType,
+        metadata: { sessionId, reason, expiresAt },
+    });
+
+    res.json({
+        success: true,
+        message: `Impersonating ${userType.toLowerCase()} ${user.email}`,
+        data: user.getPublicProfile(),
+        token,
+        expiresAt,
+    });
+}));
+
+module.exports = router;
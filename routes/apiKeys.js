@@ -0,0 +1,188 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate, schemas } = require('../middlewares/validation');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { generateApiKey } = require('../utils/apiKeys');
+const { recordAudit, actorOf } = require('../utils/audit');
+
+const router = express.Router();
+
+const ownCompany = (req) => ({ employerId: req.user._id });
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List my company's API keys
+ *     description: Includes revoked and expired keys. The keys themselves are never shown again after creation.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/', authenticateToken, authorize('apiKey:manage', ownCompany), asyncHandler(async (req, res) => {
+    const apiKeys = await ApiKey.find({ employerId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        data: apiKeys.map(apiKey => apiKey.getSummary()),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key for an integration
+ *     description: |
+ *       Send the key in the `X-API-Key` header. Keys are read-only and only work on
+ *       GET /api/job-requests and the /api/search endpoints allowed by their scopes.
+ *       The key is only returned in this response.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [jobRequests:read, search:read]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *                 key:
+ *                   type: string
+ *                   description: The API key. Store it now; it cannot be shown again.
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/', authenticateToken, authorize('apiKey:manage', ownCompany), validate(schemas.apiKeyCreate), asyncHandler(async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+        employerId: req.user._id,
+        createdBy: req.member ? req.member._id : null,
+        name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    });
+
+    await recordAudit(req, {
+        action: 'apikey.create',
+        ...actorOf(req),
+        targetId: apiKey._id,
+        targetModel: 'ApiKey',
+        metadata: { employerId: req.user._id, prefix, scopes: apiKey.scopes },
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'API key created. Copy it now, it will not be shown again.',
+        data: apiKey.getSummary(),
+        key,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', authenticateToken, authorize('apiKey:manage', ownCompany), asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.id, employerId: req.user._id, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+    );
+
+    if (!apiKey) {
+        return res.status(404).json({
+            success: false,
+            message: 'API key not found',
+        });
+    }
+
+    await recordAudit(req, {
+        action: 'apikey.revoke',
+        ...actorOf(req),
+        targetId: apiKey._id,
+        targetModel: 'ApiKey',
+        metadata: { employerId: req.user._id, prefix: apiKey.prefix },
+    });
+
+    res.json({
+        success: true,
+        message: 'API key revoked successfully',
+    });
+}));
+
+module.exports = router;
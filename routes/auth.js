@@ -1,13 +1,169 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const Developer = require('../models/Developer');
 const Employer = require('../models/Employer');
+const Admin = require('../models/Admin');
+const CompanyMember = require('../models/CompanyMember');
 const { validate, schemas } = require('../middlewares/validation');
 const { asyncHandler } = require('../middlewares/errorHandler');
-const { authenticateToken } = require('../middlewares/auth');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const {
+    issueAuthTokens,
+    rotateRefreshToken,
+    clearAuthCookies,
+    hashToken,
+    signPurposeToken,
+    verifyPurposeToken,
+    signTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+} = require('../utils/tokens');
+const { revokeSession, revokeOtherSessions, listActiveSessions } = require('../utils/sessions');
+const { sendMailInBackground } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+const { TWO_FACTOR_FIELDS, generateRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+const loginThrottle = require('../utils/loginThrottle');
+const { recordAudit } = require('../utils/audit');
+const { ensureCsrfCookie, hasValidCsrfToken } = require('../utils/csrf');
+const { ACCOUNT_DELETION_GRACE_DAYS, exportAccountData, deletionDate, cancelDeletion } = require('../utils/accountData');
+const {
+    profileModels,
+    findAccountOf,
+    linkProfile,
+    checkIdentityForSignup,
+    loadLinkedProfile,
+    syncLinkedPasswords,
+} = require('../utils/accounts');
 
 const router = express.Router();
 
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+const userModels = profileModels;
+
+// Who can reset a forgotten password, by `userType`
+const passwordResetModels = { ...profileModels, CompanyMember };
+
+/**
+ * Name to greet a user with in emails
+ */
+const displayName = (user) => user.firstName || user.companyName || user.name;
+
+/**
+ * Team member behind the request, if any (sessions are kept per member)
+ */
+const memberIdOf = (req) => (req.member ? req.member._id : null);
+
+/**
+ * Whose 2FA a request changes: a logged-in team member's own, otherwise the profile's
+ */
+const twoFactorHolderOf = (req) => (req.member
+    ? { Model: CompanyMember, holder: req.member }
+    : { Model: userModels[req.userRole], holder: req.user });
+
+/**
+ * Logging in during the grace period keeps an account that was going to be deleted.
+ * Resolves to whether a deletion was cancelled.
+ */
+const keepAccountOnLogin = async (req, user, role) => {
+    if (!user.deletionScheduledAt || !await cancelDeletion(req, role, user._id, 'login')) {
+        return false;
+    }
+
+    user.deletionScheduledAt = null;
+    return true;
+};
+
+/**
+ * Answer a login attempt that is being throttled
+ */
+const rejectThrottledLogin = (res, block) => {
+    const retryAfter = Math.ceil(block.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+
+    return res.status(429).json({
+        success: false,
+        message: block.locked
+            ? `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+            : `Too many failed login attempts. Try again in ${retryAfter} second(s).`,
+        retryAfter,
+    });
+};
+
+/**
+ * Count a failed login. When it locks the account, write an audit entry
+ * and email the owner a link to unlock it early.
+ */
+const handleFailedLogin = async (req, keys, { user, userType, email }) => {
+    const result = await loginThrottle.registerFailure(keys);
+
+    if (result.accountLocked) {
+        await recordAudit(req, {
+            action: 'auth.lockout',
+            targetId: user ? user._id : undefined,
+            targetModel: user ? userType : undefined,
+            metadata: { email, userType, failures: result.failures, lockedUntil: result.lockedUntil },
+        });
+
+        if (user) {
+            const lockedSeconds = Math.ceil((result.lockedUntil.getTime() - Date.now()) / 1000);
+            sendMailInBackground({
+                to: user.email,
+                ...emailTemplates.accountLocked({
+                    name: displayName(user),
+                    token: signPurposeToken('unlock', { key: keys.account }, lockedSeconds),
+                    lockedMinutes: Math.round(lockedSeconds / 60),
+                }),
+            });
+        }
+    }
+
+    if (result.ipLocked) {
+        await recordAudit(req, {
+            action: 'auth.ip_lockout',
+            metadata: { ip: req.ip, lockedUntil: result.lockedUntil },
+        });
+    }
+};
+
+/**
+ * Issue company tokens that remember the team member, and answer the login
+ */
+const completeMemberLogin = async (req, res, member, employer, extra = {}) => {
+    member.lastLoginAt = new Date();
+    await member.save();
+
+    // Issue access and refresh tokens for the company, remembering the member
+    const { token, refreshToken } = await issueAuthTokens(req, res, employer, 'Employer', { memberId: member._id });
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        data: member.getPublicProfile(),
+        company: employer.getPublicProfile(),
+        token,
+        refreshToken,
+        ...extra,
+    });
+};
+
+/**
+ * Issue a fresh verification token for a user and email the link
+ */
+const sendVerificationEmail = async (user, userType) => {
+    const verificationToken = user.createEmailVerificationToken(EMAIL_VERIFICATION_EXPIRES_HOURS);
+    await user.save({ validateBeforeSave: false });
+
+    sendMailInBackground({
+        to: user.email,
+        ...emailTemplates.emailVerification({
+            name: displayName(user),
+            token: verificationToken,
+            userType,
+            expiresInHours: EMAIL_VERIFICATION_EXPIRES_HOURS,
+        }),
+    });
+};
+
 /**
  * @swagger
  * /api/auth/developer/signup:
@@ -56,10 +212,14 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/Developer'
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for POST /api/auth/refresh
  *       400:
  *         description: Validation error
  *       409:
- *         description: Email already exists
+ *         description: Email already exists, or belongs to a profile of the other role with a different password
  */
 router.post('/developer/signup', validate(schemas.developerSignup), asyncHandler(async (req, res) => {
     const { email } = req.body;
@@ -73,31 +233,36 @@ router.post('/developer/signup', validate(schemas.developerSignup), asyncHandler
         });
     }
 
+    // One email is one identity: adding a second role needs the existing password
+    const identity = await checkIdentityForSignup(email, 'Developer', req.body.password);
+    if (identity.conflict) {
+        return res.status(409).json({
+            success: false,
+            message: 'This email is already used by an employer account. Sign up with the same password to add a developer profile to it.',
+        });
+    }
+
     // Create new developer
     const developer = new Developer(req.body);
     await developer.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-        { userId: developer._id, role: 'Developer' },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (identity.otherProfile) {
+        await linkProfile(email, identity.otherRole, identity.otherProfile._id);
+    }
+    const account = await linkProfile(email, 'Developer', developer._id);
 
-    // Set token in cookie
-    const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    };
-    res.cookie('token', token, cookieOptions);
+    await sendVerificationEmail(developer, 'Developer');
+
+    // Issue access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(req, res, developer, 'Developer');
 
     res.status(201).json({
         success: true,
         message: 'Developer created successfully',
         data: developer.getPublicProfile(),
+        roles: account.getRoles(),
         token,
+        refreshToken,
     });
 }));
 
@@ -129,10 +294,14 @@ router.post('/developer/signup', validate(schemas.developerSignup), asyncHandler
  *                   $ref: '#/components/schemas/Employer'
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for POST /api/auth/refresh
  *       400:
  *         description: Validation error
  *       409:
- *         description: Email already exists
+ *         description: Email already exists, or belongs to a profile of the other role with a different password
  */
 router.post('/employer/signup', validate(schemas.employerSignup), asyncHandler(async (req, res) => {
     const { email } = req.body;
@@ -146,31 +315,36 @@ router.post('/employer/signup', validate(schemas.employerSignup), asyncHandler(a
         });
     }
 
+    // One email is one identity: adding a second role needs the existing password
+    const identity = await checkIdentityForSignup(email, 'Employer', req.body.password);
+    if (identity.conflict) {
+        return res.status(409).json({
+            success: false,
+            message: 'This email is already used by a developer account. Sign up with the same password to add an employer profile to it.',
+        });
+    }
+
     // Create new employer
     const employer = new Employer(req.body);
     await employer.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-        { userId: employer._id, role: 'Employer' },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (identity.otherProfile) {
+        await linkProfile(email, identity.otherRole, identity.otherProfile._id);
+    }
+    const account = await linkProfile(email, 'Employer', employer._id);
 
-    // Set token in cookie
-    const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    };
-    res.cookie('token', token, cookieOptions);
+    await sendVerificationEmail(employer, 'Employer');
+
+    // Issue access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(req, res, employer, 'Employer');
 
     res.status(201).json({
         success: true,
         message: 'Employer created successfully',
         data: employer.getPublicProfile(),
+        roles: account.getRoles(),
         token,
+        refreshToken,
     });
 }));
 
@@ -189,7 +363,6 @@ router.post('/employer/signup', validate(schemas.employerSignup), asyncHandler(a
  *             required:
  *               - email
  *               - password
- *               - userType
  *             properties:
  *               email:
  *                 type: string
@@ -199,6 +372,7 @@ router.post('/employer/signup', validate(schemas.employerSignup), asyncHandler(a
  *               userType:
  *                 type: string
  *                 enum: [Developer, Employer]
+ *                 description: Role to log in as. When omitted, the developer profile is preferred.
  *     responses:
  *       200:
  *         description: Login successful
@@ -217,77 +391,239 @@ router.post('/employer/signup', validate(schemas.employerSignup), asyncHandler(a
  *                     - $ref: '#/components/schemas/Employer'
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for POST /api/auth/refresh
+ *                 activeRole:
+ *                   type: string
+ *                   enum: [Developer, Employer]
+ *                   description: Role the tokens were issued for
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Every role linked to this email; switch with POST /api/auth/switch-role
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Set instead of the tokens when the account uses 2FA
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Pass to POST /api/auth/login/2fa together with a code
+ *                 deletionCancelled:
+ *                   type: boolean
+ *                   description: Whether this login cancelled the scheduled deletion of the account
  *       400:
  *         description: Validation error
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
  */
 router.post('/login', validate(schemas.login), asyncHandler(async (req, res) => {
     const { email, password, userType } = req.body;
 
-    let user;
-    if (userType === 'Developer') {
-        user = await Developer.findOne({ email }).select('+password');
-    } else if (userType === 'Employer') {
-        user = await Employer.findOne({ email }).select('+password');
-    } else {
-        return res.status(400).json({
+    // Failures are counted per email, whichever role is being tried
+    const throttleKeys = {
+        account: loginThrottle.accountKey('login', email),
+        ip: loginThrottle.ipKey(req.ip),
+    };
+    const block = await loginThrottle.check(throttleKeys);
+    if (block) {
+        return rejectThrottledLogin(res, block);
+    }
+
+    // Without userType every profile using this email is tried
+    const candidateRoles = userType ? [userType] : Object.keys(profileModels);
+    const profiles = [];
+    for (const role of candidateRoles) {
+        const profile = await profileModels[role].findOne({ email }).select('+password');
+        if (profile) {
+            profiles.push({ role, user: profile });
+        }
+    }
+
+    // Check password
+    const matched = [];
+    for (const profile of profiles) {
+        if (await profile.user.comparePassword(password)) {
+            matched.push(profile);
+        }
+    }
+
+    if (matched.length === 0) {
+        const known = profiles[0];
+        await handleFailedLogin(req, throttleKeys, {
+            user: known && known.user,
+            userType: known ? known.role : userType,
+            email,
+        });
+        return res.status(401).json({
             success: false,
-            message: 'Invalid user type',
+            message: 'Invalid credentials',
         });
     }
 
-    if (!user) {
+    await loginThrottle.reset(throttleKeys.account);
+
+    // Every profile this password opens belongs to the same person
+    let account;
+    for (const profile of matched) {
+        account = await linkProfile(email, profile.role, profile.user._id);
+    }
+
+    const { role: activeRole, user } = matched[0];
+    const roles = account.getRoles();
+
+    // Accounts with 2FA need a second step before any tokens are issued
+    if (user.twoFactorEnabled) {
+        return res.json({
+            success: true,
+            message: 'Two-factor authentication required',
+            twoFactorRequired: true,
+            challengeToken: signTwoFactorChallenge({ userId: user._id, role: activeRole }),
+            activeRole,
+            roles,
+        });
+    }
+
+    const deletionCancelled = await keepAccountOnLogin(req, user, activeRole);
+
+    // Issue access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(req, res, user, activeRole);
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        data: user.getPublicProfile(),
+        activeRole,
+        roles,
+        token,
+        refreshToken,
+        deletionCancelled,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a TOTP or recovery code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Token returned by POST /api/auth/login or /api/auth/member/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One of the recovery codes (instead of code)
+ *     responses:
+ *       200:
+ *         description: |
+ *           Login successful. Like POST /api/auth/login, cancels a scheduled account deletion (`deletionCancelled`).
+ *           A team member's challenge answers like POST /api/auth/member/login.
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Challenge expired or code invalid
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ */
+router.post('/login/2fa', validate(schemas.twoFactorLogin), asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyTwoFactorChallenge(challengeToken);
+    if (!challenge) {
         return res.status(401).json({
             success: false,
-            message: 'Invalid credentials',
+            message: 'Login challenge is invalid or has expired',
         });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+    // Codes are only six digits, so guesses are throttled like passwords
+    const throttleKeys = {
+        account: loginThrottle.accountKey(`2fa:${challenge.role}`, challenge.userId),
+        ip: loginThrottle.ipKey(req.ip),
+    };
+    const block = await loginThrottle.check(throttleKeys);
+    if (block) {
+        return rejectThrottledLogin(res, block);
+    }
+
+    const isMember = challenge.role === 'CompanyMember';
+    const user = isMember
+        ? await CompanyMember.findOne({ _id: challenge.userId, status: 'active' }).select(TWO_FACTOR_FIELDS)
+        : await userModels[challenge.role].findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactorEnabled || !verifySecondFactor(user, { code, recoveryCode })) {
+        await handleFailedLogin(req, throttleKeys, { user, userType: challenge.role, email: user && user.email });
         return res.status(401).json({
             success: false,
-            message: 'Invalid credentials',
+            message: 'Invalid authentication code',
         });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-        { userId: user._id, role: userType },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await loginThrottle.reset(throttleKeys.account);
 
-    // Set token in cookie
-    const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    };
-    res.cookie('token', token, cookieOptions);
+    await user.save({ validateBeforeSave: false });
+
+    if (isMember) {
+        const employer = await Employer.findById(user.employerId);
+        if (!employer) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code',
+            });
+        }
+
+        return completeMemberLogin(req, res, user, employer,
+            recoveryCode ? { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length } : {});
+    }
+
+    const deletionCancelled = await keepAccountOnLogin(req, user, challenge.role);
+
+    // Issue access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(req, res, user, challenge.role);
+    const account = await findAccountOf(challenge.role, user._id);
 
     res.json({
         success: true,
         message: 'Login successful',
         data: user.getPublicProfile(),
+        activeRole: challenge.role,
+        roles: account ? account.getRoles() : [challenge.role],
         token,
+        refreshToken,
+        deletionCancelled,
+        ...(recoveryCode && { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length }),
     });
 }));
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user profile
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor authentication setup
+ *     description: |
+ *       Returns a new TOTP secret and an otpauth:// URI to render as a QR code.
+ *       2FA is not active until the secret is confirmed with POST /api/auth/2fa/enable.
+ *       A team member sets up 2FA for their own login, not the company's.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: Secret generated
  *         content:
  *           application/json:
  *             schema:
@@ -296,24 +632,51 @@ router.post('/login', validate(schemas.login), asyncHandler(async (req, res) =>
  *                 success:
  *                   type: boolean
  *                 data:
- *                   oneOf:
- *                     - $ref: '#/components/schemas/Developer'
- *                     - $ref: '#/components/schemas/Employer'
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *       400:
+ *         description: 2FA is already enabled
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  */
-router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/2fa/setup', authenticateToken, authorize('twoFactor:update'), asyncHandler(async (req, res) => {
+    const { Model, holder } = twoFactorHolderOf(req);
+
+    if (holder.twoFactorEnabled) {
+        return res.status(400).json({
+            success: false,
+            message: 'Two-factor authentication is already enabled',
+        });
+    }
+
+    const secret = generateSecret();
+    await Model.updateOne({ _id: holder._id }, { twoFactorPendingSecret: secret });
+
     res.json({
         success: true,
-        data: req.user,
+        data: {
+            secret,
+            otpauthUrl: buildOtpauthUrl({
+                secret,
+                accountName: holder.email,
+                issuer: process.env.TOTP_ISSUER || 'Hamkar',
+            }),
+        },
     });
 }));
 
 /**
  * @swagger
- * /api/auth/change-password:
+ * /api/auth/2fa/enable:
  *   post:
- *     summary: Change user password
+ *     summary: Confirm the TOTP secret and turn on two-factor authentication
+ *     description: Returns recovery codes. They are shown only once.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -324,78 +687,1241 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
- *               - newPassword
+ *               - code
  *             properties:
- *               currentPassword:
+ *               code:
  *                 type: string
- *               newPassword:
- *                 type: string
- *                 minLength: 6
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Two-factor authentication enabled
  *       400:
- *         description: Validation error or current password is incorrect
+ *         description: Validation error, no setup in progress or invalid code
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  */
-router.post('/change-password', authenticateToken, validate(schemas.changePassword), asyncHandler(async (req, res) => {
-    const { currentPassword, newPassword } = req.body;
+router.post('/2fa/enable', authenticateToken, authorize('twoFactor:update'), validate(schemas.twoFactorEnable), asyncHandler(async (req, res) => {
+    const { Model, holder } = twoFactorHolderOf(req);
+    const user = await Model.findById(holder._id).select('+twoFactorPendingSecret');
 
-    // Get user with password
-    let user;
-    if (req.userRole === 'Developer') {
-        user = await Developer.findById(req.user._id).select('+password');
-    } else if (req.userRole === 'Employer') {
-        user = await Employer.findById(req.user._id).select('+password');
+    if (user.twoFactorEnabled) {
+        return res.status(400).json({
+            success: false,
+            message: 'Two-factor authentication is already enabled',
+        });
     }
 
-    // Check current password
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
-    if (!isCurrentPasswordValid) {
+    if (!user.twoFactorPendingSecret) {
         return res.status(400).json({
             success: false,
-            message: 'Current password is incorrect',
+            message: 'Start setup with POST /api/auth/2fa/setup first',
         });
     }
 
-    // Update password
-    user.password = newPassword;
-    await user.save();
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid authentication code',
+        });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
 
     res.json({
         success: true,
-        message: 'Password changed successfully',
+        message: 'Two-factor authentication enabled',
+        data: {
+            recoveryCodes: codes,
+        },
     });
 }));
 
 /**
  * @swagger
- * /api/auth/logout:
+ * /api/auth/2fa/disable:
  *   post:
- *     summary: User logout
+ *     summary: Turn off two-factor authentication
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Validation error, 2FA not enabled, wrong password or invalid code
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  */
-router.post('/logout', authenticateToken, (req, res) => {
-    // Clear the token cookie
-    res.clearCookie('token', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-    });
+router.post('/2fa/disable', authenticateToken, authorize('twoFactor:update'), validate(schemas.twoFactorDisable), asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    const { Model, holder } = twoFactorHolderOf(req);
+    const user = await Model.findById(holder._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+        return res.status(400).json({
+            success: false,
+            message: 'Two-factor authentication is not enabled',
+        });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !verifySecondFactor(user, { code, recoveryCode })) {
+        return res.status(400).json({
+            success: false,
+            message: 'Password or authentication code is incorrect',
+        });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
 
     res.json({
         success: true,
-        message: 'Logout successful',
+        message: 'Two-factor authentication disabled',
     });
-});
+}));
+
+/**
+ * @swagger
+ * /api/auth/admin/login:
+ *   post:
+ *     summary: Admin login
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Admin'
+ *                 token:
+ *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for POST /api/auth/refresh
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ */
+router.post('/admin/login', validate(schemas.adminLogin), asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    const throttleKeys = {
+        account: loginThrottle.accountKey('Admin', email),
+        ip: loginThrottle.ipKey(req.ip),
+    };
+    const block = await loginThrottle.check(throttleKeys);
+    if (block) {
+        return rejectThrottledLogin(res, block);
+    }
+
+    const admin = await Admin.findOne({ email }).select('+password');
+
+    // Deactivated admins get the same response as unknown emails
+    const isPasswordValid = admin && admin.isActive ? await admin.comparePassword(password) : false;
+    if (!isPasswordValid) {
+        await handleFailedLogin(req, throttleKeys, { user: admin, userType: 'Admin', email });
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid credentials',
+        });
+    }
+
+    await loginThrottle.reset(throttleKeys.account);
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    // Issue access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(req, res, admin, 'Admin');
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        data: admin.getPublicProfile(),
+        token,
+        refreshToken,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/member/login:
+ *   post:
+ *     summary: Company team member login
+ *     description: Team members act for their company with the rights of their team role.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CompanyMember'
+ *                 company:
+ *                   $ref: '#/components/schemas/Employer'
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Set instead of the tokens when the member uses 2FA
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Pass to POST /api/auth/login/2fa together with a code
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ */
+router.post('/member/login', validate(schemas.memberLogin), asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    const throttleKeys = {
+        account: loginThrottle.accountKey('member', email),
+        ip: loginThrottle.ipKey(req.ip),
+    };
+    const block = await loginThrottle.check(throttleKeys);
+    if (block) {
+        return rejectThrottledLogin(res, block);
+    }
+
+    const member = await CompanyMember.findOne({ email, status: 'active' }).select('+password');
+    const employer = member && await Employer.findById(member.employerId);
+
+    const isPasswordValid = employer ? await member.comparePassword(password) : false;
+    if (!isPasswordValid) {
+        await handleFailedLogin(req, throttleKeys, { user: member, userType: 'CompanyMember', email });
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid credentials',
+        });
+    }
+
+    await loginThrottle.reset(throttleKeys.account);
+
+    // Members with 2FA finish through POST /api/auth/login/2fa like everyone else
+    if (member.twoFactorEnabled) {
+        return res.json({
+            success: true,
+            message: 'Two-factor authentication required',
+            twoFactorRequired: true,
+            challengeToken: signTwoFactorChallenge({ userId: member._id, role: 'CompanyMember' }),
+        });
+    }
+
+    await completeMemberLogin(req, res, member, employer);
+}));
+
+/**
+ * @swagger
+ * /api/auth/switch-role:
+ *   post:
+ *     summary: Switch to the other profile linked to my email
+ *     description: |
+ *       Ends the current session and issues tokens for the other role.
+ *       When only the target profile uses 2FA, a challenge is returned instead;
+ *       finish it with POST /api/auth/login/2fa.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [Developer, Employer]
+ *     responses:
+ *       200:
+ *         description: Switched role successfully (or 2FA challenge issued)
+ *       400:
+ *         description: Validation error or already using this role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: No profile of that role is linked
+ */
+router.post('/switch-role', authenticateToken, authorize('credentials:update'), validate(schemas.switchRole), asyncHandler(async (req, res) => {
+    const { role } = req.body;
+
+    if (role === req.userRole) {
+        return res.status(400).json({
+            success: false,
+            message: `You are already using your ${role.toLowerCase()} profile`,
+        });
+    }
+
+    const account = await findAccountOf(req.userRole, req.user._id);
+    const target = await loadLinkedProfile(account, role);
+
+    if (!target) {
+        return res.status(404).json({
+            success: false,
+            message: `No ${role.toLowerCase()} profile is linked to this account`,
+        });
+    }
+
+    // Don't let a session without 2FA skip the target profile's second factor
+    if (target.twoFactorEnabled && !req.user.twoFactorEnabled) {
+        return res.json({
+            success: true,
+            message: 'Two-factor authentication required',
+            twoFactorRequired: true,
+            challengeToken: signTwoFactorChallenge({ userId: target._id, role }),
+            activeRole: role,
+            roles: account.getRoles(),
+        });
+    }
+
+    await revokeSession(req.sessionId, 'role_switched');
+    const { token, refreshToken } = await issueAuthTokens(req, res, target, role);
+
+    res.json({
+        success: true,
+        message: `Switched to your ${role.toLowerCase()} profile`,
+        data: target.getPublicProfile(),
+        activeRole: role,
+        roles: account.getRoles(),
+        token,
+        refreshToken,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   oneOf:
+ *                     - $ref: '#/components/schemas/Developer'
+ *                     - $ref: '#/components/schemas/Employer'
+ *                     - $ref: '#/components/schemas/Admin'
+ *                 member:
+ *                   $ref: '#/components/schemas/CompanyMember'
+ *                   description: Set when a company team member is logged in; data is then the company
+ *                 impersonatedBy:
+ *                   $ref: '#/components/schemas/Admin'
+ *                   description: Set when an admin is impersonating this user
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: req.user,
+        member: req.member ? req.member.getPublicProfile() : undefined,
+        impersonatedBy: req.impersonator ? req.impersonator.getPublicProfile() : undefined,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/me/export:
+ *   get:
+ *     summary: Download all my data
+ *     description: |
+ *       Returns a JSON file with the profile, projects, job requests, active sessions and,
+ *       for companies, team members and API keys. Uploaded files (resume, pictures, logo)
+ *       are embedded as base64. Only the developer or the company login can export.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data export, sent as an attachment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 role:
+ *                   type: string
+ *                 profile:
+ *                   type: object
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Project'
+ *                 jobRequests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobRequest'
+ *                 files:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                       url:
+ *                         type: string
+ *                       filename:
+ *                         type: string
+ *                       encoding:
+ *                         type: string
+ *                       content:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed for team members, admins or while impersonating
+ */
+router.get('/me/export', authenticateToken, authorize('account:export', req => req.user), asyncHandler(async (req, res) => {
+    const data = await exportAccountData(req.userRole, req.user._id);
+
+    await recordAudit(req, {
+        action: 'account.export',
+        actorId: req.user._id,
+        actorModel: req.userRole,
+        targetId: req.user._id,
+        targetModel: req.userRole,
+    });
+
+    const filename = `hamkar-export-${req.userRole.toLowerCase()}-${req.user._id}.json`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(data);
+}));
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   delete:
+ *     summary: Delete my account
+ *     description: |
+ *       Schedules the account for deletion after a grace period (`ACCOUNT_DELETION_GRACE_DAYS`,
+ *       30 by default) and signs out every other session. Until then it can be cancelled with
+ *       POST /api/auth/me/cancel-deletion, and logging in again cancels it too. When the period
+ *       ends the profile, projects, team, API keys and uploaded files are deleted, pending job
+ *       requests are closed, and the notes, proposal terms and other free text on the user's job
+ *       requests are removed.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Current TOTP code, when 2FA is enabled
+ *               recoveryCode:
+ *                 type: string
+ *                 description: A recovery code instead of the TOTP code
+ *     responses:
+ *       200:
+ *         description: Account deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 deletionScheduledAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Validation error, incorrect password or authentication code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed for team members, admins or while impersonating
+ *       409:
+ *         description: Deletion is already scheduled
+ */
+router.delete('/me', authenticateToken, authorize('account:delete', req => req.user), validate(schemas.accountDelete), asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await userModels[req.userRole].findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (user.deletionScheduledAt) {
+        return res.status(409).json({
+            success: false,
+            message: 'Account deletion is already scheduled',
+            deletionScheduledAt: user.deletionScheduledAt,
+        });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || (user.twoFactorEnabled && !verifySecondFactor(user, { code, recoveryCode }))) {
+        return res.status(400).json({
+            success: false,
+            message: user.twoFactorEnabled ? 'Password or authentication code is incorrect' : 'Password is incorrect',
+        });
+    }
+
+    user.deletionScheduledAt = deletionDate();
+    await user.save({ validateBeforeSave: false });
+
+    await revokeOtherSessions(user._id, req.userRole, req.sessionId, 'account_deleted');
+
+    await recordAudit(req, {
+        action: 'account.deletion_scheduled',
+        actorId: user._id,
+        actorModel: req.userRole,
+        targetId: user._id,
+        targetModel: req.userRole,
+        metadata: { deletionScheduledAt: user.deletionScheduledAt },
+    });
+
+    sendMailInBackground({
+        to: user.email,
+        ...emailTemplates.accountDeletionScheduled({
+            name: displayName(user),
+            deleteAt: user.deletionScheduledAt,
+        }),
+    });
+
+    res.json({
+        success: true,
+        message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. You can cancel until then.`,
+        deletionScheduledAt: user.deletionScheduledAt,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/me/cancel-deletion:
+ *   post:
+ *     summary: Cancel the scheduled deletion of my account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled
+ *       400:
+ *         description: No deletion is scheduled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed for team members, admins or while impersonating
+ */
+router.post('/me/cancel-deletion', authenticateToken, authorize('account:delete', req => req.user), asyncHandler(async (req, res) => {
+    const user = await cancelDeletion(req, req.userRole, req.user._id, 'request');
+
+    if (!user) {
+        return res.status(400).json({
+            success: false,
+            message: 'Account deletion is not scheduled',
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Account deletion cancelled',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change user password
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed successfully. All other sessions are signed out.
+ *       400:
+ *         description: Validation error or current password is incorrect
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed for admins or while impersonating
+ */
+router.post('/change-password', authenticateToken, authorize('password:update'), validate(schemas.changePassword), asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    // Team members change their own password, not the company login's
+    if (req.member) {
+        const member = await CompanyMember.findById(req.member._id).select('+password');
+        if (!await member.comparePassword(currentPassword)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password is incorrect',
+            });
+        }
+
+        member.password = newPassword;
+        await member.save();
+
+        const revokedSessions = await revokeOtherSessions(req.user._id, req.userRole, req.sessionId, 'password_changed', member._id);
+
+        return res.json({
+            success: true,
+            message: 'Password changed successfully',
+            revokedSessions,
+        });
+    }
+
+    // Get user with password
+    let user;
+    if (req.userRole === 'Developer') {
+        user = await Developer.findById(req.user._id).select('+password');
+    } else if (req.userRole === 'Employer') {
+        user = await Employer.findById(req.user._id).select('+password');
+    }
+
+    // Check current password
+    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+    if (!isCurrentPasswordValid) {
+        return res.status(400).json({
+            success: false,
+            message: 'Current password is incorrect',
+        });
+    }
+
+    // Update password
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other device that knew the old password
+    let revokedSessions = await revokeOtherSessions(user._id, req.userRole, req.sessionId, 'password_changed');
+
+    // Linked profiles share the password, so they get it too
+    const linkedProfiles = await syncLinkedPasswords(req.userRole, user._id, newPassword);
+    for (const linked of linkedProfiles) {
+        revokedSessions += await revokeOtherSessions(linked.profileId, linked.role, null, 'password_changed');
+    }
+
+    res.json({
+        success: true,
+        message: 'Password changed successfully',
+        revokedSessions,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always answers with the same message so it cannot be used to check whether an email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - userType
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               userType:
+ *                 type: string
+ *                 enum: [Developer, Employer, CompanyMember]
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
+    const { email, userType } = req.body;
+
+    // Invited team members choose their first password through the invitation
+    const user = await passwordResetModels[userType].findOne(
+        userType === 'CompanyMember' ? { email, status: 'active' } : { email }
+    );
+
+    if (user) {
+        const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRES_MINUTES);
+        await user.save({ validateBeforeSave: false });
+
+        sendMailInBackground({
+            to: user.email,
+            ...emailTemplates.passwordReset({
+                name: displayName(user),
+                token: resetToken,
+                userType,
+                expiresInMinutes: PASSWORD_RESET_EXPIRES_MINUTES,
+            }),
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: The token works once and expires. All existing sessions are signed out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - userType
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               userType:
+ *                 type: string
+ *                 enum: [Developer, Employer, CompanyMember]
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post('/reset-password', validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+    const { token, userType, newPassword } = req.body;
+
+    const user = await passwordResetModels[userType].findOne({
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+        return res.status(400).json({
+            success: false,
+            message: 'Password reset token is invalid or has expired',
+        });
+    }
+
+    user.password = newPassword;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    if (userType === 'CompanyMember') {
+        // A member's sessions are the company's, told apart by memberId
+        await revokeOtherSessions(user.employerId, 'Employer', null, 'password_changed', user._id);
+    } else {
+        await revokeOtherSessions(user._id, userType, null, 'password_changed');
+
+        const linkedProfiles = await syncLinkedPasswords(userType, user._id, newPassword);
+        for (const linked of linkedProfiles) {
+            await revokeOtherSessions(linked.profileId, linked.role, null, 'password_changed');
+        }
+    }
+
+    res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Confirm an email address
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification token from the email
+ *       - in: query
+ *         name: userType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Developer, Employer]
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.get('/verify-email', validate(schemas.verifyEmail, 'query'), asyncHandler(async (req, res) => {
+    const { token, userType } = req.query;
+
+    const user = await userModels[userType].findOne({
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+        return res.status(400).json({
+            success: false,
+            message: 'Verification link is invalid or has expired',
+        });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+        success: true,
+        message: 'Email verified successfully',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/resend-verification', authenticateToken, authorize('credentials:update'), asyncHandler(async (req, res) => {
+    if (req.user.emailVerified) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email is already verified',
+        });
+    }
+
+    await sendVerificationEmail(req.user, req.userRole);
+
+    res.json({
+        success: true,
+        message: 'Verification email sent',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/unlock:
+ *   get:
+ *     summary: Unlock an account locked after failed logins
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unlock token from the lockout email
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.get('/unlock', validate(schemas.unlockAccount, 'query'), asyncHandler(async (req, res) => {
+    const decoded = verifyPurposeToken('unlock', req.query.token);
+
+    if (!decoded) {
+        return res.status(400).json({
+            success: false,
+            message: 'Unlock link is invalid or has expired',
+        });
+    }
+
+    await loginThrottle.reset(decoded.key);
+    await recordAudit(req, {
+        action: 'auth.unlock',
+        metadata: { key: decoded.key },
+    });
+
+    res.json({
+        success: true,
+        message: 'Account unlocked. You can log in again.',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/csrf-token:
+ *   get:
+ *     summary: Get the CSRF token for cookie-based authentication
+ *     description: |
+ *       Sets the csrfToken cookie if it is missing and returns its value. Browser clients
+ *       that authenticate with the auth cookies must send it in the X-CSRF-Token header on
+ *       every POST, PUT, PATCH and DELETE. Requests with a Bearer header or an API key do not need it.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: CSRF token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 csrfToken:
+ *                   type: string
+ */
+router.get('/csrf-token', (req, res) => {
+    res.json({
+        success: true,
+        csrfToken: ensureCsrfCookie(req, res),
+    });
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: |
+ *       The refresh token is read from the request body or the refreshToken cookie.
+ *       When the cookie is used, the X-CSRF-Token header must match the csrfToken cookie.
+ *       Each refresh token can be used once; presenting a token that was already
+ *       exchanged revokes every token issued from the same login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Refresh token is invalid, expired or revoked
+ *       403:
+ *         description: Invalid or missing CSRF token
+ */
+router.post('/refresh', validate(schemas.refreshToken), asyncHandler(async (req, res) => {
+    const presentedToken = req.body.refreshToken || req.cookies.refreshToken;
+
+    if (!presentedToken) {
+        return res.status(401).json({
+            success: false,
+            message: 'Refresh token is required',
+        });
+    }
+
+    if (!req.body.refreshToken && !hasValidCsrfToken(req)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Invalid or missing CSRF token',
+        });
+    }
+
+    const result = await rotateRefreshToken(req, res, presentedToken);
+    if (!result) {
+        clearAuthCookies(res);
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired refresh token',
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        token: result.token,
+        refreshToken: result.refreshToken,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: User logout
+ *     description: Revokes the current session so its access and refresh tokens stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
+    await revokeSession(req.sessionId, 'logout');
+
+    // Clear the auth cookies
+    clearAuthCookies(res);
+
+    res.json({
+        success: true,
+        message: 'Logout successful',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List my active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/sessions', authenticateToken, authorize('session:read'), asyncHandler(async (req, res) => {
+    const sessions = await listActiveSessions(req.user._id, req.userRole, memberIdOf(req));
+
+    res.json({
+        success: true,
+        data: sessions.map(session => session.getSummary(req.sessionId)),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Log out everywhere else
+ *     description: Revokes every active session except the one making the request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.delete('/sessions', authenticateToken, authorize('session:delete'), asyncHandler(async (req, res) => {
+    const revokedSessions = await revokeOtherSessions(req.user._id, req.userRole, req.sessionId, 'revoked', memberIdOf(req));
+
+    res.json({
+        success: true,
+        message: 'Logged out of all other sessions',
+        revokedSessions,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of my sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authenticateToken, authorize('session:delete'), asyncHandler(async (req, res) => {
+    const sessions = await listActiveSessions(req.user._id, req.userRole, memberIdOf(req));
+    const session = sessions.find(s => s._id.toString() === req.params.id);
+
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            message: 'Session not found',
+        });
+    }
+
+    await revokeSession(session._id, 'revoked');
+
+    // Revoking the current session is the same as logging out
+    if (session._id.toString() === req.sessionId.toString()) {
+        clearAuthCookies(res);
+    }
+
+    res.json({
+        success: true,
+        message: 'Session revoked successfully',
+    });
+}));
 
 module.exports = router; 
\ No newline at end of file
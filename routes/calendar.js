@@ -0,0 +1,206 @@
+const express = require('express');
+const crypto = require('crypto');
+const CalendarFeed = require('../models/CalendarFeed');
+const CompanyMember = require('../models/CompanyMember');
+const JobRequest = require('../models/JobRequest');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { hashToken } = require('../utils/tokens');
+const { interviewEvent, buildCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+// Don't write lastUsedAt every time a calendar app polls
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+
+// How long past interviews stay in the feed
+const FEED_PAST_DAYS = 7;
+
+const ownFeed = (req) => ({
+    userId: req.user._id,
+    userModel: req.userRole,
+    memberId: req.member ? req.member._id : null,
+});
+
+const feedUrl = (req, token) => {
+    const base = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    return `${base}/api/calendar/feed/${token}.ics`;
+};
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   get:
+ *     summary: Get the status of my interview calendar feed
+ *     description: The feed URL itself is only shown when the feed is created or reset.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed status retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: No feed has been created
+ */
+router.get('/feed', authenticateToken, authorize('calendarFeed:manage'), asyncHandler(async (req, res) => {
+    const feed = await CalendarFeed.findOne(ownFeed(req));
+
+    if (!feed) {
+        return res.status(404).json({
+            success: false,
+            message: 'No calendar feed has been created',
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            lastUsedAt: feed.lastUsedAt,
+            createdAt: feed.createdAt,
+        },
+    });
+}));
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   post:
+ *     summary: Create or reset my interview calendar feed
+ *     description: |
+ *       Returns a secret URL to subscribe to in a calendar app. It lists the upcoming interviews
+ *       of your job requests (the whole company's for employers). Creating the feed again gives
+ *       a new URL and the old one stops working.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Feed created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CalendarFeed'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/feed', authenticateToken, authorize('calendarFeed:manage'), asyncHandler(async (req, res) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const feed = await CalendarFeed.findOneAndUpdate(
+        ownFeed(req),
+        { tokenHash: hashToken(token), lastUsedAt: null },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+        success: true,
+        message: 'Calendar feed created. Copy the URL now, it will not be shown again.',
+        data: {
+            url: feedUrl(req, token),
+            lastUsedAt: feed.lastUsedAt,
+            createdAt: feed.createdAt,
+        },
+    });
+}));
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   delete:
+ *     summary: Turn off my interview calendar feed
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed turned off
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.delete('/feed', authenticateToken, authorize('calendarFeed:manage'), asyncHandler(async (req, res) => {
+    await CalendarFeed.deleteOne(ownFeed(req));
+
+    res.json({
+        success: true,
+        message: 'Calendar feed turned off',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/calendar/feed/{token}.ics:
+ *   get:
+ *     summary: Interview calendar feed
+ *     description: |
+ *       iCalendar feed for calendar apps, authenticated by the secret in the URL. Lists
+ *       interviews from the past week onwards; cancelled ones are included as cancelled
+ *       so calendars remove them.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or turned off feed
+ */
+router.get('/feed/:token.ics', asyncHandler(async (req, res) => {
+    const feed = await CalendarFeed.findOne({ tokenHash: hashToken(req.params.token) });
+
+    // Feeds of team members end with their membership
+    const active = feed && (!feed.memberId
+        || await CompanyMember.exists({ _id: feed.memberId, employerId: feed.userId, status: 'active' }));
+
+    if (!active) {
+        return res.status(404).json({
+            success: false,
+            message: 'Calendar feed not found',
+        });
+    }
+
+    if (!feed.lastUsedAt || Date.now() - feed.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+        await CalendarFeed.updateOne({ _id: feed._id }, { lastUsedAt: new Date() });
+    }
+
+    const participant = feed.userModel === 'Developer' ? { developerId: feed.userId } : { employerId: feed.userId };
+    const jobRequests = await JobRequest.find({
+        ...participant,
+        interviewStatus: { $in: ['scheduled', 'rescheduling', 'cancelled'] },
+        interviewDate: { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) },
+    })
+        .populate('employerId', 'companyName')
+        .populate('developerId', 'firstName lastName')
+        .sort({ interviewDate: 1 });
+
+    const calendar = buildCalendar(
+        jobRequests.map(jobRequest => interviewEvent(jobRequest, { employer: jobRequest.employerId, developer: jobRequest.developerId })),
+        { name: 'Hamkar interviews' }
+    );
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(calendar);
+}));
+
+module.exports = router;
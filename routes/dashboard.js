@@ -3,8 +3,12 @@ const Developer = require('../models/Developer');
 const Employer = require('../models/Employer');
 const Project = require('../models/Project');
 const JobRequest = require('../models/JobRequest');
-const { authenticateToken, authorizeRole } = require('../middlewares/auth');
+const JobPosting = require('../models/JobPosting');
+const { authenticateToken, authorize } = require('../middlewares/auth');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { pipelineFunnel } = require('../utils/pipeline');
+const { unreadMessageCount } = require('../utils/messages');
+const { CALENDAR_STATUSES } = require('../utils/interviews');
 
 const router = express.Router();
 
@@ -50,6 +54,9 @@ const router = express.Router();
  *                     pendingInterviews:
  *                       type: integer
  *                       description: Pending interviews
+ *                     unreadMessages:
+ *                       type: integer
+ *                       description: Messages from employers not read yet
  *                     profileCompletion:
  *                       type: number
  *                       description: Profile completion percentage
@@ -70,7 +77,7 @@ const router = express.Router();
  *       403:
  *         description: Forbidden
  */
-router.get('/developer', authenticateToken, authorizeRole('Developer'), asyncHandler(async (req, res) => {
+router.get('/developer', authenticateToken, authorize('developerDashboard:read'), asyncHandler(async (req, res) => {
     const developerId = req.user._id;
 
     // Get counts
@@ -82,6 +89,7 @@ router.get('/developer', authenticateToken, authorizeRole('Developer'), asyncHan
         acceptedRequests,
         rejectedRequests,
         pendingInterviews,
+        unreadMessages,
     ] = await Promise.all([
         Project.countDocuments({ developerId }),
         Project.countDocuments({ developerId, isPublic: true }),
@@ -89,7 +97,8 @@ router.get('/developer', authenticateToken, authorizeRole('Developer'), asyncHan
         JobRequest.countDocuments({ developerId, status: 'pending' }),
         JobRequest.countDocuments({ developerId, status: 'accepted' }),
         JobRequest.countDocuments({ developerId, status: 'rejected' }),
-        JobRequest.countDocuments({ developerId, status: 'accepted', interviewDate: { $exists: true } }),
+        JobRequest.countDocuments({ developerId, status: 'accepted', interviewDate: { $exists: true }, interviewStatus: { $in: CALENDAR_STATUSES } }),
+        unreadMessageCount('Developer', developerId),
     ]);
 
     // Get profile completion from the developer object
@@ -111,7 +120,9 @@ router.get('/developer', authenticateToken, authorizeRole('Developer'), asyncHan
     recentJobRequests.forEach(request => {
         recentActivity.push({
             type: 'job_request',
-            message: `Job request from ${request.employerId.companyName} - ${request.jobTitle}`,
+            message: request.direction === 'application'
+                ? `Application to ${request.employerId ? request.employerId.companyName : 'a deleted company'} - ${request.jobTitle}`
+                : `Job request from ${request.employerId ? request.employerId.companyName : 'a deleted company'} - ${request.jobTitle}`,
             date: request.createdAt,
             status: request.status,
         });
@@ -139,6 +150,7 @@ router.get('/developer', authenticateToken, authorizeRole('Developer'), asyncHan
             acceptedRequests,
             rejectedRequests,
             pendingInterviews,
+            unreadMessages,
             profileCompletion,
             recentActivity,
         },
@@ -168,7 +180,10 @@ router.get('/developer', authenticateToken, authorizeRole('Developer'), asyncHan
  *                   properties:
  *                     totalSentRequests:
  *                       type: integer
- *                       description: Total job requests sent
+ *                       description: Total job requests sent by the whole company team
+ *                     mySentRequests:
+ *                       type: integer
+ *                       description: Job requests sent by the logged-in team member (or the company login)
  *                     pendingRequests:
  *                       type: integer
  *                       description: Pending job requests
@@ -178,12 +193,41 @@ router.get('/developer', authenticateToken, authorizeRole('Developer'), asyncHan
  *                     rejectedRequests:
  *                       type: integer
  *                       description: Rejected job requests
+ *                     expiredRequests:
+ *                       type: integer
+ *                       description: Job requests the developer did not answer in time
+ *                     openJobPostings:
+ *                       type: integer
+ *                       description: Job postings open for applications
+ *                     pendingApplications:
+ *                       type: integer
+ *                       description: Applications to job postings waiting for an answer
  *                     acceptedCandidates:
  *                       type: integer
  *                       description: Number of accepted candidates
  *                     pendingInterviews:
  *                       type: integer
  *                       description: Pending interviews
+ *                     unreadMessages:
+ *                       type: integer
+ *                       description: Messages from developers no one in the company has read yet
+ *                     hiredCandidates:
+ *                       type: integer
+ *                       description: Accepted candidates in a pipeline stage with the hired outcome
+ *                     pipeline:
+ *                       type: array
+ *                       description: Hiring funnel, one entry per pipeline stage in order
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/PipelineStage'
+ *                           - type: object
+ *                             properties:
+ *                               current:
+ *                                 type: integer
+ *                                 description: Accepted requests in this stage now
+ *                               reached:
+ *                                 type: integer
+ *                                 description: Accepted requests that have ever been in this stage
  *                     profileCompletion:
  *                       type: number
  *                       description: Profile completion percentage
@@ -204,26 +248,43 @@ router.get('/developer', authenticateToken, authorizeRole('Developer'), asyncHan
  *       403:
  *         description: Forbidden
  */
-router.get('/employer', authenticateToken, authorizeRole('Employer'), asyncHandler(async (req, res) => {
+router.get('/employer', authenticateToken, authorize('employerDashboard:read'), asyncHandler(async (req, res) => {
     const employerId = req.user._id;
+    const sentBy = req.member ? req.member._id : null;
 
-    // Get counts
+    // Get counts (company-wide, so every team member sees the same numbers)
     const [
         totalSentRequests,
+        mySentRequests,
         pendingRequests,
         acceptedRequests,
         rejectedRequests,
+        expiredRequests,
+        openJobPostings,
+        pendingApplications,
         acceptedCandidates,
         pendingInterviews,
+        pipeline,
+        unreadMessages,
     ] = await Promise.all([
         JobRequest.countDocuments({ employerId }),
+        JobRequest.countDocuments({ employerId, sentBy }),
         JobRequest.countDocuments({ employerId, status: 'pending' }),
         JobRequest.countDocuments({ employerId, status: 'accepted' }),
         JobRequest.countDocuments({ employerId, status: 'rejected' }),
+        JobRequest.countDocuments({ employerId, status: 'expired' }),
+        JobPosting.countDocuments({ employerId, status: 'open' }),
+        JobRequest.countDocuments({ employerId, direction: 'application', status: 'pending' }),
         JobRequest.countDocuments({ employerId, status: 'accepted' }),
-        JobRequest.countDocuments({ employerId, status: 'accepted', interviewDate: { $exists: true } }),
+        JobRequest.countDocuments({ employerId, status: 'accepted', interviewDate: { $exists: true }, interviewStatus: { $in: CALENDAR_STATUSES } }),
+        pipelineFunnel(employerId),
+        unreadMessageCount('Employer', employerId),
     ]);
 
+    const hiredCandidates = pipeline
+        .filter(stage => stage.outcome === 'hired')
+        .reduce((total, stage) => total + stage.current, 0);
+
     // Calculate profile completion
     const profile = req.user;
     const requiredFields = ['companyName', 'email', 'phone', 'city'];
@@ -248,32 +309,48 @@ router.get('/employer', authenticateToken, authorizeRole('Employer'), asyncHandl
     // Get recent activity
     const recentJobRequests = await JobRequest.find({ employerId })
         .populate('developerId', 'firstName lastName city skills experienceYears')
+        .populate('sentBy', 'name')
         .sort({ createdAt: -1 })
         .limit(5);
 
+    // Developers who deleted their account are no longer populated
+    const developerName = (request) => (request.developerId
+        ? `${request.developerId.firstName} ${request.developerId.lastName}`
+        : 'a deleted developer');
+
     const recentActivity = recentJobRequests.map(request => ({
         type: 'job_request',
-        message: `Job request to ${request.developerId.firstName} ${request.developerId.lastName} - ${request.jobTitle}`,
+        message: request.direction === 'application'
+            ? `Application from ${developerName(request)} - ${request.jobTitle}`
+            : `Job request to ${developerName(request)} - ${request.jobTitle}`,
         date: request.createdAt,
         status: request.status,
-        developer: {
+        sentBy: request.sentBy ? request.sentBy.name : null,
+        developer: request.developerId ? {
             firstName: request.developerId.firstName,
             lastName: request.developerId.lastName,
             city: request.developerId.city,
             skills: request.developerId.skills,
             experienceYears: request.developerId.experienceYears,
-        },
+        } : null,
     }));
 
     res.json({
         success: true,
         data: {
             totalSentRequests,
+            mySentRequests,
             pendingRequests,
             acceptedRequests,
             rejectedRequests,
+            expiredRequests,
+            openJobPostings,
+            pendingApplications,
             acceptedCandidates,
             pendingInterviews,
+            unreadMessages,
+            hiredCandidates,
+            pipeline,
             profileCompletion,
             recentActivity,
         },
@@ -296,7 +373,7 @@ router.get('/employer', authenticateToken, authorizeRole('Employer'), asyncHandl
  *       403:
  *         description: Forbidden
  */
-router.get('/admin', authenticateToken, authorizeRole('Admin'), asyncHandler(async (req, res) => {
+router.get('/admin', authenticateToken, authorize('adminDashboard:read'), asyncHandler(async (req, res) => {
     // Get overall statistics
     const [
         totalDevelopers,
@@ -1,8 +1,9 @@
 const express = require('express');
 const Developer = require('../models/Developer');
-const { authenticateToken, authorizeRole, authorizeOwnResource } = require('../middlewares/auth');
+const { authenticateToken, authorize, authorizeAny } = require('../middlewares/auth');
 const { validate, schemas } = require('../middlewares/validation');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { unlinkProfile } = require('../utils/accounts');
 const upload = require('../middlewares/upload');
 
 const router = express.Router();
@@ -177,7 +178,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.get('/profile', authenticateToken, authorizeRole('Developer'), asyncHandler(async (req, res) => {
+router.get('/profile', authenticateToken, authorize('developer:read', req => req.user), asyncHandler(async (req, res) => {
     const developer = await Developer.findById(req.user._id)
         .select('-password -__v')
         .populate('projects', 'title description techStack demoUrl imageUrl createdAt');
@@ -193,6 +194,7 @@ router.get('/profile', authenticateToken, authorizeRole('Developer'), asyncHandl
  * /api/developers/profile:
  *   put:
  *     summary: Update current developer profile
+ *     description: The email address is the login and cannot be changed here, so it stays verified.
  *     tags: [Developers]
  *     security:
  *       - bearerAuth: []
@@ -221,7 +223,7 @@ router.get('/profile', authenticateToken, authorizeRole('Developer'), asyncHandl
  *       401:
  *         description: Unauthorized
  */
-router.put('/profile', authenticateToken, authorizeRole('Developer'), upload.single('profilePicture'), asyncHandler(async (req, res) => {
+router.put('/profile', authenticateToken, authorize('developer:update', req => req.user), upload.single('profilePicture'), asyncHandler(async (req, res) => {
     // Parse fields from req.body (multer parses them as strings)
     // Parse projects as array of objects from JSON strings
     let projects = [];
@@ -256,7 +258,6 @@ router.put('/profile', authenticateToken, authorizeRole('Developer'), upload.sin
         firstName: req.body.firstName,
         lastName: req.body.lastName,
         fullName: req.body.fullName,
-        email: req.body.email,
         phone: req.body.phone,
         city: req.body.city,
         role: req.body.role,
@@ -321,7 +322,7 @@ router.put('/profile', authenticateToken, authorizeRole('Developer'), upload.sin
  *       404:
  *         description: Developer not found
  */
-router.put('/:id', authenticateToken, authorizeRole('Admin'), validate(schemas.developerUpdate), asyncHandler(async (req, res) => {
+router.put('/:id', authenticateToken, authorizeAny('developer:update'), validate(schemas.developerUpdate), asyncHandler(async (req, res) => {
     const developer = await Developer.findByIdAndUpdate(
         req.params.id,
         req.body,
@@ -367,7 +368,7 @@ router.put('/:id', authenticateToken, authorizeRole('Admin'), validate(schemas.d
  *       404:
  *         description: Developer not found
  */
-router.delete('/:id', authenticateToken, authorizeRole('Admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('developer:delete', req => ({ _id: req.params.id })), asyncHandler(async (req, res) => {
     const developer = await Developer.findByIdAndDelete(req.params.id);
 
     if (!developer) {
@@ -377,6 +378,8 @@ router.delete('/:id', authenticateToken, authorizeRole('Admin'), asyncHandler(as
         });
     }
 
+    await unlinkProfile('Developer', developer._id);
+
     res.json({
         success: true,
         message: 'Developer deleted successfully',
@@ -422,7 +425,7 @@ router.delete('/:id', authenticateToken, authorizeRole('Admin'), asyncHandler(as
  *       401:
  *         description: Unauthorized
  */
-router.post('/profile/complete', authenticateToken, authorizeRole('Developer'), validate(schemas.developerProfileComplete), asyncHandler(async (req, res) => {
+router.post('/profile/complete', authenticateToken, authorize('developer:update', req => req.user), validate(schemas.developerProfileComplete), asyncHandler(async (req, res) => {
     const developer = await Developer.findByIdAndUpdate(
         req.user._id,
         req.body,
@@ -461,7 +464,7 @@ router.post('/profile/complete', authenticateToken, authorizeRole('Developer'),
  *       401:
  *         description: Unauthorized
  */
-router.patch('/profile/availability', authenticateToken, authorizeRole('Developer'), asyncHandler(async (req, res) => {
+router.patch('/profile/availability', authenticateToken, authorize('developer:update', req => req.user), asyncHandler(async (req, res) => {
     const { isAvailable } = req.body;
 
     const developer = await Developer.findByIdAndUpdate(
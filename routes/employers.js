@@ -1,8 +1,11 @@
 const express = require('express');
 const Employer = require('../models/Employer');
-const { authenticateToken, authorizeRole } = require('../middlewares/auth');
+const { authenticateToken, authorize, authorizeAny } = require('../middlewares/auth');
 const { validate, schemas } = require('../middlewares/validation');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const JobRequest = require('../models/JobRequest');
+const { unlinkProfile } = require('../utils/accounts');
+const { loadStages, checkPipelineStages, entryStageKey } = require('../utils/pipeline');
 
 const router = express.Router();
 
@@ -107,6 +110,139 @@ router.get('/', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PipelineStage:
+ *       type: object
+ *       required:
+ *         - key
+ *         - name
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Stable identifier (lowercase letters, digits and dashes)
+ *         name:
+ *           type: string
+ *         outcome:
+ *           type: string
+ *           enum: [hired, declined]
+ *           nullable: true
+ *           description: Set on stages that end the hiring process
+ */
+
+/**
+ * @swagger
+ * /api/employers/pipeline:
+ *   get:
+ *     summary: Get my company's hiring pipeline stages
+ *     description: Companies that never set their own stages get the default pipeline.
+ *     tags: [Employers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pipeline stages in order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PipelineStage'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/pipeline', authenticateToken, authorize('pipeline:read', req => ({ employerId: req.user._id })), asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await loadStages(req.user._id),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/employers/pipeline:
+ *   put:
+ *     summary: Set my company's hiring pipeline stages
+ *     description: |
+ *       Replaces the stages, in order. Accepted job requests start in the first stage
+ *       without an outcome. There must be at least one such stage and one stage with
+ *       the hired outcome. Stages that still hold job requests cannot be removed.
+ *     tags: [Employers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stages
+ *             properties:
+ *               stages:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PipelineStage'
+ *     responses:
+ *       200:
+ *         description: Pipeline stages updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: A removed stage still holds job requests
+ */
+router.put('/pipeline', authenticateToken, authorize('pipeline:manage', req => ({ employerId: req.user._id })), validate(schemas.pipelineStages), asyncHandler(async (req, res) => {
+    const stages = req.body.stages.map(({ key, name, outcome }) => ({ key, name: name.trim(), outcome: outcome || null }));
+
+    const problem = checkPipelineStages(stages);
+    if (problem) {
+        return res.status(400).json({
+            success: false,
+            message: problem,
+        });
+    }
+
+    // Requests without a stage sit in the current entry stage, so it counts as in use too
+    const currentStages = await loadStages(req.user._id);
+    const keys = stages.map(stage => stage.key);
+    const removed = currentStages.map(stage => stage.key).filter(key => !keys.includes(key));
+    const stageFilter = removed.includes(entryStageKey(currentStages)) ? [...removed, null] : removed;
+
+    const stillUsed = removed.length > 0 && await JobRequest.countDocuments({
+        employerId: req.user._id,
+        status: 'accepted',
+        stage: { $in: stageFilter },
+    });
+
+    if (stillUsed) {
+        return res.status(409).json({
+            success: false,
+            message: `${stillUsed} job request(s) are still in the stages you removed. Move them first.`,
+        });
+    }
+
+    await Employer.updateOne({ _id: req.user._id }, { pipelineStages: stages }, { runValidators: true });
+
+    res.json({
+        success: true,
+        message: 'Pipeline stages updated successfully',
+        data: stages,
+    });
+}));
+
 /**
  * @swagger
  * /api/employers/{id}:
@@ -175,7 +311,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.get('/profile', authenticateToken, authorizeRole('Employer'), asyncHandler(async (req, res) => {
+router.get('/profile', authenticateToken, authorize('employer:read', req => req.user), asyncHandler(async (req, res) => {
     const employer = await Employer.findById(req.user._id)
         .select('-password -__v');
 
@@ -217,8 +353,10 @@ router.get('/profile', authenticateToken, authorizeRole('Employer'), asyncHandle
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Only team owners can edit the company profile
  */
-router.put('/profile', authenticateToken, authorizeRole('Employer'), validate(schemas.employerUpdate), asyncHandler(async (req, res) => {
+router.put('/profile', authenticateToken, authorize('employer:update', req => req.user), validate(schemas.employerUpdate), asyncHandler(async (req, res) => {
     const employer = await Employer.findByIdAndUpdate(
         req.user._id,
         req.body,
@@ -265,7 +403,7 @@ router.put('/profile', authenticateToken, authorizeRole('Employer'), validate(sc
  *       404:
  *         description: Employer not found
  */
-router.put('/:id', authenticateToken, authorizeRole('Admin'), validate(schemas.employerUpdate), asyncHandler(async (req, res) => {
+router.put('/:id', authenticateToken, authorizeAny('employer:update'), validate(schemas.employerUpdate), asyncHandler(async (req, res) => {
     const employer = await Employer.findByIdAndUpdate(
         req.params.id,
         req.body,
@@ -311,7 +449,7 @@ router.put('/:id', authenticateToken, authorizeRole('Admin'), validate(schemas.e
  *       404:
  *         description: Employer not found
  */
-router.delete('/:id', authenticateToken, authorizeRole('Admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('employer:delete', req => ({ _id: req.params.id })), asyncHandler(async (req, res) => {
     const employer = await Employer.findByIdAndDelete(req.params.id);
 
     if (!employer) {
@@ -321,6 +459,8 @@ router.delete('/:id', authenticateToken, authorizeRole('Admin'), asyncHandler(as
         });
     }
 
+    await unlinkProfile('Employer', employer._id);
+
     res.json({
         success: true,
         message: 'Employer deleted successfully',
@@ -0,0 +1,265 @@
+const express = require('express');
+const JobRequest = require('../models/JobRequest');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { can, principalOf } = require('../policies');
+const { validate, schemas } = require('../middlewares/validation');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { proposeInterviewSlots, selectInterviewSlot, cancelInterview } = require('../utils/interviews');
+const { interviewEvent, buildCalendar } = require('../utils/ical');
+
+// Mounted under /api/job-requests/:id/interview
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Send the result of an interview change: the updated job request, or the error
+ */
+const respondWith = async (res, result, message) => {
+    if (!result.jobRequest) {
+        return res.status(result.statusCode).json({
+            success: false,
+            message: result.message,
+        });
+    }
+
+    const updatedJobRequest = result.jobRequest;
+    await updatedJobRequest.populate('employerId', 'companyName city industry');
+    await updatedJobRequest.populate('developerId', 'firstName lastName city skills experienceYears');
+    await updatedJobRequest.populate('sentBy', 'name email role');
+
+    res.json({
+        success: true,
+        message,
+        data: updatedJobRequest,
+    });
+};
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Job request not found',
+});
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/interview/slots:
+ *   post:
+ *     summary: Propose interview time slots (Employer only)
+ *     description: |
+ *       Replaces any slots still waiting for the developer. If an interview is already
+ *       scheduled it keeps its time until the developer picks one of the new slots.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - slots
+ *             properties:
+ *               slots:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - start
+ *                     - timezone
+ *                   properties:
+ *                     start:
+ *                       type: string
+ *                       format: date-time
+ *                     durationMinutes:
+ *                       type: integer
+ *                       minimum: 15
+ *                       maximum: 480
+ *                       default: 60
+ *                     timezone:
+ *                       type: string
+ *                       example: Asia/Tehran
+ *               location:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Interview slots proposed successfully
+ *       400:
+ *         description: Validation error, past slots, or the job request is closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request not found
+ *       409:
+ *         description: The interview was changed at the same time
+ */
+router.post('/slots', authenticateToken, authorize('jobRequest:update'), validate(schemas.interviewSlots), asyncHandler(async (req, res) => {
+    const jobRequest = await JobRequest.findById(req.params.id);
+    if (!jobRequest) return notFound(res);
+
+    const result = await proposeInterviewSlots(jobRequest, {
+        slots: req.body.slots.map(({ start, durationMinutes, timezone }) => ({ start, durationMinutes: durationMinutes || 60, timezone })),
+        location: req.body.location,
+    }, { principal: principalOf(req) });
+
+    await respondWith(res, result, 'Interview slots proposed successfully');
+}));
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/interview/slots/{slotId}/select:
+ *   post:
+ *     summary: Pick an interview slot (Developer only)
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *       - in: path
+ *         name: slotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Interview slot ID
+ *     responses:
+ *       200:
+ *         description: Interview scheduled successfully
+ *       400:
+ *         description: The slot has passed, or the job request is closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request or slot not found
+ *       409:
+ *         description: The interview was changed at the same time
+ */
+router.post('/slots/:slotId/select', authenticateToken, authorize('jobRequest:respond'), asyncHandler(async (req, res) => {
+    const jobRequest = await JobRequest.findById(req.params.id);
+    if (!jobRequest) return notFound(res);
+
+    const result = await selectInterviewSlot(jobRequest, req.params.slotId, { principal: principalOf(req) });
+
+    await respondWith(res, result, 'Interview scheduled successfully');
+}));
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/interview/cancel:
+ *   post:
+ *     summary: Cancel the interview or the proposed slots
+ *     description: Either side can cancel. Calendars that have the interview receive the cancellation through the invite file and the feeds.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *     responses:
+ *       200:
+ *         description: Interview cancelled successfully
+ *       400:
+ *         description: There is no interview to cancel
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request not found
+ *       409:
+ *         description: The interview was changed at the same time
+ */
+router.post('/cancel', authenticateToken, authorize('jobRequest:update'), asyncHandler(async (req, res) => {
+    const jobRequest = await JobRequest.findById(req.params.id);
+    if (!jobRequest) return notFound(res);
+
+    const result = await cancelInterview(jobRequest, { principal: principalOf(req) });
+
+    await respondWith(res, result, 'Interview cancelled successfully');
+}));
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/interview/invite.ics:
+ *   get:
+ *     summary: Download the interview as an iCalendar invite
+ *     description: |
+ *       RFC 5545 file with a stable UID per job request. Its SEQUENCE goes up each time the
+ *       interview is rescheduled or cancelled, so importing the new file updates the event.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *     responses:
+ *       200:
+ *         description: The invite
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request not found or no interview scheduled
+ */
+router.get('/invite.ics', authenticateToken, authorize('jobRequest:read'), asyncHandler(async (req, res) => {
+    const jobRequest = await JobRequest.findById(req.params.id)
+        .populate('employerId', 'companyName email')
+        .populate('developerId', 'firstName lastName email');
+
+    if (!jobRequest) return notFound(res);
+
+    if (!can(principalOf(req), 'jobRequest:read', jobRequest)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied',
+        });
+    }
+
+    if (!jobRequest.interviewDate || !['scheduled', 'rescheduling', 'cancelled'].includes(jobRequest.interviewStatus)) {
+        return res.status(404).json({
+            success: false,
+            message: 'No interview is scheduled for this job request',
+        });
+    }
+
+    const cancelled = jobRequest.interviewStatus === 'cancelled';
+    const calendar = buildCalendar(
+        [interviewEvent(jobRequest, { employer: jobRequest.employerId, developer: jobRequest.developerId, invite: true })],
+        { method: cancelled ? 'CANCEL' : 'REQUEST' }
+    );
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="interview-${jobRequest._id}.ics"`);
+    res.send(calendar);
+}));
+
+module.exports = router;
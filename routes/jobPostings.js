@@ -0,0 +1,574 @@
+const express = require('express');
+const JobPosting = require('../models/JobPosting');
+const JobRequest = require('../models/JobRequest');
+const { authenticateToken, optionalAuthentication, authorize } = require('../middlewares/auth');
+const { can, principalOf } = require('../policies');
+const { validate, schemas } = require('../middlewares/validation');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { actorOf } = require('../utils/audit');
+const { postingSearchFilter, applyToJobPosting } = require('../utils/jobPostings');
+
+const router = express.Router();
+
+const ownCompany = (req) => ({ employerId: req.user._id });
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Job posting not found',
+});
+
+/**
+ * The posting with the given ID if the user may see it; drafts and closed postings
+ * only show up for their company, as if they did not exist
+ */
+const findVisiblePosting = async (req) => {
+    const posting = await JobPosting.findById(req.params.id).populate('employerId', 'companyName city industry companyLogo');
+    return posting && can(principalOf(req), 'jobPosting:read', posting) ? posting : null;
+};
+
+/**
+ * @swagger
+ * /api/job-postings:
+ *   get:
+ *     summary: Search open job postings
+ *     description: Public listing; drafts and closed postings are not included.
+ *     tags: [Job Postings]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text to look for in the title and description
+ *       - in: query
+ *         name: skills
+ *         schema:
+ *           type: string
+ *         description: Comma-separated skills; postings requiring any of them match
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: remotePolicy
+ *         schema:
+ *           type: string
+ *         description: Comma-separated, e.g. remote,hybrid
+ *       - in: query
+ *         name: salaryMin
+ *         schema:
+ *           type: number
+ *         description: Only postings that may pay at least this much
+ *       - in: query
+ *         name: employerId
+ *         schema:
+ *           type: string
+ *         description: Only this company's postings
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [publishedAt, salaryMax]
+ *           default: publishedAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       200:
+ *         description: Job postings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobPosting'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Validation error
+ */
+router.get('/', optionalAuthentication, authorize('jobPosting:read'), validate(schemas.jobPostingSearch, 'query'), asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = postingSearchFilter(req.query);
+    const sortBy = req.query.sortBy || 'publishedAt';
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const [postings, total] = await Promise.all([
+        JobPosting.find(filter)
+            .populate('employerId', 'companyName city industry companyLogo')
+            .sort({ [sortBy]: sortOrder, _id: sortOrder })
+            .skip(skip)
+            .limit(limit),
+        JobPosting.countDocuments(filter),
+    ]);
+
+    res.json({
+        success: true,
+        data: postings,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+        },
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-postings/mine:
+ *   get:
+ *     summary: List my company's job postings, including drafts and closed ones
+ *     tags: [Job Postings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, open, closed]
+ *     responses:
+ *       200:
+ *         description: Job postings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/JobPosting'
+ *                       - type: object
+ *                         properties:
+ *                           applications:
+ *                             type: integer
+ *                             description: Applications received
+ *                           pendingApplications:
+ *                             type: integer
+ *                             description: Applications waiting for an answer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/mine', authenticateToken, authorize('jobPosting:read', ownCompany), asyncHandler(async (req, res) => {
+    const filter = { employerId: req.user._id };
+    if (['draft', 'open', 'closed'].includes(req.query.status)) {
+        filter.status = req.query.status;
+    }
+
+    const postings = await JobPosting.find(filter).sort({ createdAt: -1 });
+
+    const counts = await JobRequest.aggregate([
+        { $match: { employerId: req.user._id, jobPostingId: { $in: postings.map(posting => posting._id) } } },
+        {
+            $group: {
+                _id: '$jobPostingId',
+                applications: { $sum: 1 },
+                pendingApplications: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+            },
+        },
+    ]);
+    const countsByPosting = new Map(counts.map(count => [count._id.toString(), count]));
+
+    res.json({
+        success: true,
+        data: postings.map(posting => {
+            const count = countsByPosting.get(posting._id.toString());
+            return {
+                ...posting.toJSON(),
+                applications: count ? count.applications : 0,
+                pendingApplications: count ? count.pendingApplications : 0,
+            };
+        }),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-postings/{id}:
+ *   get:
+ *     summary: Get a job posting
+ *     description: Open postings are public; drafts and closed postings are only visible to their company.
+ *     tags: [Job Postings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job posting ID
+ *     responses:
+ *       200:
+ *         description: Job posting retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/JobPosting'
+ *       404:
+ *         description: Job posting not found
+ */
+router.get('/:id', optionalAuthentication, authorize('jobPosting:read'), asyncHandler(async (req, res) => {
+    const posting = await findVisiblePosting(req);
+    if (!posting) return notFound(res);
+
+    res.json({
+        success: true,
+        data: posting,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-postings:
+ *   post:
+ *     summary: Create a job posting (company login, owners and recruiters)
+ *     description: Postings are open right away unless created with `status` draft.
+ *     tags: [Job Postings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JobPosting'
+ *     responses:
+ *       201:
+ *         description: Job posting created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/', authenticateToken, authorize('jobPosting:manage', ownCompany), validate(schemas.jobPostingCreate), asyncHandler(async (req, res) => {
+    const posting = new JobPosting({
+        ...req.body,
+        employerId: req.user._id,
+        createdBy: req.member ? req.member._id : null,
+    });
+
+    try {
+        await posting.save();
+    } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: Object.values(error.errors).map(err => err.message).join(', '),
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Job posting created successfully',
+        data: posting,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-postings/{id}:
+ *   put:
+ *     summary: Update a job posting (company login, owners and recruiters)
+ *     description: |
+ *       Set `status` to open to publish a draft, or to closed to stop taking applications.
+ *       Applications already received keep the title and description they were sent with.
+ *     tags: [Job Postings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job posting ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JobPosting'
+ *     responses:
+ *       200:
+ *         description: Job posting updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job posting not found
+ */
+router.put('/:id', authenticateToken, authorize('jobPosting:manage', ownCompany), validate(schemas.jobPostingUpdate), asyncHandler(async (req, res) => {
+    const posting = await JobPosting.findOne({ _id: req.params.id, employerId: req.user._id });
+    if (!posting) return notFound(res);
+
+    // Saving the document keeps the salary range check and the publish and close dates
+    posting.set(req.body);
+    try {
+        await posting.save();
+    } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: Object.values(error.errors).map(err => err.message).join(', '),
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Job posting updated successfully',
+        data: posting,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-postings/{id}:
+ *   delete:
+ *     summary: Delete a job posting (company login, owners and recruiters)
+ *     description: Postings that received applications cannot be deleted; close them instead.
+ *     tags: [Job Postings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job posting ID
+ *     responses:
+ *       200:
+ *         description: Job posting deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or an admin is impersonating the company
+ *       404:
+ *         description: Job posting not found
+ *       409:
+ *         description: The posting has applications
+ */
+router.delete('/:id', authenticateToken, authorize('jobPosting:delete', ownCompany), asyncHandler(async (req, res) => {
+    const posting = await JobPosting.findOne({ _id: req.params.id, employerId: req.user._id });
+    if (!posting) return notFound(res);
+
+    if (await JobRequest.exists({ jobPostingId: posting._id })) {
+        return res.status(409).json({
+            success: false,
+            message: 'This job posting has applications. Close it instead.',
+        });
+    }
+
+    await posting.deleteOne();
+
+    res.json({
+        success: true,
+        message: 'Job posting deleted successfully',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-postings/{id}/applications:
+ *   post:
+ *     summary: Apply to a job posting (Developer only)
+ *     description: |
+ *       Creates a job request from the developer to the company. The company accepts or rejects
+ *       it, and the developer can withdraw it, with `PUT /api/job-requests/{id}`. Applications
+ *       do not expire.
+ *     tags: [Job Postings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job posting ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               salaryOffer:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Expected salary; defaults to the top of the posting's range
+ *               coverLetter:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Application sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/JobRequest'
+ *       400:
+ *         description: Validation error, the posting is not open, or already applied
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job posting not found
+ */
+router.post('/:id/applications', authenticateToken, authorize('jobPosting:apply'), validate(schemas.jobPostingApplication), asyncHandler(async (req, res) => {
+    const posting = await findVisiblePosting(req);
+    if (!posting) return notFound(res);
+
+    const result = await applyToJobPosting(posting, {
+        developer: req.user,
+        actor: actorOf(req),
+        salaryOffer: req.body.salaryOffer,
+        coverLetter: req.body.coverLetter,
+    });
+
+    if (!result.jobRequest) {
+        return res.status(result.statusCode).json({
+            success: false,
+            message: result.message,
+        });
+    }
+
+    const jobRequest = result.jobRequest;
+    await jobRequest.populate('employerId', 'companyName city industry');
+    await jobRequest.populate('developerId', 'firstName lastName city skills experienceYears');
+
+    res.status(201).json({
+        success: true,
+        message: 'Application sent successfully',
+        data: jobRequest,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-postings/{id}/applications:
+ *   get:
+ *     summary: List the applications to one of my company's job postings
+ *     tags: [Job Postings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job posting ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, withdrawn]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job posting not found
+ */
+router.get('/:id/applications', authenticateToken, authorize('jobPosting:read', ownCompany), asyncHandler(async (req, res) => {
+    const posting = await JobPosting.findOne({ _id: req.params.id, employerId: req.user._id });
+    if (!posting) return notFound(res);
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { jobPostingId: posting._id, direction: 'application' };
+    if (req.query.status) {
+        filter.status = req.query.status;
+    }
+
+    const [applications, total] = await Promise.all([
+        JobRequest.find(filter)
+            .populate('developerId', 'firstName lastName city skills experienceYears')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        JobRequest.countDocuments(filter),
+    ]);
+
+    res.json({
+        success: true,
+        data: applications,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+        },
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const JobRequestTemplate = require('../models/JobRequestTemplate');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate, schemas } = require('../middlewares/validation');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { PLACEHOLDERS, placeholderError } = require('../utils/jobRequestTemplates');
+
+const router = express.Router();
+
+const ownCompany = (req) => ({ employerId: req.user._id });
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Job request template not found',
+});
+
+/**
+ * Answer 400 for placeholders the renderer doesn't know, or 409 for a name the company already uses
+ */
+const checkTemplate = async (req, res, exceptId = null) => {
+    const placeholderMessage = placeholderError(req.body);
+    if (placeholderMessage) {
+        res.status(400).json({
+            success: false,
+            message: placeholderMessage,
+        });
+        return false;
+    }
+
+    if (req.body.name && await JobRequestTemplate.exists({ employerId: req.user._id, name: req.body.name.trim(), _id: { $ne: exceptId } })) {
+        res.status(409).json({
+            success: false,
+            message: 'A template with this name already exists',
+        });
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * @swagger
+ * /api/job-request-templates:
+ *   get:
+ *     summary: List my company's job request templates
+ *     tags: [Job Request Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobRequestTemplate'
+ *                 placeholders:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Placeholder names the text fields can use, e.g. firstName for {{firstName}}
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/', authenticateToken, authorize('jobRequestTemplate:read', ownCompany), asyncHandler(async (req, res) => {
+    const templates = await JobRequestTemplate.find({ employerId: req.user._id }).sort({ name: 1 });
+
+    res.json({
+        success: true,
+        data: templates,
+        placeholders: PLACEHOLDERS,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-request-templates/{id}:
+ *   get:
+ *     summary: Get a job request template
+ *     tags: [Job Request Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:id', authenticateToken, authorize('jobRequestTemplate:read', ownCompany), asyncHandler(async (req, res) => {
+    const template = await JobRequestTemplate.findOne({ _id: req.params.id, employerId: req.user._id });
+    if (!template) return notFound(res);
+
+    res.json({
+        success: true,
+        data: template,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-request-templates:
+ *   post:
+ *     summary: Create a job request template (company login, owners and recruiters)
+ *     description: |
+ *       `jobTitle`, `jobDescription` and `interviewNotes` can contain placeholders that are filled in
+ *       for each developer when a job request is sent from the template: `{{firstName}}`, `{{lastName}}`,
+ *       `{{city}}`, `{{companyName}}` and `{{matchedSkills}}` (the developer's skills that are in the
+ *       template's `skills`).
+ *     tags: [Job Request Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JobRequestTemplate'
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *       400:
+ *         description: Validation error or unknown placeholder
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: The company already has a template with this name
+ */
+router.post('/', authenticateToken, authorize('jobRequestTemplate:manage', ownCompany), validate(schemas.jobRequestTemplateCreate), asyncHandler(async (req, res) => {
+    if (!await checkTemplate(req, res)) return;
+
+    const template = await JobRequestTemplate.create({
+        ...req.body,
+        employerId: req.user._id,
+        createdBy: req.member ? req.member._id : null,
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Job request template created successfully',
+        data: template,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-request-templates/{id}:
+ *   put:
+ *     summary: Update a job request template (company login, owners and recruiters)
+ *     description: Job requests already sent from the template keep their fields.
+ *     tags: [Job Request Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JobRequestTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       400:
+ *         description: Validation error or unknown placeholder
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: The company already has a template with this name
+ */
+router.put('/:id', authenticateToken, authorize('jobRequestTemplate:manage', ownCompany), validate(schemas.jobRequestTemplateUpdate), asyncHandler(async (req, res) => {
+    if (!await checkTemplate(req, res, req.params.id)) return;
+
+    const template = await JobRequestTemplate.findOneAndUpdate(
+        { _id: req.params.id, employerId: req.user._id },
+        req.body,
+        { new: true, runValidators: true }
+    );
+    if (!template) return notFound(res);
+
+    res.json({
+        success: true,
+        message: 'Job request template updated successfully',
+        data: template,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-request-templates/{id}:
+ *   delete:
+ *     summary: Delete a job request template (company login, owners and recruiters)
+ *     description: Job requests already sent from the template are not affected.
+ *     tags: [Job Request Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or an admin is impersonating the company
+ *       404:
+ *         description: Template not found
+ */
+router.delete('/:id', authenticateToken, authorize('jobRequestTemplate:delete', ownCompany), asyncHandler(async (req, res) => {
+    const template = await JobRequestTemplate.findOneAndDelete({ _id: req.params.id, employerId: req.user._id });
+    if (!template) return notFound(res);
+
+    res.json({
+        success: true,
+        message: 'Job request template deleted successfully',
+    });
+}));
+
+module.exports = router;
@@ -1,10 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const JobRequest = require('../models/JobRequest');
-const Developer = require('../models/Developer');
 const Employer = require('../models/Employer');
-const { authenticateToken, authorizeRole } = require('../middlewares/auth');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { can, principalOf } = require('../policies');
 const { validate, schemas } = require('../middlewares/validation');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { recordAudit, actorOf } = require('../utils/audit');
+const { availableTransitions, transitionJobRequest, directionFilter } = require('../utils/jobRequestStateMachine');
+const { loadStages, moveToStage, groupByStage } = require('../utils/pipeline');
+const { latestProposal, currentTerms, proposeTerms, acceptProposal } = require('../utils/negotiation');
+const { directlyScheduled } = require('../utils/interviews');
+const { validIdempotencyKey, mustVerifyEmail, sendJobRequest, sendJobRequestBatch } = require('../utils/jobRequests');
+const { placeholderError } = require('../utils/jobRequestTemplates');
 
 const router = express.Router();
 
@@ -33,9 +41,20 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, accepted, rejected, withdrawn]
+ *           enum: [pending, accepted, rejected, withdrawn, expired]
  *         description: Filter by status
  *       - in: query
+ *         name: sentBy
+ *         schema:
+ *           type: string
+ *         description: Employers only. Team member ID, or "me" for the requests I sent
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [outreach, application]
+ *         description: Requests sent by employers, or applications to job postings
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
@@ -55,23 +74,39 @@ const router = express.Router();
  *       401:
  *         description: Unauthorized
  */
-router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/', authenticateToken, authorize('jobRequest:read'), asyncHandler(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Build filter based on user role
+    // Build filter based on user role; every team member sees the whole company's requests
     let filter = {};
     if (req.userRole === 'Developer') {
         filter.developerId = req.user._id;
     } else if (req.userRole === 'Employer') {
         filter.employerId = req.user._id;
+
+        if (req.query.sentBy === 'me') {
+            filter.sentBy = req.member ? req.member._id : null;
+        } else if (req.query.sentBy) {
+            if (!mongoose.isValidObjectId(req.query.sentBy)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid sentBy filter',
+                });
+            }
+            filter.sentBy = req.query.sentBy;
+        }
     }
 
     if (req.query.status) {
         filter.status = req.query.status;
     }
 
+    if (['outreach', 'application'].includes(req.query.direction)) {
+        Object.assign(filter, directionFilter(req.query.direction));
+    }
+
     // Build sort
     const sort = {};
     const sortBy = req.query.sortBy || 'createdAt';
@@ -82,6 +117,7 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
         JobRequest.find(filter)
             .populate('employerId', 'companyName city industry')
             .populate('developerId', 'firstName lastName city skills experienceYears')
+            .populate('sentBy', 'name email role')
             .sort(sort)
             .skip(skip)
             .limit(limit),
@@ -102,6 +138,59 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * @swagger
+ * /api/job-requests/pipeline:
+ *   get:
+ *     summary: Get my company's hiring pipeline board (Employer only)
+ *     description: Accepted job requests grouped into the company's pipeline stages, in stage order.
+ *     tags: [Job Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pipeline board retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/PipelineStage'
+ *                       - type: object
+ *                         properties:
+ *                           count:
+ *                             type: integer
+ *                           jobRequests:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/JobRequest'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/pipeline', authenticateToken, authorize('pipeline:read', req => ({ employerId: req.user._id })), asyncHandler(async (req, res) => {
+    const [stages, jobRequests] = await Promise.all([
+        loadStages(req.user._id),
+        JobRequest.find({ employerId: req.user._id, status: 'accepted' })
+            .select('-statusHistory -stageHistory')
+            .populate('developerId', 'firstName lastName city skills experienceYears')
+            .populate('sentBy', 'name email role')
+            .sort({ updatedAt: -1 }),
+    ]);
+
+    res.json({
+        success: true,
+        data: groupByStage(jobRequests, stages),
+    });
+}));
+
 /**
  * @swagger
  * /api/job-requests/{id}:
@@ -120,6 +209,20 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
  *     responses:
  *       200:
  *         description: Job request retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/JobRequest'
+ *                 availableStatuses:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Statuses the current user can move the request to
  *       401:
  *         description: Unauthorized
  *       403:
@@ -130,7 +233,8 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
 router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
     const jobRequest = await JobRequest.findById(req.params.id)
         .populate('employerId', 'companyName city industry')
-        .populate('developerId', 'firstName lastName city skills experienceYears');
+        .populate('developerId', 'firstName lastName city skills experienceYears')
+        .populate('sentBy', 'name email role');
 
     if (!jobRequest) {
         return res.status(404).json({
@@ -140,14 +244,7 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
     }
 
     // Check if user has access to this job request
-    if (req.userRole === 'Developer' && jobRequest.developerId._id.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied',
-        });
-    }
-
-    if (req.userRole === 'Employer' && jobRequest.employerId._id.toString() !== req.user._id.toString()) {
+    if (!can(principalOf(req), 'jobRequest:read', jobRequest)) {
         return res.status(403).json({
             success: false,
             message: 'Access denied',
@@ -157,6 +254,7 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
     res.json({
         success: true,
         data: jobRequest,
+        availableStatuses: availableTransitions(jobRequest, principalOf(req)),
     });
 }));
 
@@ -165,6 +263,12 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
  * /api/job-requests:
  *   post:
  *     summary: Create a new job request (Employer only)
+ *     description: |
+ *       The developer has `responseWindowDays` to answer (the company's default window when
+ *       left out) before the request expires. A pending request to the same developer blocks
+ *       a new one until it is answered, withdrawn or expired. With `templateId`, the fields left out
+ *       come from the company's job request template, with its placeholders filled in for the developer;
+ *       `jobTitle` and `salaryOffer` are then optional.
  *     tags: [Job Requests]
  *     security:
  *       - bearerAuth: []
@@ -173,61 +277,69 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/JobRequest'
+ *             allOf:
+ *               - $ref: '#/components/schemas/JobRequest'
+ *               - type: object
+ *                 properties:
+ *                   responseWindowDays:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 90
+ *                     description: Days the developer has to answer
+ *                   templateId:
+ *                     type: string
+ *                     format: ObjectId
+ *                     description: Job request template to send; fields given here override it
  *     responses:
  *       201:
  *         description: Job request created successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error or an unknown placeholder
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, employer email not verified, or team viewer
+ *       404:
+ *         description: Developer or template not found
  */
-router.post('/', authenticateToken, authorizeRole('Employer'), validate(schemas.jobRequestCreate), asyncHandler(async (req, res) => {
-    // Check if developer exists
-    const developer = await Developer.findById(req.body.developerId);
-    if (!developer) {
-        return res.status(404).json({
+router.post('/', authenticateToken, authorize('jobRequest:create', req => ({ employerId: req.user._id })), validate(schemas.jobRequestCreate), asyncHandler(async (req, res) => {
+    const placeholderMessage = placeholderError(req.body);
+    if (placeholderMessage) {
+        return res.status(400).json({
             success: false,
-            message: 'Developer not found',
+            message: placeholderMessage,
         });
     }
 
-    // Check if developer is available
-    if (!developer.isAvailable) {
-        return res.status(400).json({
+    if (mustVerifyEmail(req.user)) {
+        return res.status(403).json({
             success: false,
-            message: 'Developer is not available for work',
+            message: 'Please verify your email address before sending job requests',
         });
     }
 
-    // Check if there's already a pending request from this employer to this developer
-    const existingRequest = await JobRequest.findOne({
-        employerId: req.user._id,
-        developerId: req.body.developerId,
-        status: 'pending',
+    const { developerId, ...offer } = req.body;
+    const result = await sendJobRequest({
+        employer: req.user,
+        member: req.member,
+        actor: actorOf(req),
+        developerId,
+        offer,
     });
 
-    if (existingRequest) {
-        return res.status(400).json({
+    if (!result.jobRequest) {
+        return res.status(result.statusCode).json({
             success: false,
-            message: 'You already have a pending request to this developer',
+            message: result.message,
         });
     }
 
-    // Add employer ID to job request
-    const jobRequestData = {
-        ...req.body,
-        employerId: req.user._id,
-    };
-
-    const jobRequest = new JobRequest(jobRequestData);
-    await jobRequest.save();
+    const jobRequest = result.jobRequest;
 
     // Populate related data
     await jobRequest.populate('employerId', 'companyName city industry');
     await jobRequest.populate('developerId', 'firstName lastName city skills experienceYears');
+    await jobRequest.populate('sentBy', 'name email role');
 
     res.status(201).json({
         success: true,
@@ -236,11 +348,140 @@ router.post('/', authenticateToken, authorizeRole('Employer'), validate(schemas.
     });
 }));
 
+/**
+ * @swagger
+ * /api/job-requests/batch:
+ *   post:
+ *     summary: Send the same job request to several developers (Employer only)
+ *     description: |
+ *       Each developer goes through the same checks as `POST /api/job-requests`. Developers
+ *       who cannot get the request are reported in `results` and don't stop the others.
+ *       Retrying with the same `Idempotency-Key` (kept for 24 hours) returns the first report
+ *       instead of sending again, and finishes a batch that was interrupted.
+ *     tags: [Job Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique per batch, e.g. a UUID; reuse it only to retry the same batch
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - developerIds
+ *               - template
+ *             properties:
+ *               developerIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *                   format: ObjectId
+ *               template:
+ *                 type: object
+ *                 description: |
+ *                   The job request fields sent to every developer (everything but developerId).
+ *                   May name a `templateId`, whose placeholders are then filled in per developer.
+ *     responses:
+ *       200:
+ *         description: Batch processed; see `results` for each developer
+ *         headers:
+ *           Idempotent-Replayed:
+ *             schema:
+ *               type: boolean
+ *             description: Present when the report is from an earlier request with the same key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/JobRequestBatch'
+ *       400:
+ *         description: Validation error, missing Idempotency-Key, or an unknown placeholder
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, employer email not verified, or team viewer
+ *       409:
+ *         description: A batch with this key is still being sent
+ *       422:
+ *         description: The Idempotency-Key was used for a different batch
+ */
+router.post('/batch', authenticateToken, authorize('jobRequest:create', req => ({ employerId: req.user._id })), validate(schemas.jobRequestBatch), asyncHandler(async (req, res) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!validIdempotencyKey(idempotencyKey)) {
+        return res.status(400).json({
+            success: false,
+            message: 'An Idempotency-Key header of up to 255 characters is required',
+        });
+    }
+
+    const placeholderMessage = placeholderError(req.body.template);
+    if (placeholderMessage) {
+        return res.status(400).json({
+            success: false,
+            message: placeholderMessage,
+        });
+    }
+
+    if (mustVerifyEmail(req.user)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address before sending job requests',
+        });
+    }
+
+    const result = await sendJobRequestBatch({
+        employer: req.user,
+        member: req.member,
+        actor: actorOf(req),
+        developerIds: req.body.developerIds,
+        template: req.body.template,
+        idempotencyKey,
+    });
+
+    if (!result.report) {
+        return res.status(result.statusCode).json({
+            success: false,
+            message: result.message,
+        });
+    }
+
+    if (result.replayed) {
+        res.set('Idempotent-Replayed', 'true');
+    }
+
+    res.json({
+        success: true,
+        message: `Sent ${result.report.sent} of ${req.body.developerIds.length} job requests`,
+        data: result.report,
+    });
+}));
+
 /**
  * @swagger
  * /api/job-requests/{id}:
  *   put:
  *     summary: Update job request by ID
+ *     description: |
+ *       Status changes follow the job request state machine: developers accept or reject
+ *       pending requests, employers withdraw them. Unanswered requests expire on their own.
+ *       Applications to job postings run the other way: employers accept or reject them and
+ *       developers withdraw them. Accepted, rejected, withdrawn and expired requests are final.
  *     tags: [Job Requests]
  *     security:
  *       - bearerAuth: []
@@ -261,15 +502,17 @@ router.post('/', authenticateToken, authorizeRole('Employer'), validate(schemas.
  *       200:
  *         description: Job request updated successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error or a status change that is not allowed from the current status
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, including status changes the user may not make
  *       404:
  *         description: Job request not found
+ *       409:
+ *         description: The status was changed at the same time
  */
-router.put('/:id', authenticateToken, validate(schemas.jobRequestUpdate), asyncHandler(async (req, res) => {
+router.put('/:id', authenticateToken, authorize('jobRequest:update'), validate(schemas.jobRequestUpdate), asyncHandler(async (req, res) => {
     const jobRequest = await JobRequest.findById(req.params.id);
 
     if (!jobRequest) {
@@ -280,36 +523,43 @@ router.put('/:id', authenticateToken, validate(schemas.jobRequestUpdate), asyncH
     }
 
     // Check if user has access to update this job request
-    if (req.userRole === 'Developer' && jobRequest.developerId.toString() !== req.user._id.toString()) {
+    if (!can(principalOf(req), 'jobRequest:update', jobRequest)) {
         return res.status(403).json({
             success: false,
             message: 'Access denied',
         });
     }
 
-    if (req.userRole === 'Employer' && jobRequest.employerId.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied',
+    // Status changes go through the state machine, which records them in the history
+    if (req.body.status && req.body.status !== jobRequest.status) {
+        const result = await transitionJobRequest(jobRequest, req.body.status, {
+            principal: principalOf(req),
+            actor: actorOf(req),
         });
+
+        if (!result.jobRequest) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message,
+            });
+        }
     }
 
     // Only allow certain fields to be updated based on user role
-    const updateData = {};
+    let updateData = {};
     if (req.userRole === 'Employer') {
-        if (req.body.interviewDate) updateData.interviewDate = req.body.interviewDate;
+        // Setting the date directly schedules the interview without slots
+        if (req.body.interviewDate) {
+            const scheduled = directlyScheduled(jobRequest);
+            updateData = { ...scheduled, $set: { ...scheduled.$set, interviewDate: req.body.interviewDate } };
+        }
+        if (req.body.interviewTimezone) updateData.interviewTimezone = req.body.interviewTimezone;
         if (req.body.interviewLocation) updateData.interviewLocation = req.body.interviewLocation;
         if (req.body.interviewNotes) updateData.interviewNotes = req.body.interviewNotes;
         if (req.body.employerNotes) updateData.employerNotes = req.body.employerNotes;
-        if (req.body.status && ['withdrawn'].includes(req.body.status)) {
-            updateData.status = req.body.status;
-        }
     }
 
     if (req.userRole === 'Developer') {
-        if (req.body.status && ['accepted', 'rejected'].includes(req.body.status)) {
-            updateData.status = req.body.status;
-        }
         if (req.body.developerNotes) updateData.developerNotes = req.body.developerNotes;
     }
 
@@ -318,7 +568,8 @@ router.put('/:id', authenticateToken, validate(schemas.jobRequestUpdate), asyncH
         updateData,
         { new: true, runValidators: true }
     ).populate('employerId', 'companyName city industry')
-        .populate('developerId', 'firstName lastName city skills experienceYears');
+        .populate('developerId', 'firstName lastName city skills experienceYears')
+        .populate('sentBy', 'name email role');
 
     res.json({
         success: true,
@@ -355,14 +606,18 @@ router.put('/:id', authenticateToken, validate(schemas.jobRequestUpdate), asyncH
  *     responses:
  *       200:
  *         description: Job request accepted successfully
+ *       400:
+ *         description: The job request is no longer pending
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
  *         description: Job request not found
+ *       409:
+ *         description: The job request was changed at the same time
  */
-router.patch('/:id/accept', authenticateToken, authorizeRole('Developer'), asyncHandler(async (req, res) => {
+router.patch('/:id/accept', authenticateToken, authorize('jobRequest:respond'), asyncHandler(async (req, res) => {
     const { developerNotes } = req.body;
 
     const jobRequest = await JobRequest.findById(req.params.id);
@@ -375,30 +630,30 @@ router.patch('/:id/accept', authenticateToken, authorizeRole('Developer'), async
     }
 
     // Check if developer owns this job request
-    if (jobRequest.developerId.toString() !== req.user._id.toString()) {
+    if (!can(principalOf(req), 'jobRequest:respond', jobRequest)) {
         return res.status(403).json({
             success: false,
             message: 'Access denied',
         });
     }
 
-    // Check if job request can be accepted
-    if (jobRequest.status !== 'pending') {
-        return res.status(400).json({
+    const result = await transitionJobRequest(jobRequest, 'accepted', {
+        principal: principalOf(req),
+        actor: actorOf(req),
+        note: developerNotes,
+    });
+
+    if (!result.jobRequest) {
+        return res.status(result.statusCode).json({
             success: false,
-            message: 'Job request cannot be accepted in its current status',
+            message: result.message,
         });
     }
 
-    const updatedJobRequest = await JobRequest.findByIdAndUpdate(
-        req.params.id,
-        {
-            status: 'accepted',
-            developerNotes: developerNotes || jobRequest.developerNotes,
-        },
-        { new: true }
-    ).populate('employerId', 'companyName city industry')
-        .populate('developerId', 'firstName lastName city skills experienceYears');
+    const updatedJobRequest = result.jobRequest;
+    await updatedJobRequest.populate('employerId', 'companyName city industry');
+    await updatedJobRequest.populate('developerId', 'firstName lastName city skills experienceYears');
+    await updatedJobRequest.populate('sentBy', 'name email role');
 
     res.json({
         success: true,
@@ -435,14 +690,18 @@ router.patch('/:id/accept', authenticateToken, authorizeRole('Developer'), async
  *     responses:
  *       200:
  *         description: Job request rejected successfully
+ *       400:
+ *         description: The job request is no longer pending
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
  *         description: Job request not found
+ *       409:
+ *         description: The job request was changed at the same time
  */
-router.patch('/:id/reject', authenticateToken, authorizeRole('Developer'), asyncHandler(async (req, res) => {
+router.patch('/:id/reject', authenticateToken, authorize('jobRequest:respond'), asyncHandler(async (req, res) => {
     const { developerNotes } = req.body;
 
     const jobRequest = await JobRequest.findById(req.params.id);
@@ -455,30 +714,30 @@ router.patch('/:id/reject', authenticateToken, authorizeRole('Developer'), async
     }
 
     // Check if developer owns this job request
-    if (jobRequest.developerId.toString() !== req.user._id.toString()) {
+    if (!can(principalOf(req), 'jobRequest:respond', jobRequest)) {
         return res.status(403).json({
             success: false,
             message: 'Access denied',
         });
     }
 
-    // Check if job request can be rejected
-    if (jobRequest.status !== 'pending') {
-        return res.status(400).json({
+    const result = await transitionJobRequest(jobRequest, 'rejected', {
+        principal: principalOf(req),
+        actor: actorOf(req),
+        note: developerNotes,
+    });
+
+    if (!result.jobRequest) {
+        return res.status(result.statusCode).json({
             success: false,
-            message: 'Job request cannot be rejected in its current status',
+            message: result.message,
         });
     }
 
-    const updatedJobRequest = await JobRequest.findByIdAndUpdate(
-        req.params.id,
-        {
-            status: 'rejected',
-            developerNotes: developerNotes || jobRequest.developerNotes,
-        },
-        { new: true }
-    ).populate('employerId', 'companyName city industry')
-        .populate('developerId', 'firstName lastName city skills experienceYears');
+    const updatedJobRequest = result.jobRequest;
+    await updatedJobRequest.populate('employerId', 'companyName city industry');
+    await updatedJobRequest.populate('developerId', 'firstName lastName city skills experienceYears');
+    await updatedJobRequest.populate('sentBy', 'name email role');
 
     res.json({
         success: true,
@@ -487,6 +746,394 @@ router.patch('/:id/reject', authenticateToken, authorizeRole('Developer'), async
     });
 }));
 
+/**
+ * @swagger
+ * /api/job-requests/{id}/stage:
+ *   patch:
+ *     summary: Move an accepted job request to another pipeline stage (Employer only)
+ *     tags: [Job Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stage
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 description: Key of one of the company's pipeline stages
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Job request moved successfully
+ *       400:
+ *         description: Unknown stage, or the job request is not accepted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request not found
+ *       409:
+ *         description: The job request was moved at the same time
+ */
+router.patch('/:id/stage', authenticateToken, authorize('jobRequest:move'), validate(schemas.jobRequestStage), asyncHandler(async (req, res) => {
+    const jobRequest = await JobRequest.findById(req.params.id);
+
+    if (!jobRequest) {
+        return res.status(404).json({
+            success: false,
+            message: 'Job request not found',
+        });
+    }
+
+    const result = await moveToStage(jobRequest, req.body.stage, {
+        principal: principalOf(req),
+        actor: actorOf(req),
+        note: req.body.note,
+    });
+
+    if (!result.jobRequest) {
+        return res.status(result.statusCode).json({
+            success: false,
+            message: result.message,
+        });
+    }
+
+    const updatedJobRequest = result.jobRequest;
+    await updatedJobRequest.populate('developerId', 'firstName lastName city skills experienceYears');
+    await updatedJobRequest.populate('sentBy', 'name email role');
+
+    res.json({
+        success: true,
+        message: 'Job request moved successfully',
+        data: updatedJobRequest,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/proposals:
+ *   get:
+ *     summary: Get the offer negotiation of a job request
+ *     description: Every proposal, oldest first, the terms currently on the table and the agreed terms once a proposal was accepted.
+ *     tags: [Job Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *     responses:
+ *       200:
+ *         description: Negotiation retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobRequestProposal'
+ *                 currentTerms:
+ *                   type: object
+ *                   description: The latest proposal's terms, or the original offer
+ *                 agreedTerms:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/JobRequestProposal'
+ *                   nullable: true
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request not found
+ */
+router.get('/:id/proposals', authenticateToken, authorize('jobRequest:read'), asyncHandler(async (req, res) => {
+    const jobRequest = await JobRequest.findById(req.params.id)
+        .select('employerId developerId status salaryOffer salaryType startDate proposals agreedTerms')
+        .populate('proposals.proposedBy', 'firstName lastName companyName name');
+
+    if (!jobRequest) {
+        return res.status(404).json({
+            success: false,
+            message: 'Job request not found',
+        });
+    }
+
+    if (!can(principalOf(req), 'jobRequest:read', jobRequest)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied',
+        });
+    }
+
+    res.json({
+        success: true,
+        data: jobRequest.proposals,
+        currentTerms: currentTerms(jobRequest),
+        agreedTerms: jobRequest.agreedTerms,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/proposals:
+ *   post:
+ *     summary: Propose new terms for a job request
+ *     description: |
+ *       Adds the next version of the offer. Either side can propose while the request is
+ *       pending or accepted and no terms have been agreed. Terms left out keep their current value.
+ *     tags: [Job Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               salaryOffer:
+ *                 type: number
+ *                 minimum: 0
+ *               salaryType:
+ *                 type: string
+ *                 enum: [hourly, monthly, yearly]
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               terms:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Proposal added successfully
+ *       400:
+ *         description: Validation error, or the job request is closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request not found
+ *       409:
+ *         description: Terms were already agreed, or the request changed at the same time
+ */
+router.post('/:id/proposals', authenticateToken, authorize('jobRequest:negotiate'), validate(schemas.jobRequestProposal), asyncHandler(async (req, res) => {
+    const jobRequest = await JobRequest.findById(req.params.id);
+
+    if (!jobRequest) {
+        return res.status(404).json({
+            success: false,
+            message: 'Job request not found',
+        });
+    }
+
+    const result = await proposeTerms(jobRequest, req.body, {
+        principal: principalOf(req),
+        actor: actorOf(req),
+    });
+
+    if (!result.jobRequest) {
+        return res.status(result.statusCode).json({
+            success: false,
+            message: result.message,
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Proposal added successfully',
+        data: latestProposal(result.jobRequest),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/proposals/{version}/accept:
+ *   post:
+ *     summary: Accept the latest proposal of a job request
+ *     description: |
+ *       Only the latest proposal can be accepted, and only by the side that did not make it.
+ *       The salary and start date of the job request are updated and the proposal is kept as
+ *       its agreedTerms, which cannot change afterwards. Accepting terms does not accept the
+ *       job request itself.
+ *     tags: [Job Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Proposal version
+ *     responses:
+ *       200:
+ *         description: Terms agreed successfully
+ *       400:
+ *         description: Invalid version, or the job request is closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or it is your own proposal
+ *       404:
+ *         description: Job request or proposal not found
+ *       409:
+ *         description: Not the latest proposal, terms already agreed, or the request changed at the same time
+ */
+router.post('/:id/proposals/:version/accept', authenticateToken, authorize('jobRequest:negotiate'), asyncHandler(async (req, res) => {
+    const version = parseInt(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid proposal version',
+        });
+    }
+
+    const jobRequest = await JobRequest.findById(req.params.id);
+
+    if (!jobRequest) {
+        return res.status(404).json({
+            success: false,
+            message: 'Job request not found',
+        });
+    }
+
+    const result = await acceptProposal(jobRequest, version, {
+        principal: principalOf(req),
+        actor: actorOf(req),
+    });
+
+    if (!result.jobRequest) {
+        return res.status(result.statusCode).json({
+            success: false,
+            message: result.message,
+        });
+    }
+
+    await recordAudit(req, {
+        action: 'jobrequest.agree_terms',
+        ...actorOf(req),
+        targetId: jobRequest._id,
+        targetModel: 'JobRequest',
+        metadata: { version, salaryOffer: result.jobRequest.salaryOffer, salaryType: result.jobRequest.salaryType },
+    });
+
+    const updatedJobRequest = result.jobRequest;
+    await updatedJobRequest.populate('employerId', 'companyName city industry');
+    await updatedJobRequest.populate('developerId', 'firstName lastName city skills experienceYears');
+    await updatedJobRequest.populate('sentBy', 'name email role');
+
+    res.json({
+        success: true,
+        message: 'Terms agreed successfully',
+        data: updatedJobRequest,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/history:
+ *   get:
+ *     summary: Get the status and pipeline stage history of a job request
+ *     description: Every status change and stage move, oldest first, with who made it. Changes without changedBy were made by the system.
+ *     tags: [Job Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *     responses:
+ *       200:
+ *         description: Status history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobRequestStatusChange'
+ *                 stageHistory:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobRequestStatusChange'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request not found
+ */
+router.get('/:id/history', authenticateToken, authorize('jobRequest:read'), asyncHandler(async (req, res) => {
+    const jobRequest = await JobRequest.findById(req.params.id)
+        .select('employerId developerId status statusHistory stageHistory')
+        .populate('statusHistory.changedBy', 'firstName lastName companyName name')
+        .populate('stageHistory.changedBy', 'firstName lastName companyName name');
+
+    if (!jobRequest) {
+        return res.status(404).json({
+            success: false,
+            message: 'Job request not found',
+        });
+    }
+
+    if (!can(principalOf(req), 'jobRequest:read', jobRequest)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied',
+        });
+    }
+
+    res.json({
+        success: true,
+        data: jobRequest.statusHistory,
+        stageHistory: jobRequest.stageHistory,
+    });
+}));
+
 /**
  * @swagger
  * /api/job-requests/{id}:
@@ -512,7 +1159,7 @@ router.patch('/:id/reject', authenticateToken, authorizeRole('Developer'), async
  *       404:
  *         description: Job request not found
  */
-router.delete('/:id', authenticateToken, authorizeRole('Admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('jobRequest:delete'), asyncHandler(async (req, res) => {
     const jobRequest = await JobRequest.findByIdAndDelete(req.params.id);
 
     if (!jobRequest) {
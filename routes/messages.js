@@ -0,0 +1,306 @@
+const express = require('express');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const JobRequest = require('../models/JobRequest');
+const Message = require('../models/Message');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { can, principalOf } = require('../policies');
+const { schemas } = require('../middlewares/validation');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { upload, discardUploadedFiles, discardUploadsOnError } = require('../middlewares/fileUpload');
+const { actorOf } = require('../utils/audit');
+const { attachmentPath, isThreadOpen, markThreadRead } = require('../utils/messages');
+
+// Mounted under /api/job-requests/:id/messages
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the job request of the thread and check the user may take part in it the
+ * way GET /api/job-requests/:id does. Sends the error response and resolves to
+ * null when they may not.
+ */
+const loadThread = async (req, res, action) => {
+    const jobRequest = await JobRequest.findById(req.params.id).select('employerId developerId status');
+
+    if (!jobRequest) {
+        res.status(404).json({
+            success: false,
+            message: 'Job request not found',
+        });
+        return null;
+    }
+
+    if (!can(principalOf(req), action, jobRequest)) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied',
+        });
+        return null;
+    }
+
+    return jobRequest;
+};
+
+/**
+ * Turn a malformed job request ID away before multer stores any attachments
+ */
+const checkThreadId = (req, res, next) => {
+    if (mongoose.isValidObjectId(req.params.id)) {
+        return next();
+    }
+
+    return res.status(404).json({
+        success: false,
+        message: 'Job request not found',
+    });
+};
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/messages:
+ *   get:
+ *     summary: Get the message thread of a job request
+ *     description: Newest first. The other side's messages on the page are marked as read by the current user.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of messages per page
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Message'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request not found
+ */
+router.get('/', authenticateToken, authorize('jobRequest:read'), asyncHandler(async (req, res) => {
+    const jobRequest = await loadThread(req, res, 'jobRequest:read');
+    if (!jobRequest) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // Mark before reading so the page already shows its read receipts
+    await markThreadRead(jobRequest._id, principalOf(req), actorOf(req));
+
+    const [messages, total] = await Promise.all([
+        Message.find({ jobRequestId: jobRequest._id })
+            .populate('senderId', 'firstName lastName companyName name')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        Message.countDocuments({ jobRequestId: jobRequest._id }),
+    ]);
+
+    res.json({
+        success: true,
+        data: messages,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+        },
+    });
+}));
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/messages:
+ *   post:
+ *     summary: Send a message about a job request
+ *     description: |
+ *       The developer, the company login, owners and recruiters can write. A message needs a body or
+ *       at least one attachment. Once the job request is rejected, withdrawn or expired the thread
+ *       can still be read but takes no new messages.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 5000
+ *               attachments:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: PDF, text, Word or image files (max 5MB each)
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 5000
+ *     responses:
+ *       201:
+ *         description: Message sent successfully
+ *       400:
+ *         description: Validation error, invalid file, or the job request is closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request not found
+ */
+router.post('/', authenticateToken, authorize('message:send'), checkThreadId, upload.array('attachments', 5), asyncHandler(discardUploadsOnError(async (req, res) => {
+    const jobRequest = await loadThread(req, res, 'message:send');
+    if (!jobRequest) {
+        await discardUploadedFiles(req);
+        return;
+    }
+
+    if (!isThreadOpen(jobRequest)) {
+        await discardUploadedFiles(req);
+        return res.status(400).json({
+            success: false,
+            message: `Messages cannot be sent on a ${jobRequest.status} job request`,
+        });
+    }
+
+    // Validated here rather than with validate() so refused uploads can be removed
+    const { error } = schemas.messageCreate.validate(req.body);
+    const body = (req.body.body || '').trim();
+    const files = req.files || [];
+
+    if (error || (!body && files.length === 0)) {
+        await discardUploadedFiles(req);
+        return res.status(400).json({
+            success: false,
+            message: error ? 'Validation error' : 'A message needs a body or an attachment',
+            ...(error && { errors: error.details.map(detail => detail.message).join(', ') }),
+        });
+    }
+
+    const { actorId, actorModel } = actorOf(req);
+    const message = await Message.create({
+        jobRequestId: jobRequest._id,
+        employerId: jobRequest.employerId,
+        developerId: jobRequest.developerId,
+        side: req.userRole,
+        senderId: actorId,
+        senderModel: actorModel,
+        body,
+        attachments: files.map(file => ({
+            filename: file.filename,
+            originalName: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size,
+        })),
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Message sent successfully',
+        data: message,
+    });
+})));
+
+/**
+ * @swagger
+ * /api/job-requests/{id}/messages/{messageId}/attachments/{filename}:
+ *   get:
+ *     summary: Download a message attachment
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job request ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *       - in: path
+ *         name: filename
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stored file name of the attachment
+ *     responses:
+ *       200:
+ *         description: The file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job request, message or attachment not found
+ */
+router.get('/:messageId/attachments/:filename', authenticateToken, authorize('jobRequest:read'), asyncHandler(async (req, res) => {
+    const jobRequest = await loadThread(req, res, 'jobRequest:read');
+    if (!jobRequest) return;
+
+    const message = await Message.findOne({ _id: req.params.messageId, jobRequestId: jobRequest._id });
+    const attachment = message && message.attachments.find(candidate => candidate.filename === req.params.filename);
+    const filePath = attachment && attachmentPath(attachment.filename);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Attachment not found',
+        });
+    }
+
+    res.download(filePath, attachment.originalName || attachment.filename);
+}));
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const Project = require('../models/Project');
 const Developer = require('../models/Developer');
-const { authenticateToken, authorizeRole, authorizeOwnResource } = require('../middlewares/auth');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { can, principalOf } = require('../policies');
 const { validate, schemas } = require('../middlewares/validation');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
@@ -159,8 +160,8 @@ router.get('/:id', asyncHandler(async (req, res) => {
         });
     }
 
-    // Check if project is public or user owns it
-    if (!project.isPublic && (!req.user || req.user._id.toString() !== project.developerId._id.toString())) {
+    // Check if project is public or user may see it anyway
+    if (!can(principalOf(req), 'project:read', project)) {
         return res.status(403).json({
             success: false,
             message: 'Access denied',
@@ -206,7 +207,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.post('/', authenticateToken, authorizeRole('Developer'), validate(schemas.projectCreate), asyncHandler(async (req, res) => {
+router.post('/', authenticateToken, authorize('project:create', req => ({ developerId: req.user._id })), validate(schemas.projectCreate), asyncHandler(async (req, res) => {
     // Add developer ID to project
     const projectData = {
         ...req.body,
@@ -265,7 +266,7 @@ router.post('/', authenticateToken, authorizeRole('Developer'), validate(schemas
  *       404:
  *         description: Project not found
  */
-router.put('/:id', authenticateToken, authorizeRole('Developer'), validate(schemas.projectUpdate), asyncHandler(async (req, res) => {
+router.put('/:id', authenticateToken, authorize('project:update'), validate(schemas.projectUpdate), asyncHandler(async (req, res) => {
     const project = await Project.findById(req.params.id);
 
     if (!project) {
@@ -275,8 +276,8 @@ router.put('/:id', authenticateToken, authorizeRole('Developer'), validate(schem
         });
     }
 
-    // Check if user owns the project
-    if (project.developerId.toString() !== req.user._id.toString()) {
+    // Check if user may update the project
+    if (!can(principalOf(req), 'project:update', project)) {
         return res.status(403).json({
             success: false,
             message: 'Access denied. You can only update your own projects.',
@@ -321,7 +322,7 @@ router.put('/:id', authenticateToken, authorizeRole('Developer'), validate(schem
  *       404:
  *         description: Project not found
  */
-router.delete('/:id', authenticateToken, authorizeRole('Developer'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('project:delete'), asyncHandler(async (req, res) => {
     const project = await Project.findById(req.params.id);
 
     if (!project) {
@@ -331,8 +332,8 @@ router.delete('/:id', authenticateToken, authorizeRole('Developer'), asyncHandle
         });
     }
 
-    // Check if user owns the project
-    if (project.developerId.toString() !== req.user._id.toString()) {
+    // Check if user may delete the project
+    if (!can(principalOf(req), 'project:delete', project)) {
         return res.status(403).json({
             success: false,
             message: 'Access denied. You can only delete your own projects.',
@@ -341,7 +342,7 @@ router.delete('/:id', authenticateToken, authorizeRole('Developer'), asyncHandle
 
     // Remove project from developer's projects array
     await Developer.findByIdAndUpdate(
-        req.user._id,
+        project.developerId,
         { $pull: { projects: project._id } }
     );
 
@@ -448,7 +449,7 @@ router.get('/developer/:developerId', asyncHandler(async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.get('/profile/my-projects', authenticateToken, authorizeRole('Developer'), asyncHandler(async (req, res) => {
+router.get('/profile/my-projects', authenticateToken, authorize('project:read', req => ({ developerId: req.user._id })), asyncHandler(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
@@ -2,9 +2,13 @@ const express = require('express');
 const Developer = require('../models/Developer');
 const { validate, schemas } = require('../middlewares/validation');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { apiKeyAuthentication, authorize } = require('../middlewares/auth');
 
 const router = express.Router();
 
+// Developers without a confirmed email can be kept out of search results
+const hideUnverifiedDevelopers = () => process.env.HIDE_UNVERIFIED_DEVELOPERS === 'true';
+
 /**
  * @swagger
  * /api/search/developers:
@@ -101,7 +105,7 @@ const router = express.Router();
  *       400:
  *         description: Validation error
  */
-router.post('/developers', validate(schemas.developerSearch), asyncHandler(async (req, res) => {
+router.post('/developers', apiKeyAuthentication, authorize('search:read'), validate(schemas.developerSearch), asyncHandler(async (req, res) => {
     const {
         skills,
         city,
@@ -119,6 +123,10 @@ router.post('/developers', validate(schemas.developerSearch), asyncHandler(async
     // Build filter
     const filter = { isAvailable };
 
+    if (hideUnverifiedDevelopers()) {
+        filter.emailVerified = true;
+    }
+
     if (skills && skills.length > 0) {
         filter.skills = { $in: skills };
     }
@@ -254,17 +262,22 @@ router.post('/developers', validate(schemas.developerSearch), asyncHandler(async
  *       200:
  *         description: Quick search results retrieved successfully
  */
-router.get('/developers/quick', asyncHandler(async (req, res) => {
+router.get('/developers/quick', apiKeyAuthentication, authorize('search:read'), asyncHandler(async (req, res) => {
     const { q, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
-    let filter = { isAvailable: true };
+    const baseFilter = { isAvailable: true };
+    if (hideUnverifiedDevelopers()) {
+        baseFilter.emailVerified = true;
+    }
+
+    let filter = baseFilter;
 
     if (q) {
         const searchRegex = { $regex: q, $options: 'i' };
         filter = {
             $and: [
-                { isAvailable: true },
+                baseFilter,
                 {
                     $or: [
                         { firstName: searchRegex },
@@ -322,7 +335,7 @@ router.get('/developers/quick', asyncHandler(async (req, res) => {
  *                   items:
  *                     type: string
  */
-router.get('/skills', asyncHandler(async (req, res) => {
+router.get('/skills', apiKeyAuthentication, authorize('search:read'), asyncHandler(async (req, res) => {
     const skills = await Developer.distinct('skills');
 
     // Sort skills alphabetically
@@ -355,7 +368,7 @@ router.get('/skills', asyncHandler(async (req, res) => {
  *                   items:
  *                     type: string
  */
-router.get('/cities', asyncHandler(async (req, res) => {
+router.get('/cities', apiKeyAuthentication, authorize('search:read'), asyncHandler(async (req, res) => {
     const cities = await Developer.distinct('city');
 
     // Sort cities alphabetically
@@ -404,7 +417,7 @@ router.get('/cities', asyncHandler(async (req, res) => {
  *                         max:
  *                           type: number
  */
-router.get('/statistics', asyncHandler(async (req, res) => {
+router.get('/statistics', apiKeyAuthentication, authorize('search:read'), asyncHandler(async (req, res) => {
     const [
         totalDevelopers,
         availableDevelopers,
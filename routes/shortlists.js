@@ -0,0 +1,684 @@
+const express = require('express');
+const Shortlist = require('../models/Shortlist');
+const Developer = require('../models/Developer');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate, schemas } = require('../middlewares/validation');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { actorOf } = require('../utils/audit');
+const { validIdempotencyKey, mustVerifyEmail, sendJobRequestBatch } = require('../utils/jobRequests');
+const { placeholderError } = require('../utils/jobRequestTemplates');
+const {
+    visibleShortlists,
+    canPrune,
+    normalizeTags,
+    latestJobRequests,
+    developerIdOf,
+    describeCandidates,
+    filterCandidates,
+} = require('../utils/shortlists');
+
+const router = express.Router();
+
+// Same limit as POST /api/job-requests/batch
+const MAX_JOB_REQUESTS_PER_SEND = 50;
+
+const ownCompany = (req) => ({ employerId: req.user._id });
+
+const visible = (req) => ({ _id: req.params.id, ...visibleShortlists(req.user._id, req.member) });
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Shortlist not found',
+});
+
+const notPrunable = (res, message) => res.status(403).json({
+    success: false,
+    message,
+});
+
+const parseContacted = (value) => (value === undefined ? undefined : String(value) === 'true');
+
+/**
+ * Answer 409 for a name the company already uses
+ */
+const checkName = async (req, res, exceptId = null) => {
+    if (req.body.name && await Shortlist.exists({ employerId: req.user._id, name: req.body.name.trim(), _id: { $ne: exceptId } })) {
+        res.status(409).json({
+            success: false,
+            message: 'A shortlist with this name already exists',
+        });
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * @swagger
+ * /api/shortlists:
+ *   get:
+ *     summary: List the shortlists I can see
+ *     description: The company's shared shortlists and my private ones, without their candidates.
+ *     tags: [Shortlists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shortlists retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/', authenticateToken, authorize('shortlist:read', ownCompany), asyncHandler(async (req, res) => {
+    const shortlists = await Shortlist.find(visibleShortlists(req.user._id, req.member))
+        .populate('createdBy', 'name email')
+        .sort({ name: 1 });
+
+    res.json({
+        success: true,
+        data: shortlists.map(shortlist => {
+            const { candidates, ...fields } = shortlist.toJSON();
+            return { ...fields, candidateCount: candidates.length };
+        }),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/shortlists:
+ *   post:
+ *     summary: Create a shortlist (company login, owners and recruiters)
+ *     description: Shortlists are shared with the team unless `shared` is false.
+ *     tags: [Shortlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               shared:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Shortlist created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: The company already has a shortlist with this name
+ */
+router.post('/', authenticateToken, authorize('shortlist:manage', ownCompany), validate(schemas.shortlistCreate), asyncHandler(async (req, res) => {
+    if (!await checkName(req, res)) return;
+
+    const shortlist = await Shortlist.create({
+        name: req.body.name,
+        description: req.body.description,
+        shared: req.body.shared,
+        employerId: req.user._id,
+        createdBy: req.member ? req.member._id : null,
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Shortlist created successfully',
+        data: shortlist,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/shortlists/{id}:
+ *   get:
+ *     summary: Get a shortlist with its candidates
+ *     description: |
+ *       Each candidate comes with `contacted` and a summary of the company's latest job request
+ *       with them (`jobRequest`, or null), whichever side started it.
+ *     tags: [Shortlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shortlist ID
+ *       - in: query
+ *         name: contacted
+ *         schema:
+ *           type: boolean
+ *         description: Only candidates the company already has (true) or doesn't have (false) a job request with
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only candidates with this tag
+ *     responses:
+ *       200:
+ *         description: Shortlist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Shortlist'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Shortlist not found
+ */
+router.get('/:id', authenticateToken, authorize('shortlist:read', ownCompany), validate(schemas.shortlistQuery, 'query'), asyncHandler(async (req, res) => {
+    const shortlist = await Shortlist.findOne(visible(req))
+        .populate('candidates.developerId', 'firstName lastName city skills experienceYears isAvailable')
+        .populate('candidates.addedBy', 'name email')
+        .populate('createdBy', 'name email');
+    if (!shortlist) return notFound(res);
+
+    // Developers who deleted their account are pulled from shortlists; skip any left over
+    const present = shortlist.candidates.filter(candidate => candidate.developerId);
+    const latest = await latestJobRequests(req.user._id, present.map(candidate => candidate.developerId._id));
+
+    res.json({
+        success: true,
+        data: {
+            ...shortlist.toJSON(),
+            candidates: filterCandidates(describeCandidates(present, latest), {
+                contacted: parseContacted(req.query.contacted),
+                tag: req.query.tag,
+            }),
+        },
+    });
+}));
+
+/**
+ * @swagger
+ * /api/shortlists/{id}:
+ *   put:
+ *     summary: Rename, describe or (un)share a shortlist (company login, owners and recruiters)
+ *     description: Only whoever created a shortlist can change whether it is shared.
+ *     tags: [Shortlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shortlist ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               shared:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Shortlist updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or not the shortlist's creator
+ *       404:
+ *         description: Shortlist not found
+ *       409:
+ *         description: The company already has a shortlist with this name
+ */
+router.put('/:id', authenticateToken, authorize('shortlist:manage', ownCompany), validate(schemas.shortlistUpdate), asyncHandler(async (req, res) => {
+    const shortlist = await Shortlist.findOne(visible(req));
+    if (!shortlist) return notFound(res);
+
+    const creator = String(shortlist.createdBy) === String(req.member ? req.member._id : null);
+    if (req.body.shared !== undefined && req.body.shared !== shortlist.shared && !creator) {
+        return res.status(403).json({
+            success: false,
+            message: 'Only whoever created the shortlist can change whether it is shared',
+        });
+    }
+
+    if (!await checkName(req, res, shortlist._id)) return;
+
+    const updatedShortlist = await Shortlist.findByIdAndUpdate(
+        shortlist._id,
+        {
+            ...(req.body.name !== undefined && { name: req.body.name }),
+            ...(req.body.description !== undefined && { description: req.body.description }),
+            ...(req.body.shared !== undefined && { shared: req.body.shared }),
+        },
+        { new: true, runValidators: true }
+    );
+    if (!updatedShortlist) return notFound(res);
+
+    res.json({
+        success: true,
+        message: 'Shortlist updated successfully',
+        data: updatedShortlist,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/shortlists/{id}:
+ *   delete:
+ *     summary: Delete a shortlist (company login, owners, and the recruiter who created it)
+ *     description: Job requests sent from the shortlist are not affected.
+ *     tags: [Shortlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shortlist ID
+ *     responses:
+ *       200:
+ *         description: Shortlist deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, not the creator or a team owner, or an admin is impersonating the company
+ *       404:
+ *         description: Shortlist not found
+ */
+router.delete('/:id', authenticateToken, authorize('shortlist:delete', ownCompany), asyncHandler(async (req, res) => {
+    const shortlist = await Shortlist.findOne(visible(req));
+    if (!shortlist) return notFound(res);
+
+    if (!canPrune(shortlist, req.member)) {
+        return notPrunable(res, 'Only whoever created the shortlist or a team owner can delete it');
+    }
+
+    await Shortlist.deleteOne({ _id: shortlist._id });
+
+    res.json({
+        success: true,
+        message: 'Shortlist deleted successfully',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/shortlists/{id}/candidates/{developerId}:
+ *   put:
+ *     summary: Add a developer to a shortlist, or update their notes and tags (company login, owners and recruiters)
+ *     description: |
+ *       Notes and tags are the company's own; developers never see them. Tags are stored
+ *       in lower case. Fields left out keep their value.
+ *     tags: [Shortlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shortlist ID
+ *       - in: path
+ *         name: developerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Developer ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 2000
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                   maxLength: 30
+ *     responses:
+ *       200:
+ *         description: Candidate updated successfully
+ *       201:
+ *         description: Candidate added successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Shortlist or developer not found
+ *       409:
+ *         description: The shortlist is full
+ */
+router.put('/:id/candidates/:developerId', authenticateToken, authorize('shortlist:manage', ownCompany), validate(schemas.shortlistCandidate), asyncHandler(async (req, res) => {
+    if (!await Developer.exists({ _id: req.params.developerId })) {
+        return res.status(404).json({
+            success: false,
+            message: 'Developer not found',
+        });
+    }
+
+    const { developerId } = req.params;
+    const fields = {
+        ...(req.body.notes !== undefined && { notes: req.body.notes }),
+        ...(req.body.tags !== undefined && { tags: normalizeTags(req.body.tags) }),
+    };
+
+    const updateCandidate = () => (Object.keys(fields).length === 0
+        ? Shortlist.findOne({ ...visible(req), 'candidates.developerId': developerId })
+        : Shortlist.findOneAndUpdate(
+            { ...visible(req), 'candidates.developerId': developerId },
+            { $set: Object.fromEntries(Object.entries(fields).map(([field, value]) => [`candidates.$.${field}`, value])) },
+            { new: true, runValidators: true }
+        ));
+
+    const addCandidate = () => Shortlist.findOneAndUpdate(
+        {
+            ...visible(req),
+            'candidates.developerId': { $ne: developerId },
+            [`candidates.${Shortlist.MAX_CANDIDATES - 1}`]: { $exists: false },
+        },
+        { $push: { candidates: { ...fields, developerId, addedBy: req.member ? req.member._id : null } } },
+        { new: true, runValidators: true }
+    );
+
+    let shortlist = await updateCandidate();
+    let added = false;
+
+    if (!shortlist) {
+        shortlist = await addCandidate();
+        added = !!shortlist;
+    }
+
+    if (!shortlist) {
+        const current = await Shortlist.findOne(visible(req));
+        if (!current) return notFound(res);
+
+        // Added by someone else in the meantime
+        if (current.candidates.some(candidate => candidate.developerId.toString() === developerId)) {
+            shortlist = await updateCandidate();
+        } else {
+            return res.status(409).json({
+                success: false,
+                message: `A shortlist can hold at most ${Shortlist.MAX_CANDIDATES} candidates`,
+            });
+        }
+    }
+
+    res.status(added ? 201 : 200).json({
+        success: true,
+        message: added ? 'Candidate added successfully' : 'Candidate updated successfully',
+        data: shortlist.candidates.find(candidate => candidate.developerId.toString() === developerId),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/shortlists/{id}/candidates/{developerId}:
+ *   delete:
+ *     summary: Remove a developer from a shortlist (company login, owners, and the recruiter who created it)
+ *     tags: [Shortlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shortlist ID
+ *       - in: path
+ *         name: developerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Developer ID
+ *     responses:
+ *       200:
+ *         description: Candidate removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, not the creator or a team owner, or an admin is impersonating the company
+ *       404:
+ *         description: Shortlist not found or the developer is not on it
+ */
+router.delete('/:id/candidates/:developerId', authenticateToken, authorize('shortlist:delete', ownCompany), asyncHandler(async (req, res) => {
+    const shortlist = await Shortlist.findOne(visible(req));
+    if (!shortlist) return notFound(res);
+
+    if (!canPrune(shortlist, req.member)) {
+        return notPrunable(res, 'Only whoever created the shortlist or a team owner can remove candidates from it');
+    }
+
+    const updatedShortlist = await Shortlist.findOneAndUpdate(
+        { _id: shortlist._id, 'candidates.developerId': req.params.developerId },
+        { $pull: { candidates: { developerId: req.params.developerId } } },
+        { new: true }
+    );
+
+    if (!updatedShortlist) {
+        return res.status(404).json({
+            success: false,
+            message: 'This developer is not on the shortlist',
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Candidate removed successfully',
+    });
+}));
+
+/**
+ * @swagger
+ * /api/shortlists/{id}/job-requests:
+ *   post:
+ *     summary: Send a job request to candidates on a shortlist (company login, owners and recruiters)
+ *     description: |
+ *       Sends like `POST /api/job-requests/batch` to the candidates named in `developerIds`, or to
+ *       every candidate on the list; `contacted: false` leaves out those the company already has a
+ *       job request with. At most 50 developers are sent to at once. Retrying with the same
+ *       `Idempotency-Key` returns the first report instead of sending again.
+ *     tags: [Shortlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shortlist ID
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique per send, e.g. a UUID; reuse it only to retry the same send
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - template
+ *             properties:
+ *               developerIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *                   format: ObjectId
+ *                 description: Candidates to send to; all of them when left out
+ *               contacted:
+ *                 type: boolean
+ *                 description: Only candidates the company already has (true) or doesn't have (false) a job request with
+ *               template:
+ *                 type: object
+ *                 description: |
+ *                   The job request fields sent to every developer (everything but developerId).
+ *                   May name a `templateId`, whose placeholders are then filled in per developer.
+ *     responses:
+ *       200:
+ *         description: Job requests processed; see `results` for each developer
+ *         headers:
+ *           Idempotent-Replayed:
+ *             schema:
+ *               type: boolean
+ *             description: Present when the report is from an earlier request with the same key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/JobRequestBatch'
+ *       400:
+ *         description: Validation error, missing Idempotency-Key, an unknown placeholder, developers not on the shortlist, or no or too many candidates
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, employer email not verified, or team viewer
+ *       404:
+ *         description: Shortlist not found
+ *       409:
+ *         description: A batch with this key is still being sent
+ *       422:
+ *         description: The Idempotency-Key was used for a different batch
+ */
+router.post('/:id/job-requests', authenticateToken, authorize('jobRequest:create', ownCompany), validate(schemas.shortlistJobRequests), asyncHandler(async (req, res) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!validIdempotencyKey(idempotencyKey)) {
+        return res.status(400).json({
+            success: false,
+            message: 'An Idempotency-Key header of up to 255 characters is required',
+        });
+    }
+
+    const placeholderMessage = placeholderError(req.body.template);
+    if (placeholderMessage) {
+        return res.status(400).json({
+            success: false,
+            message: placeholderMessage,
+        });
+    }
+
+    if (mustVerifyEmail(req.user)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address before sending job requests',
+        });
+    }
+
+    const shortlist = await Shortlist.findOne(visible(req));
+    if (!shortlist) return notFound(res);
+
+    let candidates = shortlist.candidates;
+
+    if (req.body.developerIds) {
+        const onList = new Set(candidates.map(developerIdOf));
+        const missing = req.body.developerIds.filter(developerId => !onList.has(developerId));
+        if (missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Not on this shortlist: ${missing.join(', ')}`,
+            });
+        }
+        candidates = candidates.filter(candidate => req.body.developerIds.includes(developerIdOf(candidate)));
+    }
+
+    if (req.body.contacted !== undefined) {
+        const latest = await latestJobRequests(req.user._id, candidates.map(candidate => candidate.developerId));
+        candidates = filterCandidates(describeCandidates(candidates, latest), { contacted: req.body.contacted });
+    }
+
+    if (candidates.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'No candidates on this shortlist to send to',
+        });
+    }
+    if (candidates.length > MAX_JOB_REQUESTS_PER_SEND) {
+        return res.status(400).json({
+            success: false,
+            message: `At most ${MAX_JOB_REQUESTS_PER_SEND} job requests can be sent at once. Pick candidates with developerIds.`,
+        });
+    }
+
+    const developerIds = candidates.map(developerIdOf);
+
+    // Keyed on what was asked rather than who it resolved to, which changes as requests go out
+    const result = await sendJobRequestBatch({
+        employer: req.user,
+        member: req.member,
+        actor: actorOf(req),
+        developerIds,
+        template: req.body.template,
+        idempotencyKey,
+        fingerprint: { shortlistId: shortlist._id.toString(), ...req.body },
+    });
+
+    if (!result.report) {
+        return res.status(result.statusCode).json({
+            success: false,
+            message: result.message,
+        });
+    }
+
+    if (result.replayed) {
+        res.set('Idempotent-Replayed', 'true');
+    }
+
+    res.json({
+        success: true,
+        message: `Sent ${result.report.sent} of ${result.report.results.length} job requests`,
+        data: result.report,
+    });
+}));
+
+module.exports = router;
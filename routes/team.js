@@ -0,0 +1,344 @@
+const express = require('express');
+const crypto = require('crypto');
+const CompanyMember = require('../models/CompanyMember');
+const Employer = require('../models/Employer');
+const Shortlist = require('../models/Shortlist');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate, schemas } = require('../middlewares/validation');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { issueAuthTokens } = require('../utils/tokens');
+const { revokeOtherSessions } = require('../utils/sessions');
+const { sendMailInBackground } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { recordAudit, actorOf } = require('../utils/audit');
+
+const router = express.Router();
+
+const TEAM_INVITATION_EXPIRES_DAYS = parseInt(process.env.TEAM_INVITATION_EXPIRES_DAYS) || 7;
+
+/**
+ * Find a member of the requesting company
+ */
+const findTeamMember = (req) => CompanyMember.findOne({ _id: req.params.id, employerId: req.user._id });
+
+/**
+ * @swagger
+ * /api/team/members:
+ *   get:
+ *     summary: List my company's team members and open invitations
+ *     description: The company login itself is not listed; it always acts as owner.
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Team members retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CompanyMember'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/members', authenticateToken, authorize('team:read', req => ({ employerId: req.user._id })), asyncHandler(async (req, res) => {
+    const members = await CompanyMember.find({ employerId: req.user._id }).sort({ createdAt: 1 });
+
+    res.json({
+        success: true,
+        data: members.map(member => member.getPublicProfile()),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/team/invitations:
+ *   post:
+ *     summary: Invite someone to the company team (owners only)
+ *     description: Inviting an email that already has an open invitation sends a new link and updates the role.
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, recruiter, viewer]
+ *                 default: recruiter
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Email already belongs to a team member
+ */
+router.post('/invitations', authenticateToken, authorize('team:manage', req => ({ employerId: req.user._id })), validate(schemas.teamInvite), asyncHandler(async (req, res) => {
+    const { email, name, role = 'recruiter' } = req.body;
+
+    let member = await CompanyMember.findOne({ email: email.toLowerCase() });
+
+    if (member && (member.status === 'active' || member.employerId.toString() !== req.user._id.toString())) {
+        return res.status(409).json({
+            success: false,
+            message: 'This email already belongs to a team member',
+        });
+    }
+
+    if (!member) {
+        member = new CompanyMember({ employerId: req.user._id, email });
+    }
+
+    member.role = role;
+    if (name) member.name = name;
+    member.invitedBy = req.member ? req.member._id : null;
+
+    const invitationToken = member.createInvitationToken(TEAM_INVITATION_EXPIRES_DAYS);
+    await member.save();
+
+    sendMailInBackground({
+        to: member.email,
+        ...emailTemplates.teamInvitation({
+            name: member.name,
+            companyName: req.user.companyName,
+            inviterName: req.member ? req.member.name : req.user.companyName,
+            role,
+            token: invitationToken,
+            expiresInDays: TEAM_INVITATION_EXPIRES_DAYS,
+        }),
+    });
+
+    await recordAudit(req, {
+        action: 'team.invite',
+        ...actorOf(req),
+        targetId: member._id,
+        targetModel: 'CompanyMember',
+        metadata: { employerId: req.user._id, email: member.email, role },
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: member.getPublicProfile(),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/team/invitations/accept:
+ *   post:
+ *     summary: Accept a team invitation
+ *     description: Sets the member's name and password and logs them in.
+ *     tags: [Team]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - name
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invitation email
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Invitation accepted, member logged in
+ *       400:
+ *         description: Invalid or expired invitation
+ */
+router.post('/invitations/accept', validate(schemas.teamAcceptInvitation), asyncHandler(async (req, res) => {
+    const { token, name, password } = req.body;
+
+    const member = await CompanyMember.findOne({
+        invitationTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+        invitationExpires: { $gt: new Date() },
+        status: 'invited',
+    });
+    const employer = member && await Employer.findById(member.employerId);
+
+    if (!member || !employer) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invitation is invalid or has expired',
+        });
+    }
+
+    member.name = name;
+    member.password = password;
+    member.status = 'active';
+    member.joinedAt = new Date();
+    member.lastLoginAt = new Date();
+    member.invitationTokenHash = undefined;
+    member.invitationExpires = undefined;
+    await member.save();
+
+    const { token: accessToken, refreshToken } = await issueAuthTokens(req, res, employer, 'Employer', { memberId: member._id });
+
+    res.json({
+        success: true,
+        message: `Welcome to the ${employer.companyName} team`,
+        data: member.getPublicProfile(),
+        company: employer.getPublicProfile(),
+        token: accessToken,
+        refreshToken,
+    });
+}));
+
+/**
+ * @swagger
+ * /api/team/members/{id}:
+ *   patch:
+ *     summary: Change a team member's role (owners only)
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Team member ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, recruiter, viewer]
+ *     responses:
+ *       200:
+ *         description: Team member updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Team member not found
+ */
+router.patch('/members/:id', authenticateToken, authorize('team:manage', req => ({ employerId: req.user._id })), validate(schemas.teamMemberUpdate), asyncHandler(async (req, res) => {
+    const member = await findTeamMember(req);
+
+    if (!member) {
+        return res.status(404).json({
+            success: false,
+            message: 'Team member not found',
+        });
+    }
+
+    const previousRole = member.role;
+    member.role = req.body.role;
+    await member.save();
+
+    await recordAudit(req, {
+        action: 'team.role_change',
+        ...actorOf(req),
+        targetId: member._id,
+        targetModel: 'CompanyMember',
+        metadata: { employerId: req.user._id, from: previousRole, to: member.role },
+    });
+
+    res.json({
+        success: true,
+        message: 'Team member updated successfully',
+        data: member.getPublicProfile(),
+    });
+}));
+
+/**
+ * @swagger
+ * /api/team/members/{id}:
+ *   delete:
+ *     summary: Remove a team member or cancel an invitation (owners only)
+ *     description: |
+ *       The member is signed out everywhere. Job requests they sent stay with the company,
+ *       and their private shortlists are shared with the team so they aren't lost.
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Team member ID
+ *     responses:
+ *       200:
+ *         description: Team member removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Team member not found
+ */
+router.delete('/members/:id', authenticateToken, authorize('team:manage', req => ({ employerId: req.user._id })), asyncHandler(async (req, res) => {
+    const member = await findTeamMember(req);
+
+    if (!member) {
+        return res.status(404).json({
+            success: false,
+            message: 'Team member not found',
+        });
+    }
+
+    await CompanyMember.deleteOne({ _id: member._id });
+    await revokeOtherSessions(req.user._id, 'Employer', null, 'revoked', member._id);
+    await Shortlist.updateMany({ employerId: req.user._id, createdBy: member._id, shared: false }, { shared: true });
+
+    await recordAudit(req, {
+        action: 'team.remove',
+        ...actorOf(req),
+        targetId: member._id,
+        targetModel: 'CompanyMember',
+        metadata: { employerId: req.user._id, email: member.email, role: member.role },
+    });
+
+    res.json({
+        success: true,
+        message: 'Team member removed successfully',
+    });
+}));
+
+module.exports = router;
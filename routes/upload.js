@@ -1,77 +1,15 @@
 const express = require('express');
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const Developer = require('../models/Developer');
 const Employer = require('../models/Employer');
-const { authenticateToken, authorizeRole } = require('../middlewares/auth');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { can, principalOf } = require('../policies');
 const { asyncHandler } = require('../middlewares/errorHandler');
+const { uploadsDir, upload } = require('../middlewares/fileUpload');
 
 const router = express.Router();
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure multer storage
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        let uploadPath = uploadsDir;
-
-        // Create subdirectories based on file type
-        if (file.fieldname === 'resume') {
-            uploadPath = path.join(uploadsDir, 'resumes');
-        } else if (file.fieldname === 'profilePicture') {
-            uploadPath = path.join(uploadsDir, 'profile-pictures');
-        } else if (file.fieldname === 'companyLogo') {
-            uploadPath = path.join(uploadsDir, 'company-logos');
-        } else if (file.fieldname === 'projectImage') {
-            uploadPath = path.join(uploadsDir, 'project-images');
-        }
-
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
-        }
-
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        // Generate unique filename
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-    }
-});
-
-// File filter function
-const fileFilter = (req, file, cb) => {
-    const allowedMimes = {
-        'resume': ['application/pdf'],
-        'profilePicture': ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
-        'companyLogo': ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
-        'projectImage': ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
-    };
-
-    const allowedTypes = allowedMimes[file.fieldname] || [];
-
-    if (allowedTypes.includes(file.mimetype)) {
-        cb(null, true);
-    } else {
-        cb(new Error(`Invalid file type for ${file.fieldname}. Allowed types: ${allowedTypes.join(', ')}`), false);
-    }
-};
-
-// Configure multer
-const upload = multer({
-    storage,
-    fileFilter,
-    limits: {
-        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
-    }
-});
-
 /**
  * @swagger
  * /api/upload/resume:
@@ -123,7 +61,7 @@ const upload = multer({
  *       413:
  *         description: File too large
  */
-router.post('/resume', authenticateToken, authorizeRole('Developer'), upload.single('resume'), asyncHandler(async (req, res) => {
+router.post('/resume', authenticateToken, authorize('developer:update', req => req.user), upload.single('resume'), asyncHandler(async (req, res) => {
     if (!req.file) {
         return res.status(400).json({
             success: false,
@@ -179,7 +117,7 @@ router.post('/resume', authenticateToken, authorizeRole('Developer'), upload.sin
  *       413:
  *         description: File too large
  */
-router.post('/profile-picture', authenticateToken, authorizeRole('Developer'), upload.single('profilePicture'), asyncHandler(async (req, res) => {
+router.post('/profile-picture', authenticateToken, authorize('developer:update', req => req.user), upload.single('profilePicture'), asyncHandler(async (req, res) => {
     if (!req.file) {
         return res.status(400).json({
             success: false,
@@ -232,10 +170,12 @@ router.post('/profile-picture', authenticateToken, authorizeRole('Developer'), u
  *         description: Validation error or invalid file
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Only team owners can change the company logo
  *       413:
  *         description: File too large
  */
-router.post('/company-logo', authenticateToken, authorizeRole('Employer'), upload.single('companyLogo'), asyncHandler(async (req, res) => {
+router.post('/company-logo', authenticateToken, authorize('employer:update', req => req.user), upload.single('companyLogo'), asyncHandler(async (req, res) => {
     if (!req.file) {
         return res.status(400).json({
             success: false,
@@ -291,7 +231,7 @@ router.post('/company-logo', authenticateToken, authorizeRole('Employer'), uploa
  *       413:
  *         description: File too large
  */
-router.post('/project-image', authenticateToken, authorizeRole('Developer'), upload.single('projectImage'), asyncHandler(async (req, res) => {
+router.post('/project-image', authenticateToken, authorize('project:update', req => ({ developerId: req.user._id })), upload.single('projectImage'), asyncHandler(async (req, res) => {
     if (!req.file) {
         return res.status(400).json({
             success: false,
@@ -343,7 +283,7 @@ router.post('/project-image', authenticateToken, authorizeRole('Developer'), upl
  *       413:
  *         description: Files too large
  */
-router.post('/multiple', authenticateToken, upload.array('files', 5), asyncHandler(async (req, res) => {
+router.post('/multiple', authenticateToken, authorize('file:upload'), upload.array('files', 5), asyncHandler(async (req, res) => {
     if (!req.files || req.files.length === 0) {
         return res.status(400).json({
             success: false,
@@ -366,6 +306,23 @@ router.post('/multiple', authenticateToken, upload.array('files', 5), asyncHandl
     });
 }));
 
+/**
+ * The current user's ID when their profile references the file, otherwise null
+ */
+const findOwnFile = async (req, fileUrl) => {
+    if (req.userRole === 'Developer') {
+        const developer = await Developer.findById(req.user._id);
+        return developer && [developer.resumeUrl, developer.profilePicture].includes(fileUrl) ? developer._id : null;
+    }
+
+    if (req.userRole === 'Employer') {
+        const employer = await Employer.findById(req.user._id);
+        return employer && employer.companyLogo === fileUrl ? employer._id : null;
+    }
+
+    return null;
+};
+
 /**
  * @swagger
  * /api/upload/files/{filename}:
@@ -389,7 +346,7 @@ router.post('/multiple', authenticateToken, upload.array('files', 5), asyncHandl
  *       404:
  *         description: File not found
  */
-router.delete('/files/:filename', authenticateToken, asyncHandler(async (req, res) => {
+router.delete('/files/:filename', authenticateToken, authorize('file:delete'), asyncHandler(async (req, res) => {
     const { filename } = req.params;
 
     // Find file in uploads directory
@@ -411,32 +368,15 @@ router.delete('/files/:filename', authenticateToken, asyncHandler(async (req, re
         });
     }
 
-    // Check if user has permission to delete this file
-    // This is a basic check - you might want to implement more sophisticated permission checking
-    if (req.userRole === 'Admin') {
-        // Admin can delete any file
-    } else {
-        // Regular users can only delete their own files
-        // You might want to store file ownership in a separate collection
-        const fileUrl = filePath.replace(uploadsDir, '/uploads');
+    // Files belong to the profile that references them
+    const fileUrl = filePath.replace(uploadsDir, '/uploads');
+    const file = { ownerId: await findOwnFile(req, fileUrl) };
 
-        if (req.userRole === 'Developer') {
-            const developer = await Developer.findById(req.user._id);
-            if (developer.resumeUrl !== fileUrl && developer.profilePicture !== fileUrl) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. You can only delete your own files.',
-                });
-            }
-        } else if (req.userRole === 'Employer') {
-            const employer = await Employer.findById(req.user._id);
-            if (employer.companyLogo !== fileUrl) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. You can only delete your own files.',
-                });
-            }
-        }
+    if (!can(principalOf(req), 'file:delete', file)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only delete your own files.',
+        });
     }
 
     // Delete file
@@ -462,7 +402,7 @@ router.delete('/files/:filename', authenticateToken, asyncHandler(async (req, re
  *       401:
  *         description: Unauthorized
  */
-router.get('/files', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/files', authenticateToken, authorize('file:read'), asyncHandler(async (req, res) => {
     let userFiles = [];
 
     if (req.userRole === 'Developer') {
@@ -0,0 +1,62 @@
+// Admin bootstrap script
+//
+// Usage:
+//   node scripts/createAdmin.js --email admin@example.com --password 's3cret-pass' --name "Site Admin"
+//
+// Values can also come from ADMIN_EMAIL, ADMIN_PASSWORD and ADMIN_NAME.
+// Running it again for an existing email resets that admin's password and reactivates it.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+};
+
+const createAdmin = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const email = args.email || process.env.ADMIN_EMAIL;
+    const password = args.password || process.env.ADMIN_PASSWORD;
+    const name = args.name || process.env.ADMIN_NAME || 'Administrator';
+
+    try {
+        if (!email || !password) {
+            throw new Error('Both --email and --password (or ADMIN_EMAIL and ADMIN_PASSWORD) are required');
+        }
+
+        if (!process.env.MONGODB_URI) {
+            throw new Error('MONGODB_URI environment variable is not set');
+        }
+
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        let admin = await Admin.findOne({ email: email.toLowerCase() });
+        if (admin) {
+            admin.password = password;
+            admin.isActive = true;
+            if (args.name || process.env.ADMIN_NAME) admin.name = name;
+            await admin.save();
+            console.log(`🔑 Updated existing admin ${admin.email}`);
+        } else {
+            admin = await Admin.create({ name, email, password });
+            console.log(`✅ Created admin ${admin.email}`);
+        }
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Failed to create admin:', error.message);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+};
+
+createAdmin();
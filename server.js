@@ -10,6 +10,8 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const cookieParser = require('cookie-parser');
 require('dotenv').config();
+const { getJwks, assertKeyringConfigured } = require('./utils/keyring');
+const { startJobs } = require('./jobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -75,8 +77,8 @@ const corsOptions = {
     return callback(new Error(`CORS blocked for origin: ${origin}`));
   },
   methods: ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
-  exposedHeaders: ['Content-Length'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-API-Key', 'X-CSRF-Token', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Length', 'X-Impersonated-By', 'Idempotent-Replayed'],
   credentials: true,
   maxAge: 600,
   optionsSuccessStatus: 204,
@@ -122,12 +124,27 @@ app.get('/api/env-check', (req, res) => {
   });
 });
 
+// Public keys for verifying our access tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getJwks());
+});
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/developers', require('./routes/developers'));
 app.use('/api/employers', require('./routes/employers'));
+app.use('/api/team', require('./routes/team'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
+app.use('/api/admin', require('./routes/admin'));
 app.use('/api/projects', require('./routes/projects'));
+app.use('/api/job-requests/:id/messages', require('./routes/messages'));
+app.use('/api/job-requests/:id/interview', require('./routes/interviews'));
 app.use('/api/job-requests', require('./routes/jobRequests'));
+app.use('/api/job-request-templates', require('./routes/jobRequestTemplates'));
+app.use('/api/job-postings', require('./routes/jobPostings'));
+app.use('/api/shortlists', require('./routes/shortlists'));
+app.use('/api/calendar', require('./routes/calendar'));
 app.use('/api/search', require('./routes/search'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/upload', require('./routes/upload'));
@@ -168,6 +185,8 @@ const connectDB = async () => {
     await mongoose.connect(mongoURI);
     console.log('✅ Connected to MongoDB');
 
+    startJobs();
+
     app.listen(PORT, () => {
       console.log(`🚀 Server is running on port ${PORT}`);
       console.log(`📚 Swagger documentation available at http://localhost:${PORT}/api-docs`);
@@ -200,6 +219,15 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+// Refuse to start without usable JWT keys
+try {
+  assertKeyringConfigured();
+} catch (err) {
+  console.error('❌ JWT key configuration error:', err.message);
+  console.error('Please check JWT_SECRET, JWT_KEYS or JWT_KEYS_FILE');
+  process.exit(1);
+}
+
 // Start the application
 connectDB();
 
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Developer = require('../models/Developer');
+const Employer = require('../models/Employer');
+const Account = require('../models/Account');
+const Project = require('../models/Project');
+const JobRequest = require('../models/JobRequest');
+const CompanyMember = require('../models/CompanyMember');
+const ApiKey = require('../models/ApiKey');
+const Message = require('../models/Message');
+const CalendarFeed = require('../models/CalendarFeed');
+const JobRequestBatch = require('../models/JobRequestBatch');
+const JobRequestTemplate = require('../models/JobRequestTemplate');
+const JobPosting = require('../models/JobPosting');
+const Shortlist = require('../models/Shortlist');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AuditLog = require('../models/AuditLog');
+const authRouter = require('../routes/auth');
+const loginThrottle = require('../utils/loginThrottle');
+const { purgeAccount, purgeDueAccounts } = require('../utils/accountData');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PASSWORD = 'Secret123!';
+
+let developers;
+let employers;
+let jobRequests;
+let auditLogs;
+
+beforeEach(() => {
+    [developers, employers, jobRequests, auditLogs] = useMemoryModels(
+        Developer, Employer, JobRequest, AuditLog,
+        Account, Project, CompanyMember, ApiKey, Message, CalendarFeed,
+        JobRequestBatch, JobRequestTemplate, JobPosting, Shortlist, Session, RefreshToken
+    );
+    loginThrottle.setStore(new loginThrottle.MemoryStore());
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const developerProfile = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Sara',
+    lastName: 'Ahmadi',
+    email: 'sara@example.com',
+    password: bcrypt.hashSync(PASSWORD, 4),
+    deletionScheduledAt: null,
+    ...fields,
+});
+
+const employerProfile = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    companyName: 'Acme',
+    email: 'jobs@acme.example',
+    ...fields,
+});
+
+// A job request carrying every kind of free text either side can write
+const discussedJobRequest = (developer, employer, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    employerId: employer._id,
+    developerId: developer._id,
+    title: 'Backend developer',
+    status: 'accepted',
+    employerNotes: 'Strong candidate',
+    developerNotes: 'I can start in May',
+    interviewNotes: 'Ask Sara about her time at Bank Melli',
+    proposals: [
+        { version: 1, side: 'Developer', proposedBy: developer._id, proposedByModel: 'Developer', salaryOffer: 6000, salaryType: 'monthly', terms: 'Remote while my kids are in school' },
+        { version: 2, side: 'Employer', proposedBy: employer._id, proposedByModel: 'Employer', salaryOffer: 5500, salaryType: 'monthly', terms: 'Remote two days a week' },
+    ],
+    agreedTerms: {
+        version: 2, side: 'Employer', proposedBy: employer._id, proposedByModel: 'Employer', salaryOffer: 5500, salaryType: 'monthly',
+        terms: 'Remote two days a week', acceptedBy: developer._id, acceptedByModel: 'Developer',
+    },
+    statusHistory: [
+        { from: null, to: 'pending', changedBy: employer._id, changedByModel: 'Employer' },
+        { from: 'pending', to: 'accepted', changedBy: developer._id, changedByModel: 'Developer', note: 'Moving cities next month' },
+    ],
+    stageHistory: [{ from: null, to: 'intro-call', note: 'Sounded nervous on the phone' }],
+    ...fields,
+});
+
+describe('purgeAccount', () => {
+    const due = { deletionScheduledAt: new Date(Date.now() - 1000) };
+
+    it("removes the free text on a deleted developer's job requests", async () => {
+        const developer = developerProfile(due);
+        const employer = employerProfile();
+        developers.push(developer);
+        jobRequests.push(discussedJobRequest(developer, employer));
+
+        await purgeAccount('Developer', developer);
+
+        const [jobRequest] = jobRequests;
+        expect(jobRequest.developerNotes).toBeUndefined();
+        expect(jobRequest.interviewNotes).toBeUndefined();
+        expect(jobRequest.proposals.map(proposal => proposal.terms)).toEqual([undefined, undefined]);
+        expect(jobRequest.proposals.map(proposal => proposal.salaryOffer)).toEqual([6000, 5500]);
+        expect(jobRequest.agreedTerms.terms).toBeUndefined();
+        expect(jobRequest.agreedTerms.salaryOffer).toBe(5500);
+        expect(jobRequest.statusHistory.map(change => change.note)).toEqual([undefined, undefined]);
+        expect(jobRequest.stageHistory.map(change => change.note)).toEqual([undefined]);
+        // The company's private notes are theirs to keep
+        expect(jobRequest.employerNotes).toBe('Strong candidate');
+        expect(developers).toHaveLength(0);
+    });
+
+    it("removes the free text on a deleted company's job requests", async () => {
+        const developer = developerProfile();
+        const employer = employerProfile(due);
+        employers.push(employer);
+        jobRequests.push(discussedJobRequest(developer, employer));
+
+        await purgeAccount('Employer', employer);
+
+        const [jobRequest] = jobRequests;
+        expect(jobRequest.employerNotes).toBeUndefined();
+        expect(jobRequest.sentBy).toBeNull();
+        expect(jobRequest.interviewNotes).toBeUndefined();
+        expect(jobRequest.proposals.some(proposal => proposal.terms)).toBe(false);
+        expect(jobRequest.agreedTerms.terms).toBeUndefined();
+        expect(jobRequest.statusHistory.some(change => change.note)).toBe(false);
+        expect(jobRequest.developerNotes).toBe('I can start in May');
+    });
+
+    it('closes pending requests and leaves other people alone', async () => {
+        const developer = developerProfile(due);
+        const employer = employerProfile();
+        const other = developerProfile({ email: 'ali@example.com' });
+        developers.push(developer, other);
+        jobRequests.push(
+            discussedJobRequest(developer, employer, { status: 'pending', agreedTerms: null, stageHistory: [] }),
+            discussedJobRequest(other, employer)
+        );
+
+        await purgeAccount('Developer', developer);
+
+        expect(jobRequests[0].status).toBe('rejected');
+        expect(jobRequests[0].statusHistory[2]).toMatchObject({ to: 'rejected', reason: 'account_deleted' });
+        expect(jobRequests[1]).toMatchObject({
+            status: 'accepted',
+            interviewNotes: 'Ask Sara about her time at Bank Melli',
+            developerNotes: 'I can start in May',
+        });
+        expect(jobRequests[1].proposals[0].terms).toBe('Remote while my kids are in school');
+        expect(auditLogs.map(entry => entry.action)).toEqual(['account.delete']);
+    });
+
+    it('keeps an account whose deletion was cancelled after it was found due', async () => {
+        const developer = developerProfile(due);
+        developers.push({ ...developer, deletionScheduledAt: null });
+        jobRequests.push(discussedJobRequest(developer, employerProfile()));
+
+        expect(await purgeAccount('Developer', developer)).toBe(false);
+
+        expect(developers).toHaveLength(1);
+        expect(jobRequests[0].interviewNotes).toBe('Ask Sara about her time at Bank Melli');
+        expect(auditLogs).toHaveLength(0);
+    });
+
+    it('keeps an account whose deletion is not due yet', async () => {
+        const developer = developerProfile({ deletionScheduledAt: new Date(Date.now() + DAY_MS) });
+        developers.push(developer);
+
+        expect(await purgeAccount('Developer', developer)).toBe(false);
+        expect(developers).toHaveLength(1);
+    });
+});
+
+describe('logging in during the grace period', () => {
+    const login = (password = PASSWORD) => runRoute(authRouter, 'post', '/login', {
+        body: { email: 'sara@example.com', password },
+    });
+
+    it('cancels the scheduled deletion', async () => {
+        developers.push(developerProfile({ deletionScheduledAt: new Date(Date.now() + 10 * DAY_MS) }));
+
+        const res = await login();
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.deletionCancelled).toBe(true);
+        expect(res.body.data.deletionScheduledAt).toBeNull();
+        expect(developers[0].deletionScheduledAt).toBeNull();
+        expect(auditLogs).toEqual([
+            expect.objectContaining({ action: 'account.deletion_cancelled', metadata: { via: 'login' } }),
+        ]);
+    });
+
+    it('keeps the account out of the next purge', async () => {
+        developers.push(developerProfile({ deletionScheduledAt: new Date(Date.now() - 1000) }));
+        await login();
+
+        expect(await purgeDueAccounts()).toBe(0);
+        expect(developers).toHaveLength(1);
+    });
+
+    it('does not cancel on a failed login', async () => {
+        const deletionScheduledAt = new Date(Date.now() + 10 * DAY_MS);
+        developers.push(developerProfile({ deletionScheduledAt }));
+
+        const res = await login('wrong-password');
+
+        expect(res.statusCode).toBe(401);
+        expect(developers[0].deletionScheduledAt).toEqual(deletionScheduledAt);
+    });
+
+    it('no longer cancels once the purge has started', async () => {
+        const deletionScheduledAt = new Date(Date.now() - 1000);
+        developers.push(developerProfile({ deletionScheduledAt, deletionStartedAt: new Date() }));
+
+        const res = await login();
+
+        expect(res.body.deletionCancelled).toBe(false);
+        expect(developers[0].deletionScheduledAt).toEqual(deletionScheduledAt);
+    });
+
+    it('reports nothing for accounts that are not scheduled for deletion', async () => {
+        developers.push(developerProfile());
+
+        const res = await login();
+
+        expect(res.body.deletionCancelled).toBe(false);
+        expect(auditLogs).toHaveLength(0);
+    });
+});
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Developer = require('../models/Developer');
+const Employer = require('../models/Employer');
+const Account = require('../models/Account');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const authRouter = require('../routes/auth');
+const { registerTransport } = require('../utils/mailer');
+const { hashToken } = require('../utils/tokens');
+const { syncLinkedPasswords } = require('../utils/accounts');
+const loginThrottle = require('../utils/loginThrottle');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+const PASSWORD = 'Secret123!';
+const NEW_PASSWORD = 'Changed456!';
+
+let developers;
+let employers;
+let accounts;
+
+beforeAll(() => {
+    registerTransport('console', () => ({ send: async () => ({ id: 'test' }) }));
+});
+
+beforeEach(() => {
+    [developers, employers, accounts] = useMemoryModels(Developer, Employer, Account, Session, RefreshToken);
+    loginThrottle.setStore(new loginThrottle.MemoryStore());
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const developerProfile = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Sara',
+    lastName: 'Ahmadi',
+    email: 'sara@example.com',
+    password: bcrypt.hashSync(PASSWORD, 4),
+    ...fields,
+});
+
+const employerProfile = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    companyName: 'Acme',
+    email: 'sara@example.com',
+    phone: '+98 21 5555 0000',
+    city: 'Tehran',
+    password: bcrypt.hashSync(PASSWORD, 4),
+    ...fields,
+});
+
+// A developer and an employer profile under one identity
+const linkedProfiles = () => {
+    const developer = developerProfile();
+    const employer = employerProfile();
+    developers.push(developer);
+    employers.push(employer);
+    accounts.push({ _id: new mongoose.Types.ObjectId(), email: 'sara@example.com', developerId: developer._id, employerId: employer._id });
+    return { developer, employer };
+};
+
+// Someone else's company, and a developer profile that claims its email without being linked to it
+const unlinkedProfilesSharingAnEmail = () => {
+    const employer = employerProfile({ email: 'jobs@acme.com' });
+    const developer = developerProfile({ email: 'jobs@acme.com' });
+    employers.push(employer);
+    developers.push(developer);
+    accounts.push({ _id: new mongoose.Types.ObjectId(), email: 'jobs@acme.com', employerId: employer._id });
+    return { developer, employer };
+};
+
+// Save hooks don't run on the memory models, so a saved password is stored as it was set
+const passwordOf = (store, profile) => store.find(doc => doc._id.equals(profile._id)).password;
+
+describe('linking profiles', () => {
+    const signUpAsEmployer = (password) => runRoute(authRouter, 'post', '/employer/signup', {
+        body: { companyName: 'Acme', email: 'sara@example.com', password, phone: '+98 21 5555 0000', city: 'Tehran' },
+    });
+
+    it('links a second role signed up with the same password', async () => {
+        const developer = developerProfile();
+        developers.push(developer);
+
+        const res = await signUpAsEmployer(PASSWORD);
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.roles).toEqual(['Developer', 'Employer']);
+        expect(accounts).toEqual([
+            expect.objectContaining({ email: 'sara@example.com', developerId: developer._id, employerId: employers[0]._id }),
+        ]);
+    });
+
+    it('refuses a second role with a different password', async () => {
+        developers.push(developerProfile());
+
+        const res = await signUpAsEmployer('Another789!');
+
+        expect(res.statusCode).toBe(409);
+        expect(employers).toHaveLength(0);
+        expect(accounts).toHaveLength(0);
+    });
+
+    it('links every profile the login password opens', async () => {
+        const developer = developerProfile();
+        const employer = employerProfile();
+        developers.push(developer);
+        employers.push(employer);
+
+        const res = await runRoute(authRouter, 'post', '/login', { body: { email: 'sara@example.com', password: PASSWORD } });
+
+        expect(res.body.activeRole).toBe('Developer');
+        expect(res.body.roles).toEqual(['Developer', 'Employer']);
+        expect(accounts[0]).toMatchObject({ developerId: developer._id, employerId: employer._id });
+    });
+});
+
+describe('POST /api/auth/switch-role', () => {
+    const switchRole = (user, userRole, role) => runRoute(authRouter, 'post', '/switch-role', {
+        user,
+        userRole,
+        sessionId: new mongoose.Types.ObjectId(),
+        body: { role },
+    });
+
+    it('issues tokens for the linked profile of the other role', async () => {
+        const { developer, employer } = linkedProfiles();
+
+        const res = await switchRole(developer, 'Developer', 'Employer');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.activeRole).toBe('Employer');
+        expect(res.body.data._id).toEqual(employer._id);
+        expect(res.body.token).toEqual(expect.any(String));
+    });
+
+    it('does not reach a profile through an identity with the same email', async () => {
+        const { developer } = unlinkedProfilesSharingAnEmail();
+
+        const res = await switchRole(developer, 'Developer', 'Employer');
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body.token).toBeUndefined();
+    });
+});
+
+describe('password sync', () => {
+    it('gives the linked profile a changed password', async () => {
+        const { developer, employer } = linkedProfiles();
+
+        const res = await runRoute(authRouter, 'post', '/change-password', {
+            user: developer,
+            userRole: 'Developer',
+            body: { currentPassword: PASSWORD, newPassword: NEW_PASSWORD },
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(passwordOf(developers, developer)).toBe(NEW_PASSWORD);
+        expect(passwordOf(employers, employer)).toBe(NEW_PASSWORD);
+    });
+
+    it('gives the linked profile a reset password', async () => {
+        const { employer } = linkedProfiles();
+        const token = 'a'.repeat(64);
+        Object.assign(developers[0], {
+            passwordResetTokenHash: hashToken(token),
+            passwordResetExpires: new Date(Date.now() + 60 * 1000),
+        });
+
+        const res = await runRoute(authRouter, 'post', '/reset-password', {
+            body: { token, userType: 'Developer', newPassword: NEW_PASSWORD },
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(passwordOf(employers, employer)).toBe(NEW_PASSWORD);
+    });
+
+    it('leaves profiles of an identity that only shares the email alone', async () => {
+        const { developer, employer } = unlinkedProfilesSharingAnEmail();
+
+        const res = await runRoute(authRouter, 'post', '/change-password', {
+            user: developer,
+            userRole: 'Developer',
+            body: { currentPassword: PASSWORD, newPassword: NEW_PASSWORD },
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(passwordOf(employers, employer)).toBe(employer.password);
+    });
+
+    it('does nothing for a profile without an identity', async () => {
+        expect(await syncLinkedPasswords('Developer', new mongoose.Types.ObjectId(), NEW_PASSWORD)).toEqual([]);
+    });
+});
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const Employer = require('../models/Employer');
+const { generateApiKey, isApiKeyRoute } = require('../utils/apiKeys');
+const { authenticateToken, apiKeyAuthentication } = require('../middlewares/auth');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { createRequest, createResponse, runMiddleware } = require('./helpers/http');
+
+describe('isApiKeyRoute', () => {
+    it.each([
+        ['GET', '/api/job-requests', '/'],
+        ['GET', '/api/job-requests', '/64b7f0c2a1b2c3d4e5f60718'],
+        ['GET', '/api/search', '/skills'],
+        ['GET', '/api/search', '/developers/quick'],
+        ['POST', '/api/search', '/developers'],
+        ['POST', '/api/search', '/developers/'],
+    ])('accepts %s %s%s', (method, baseUrl, path) => {
+        expect(isApiKeyRoute({ method, baseUrl, path })).toBe(true);
+    });
+
+    it.each([
+        ['POST', '/api/job-requests', '/'],
+        ['PATCH', '/api/job-requests', '/64b7f0c2a1b2c3d4e5f60718/status'],
+        ['DELETE', '/api/job-requests', '/64b7f0c2a1b2c3d4e5f60718'],
+        ['POST', '/api/search', '/skills'],
+        ['POST', '/api/search', '/developers/quick'],
+        ['PUT', '/api/search', '/developers'],
+        ['GET', '/api/employers', '/profile'],
+        ['POST', '/api/api-keys', '/'],
+    ])('refuses %s %s%s', (method, baseUrl, path) => {
+        expect(isApiKeyRoute({ method, baseUrl, path })).toBe(false);
+    });
+});
+
+describe('authenticateToken with an API key', () => {
+    const employer = { _id: new mongoose.Types.ObjectId(), companyName: 'Acme' };
+    let key;
+
+    beforeEach(async () => {
+        const [, employers] = useMemoryModels(ApiKey, Employer);
+        employers.push({ ...employer });
+
+        const generated = generateApiKey();
+        key = generated.key;
+        await ApiKey.create({
+            employerId: employer._id,
+            name: 'ATS',
+            prefix: generated.prefix,
+            keyHash: generated.keyHash,
+            scopes: ['jobRequests:read', 'search:read'],
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const authenticate = async (method, baseUrl, path) => {
+        const req = createRequest({ method, baseUrl, path, headers: { 'X-API-Key': key } });
+        const res = createResponse();
+        const outcome = await runMiddleware(authenticateToken, req, res);
+        return { outcome, req, res };
+    };
+
+    it('authenticates the developer search', async () => {
+        const { outcome, req } = await authenticate('POST', '/api/search', '/developers');
+
+        expect(outcome).toBe('next');
+        expect(req.userRole).toBe('Employer');
+        expect(String(req.user._id)).toBe(String(employer._id));
+        expect(req.apiKey.name).toBe('ATS');
+    });
+
+    it('authenticates reading job requests', async () => {
+        const { outcome } = await authenticate('GET', '/api/job-requests', '/');
+
+        expect(outcome).toBe('next');
+    });
+
+    it.each([
+        ['POST', '/api/job-requests', '/'],
+        ['POST', '/api/search', '/skills'],
+        ['POST', '/api/job-requests', '/batch'],
+        ['DELETE', '/api/job-requests', '/64b7f0c2a1b2c3d4e5f60718'],
+    ])('refuses %s %s%s with 403', async (method, baseUrl, path) => {
+        const { outcome, res } = await authenticate(method, baseUrl, path);
+
+        expect(outcome).toBe('sent');
+        expect(res.statusCode).toBe(403);
+        expect(res.body.message).toBe('API keys can only be used to read job requests and search');
+    });
+
+    it('refuses an unknown key with 401', async () => {
+        key = generateApiKey().key;
+
+        const { res } = await authenticate('GET', '/api/job-requests', '/');
+
+        expect(res.statusCode).toBe(401);
+    });
+});
+
+describe('apiKeyAuthentication', () => {
+    let employers;
+
+    beforeEach(() => {
+        [, employers] = useMemoryModels(ApiKey, Employer);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const run = async (request) => {
+        const req = createRequest({ method: 'POST', baseUrl: '/api/search', path: '/developers', ...request });
+        const res = createResponse();
+        const outcome = await runMiddleware(apiKeyAuthentication, req, res);
+        return { outcome, req, res };
+    };
+
+    it('treats a stale bearer token as a guest', async () => {
+        const { outcome, req } = await run({ headers: { Authorization: 'Bearer expired.or.forged' } });
+
+        expect(outcome).toBe('next');
+        expect(req.user).toBeUndefined();
+    });
+
+    it('treats a login cookie without a CSRF header as a guest', async () => {
+        const { outcome, req } = await run({ cookies: { token: 'expired.or.forged', csrfToken: 'a'.repeat(64) } });
+
+        expect(outcome).toBe('next');
+        expect(req.user).toBeUndefined();
+    });
+
+    it('authenticates an API key', async () => {
+        const employer = { _id: new mongoose.Types.ObjectId(), companyName: 'Acme', email: 'jobs@acme.com' };
+        employers.push(employer);
+        const generated = generateApiKey();
+        await ApiKey.create({
+            employerId: employer._id,
+            name: 'ATS',
+            prefix: generated.prefix,
+            keyHash: generated.keyHash,
+            scopes: ['search:read'],
+        });
+
+        const { outcome, req } = await run({ headers: { 'X-API-Key': generated.key } });
+
+        expect(outcome).toBe('next');
+        expect(req.apiKey.scopes).toEqual(['search:read']);
+    });
+
+    it('still refuses an unknown key', async () => {
+        const { res } = await run({ headers: { 'X-API-Key': generateApiKey().key } });
+
+        expect(res.statusCode).toBe(401);
+    });
+});
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Developer = require('../models/Developer');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const authRouter = require('../routes/auth');
+const { ensureCsrfCookie, hasValidCsrfToken } = require('../utils/csrf');
+const { issueAuthTokens } = require('../utils/tokens');
+const { authenticateToken } = require('../middlewares/auth');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { createRequest, createResponse, runMiddleware, runRoute } = require('./helpers/http');
+
+const CSRF_TOKEN = 'a'.repeat(64);
+
+describe('hasValidCsrfToken', () => {
+    const request = (method, cookie, header) => createRequest({
+        method,
+        cookies: cookie === undefined ? {} : { csrfToken: cookie },
+        headers: header === undefined ? {} : { 'X-CSRF-Token': header },
+    });
+
+    it.each(['GET', 'HEAD', 'OPTIONS'])('lets %s through without a token', (method) => {
+        expect(hasValidCsrfToken(request(method))).toBe(true);
+    });
+
+    it.each(['POST', 'PUT', 'PATCH', 'DELETE'])('accepts %s when the header echoes the cookie', (method) => {
+        expect(hasValidCsrfToken(request(method, CSRF_TOKEN, CSRF_TOKEN))).toBe(true);
+    });
+
+    it.each([
+        ['no cookie and no header', undefined, undefined],
+        ['only the cookie', CSRF_TOKEN, undefined],
+        ['only the header', undefined, CSRF_TOKEN],
+        ['a different header', CSRF_TOKEN, 'b'.repeat(64)],
+        ['a shorter header', CSRF_TOKEN, 'a'.repeat(63)],
+        ['a malformed cookie echoed back', 'not-a-token', 'not-a-token'],
+    ])('refuses a POST with %s', (name, cookie, header) => {
+        expect(hasValidCsrfToken(request('POST', cookie, header))).toBe(false);
+    });
+});
+
+describe('ensureCsrfCookie', () => {
+    it('keeps a valid existing token', () => {
+        const res = createResponse();
+
+        expect(ensureCsrfCookie(createRequest({ cookies: { csrfToken: CSRF_TOKEN } }), res)).toBe(CSRF_TOKEN);
+        expect(res.cookies.csrfToken).toMatchObject({ value: CSRF_TOKEN, options: { httpOnly: false } });
+    });
+
+    it('replaces a malformed token', () => {
+        const token = ensureCsrfCookie(createRequest({ cookies: { csrfToken: 'forged' } }), createResponse());
+
+        expect(token).toMatch(/^[a-f0-9]{64}$/);
+    });
+});
+
+describe('authenticateToken CSRF protection', () => {
+    let token;
+
+    beforeEach(async () => {
+        const [developers] = useMemoryModels(Developer, Session, RefreshToken);
+        const developer = { _id: new mongoose.Types.ObjectId(), firstName: 'Sara', lastName: 'Ahmadi', email: 'sara@example.com' };
+        developers.push(developer);
+        ({ token } = await issueAuthTokens(createRequest(), createResponse(), developer, 'Developer'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const authenticate = async ({ method, headers = {}, cookies = {} }) => {
+        const req = createRequest({ method, headers, cookies });
+        const res = createResponse();
+        const outcome = await runMiddleware(authenticateToken, req, res);
+        return { outcome, res };
+    };
+
+    it('refuses a cookie-authenticated POST without the header', async () => {
+        const { outcome, res } = await authenticate({ method: 'POST', cookies: { token, csrfToken: CSRF_TOKEN } });
+
+        expect(outcome).toBe('sent');
+        expect(res.statusCode).toBe(403);
+        expect(res.body.message).toBe('Invalid or missing CSRF token');
+    });
+
+    it.each(['PUT', 'PATCH', 'DELETE'])('refuses a cookie-authenticated %s with a wrong header', async (method) => {
+        const { res } = await authenticate({
+            method,
+            cookies: { token, csrfToken: CSRF_TOKEN },
+            headers: { 'X-CSRF-Token': 'b'.repeat(64) },
+        });
+
+        expect(res.statusCode).toBe(403);
+    });
+
+    it('accepts a cookie-authenticated POST that echoes the cookie', async () => {
+        const { outcome } = await authenticate({
+            method: 'POST',
+            cookies: { token, csrfToken: CSRF_TOKEN },
+            headers: { 'X-CSRF-Token': CSRF_TOKEN },
+        });
+
+        expect(outcome).toBe('next');
+    });
+
+    it('lets a cookie-authenticated GET through', async () => {
+        const { outcome } = await authenticate({ method: 'GET', cookies: { token } });
+
+        expect(outcome).toBe('next');
+    });
+
+    it('does not ask bearer tokens for a CSRF token', async () => {
+        const { outcome } = await authenticate({ method: 'POST', headers: { Authorization: `Bearer ${token}` } });
+
+        expect(outcome).toBe('next');
+    });
+});
+
+describe('POST /refresh CSRF protection', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+        useMemoryModels(Session, RefreshToken);
+        const developer = { _id: new mongoose.Types.ObjectId() };
+        ({ refreshToken } = await issueAuthTokens(createRequest(), createResponse(), developer, 'Developer'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('refuses a refresh token from the cookie without the header', async () => {
+        const res = await runRoute(authRouter, 'post', '/refresh', {
+            cookies: { refreshToken, csrfToken: CSRF_TOKEN },
+        });
+
+        expect(res.statusCode).toBe(403);
+    });
+
+    it('accepts a refresh token from the cookie with the header', async () => {
+        const res = await runRoute(authRouter, 'post', '/refresh', {
+            cookies: { refreshToken, csrfToken: CSRF_TOKEN },
+            headers: { 'X-CSRF-Token': CSRF_TOKEN },
+        });
+
+        expect(res.statusCode).toBe(200);
+    });
+
+    it('does not ask for the header when the refresh token is in the body', async () => {
+        const res = await runRoute(authRouter, 'post', '/refresh', { body: { refreshToken } });
+
+        expect(res.statusCode).toBe(200);
+    });
+});
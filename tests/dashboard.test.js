@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Employer = require('../models/Employer');
+const JobRequest = require('../models/JobRequest');
+const JobPosting = require('../models/JobPosting');
+const Message = require('../models/Message');
+const dashboardRouter = require('../routes/dashboard');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+describe('GET /api/dashboard/employer', () => {
+    const employer = { _id: new mongoose.Types.ObjectId(), companyName: 'Acme', email: 'jobs@acme.example' };
+    let jobRequests;
+
+    beforeEach(() => {
+        let employers;
+        [employers, jobRequests] = useMemoryModels(Employer, JobRequest, JobPosting, Message);
+        employers.push({ ...employer });
+        // The pipeline funnel is counted by aggregation, which the memory models don't run
+        jest.spyOn(JobRequest, 'aggregate').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const jobRequest = (status, employerId = employer._id) => ({
+        _id: new mongoose.Types.ObjectId(),
+        employerId,
+        developerId: new mongoose.Types.ObjectId(),
+        jobTitle: 'Backend developer',
+        status,
+    });
+
+    it('counts the requests that expired unanswered', async () => {
+        jobRequests.push(
+            jobRequest('expired'),
+            jobRequest('expired'),
+            jobRequest('pending'),
+            jobRequest('rejected'),
+            jobRequest('expired', new mongoose.Types.ObjectId())
+        );
+
+        const res = await runRoute(dashboardRouter, 'get', '/employer', { user: employer, userRole: 'Employer' });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({
+            totalSentRequests: 4,
+            pendingRequests: 1,
+            rejectedRequests: 1,
+            expiredRequests: 2,
+        });
+    });
+
+    it('reports zero when nothing expired', async () => {
+        jobRequests.push(jobRequest('pending'));
+
+        const res = await runRoute(dashboardRouter, 'get', '/employer', { user: employer, userRole: 'Employer' });
+
+        expect(res.body.data.expiredRequests).toBe(0);
+    });
+});
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Developer = require('../models/Developer');
+const developersRouter = require('../routes/developers');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+describe('PUT /api/developers/profile', () => {
+    let developers;
+
+    beforeEach(() => {
+        [developers] = useMemoryModels(Developer);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps the verified email address', async () => {
+        const verifiedAt = new Date('2026-01-05T10:00:00Z');
+        const developer = {
+            _id: new mongoose.Types.ObjectId(),
+            firstName: 'Sara',
+            lastName: 'Ahmadi',
+            email: 'sara@example.com',
+            emailVerified: true,
+            emailVerifiedAt: verifiedAt,
+        };
+        developers.push(developer);
+
+        const res = await runRoute(developersRouter, 'put', '/profile', {
+            user: developer,
+            userRole: 'Developer',
+            body: { firstName: 'Sara', lastName: 'Karimi', email: 'jobs@acme.example' },
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(developers[0]).toMatchObject({
+            lastName: 'Karimi',
+            email: 'sara@example.com',
+            emailVerified: true,
+            emailVerifiedAt: verifiedAt,
+        });
+    });
+});
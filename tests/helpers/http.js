@@ -0,0 +1,122 @@
+const { authenticateToken } = require('../../middlewares/auth');
+
+/**
+ * Minimal Express request and response doubles, and a way to run one route of
+ * a router through its middleware and handler without starting a server.
+ */
+
+const createRequest = ({ headers = {}, ...fields } = {}) => {
+    const req = {
+        method: 'GET',
+        baseUrl: '',
+        path: '/',
+        originalUrl: '/',
+        params: {},
+        query: {},
+        body: {},
+        cookies: {},
+        ip: '127.0.0.1',
+        ...fields,
+        headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+    };
+    req.get = req.header = (name) => req.headers[name.toLowerCase()];
+    return req;
+};
+
+const createResponse = () => {
+    const listeners = [];
+    const res = {
+        statusCode: 200,
+        headers: {},
+        cookies: {},
+        clearedCookies: [],
+        body: undefined,
+        headersSent: false,
+    };
+
+    const finish = (body) => {
+        res.body = body;
+        res.headersSent = true;
+        listeners.splice(0).forEach(listener => listener());
+        return res;
+    };
+
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.set = res.setHeader = (name, value) => {
+        if (typeof name === 'object') {
+            Object.entries(name).forEach(([key, item]) => res.set(key, item));
+        } else {
+            res.headers[name.toLowerCase()] = value;
+        }
+        return res;
+    };
+    res.get = res.getHeader = (name) => res.headers[name.toLowerCase()];
+    res.cookie = (name, value, options) => {
+        res.cookies[name] = { value, options };
+        return res;
+    };
+    res.clearCookie = (name) => {
+        res.clearedCookies.push(name);
+        return res;
+    };
+    res.on = res.once = (event, listener) => {
+        if (event === 'finish') listeners.push(listener);
+        return res;
+    };
+    res.json = finish;
+    res.send = finish;
+    res.end = finish;
+    res.sendStatus = (code) => finish(res.status(code).statusCode);
+
+    return res;
+};
+
+/**
+ * Run a middleware; resolves to 'next' when it passes the request on, or to
+ * 'sent' when it answers it. Errors handed to next() reject.
+ */
+const runMiddleware = (middleware, req, res) => new Promise((resolve, reject) => {
+    res.on('finish', () => resolve('sent'));
+    middleware(req, res, (error) => (error ? reject(error) : resolve('next')));
+});
+
+/**
+ * Run a request through a route of a router, skipping authentication: set
+ * req.user, req.userRole and the rest as authenticateToken would.
+ * Resolves to the response once it has been sent.
+ */
+const runRoute = async (router, method, path, request = {}) => {
+    const layer = router.stack.find(entry => entry.route
+        && entry.route.path === path
+        && entry.route.methods[method.toLowerCase()]);
+    if (!layer) {
+        throw new Error(`No route ${method} ${path}`);
+    }
+
+    const req = createRequest({
+        sessionId: null,
+        member: null,
+        impersonator: null,
+        apiKey: null,
+        ...request,
+        method: method.toUpperCase(),
+    });
+    const res = createResponse();
+
+    const handlers = layer.route.stack
+        .map(entry => entry.handle)
+        .filter(handle => handle !== authenticateToken);
+
+    for (const handler of handlers) {
+        if (await runMiddleware(handler, req, res) === 'sent') break;
+    }
+    // Let work started after the response (audit entries, mail) settle
+    await new Promise(resolve => setImmediate(resolve));
+
+    return res;
+};
+
+module.exports = { createRequest, createResponse, runMiddleware, runRoute };
@@ -0,0 +1,485 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-memory stand-ins for Mongoose models, so code that queries the database
+ * can be tested without MongoDB.
+ *
+ * useMemoryModels(Model, ...) replaces the query methods of each model with
+ * versions backed by an array of plain documents and returns those arrays, in
+ * the same order. Only the filters and update operators this app uses are
+ * supported; anything else throws rather than quietly matching nothing.
+ * Queries populate single references to other models in the same call
+ * (every field of the referenced document); references to models that are
+ * not backed are left as IDs. Aggregations are not run: stub
+ * Model.aggregate in the test when needed.
+ *
+ * Restore the real methods with jest.restoreAllMocks() after each test.
+ */
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId
+    || (value !== null && typeof value === 'object' && value._bsontype === 'ObjectId');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+    && !Array.isArray(value) && !isObjectId(value) && !(value instanceof Date)
+    && !(value instanceof RegExp) && !Buffer.isBuffer(value)
+    && !(value instanceof mongoose.Document);
+
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+// Compare ids, dates and populated documents by value
+const normalize = (value) => {
+    if (value instanceof mongoose.Document) return String(value._id);
+    if (isObjectId(value)) return value.toString();
+    if (value instanceof Date) return value.getTime();
+    if (Array.isArray(value)) return value.map(normalize);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+    }
+    return value;
+};
+
+const equals = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const compare = (a, b) => {
+    const x = normalize(a);
+    const y = normalize(b);
+    if (x < y) return -1;
+    return x > y ? 1 : 0;
+};
+
+const isSet = (value) => value !== null && value !== undefined;
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).length > 0
+    && Object.keys(value).every(key => key.startsWith('$'));
+
+// Every value reached by a dotted path, stepping into arrays of subdocuments
+const valuesAt = (value, parts) => {
+    if (parts.length === 0) return [value];
+    if (Array.isArray(value)) {
+        if (/^\d+$/.test(parts[0])) return valuesAt(value[Number(parts[0])], parts.slice(1));
+        return value.length ? value.flatMap(item => valuesAt(item, parts)) : [undefined];
+    }
+    if (!isSet(value) || typeof value !== 'object') return [undefined];
+    return valuesAt(value[parts[0]], parts.slice(1));
+};
+
+// The backed models, by name, so queries can populate references between them
+const stores = new Map();
+
+let matches;
+
+const matchesCondition = (values, condition) => {
+    // An array field matches on the array itself or on any of its elements
+    const candidates = values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+    if (condition instanceof RegExp) {
+        return candidates.some(value => typeof value === 'string' && condition.test(value));
+    }
+    if (!isOperatorObject(condition)) {
+        if (condition === null) return candidates.some(value => !isSet(value));
+        return candidates.some(value => equals(value, condition));
+    }
+
+    return Object.entries(condition).every(([operator, argument]) => {
+        switch (operator) {
+            case '$eq': return matchesCondition(values, argument);
+            case '$ne': return !matchesCondition(values, argument);
+            case '$in': return argument.some(item => matchesCondition(values, item));
+            case '$nin': return !argument.some(item => matchesCondition(values, item));
+            case '$exists': return values.some(isSet) === Boolean(argument);
+            case '$gt': return candidates.some(value => isSet(value) && compare(value, argument) > 0);
+            case '$gte': return candidates.some(value => isSet(value) && compare(value, argument) >= 0);
+            case '$lt': return candidates.some(value => isSet(value) && compare(value, argument) < 0);
+            case '$lte': return candidates.some(value => isSet(value) && compare(value, argument) <= 0);
+            case '$size': return values.some(value => Array.isArray(value) && value.length === argument);
+            case '$elemMatch':
+                return values.some(value => Array.isArray(value) && value.some(item => matches(item, argument)));
+            case '$regex': {
+                const pattern = new RegExp(argument, condition.$options || '');
+                return candidates.some(value => typeof value === 'string' && pattern.test(value));
+            }
+            case '$options': return true;
+            default: throw new Error(`Memory models do not support the ${operator} filter`);
+        }
+    });
+};
+
+matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+    if (key.startsWith('$')) throw new Error(`Memory models do not support the ${key} filter`);
+    return matchesCondition(valuesAt(doc, key.split('.')), condition);
+});
+
+const getPath = (doc, path) => path.split('.')
+    .reduce((value, part) => (isSet(value) ? value[part] : undefined), doc);
+
+const setPath = (doc, path, value) => {
+    const parts = path.split('.');
+    let target = doc;
+    parts.slice(0, -1).forEach(part => {
+        if (!isSet(target[part])) target[part] = {};
+        target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+    const parts = path.split('.');
+    const parent = getPath(doc, parts.slice(0, -1).join('.')) ?? (parts.length === 1 ? doc : undefined);
+    if (isSet(parent)) delete parent[parts[parts.length - 1]];
+};
+
+// The index of the array element the filter matched, for the positional `$`
+const positionalIndex = (array, prefix, filter) => {
+    const conditions = Object.entries(filter)
+        .filter(([key]) => key === prefix || key.startsWith(`${prefix}.`));
+    return array.findIndex(item => conditions.every(([key, condition]) => (key === prefix
+        ? matchesCondition([item], condition)
+        : matchesCondition(valuesAt(item, key.slice(prefix.length + 1).split('.')), condition))));
+};
+
+// Resolve `$` and `$[]` in an update path to the concrete paths it touches
+const concretePaths = (doc, path, filter) => {
+    const parts = path.split('.');
+    const index = parts.findIndex(part => part === '$' || part === '$[]');
+    if (index === -1) return [path];
+
+    const prefix = parts.slice(0, index).join('.');
+    const rest = parts.slice(index + 1).join('.');
+    const array = getPath(doc, prefix) || [];
+    const indices = parts[index] === '$[]'
+        ? array.map((item, i) => i)
+        : [positionalIndex(array, prefix, filter)];
+
+    return indices
+        .filter(i => i >= 0)
+        .flatMap(i => concretePaths(doc, [prefix, i, rest].filter(part => part !== '').join('.'), filter));
+};
+
+const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$push', '$pull', '$addToSet', '$max', '$min', '$setOnInsert'];
+
+const applyUpdate = (doc, update, filter, { inserting = false } = {}) => {
+    if (Array.isArray(update)) throw new Error('Memory models do not support pipeline updates');
+
+    const fields = Object.fromEntries(Object.entries(update).filter(([key]) => !key.startsWith('$')));
+    const unknown = Object.keys(update).find(key => key.startsWith('$') && !UPDATE_OPERATORS.includes(key));
+    if (unknown) throw new Error(`Memory models do not support the ${unknown} update`);
+
+    const each = (operator, apply) => Object.entries(update[operator] || {}).forEach(([path, value]) => {
+        concretePaths(doc, path, filter).forEach(concrete => apply(concrete, value));
+    });
+
+    const sets = { ...fields, ...update.$set, ...(inserting ? update.$setOnInsert : {}) };
+    Object.entries(sets).forEach(([path, value]) => {
+        concretePaths(doc, path, filter).forEach(concrete => setPath(doc, concrete, clone(value)));
+    });
+    each('$unset', (path) => unsetPath(doc, path));
+    each('$inc', (path, value) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+    each('$max', (path, value) => {
+        const current = getPath(doc, path);
+        if (!isSet(current) || compare(value, current) > 0) setPath(doc, path, clone(value));
+    });
+    each('$min', (path, value) => {
+        const current = getPath(doc, path);
+        if (!isSet(current) || compare(value, current) < 0) setPath(doc, path, clone(value));
+    });
+    each('$push', (path, value) => {
+        const items = isPlainObject(value) && value.$each ? value.$each : [value];
+        setPath(doc, path, [...(getPath(doc, path) || []), ...clone(items)]);
+    });
+    each('$addToSet', (path, value) => {
+        const items = isPlainObject(value) && value.$each ? value.$each : [value];
+        const array = [...(getPath(doc, path) || [])];
+        items.forEach(item => {
+            if (!array.some(existing => equals(existing, item))) array.push(clone(item));
+        });
+        setPath(doc, path, array);
+    });
+    each('$pull', (path, condition) => {
+        const pulled = (item) => {
+            if (isOperatorObject(condition)) return matchesCondition([item], condition);
+            if (isPlainObject(condition) && isPlainObject(item)) return matches(item, condition);
+            return equals(item, condition);
+        };
+        setPath(doc, path, (getPath(doc, path) || []).filter(item => !pulled(item)));
+    });
+};
+
+// The fields of an upsert's filter that become part of the inserted document
+const seedFromFilter = (filter) => {
+    const seed = {};
+    Object.entries(filter).forEach(([key, condition]) => {
+        if (!key.startsWith('$') && !isOperatorObject(condition) && !(condition instanceof RegExp)) {
+            setPath(seed, key, clone(condition));
+        }
+    });
+    return seed;
+};
+
+const sortDocs = (docs, spec) => {
+    if (!spec) return docs;
+    const fields = typeof spec === 'string'
+        ? spec.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-')
+            ? [field.slice(1), -1]
+            : [field, 1]))
+        : Object.entries(spec).map(([field, order]) => [field, order === 'desc' || order === -1 ? -1 : 1]);
+
+    return [...docs].sort((a, b) => {
+        for (const [field, order] of fields) {
+            const result = compare(getPath(a, field), getPath(b, field));
+            if (result !== 0) return result * order;
+        }
+        return 0;
+    });
+};
+
+/**
+ * A chainable, awaitable query over the store
+ */
+class MemoryQuery {
+    constructor(run) {
+        this.run = run;
+        this.options = { sort: null, skip: 0, limit: 0, lean: false, populate: [] };
+    }
+
+    populate(spec) {
+        const paths = typeof spec === 'string' ? spec.split(/\s+/).filter(Boolean) : [spec.path];
+        this.options.populate.push(...paths);
+        return this;
+    }
+
+    select() { return this; }
+
+    session() { return this; }
+
+    sort(spec) {
+        this.options.sort = spec;
+        return this;
+    }
+
+    skip(count) {
+        this.options.skip = count;
+        return this;
+    }
+
+    limit(count) {
+        this.options.limit = count;
+        return this;
+    }
+
+    lean() {
+        this.options.lean = true;
+        return this;
+    }
+
+    exec() {
+        return Promise.resolve().then(() => this.run(this.options));
+    }
+
+    then(resolve, reject) {
+        return this.exec().then(resolve, reject);
+    }
+
+    catch(reject) {
+        return this.exec().catch(reject);
+    }
+}
+
+const useMemoryModel = (Model, docs) => {
+    const timestamps = Boolean(Model.schema.options.timestamps);
+
+    // Unique indexes are enforced on insert, as MongoDB would (sparse and partial ones are not)
+    const uniqueIndexes = [
+        ['_id'],
+        ...Model.schema.indexes()
+            .filter(([, options]) => options && options.unique && !options.sparse && !options.partialFilterExpression)
+            .map(([fields]) => Object.keys(fields)),
+    ];
+
+    // Cast through the schema, as Mongoose does when writing
+    const toStored = (doc) => {
+        const document = doc instanceof mongoose.Document ? doc : new Model(doc);
+        return document.toObject({ depopulate: true, virtuals: false, getters: false, transform: false });
+    };
+
+    // The stored document a reference points to, as the query returns it
+    const referenced = (path, id, lean) => {
+        const schemaType = Model.schema.path(path);
+        const store = schemaType && stores.get(schemaType.options.ref);
+        if (!store || !isSet(id)) return undefined;
+        const found = store.docs.find(doc => equals(doc._id, id));
+        if (!found) return null;
+        return lean ? clone(found) : store.Model.hydrate(clone(found));
+    };
+
+    const output = (doc, options = {}) => {
+        if (!doc) return null;
+        const result = options.lean ? clone(doc) : Model.hydrate(clone(doc));
+        (options.populate || []).forEach(path => {
+            const value = referenced(path, getPath(doc, path), options.lean);
+            if (value === undefined) return;
+            if (options.lean) {
+                setPath(result, path, value);
+            } else {
+                result.set(path, value);
+            }
+        });
+        return result;
+    };
+
+    const select = (filter, options = {}) => {
+        const found = sortDocs(docs.filter(doc => matches(doc, filter)), options.sort);
+        const skipped = found.slice(options.skip || 0);
+        return options.limit ? skipped.slice(0, options.limit) : skipped;
+    };
+
+    const insert = (doc) => {
+        const stored = toStored(doc);
+        if (timestamps) {
+            const now = new Date();
+            stored.createdAt = stored.createdAt || now;
+            stored.updatedAt = stored.updatedAt || now;
+        }
+        const duplicate = uniqueIndexes.find(fields => docs.some(existing => fields
+            .every(field => equals(getPath(existing, field) ?? null, getPath(stored, field) ?? null))));
+        if (duplicate) {
+            const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name}`);
+            error.code = 11000;
+            error.keyValue = Object.fromEntries(duplicate.map(field => [field, getPath(stored, field)]));
+            throw error;
+        }
+        docs.push(stored);
+        return stored;
+    };
+
+    const update = (doc, changes, filter) => {
+        const index = docs.indexOf(doc);
+        const before = JSON.stringify(normalize(doc));
+        const working = clone(doc);
+        applyUpdate(working, changes, filter);
+        const stored = toStored(working);
+        const modified = JSON.stringify(normalize(stored)) !== before;
+        if (modified && timestamps) stored.updatedAt = new Date();
+        docs[index] = stored;
+        return { stored, modified };
+    };
+
+    const upsert = (filter, changes) => {
+        const working = seedFromFilter(filter);
+        applyUpdate(working, changes, filter, { inserting: true });
+        return insert(working);
+    };
+
+    const updateMatching = (filter, changes, options = {}, many = false) => {
+        const matched = select(filter);
+        const targets = many ? matched : matched.slice(0, 1);
+        if (targets.length === 0 && options.upsert) {
+            const inserted = upsert(filter, changes);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+        const modifiedCount = targets.filter(doc => update(doc, changes, filter).modified).length;
+        return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0 };
+    };
+
+    const findOneAndUpdate = (filter, changes, options = {}) => new MemoryQuery((queryOptions) => {
+        const returnNew = options.new || options.returnDocument === 'after';
+        const [doc] = select(filter, { sort: options.sort || queryOptions.sort });
+        if (!doc) {
+            if (!options.upsert) return null;
+            const inserted = upsert(filter, changes);
+            return returnNew ? output(inserted, queryOptions) : null;
+        }
+        const before = clone(doc);
+        const { stored } = update(doc, changes, filter);
+        return output(returnNew ? stored : before, queryOptions);
+    });
+
+    const remove = (filter, many) => {
+        const targets = many ? select(filter) : select(filter).slice(0, 1);
+        targets.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+        return targets;
+    };
+
+    const statics = {
+        find: (filter = {}) => new MemoryQuery(options => select(filter, options).map(doc => output(doc, options))),
+        findOne: (filter = {}) => new MemoryQuery(options => output(select(filter, options)[0], options)),
+        findById: (id) => new MemoryQuery(options => output(select({ _id: id })[0], options)),
+        exists: (filter = {}) => new MemoryQuery(() => {
+            const [doc] = select(filter);
+            return doc ? { _id: doc._id } : null;
+        }),
+        countDocuments: (filter = {}) => new MemoryQuery(() => select(filter).length),
+        create: async (input) => {
+            const created = (Array.isArray(input) ? input : [input]).map(doc => {
+                const document = new Model(doc);
+                return document.validate().then(() => Model.hydrate(clone(insert(document))));
+            });
+            const results = await Promise.all(created);
+            return Array.isArray(input) ? results : results[0];
+        },
+        insertMany: (input) => statics.create(Array.isArray(input) ? input : [input]),
+        findOneAndUpdate,
+        findByIdAndUpdate: (id, changes, options) => findOneAndUpdate({ _id: id }, changes, options),
+        updateOne: (filter, changes, options) => new MemoryQuery(() => updateMatching(filter, changes, options)),
+        updateMany: (filter, changes, options) => new MemoryQuery(() => updateMatching(filter, changes, options, true)),
+        deleteOne: (filter = {}) => new MemoryQuery(() => ({ acknowledged: true, deletedCount: remove(filter).length })),
+        deleteMany: (filter = {}) => new MemoryQuery(() => ({ acknowledged: true, deletedCount: remove(filter, true).length })),
+        findOneAndDelete: (filter = {}) => new MemoryQuery(options => output(remove(filter)[0], options)),
+        findByIdAndDelete: (id) => new MemoryQuery(options => output(remove({ _id: id })[0], options)),
+        aggregate: () => {
+            throw new Error(`Memory models do not run aggregations; stub ${Model.modelName}.aggregate`);
+        },
+    };
+
+    stores.set(Model.modelName, { Model, docs });
+
+    Object.entries(statics).forEach(([name, implementation]) => {
+        jest.spyOn(Model, name).mockImplementation(implementation);
+    });
+
+    jest.spyOn(Model.prototype, 'save').mockImplementation(async function save(options = {}) {
+        if (options.validateBeforeSave !== false) {
+            await this.validate();
+        }
+        const index = docs.findIndex(doc => equals(doc._id, this._id));
+        if (index === -1) {
+            insert(this);
+        } else {
+            const stored = toStored(this);
+            if (timestamps) stored.updatedAt = new Date();
+            docs[index] = stored;
+        }
+        this.isNew = false;
+        return this;
+    });
+    jest.spyOn(Model.prototype, 'populate').mockImplementation(async function populate() {
+        return this;
+    });
+    jest.spyOn(Model.prototype, 'deleteOne').mockImplementation(async function deleteOne() {
+        remove({ _id: this._id });
+        return this;
+    });
+
+    return docs;
+};
+
+/**
+ * Back each model with its own in-memory collection
+ * @param {...import('mongoose').Model} models
+ * @returns {Object[][]} The stored documents of each model, in order
+ */
+const useMemoryModels = (...models) => {
+    stores.clear();
+    return models.map(Model => useMemoryModel(Model, []));
+};
+
+module.exports = { useMemoryModels };
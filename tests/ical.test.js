@@ -0,0 +1,70 @@
+const { escapeText, formatDateTime, foldLine, interviewEvent, buildCalendar } = require('../utils/ical');
+
+const jobRequest = {
+    _id: '64b7f0000000000000000001',
+    jobTitle: 'Backend developer, Node.js',
+    interviewDate: new Date('2026-11-02T09:30:00Z'),
+    interviewDurationMinutes: 45,
+    interviewTimezone: 'Asia/Tehran',
+    interviewLocation: 'Office; 2nd floor',
+    interviewStatus: 'scheduled',
+    interviewSequence: 2,
+};
+
+describe('iCalendar values', () => {
+    it('escapes text', () => {
+        expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+
+    it('writes date-times in UTC', () => {
+        expect(formatDateTime(new Date('2026-11-02T09:30:00.123Z'))).toBe('20261102T093000Z');
+    });
+
+    it('folds long lines at 75 octets without splitting characters', () => {
+        const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+        const lines = folded.split('\r\n');
+
+        expect(lines.length).toBeGreaterThan(1);
+        lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+        expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+    });
+});
+
+describe('interviewEvent', () => {
+    it('keeps the UID and carries the sequence', () => {
+        const lines = interviewEvent(jobRequest);
+
+        expect(lines).toContain('UID:interview-64b7f0000000000000000001@hamkar');
+        expect(lines).toContain('SEQUENCE:2');
+        expect(lines).toContain('DTSTART:20261102T093000Z');
+        expect(lines).toContain('DTEND:20261102T101500Z');
+        expect(lines).toContain('LOCATION:Office\\; 2nd floor');
+        expect(lines).toContain('STATUS:CONFIRMED');
+    });
+
+    it('marks cancelled interviews', () => {
+        expect(interviewEvent({ ...jobRequest, interviewStatus: 'cancelled' })).toContain('STATUS:CANCELLED');
+    });
+
+    it('names organizer and attendee on invites', () => {
+        const lines = interviewEvent(jobRequest, {
+            employer: { companyName: 'Acme', email: 'jobs@acme.test' },
+            developer: { firstName: 'Sara', lastName: 'Ahmadi', email: 'sara@example.test' },
+            invite: true,
+        });
+
+        expect(lines).toContain('ORGANIZER;CN="Acme":mailto:jobs@acme.test');
+        expect(lines).toContain('ATTENDEE;CN="Sara Ahmadi";ROLE=REQ-PARTICIPANT:mailto:sara@example.test');
+    });
+});
+
+describe('buildCalendar', () => {
+    it('wraps events in a VCALENDAR with CRLF line endings', () => {
+        const calendar = buildCalendar([interviewEvent(jobRequest)], { method: 'REQUEST' });
+
+        expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+        expect(calendar).toContain('\r\nMETHOD:REQUEST\r\n');
+        expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+    });
+});
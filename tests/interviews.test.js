@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { proposeInterviewSlots, selectInterviewSlot, cancelInterview } = require('../utils/interviews');
+
+const developer = { id: 'dev1', role: 'Developer', teamRole: null };
+const company = { id: 'emp1', role: 'Employer', teamRole: null };
+const viewer = { id: 'emp1', role: 'Employer', teamRole: 'viewer' };
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+const slot = (start) => ({ _id: new mongoose.Types.ObjectId(), start, durationMinutes: 60, timezone: 'Europe/Berlin' });
+
+const jobRequest = (overrides = {}) => ({
+    _id: 'jr1',
+    employerId: 'emp1',
+    developerId: 'dev1',
+    status: 'accepted',
+    interviewStatus: null,
+    interviewSlots: [],
+    interviewSequence: 0,
+    ...overrides,
+});
+
+describe('proposeInterviewSlots', () => {
+    it.each([
+        ['the developer', developer, jobRequest(), 403],
+        ['a team viewer', viewer, jobRequest(), 403],
+        ['a withdrawn request', company, jobRequest({ status: 'withdrawn' }), 400],
+    ])('refuses %s', async (name, principal, request, statusCode) => {
+        const result = await proposeInterviewSlots(request, { slots: [slot(inDays(2))] }, { principal });
+        expect(result).toMatchObject({ statusCode });
+    });
+
+    it('refuses slots in the past', async () => {
+        const result = await proposeInterviewSlots(jobRequest(), { slots: [slot(inDays(-1))] }, { principal: company });
+        expect(result).toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('selectInterviewSlot', () => {
+    const past = slot(inDays(-1));
+    const proposed = jobRequest({ interviewStatus: 'proposed', interviewSlots: [past, slot(inDays(2))] });
+
+    it('is for the developer only', async () => {
+        const result = await selectInterviewSlot(proposed, proposed.interviewSlots[1]._id, { principal: company });
+        expect(result).toMatchObject({ statusCode: 403 });
+    });
+
+    it('reports unknown and past slots', async () => {
+        expect(await selectInterviewSlot(proposed, new mongoose.Types.ObjectId(), { principal: developer }))
+            .toMatchObject({ statusCode: 404 });
+        expect(await selectInterviewSlot(proposed, past._id, { principal: developer }))
+            .toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('cancelInterview', () => {
+    it('needs an interview to cancel', async () => {
+        expect(await cancelInterview(jobRequest(), { principal: developer })).toMatchObject({ statusCode: 400 });
+        expect(await cancelInterview(jobRequest({ interviewStatus: 'cancelled' }), { principal: company }))
+            .toMatchObject({ statusCode: 400 });
+    });
+
+    it('is not for team viewers', async () => {
+        const result = await cancelInterview(jobRequest({ interviewStatus: 'scheduled' }), { principal: viewer });
+        expect(result).toMatchObject({ statusCode: 403 });
+    });
+});
@@ -0,0 +1,42 @@
+const { postingSearchFilter, applyToJobPosting } = require('../utils/jobPostings');
+const { schemas } = require('../middlewares/validation');
+
+describe('postingSearchFilter', () => {
+    it('only lists open postings', () => {
+        expect(postingSearchFilter({})).toEqual({ status: 'open' });
+    });
+
+    it('builds the filters from the query', () => {
+        const filter = postingSearchFilter({ skills: 'Node.js, react', city: 'Tehran', remotePolicy: 'remote,hybrid', employerId: 'emp1' });
+        expect(filter.requiredSkills.$in.map(String)).toEqual(['/^Node\\.js$/i', '/^react$/i']);
+        expect(filter.city).toEqual({ $regex: 'Tehran', $options: 'i' });
+        expect(filter.remotePolicy).toEqual({ $in: ['remote', 'hybrid'] });
+        expect(filter.employerId).toBe('emp1');
+    });
+
+    it('matches text literally and keeps postings without a maximum salary', () => {
+        const filter = postingSearchFilter({ q: 'C++ (senior)', salaryMin: '3000' });
+        expect(filter.$and).toEqual([
+            { $or: [{ title: { $regex: 'C\\+\\+ \\(senior\\)', $options: 'i' } }, { description: { $regex: 'C\\+\\+ \\(senior\\)', $options: 'i' } }] },
+            { $or: [{ salaryMax: null }, { salaryMax: { $gte: 3000 } }] },
+        ]);
+    });
+});
+
+describe('jobPostingSearch validation', () => {
+    it.each([
+        [{ remotePolicy: 'remote,onsite' }, true],
+        [{ remotePolicy: 'anywhere' }, false],
+        [{ limit: '500' }, false],
+        [{ sortBy: 'title' }, false],
+    ])('%j valid: %s', (query, valid) => {
+        expect(schemas.jobPostingSearch.validate(query).error === undefined).toBe(valid);
+    });
+});
+
+describe('applyToJobPosting', () => {
+    it.each(['draft', 'closed'])('refuses %s postings', async (status) => {
+        const result = await applyToJobPosting({ _id: 'post1', status }, { developer: { _id: 'dev1' } });
+        expect(result).toMatchObject({ statusCode: 400 });
+    });
+});
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const JobRequest = require('../models/JobRequest');
+const JobRequestBatch = require('../models/JobRequestBatch');
+const Developer = require('../models/Developer');
+const { schemas } = require('../middlewares/validation');
+const { sendJobRequestBatch } = require('../utils/jobRequests');
+const { useMemoryModels } = require('./helpers/memoryModels');
+
+const ids = (count) => Array.from({ length: count }, () => new mongoose.Types.ObjectId().toString());
+const template = { jobTitle: 'Backend Developer', salaryOffer: 4000, salaryType: 'monthly' };
+
+describe('jobRequestBatch validation', () => {
+    it('accepts developer IDs and a template', () => {
+        expect(schemas.jobRequestBatch.validate({ developerIds: ids(3), template }).error).toBeUndefined();
+    });
+
+    it.each([
+        ['an empty list', { developerIds: [], template }],
+        ['more than 50 developers', { developerIds: ids(51), template }],
+        ['the same developer twice', { developerIds: ['64b7f0c2a1b2c3d4e5f60718', '64b7f0c2a1b2c3d4e5f60718'], template }],
+        ['an invalid ID', { developerIds: ['not-an-id'], template }],
+        ['a template without a title', { developerIds: ids(1), template: { salaryOffer: 4000 } }],
+        ['a developer ID in the template', { developerIds: ids(1), template: { ...template, developerId: ids(1)[0] } }],
+    ])('refuses %s', (name, body) => {
+        expect(schemas.jobRequestBatch.validate(body).error).toBeDefined();
+    });
+});
+
+describe('sendJobRequestBatch', () => {
+    const employer = { _id: new mongoose.Types.ObjectId(), companyName: 'Acme', responseWindowDays: null };
+    const actor = { actorId: employer._id, actorModel: 'Employer' };
+    const idempotencyKey = 'shortlist-2026-05';
+    let batches;
+    let jobRequests;
+    let developerIds;
+
+    beforeEach(() => {
+        let developers;
+        [batches, jobRequests, developers] = useMemoryModels(JobRequestBatch, JobRequest, Developer);
+        developerIds = ids(3);
+        developerIds.forEach(id => developers.push({ _id: new mongoose.Types.ObjectId(id), firstName: 'Dev', isAvailable: true }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const send = (fields = {}) => sendJobRequestBatch({ employer, member: null, actor, developerIds, template, idempotencyKey, ...fields });
+
+    // A batch an earlier run left behind, holding the results it recorded
+    const interruptedBatch = (lockedUntil, recordedIds) => ({
+        _id: new mongoose.Types.ObjectId(),
+        employerId: employer._id,
+        idempotencyKey,
+        requestHash: crypto.createHash('sha256').update(JSON.stringify({ developerIds, template })).digest('hex'),
+        status: 'processing',
+        lockedUntil,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        results: recordedIds.map(developerId => ({ developerId, success: true, jobRequestId: new mongoose.Types.ObjectId() })),
+    });
+
+    it('sends to every developer and records the report', async () => {
+        const { report, replayed } = await send();
+
+        expect(replayed).toBe(false);
+        expect(report).toMatchObject({ sent: 3, failed: 0 });
+        expect(jobRequests).toHaveLength(3);
+        expect(jobRequests.every(request => String(request.batchId) === String(report.batchId))).toBe(true);
+        expect(batches[0]).toMatchObject({ status: 'completed' });
+        expect(batches[0].results).toHaveLength(3);
+    });
+
+    it('returns the stored report when the same key and body are sent again', async () => {
+        const first = await send();
+
+        const second = await send();
+
+        expect(second.replayed).toBe(true);
+        expect(String(second.report.batchId)).toBe(String(first.report.batchId));
+        expect(second.report.results.map(result => String(result.jobRequestId)))
+            .toEqual(first.report.results.map(result => String(result.jobRequestId)));
+        expect(jobRequests).toHaveLength(3);
+        expect(batches).toHaveLength(1);
+    });
+
+    it.each([
+        ['other developers', () => ({ developerIds: developerIds.slice(1) })],
+        ['another offer', () => ({ template: { ...template, salaryOffer: 5000 } })],
+    ])('refuses the same key for %s with 422', async (name, changes) => {
+        await send();
+
+        const result = await send(changes());
+
+        expect(result).toMatchObject({ statusCode: 422 });
+        expect(jobRequests).toHaveLength(3);
+    });
+
+    it('keeps keys apart per company', async () => {
+        await send();
+
+        const result = await send({ employer: { ...employer, _id: new mongoose.Types.ObjectId() } });
+
+        expect(result.replayed).toBe(false);
+        expect(batches).toHaveLength(2);
+    });
+
+    it('answers 409 while another run holds the batch', async () => {
+        batches.push(interruptedBatch(new Date(Date.now() + 60 * 1000), []));
+
+        const result = await send();
+
+        expect(result).toMatchObject({ statusCode: 409 });
+        expect(jobRequests).toHaveLength(0);
+    });
+
+    it('resumes a batch whose run stopped, skipping developers it already sent to', async () => {
+        const [recorded, unrecorded] = developerIds;
+        batches.push(interruptedBatch(new Date(Date.now() - 1000), [recorded]));
+        // Sent by the interrupted run, which stopped before recording it
+        const earlier = {
+            _id: new mongoose.Types.ObjectId(),
+            employerId: employer._id,
+            developerId: new mongoose.Types.ObjectId(unrecorded),
+            batchId: batches[0]._id,
+            jobTitle: 'Backend Developer',
+            status: 'pending',
+        };
+        jobRequests.push(earlier);
+
+        const { report, replayed } = await send();
+
+        expect(replayed).toBe(false);
+        expect(report).toMatchObject({ sent: 3, failed: 0 });
+        expect(report.results.map(result => String(result.developerId))).toEqual(developerIds);
+        expect(String(report.results[1].jobRequestId)).toBe(String(earlier._id));
+        // Only the developer nobody had contacted gets a new request
+        expect(jobRequests).toHaveLength(2);
+        expect(String(jobRequests[1].developerId)).toBe(developerIds[2]);
+        expect(batches[0].status).toBe('completed');
+    });
+});
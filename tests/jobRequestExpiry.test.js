@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const Developer = require('../models/Developer');
+const Employer = require('../models/Employer');
+const JobRequest = require('../models/JobRequest');
+const { registerTransport } = require('../utils/mailer');
+const {
+    JOB_REQUEST_RESPONSE_DAYS,
+    expiryDate,
+    isOverdue,
+    backfillExpiryDates,
+    remindExpiringJobRequests,
+    expireOverdueJobRequests,
+} = require('../utils/jobRequestExpiry');
+const { useMemoryModels } = require('./helpers/memoryModels');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const sentAt = new Date('2026-03-01T09:00:00Z');
+
+describe('expiryDate', () => {
+    it.each([
+        ['the requested window', { requestedDays: 3, employer: { responseWindowDays: 7 } }, 3],
+        ["the company's window", { employer: { responseWindowDays: 7 } }, 7],
+        ['the server default', { employer: { responseWindowDays: null } }, JOB_REQUEST_RESPONSE_DAYS],
+        ['the server default without a company', {}, JOB_REQUEST_RESPONSE_DAYS],
+    ])('uses %s', (name, options, days) => {
+        expect(expiryDate(options, sentAt)).toEqual(new Date(sentAt.getTime() + days * DAY_MS));
+    });
+});
+
+describe('isOverdue', () => {
+    const now = new Date('2026-03-10T09:00:00Z');
+
+    it.each([
+        ['pending past its expiry', { status: 'pending', expiresAt: new Date('2026-03-09T09:00:00Z') }, true],
+        ['pending until later', { status: 'pending', expiresAt: new Date('2026-03-11T09:00:00Z') }, false],
+        ['pending without an expiry', { status: 'pending', expiresAt: null }, false],
+        ['already answered', { status: 'accepted', expiresAt: new Date('2026-03-09T09:00:00Z') }, false],
+    ])('%s', (name, jobRequest, expected) => {
+        expect(isOverdue(jobRequest, now)).toBe(expected);
+    });
+});
+
+describe('background expiry', () => {
+    const developer = {
+        _id: new mongoose.Types.ObjectId(),
+        firstName: 'Sara',
+        lastName: 'Ahmadi',
+        email: 'sara@example.com',
+        password: 'not-used',
+    };
+    const employer = {
+        _id: new mongoose.Types.ObjectId(),
+        companyName: 'Acme',
+        email: 'jobs@acme.com',
+        responseWindowDays: 5,
+    };
+
+    let employers;
+    let jobRequests;
+    let sentMail;
+
+    beforeAll(() => {
+        registerTransport('console', () => ({
+            send: async (message) => {
+                sentMail.push(message);
+                return { id: 'test' };
+            },
+        }));
+    });
+
+    beforeEach(() => {
+        let developers;
+        [developers, employers, jobRequests] = useMemoryModels(Developer, Employer, JobRequest);
+        developers.push({ ...developer });
+        employers.push({ ...employer });
+        sentMail = [];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const jobRequest = (fields = {}) => {
+        const stored = {
+            _id: new mongoose.Types.ObjectId(),
+            employerId: employer._id,
+            developerId: developer._id,
+            jobTitle: 'Backend developer',
+            salaryOffer: 1000,
+            status: 'pending',
+            statusHistory: [],
+            reminderSentAt: null,
+            ...fields,
+        };
+        jobRequests.push(stored);
+        return stored;
+    };
+
+    // Mail goes out in the background
+    const flushMail = () => new Promise(resolve => setImmediate(resolve));
+
+    const stored = (request) => jobRequests.find(doc => doc._id.equals(request._id));
+
+    describe('expireOverdueJobRequests', () => {
+        it('expires overdue pending requests and records why', async () => {
+            const overdue = jobRequest({ expiresAt: new Date(Date.now() - HOUR_MS) });
+            const current = jobRequest({ expiresAt: new Date(Date.now() + DAY_MS) });
+            const answered = jobRequest({ status: 'accepted', expiresAt: new Date(Date.now() - HOUR_MS) });
+
+            expect(await expireOverdueJobRequests()).toBe(1);
+
+            expect(stored(overdue).status).toBe('expired');
+            expect(stored(overdue).statusHistory).toEqual([expect.objectContaining({
+                from: 'pending',
+                to: 'expired',
+                changedBy: null,
+                changedByModel: null,
+                reason: 'response_window_passed',
+            })]);
+            expect(stored(current).status).toBe('pending');
+            expect(stored(answered).status).toBe('accepted');
+        });
+
+        it('tells the employer whose request expired', async () => {
+            jobRequest({ expiresAt: new Date(Date.now() - HOUR_MS) });
+
+            await expireOverdueJobRequests();
+            await flushMail();
+
+            expect(sentMail).toEqual([expect.objectContaining({
+                to: 'jobs@acme.com',
+                subject: 'Your job request for Backend developer expired',
+                text: expect.stringContaining('Sara Ahmadi did not answer your job request for Backend developer in time'),
+            })]);
+        });
+
+        it('does not expire applications to job postings', async () => {
+            const application = jobRequest({ direction: 'application', expiresAt: new Date(Date.now() - HOUR_MS) });
+
+            expect(await expireOverdueJobRequests()).toBe(0);
+            expect(stored(application).status).toBe('pending');
+        });
+    });
+
+    describe('backfillExpiryDates', () => {
+        it("gives requests without an expiry their company's window from when they were sent", async () => {
+            const createdAt = new Date(Date.now() - DAY_MS);
+            const request = jobRequest({ expiresAt: null, createdAt });
+
+            expect(await backfillExpiryDates()).toBe(1);
+            expect(stored(request).expiresAt).toEqual(new Date(createdAt.getTime() + employer.responseWindowDays * DAY_MS));
+        });
+
+        it('falls back to the server default without a company window', async () => {
+            employers[0].responseWindowDays = null;
+            const createdAt = new Date(Date.now() - DAY_MS);
+            const request = jobRequest({ expiresAt: null, createdAt });
+
+            await backfillExpiryDates();
+
+            expect(stored(request).expiresAt).toEqual(new Date(createdAt.getTime() + JOB_REQUEST_RESPONSE_DAYS * DAY_MS));
+        });
+
+        it('leaves requests that already have an expiry or were answered alone', async () => {
+            const expiresAt = new Date(Date.now() + DAY_MS);
+            jobRequest({ expiresAt });
+            jobRequest({ status: 'rejected', expiresAt: null });
+
+            expect(await backfillExpiryDates()).toBe(0);
+            expect(jobRequests.map(doc => doc.expiresAt)).toEqual([expiresAt, null]);
+        });
+
+        it('expires old requests whose backfilled window has passed', async () => {
+            const request = jobRequest({ expiresAt: null, createdAt: new Date(Date.now() - 6 * DAY_MS) });
+
+            expect(await expireOverdueJobRequests()).toBe(1);
+            expect(stored(request).status).toBe('expired');
+        });
+    });
+
+    describe('remindExpiringJobRequests', () => {
+        it('emails the developer once about a request that expires soon', async () => {
+            const expiresAt = new Date(Date.now() + 12 * HOUR_MS);
+            const request = jobRequest({ expiresAt });
+
+            expect(await remindExpiringJobRequests()).toBe(1);
+            expect(await remindExpiringJobRequests()).toBe(0);
+            await flushMail();
+
+            expect(stored(request).reminderSentAt).toEqual(expect.any(Date));
+            expect(sentMail).toEqual([expect.objectContaining({
+                to: 'sara@example.com',
+                subject: `Reply to Acme before ${expiresAt.toUTCString()}`,
+                text: expect.stringContaining(`/job-requests/${request._id}`),
+            })]);
+        });
+
+        it('sends nothing when another run claimed the reminder first', async () => {
+            const request = jobRequest({ expiresAt: new Date(Date.now() + 12 * HOUR_MS) });
+            const updateOne = JobRequest.updateOne;
+            jest.spyOn(JobRequest, 'updateOne').mockImplementationOnce((...args) => {
+                stored(request).reminderSentAt = new Date();
+                return updateOne(...args);
+            });
+
+            expect(await remindExpiringJobRequests()).toBe(0);
+            await flushMail();
+
+            expect(sentMail).toHaveLength(0);
+        });
+
+        it('leaves requests that expire later or were answered alone', async () => {
+            jobRequest({ expiresAt: new Date(Date.now() + 5 * DAY_MS) });
+            jobRequest({ status: 'accepted', expiresAt: new Date(Date.now() + 12 * HOUR_MS) });
+
+            expect(await remindExpiringJobRequests()).toBe(0);
+        });
+    });
+});
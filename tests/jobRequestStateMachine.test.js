@@ -0,0 +1,85 @@
+const JobRequest = require('../models/JobRequest');
+const {
+    transitions,
+    findTransition,
+    availableTransitions,
+    transitionJobRequest,
+    transitionJobRequestsAsSystem,
+} = require('../utils/jobRequestStateMachine');
+
+const developer = { id: 'dev1', role: 'Developer', teamRole: null };
+const company = { id: 'emp1', role: 'Employer', teamRole: null };
+const recruiter = { id: 'emp1', role: 'Employer', teamRole: 'recruiter' };
+const viewer = { id: 'emp1', role: 'Employer', teamRole: 'viewer' };
+const otherDeveloper = { id: 'dev2', role: 'Developer', teamRole: null };
+const admin = { id: 'adm1', role: 'Admin', teamRole: null };
+
+const jobRequest = (status) => ({ _id: 'jr1', employerId: 'emp1', developerId: 'dev1', status });
+
+describe('transitions', () => {
+    it('only uses statuses the model knows', () => {
+        const statuses = JobRequest.schema.path('status').enumValues;
+        transitions.forEach(transition => {
+            expect(statuses).toContain(transition.from);
+            expect(statuses).toContain(transition.to);
+        });
+    });
+
+    it('leaves accepted, rejected, withdrawn and expired requests final', () => {
+        ['accepted', 'rejected', 'withdrawn', 'expired'].forEach(status => {
+            expect(transitions.filter(transition => transition.from === status)).toEqual([]);
+        });
+        expect(findTransition('accepted', 'withdrawn')).toBeUndefined();
+    });
+});
+
+describe('availableTransitions', () => {
+    it.each([
+        ['developer it was sent to', developer, 'pending', ['accepted', 'rejected']],
+        ['other developer', otherDeveloper, 'pending', []],
+        ['company login', company, 'pending', ['withdrawn']],
+        ['team recruiter', recruiter, 'pending', ['withdrawn']],
+        ['team viewer', viewer, 'pending', []],
+        ['admin', admin, 'pending', []],
+        ['company login, accepted', company, 'accepted', []],
+        ['developer, withdrawn', developer, 'withdrawn', []],
+    ])('%s', (name, principal, status, expected) => {
+        expect(availableTransitions(jobRequest(status), principal)).toEqual(expected);
+    });
+
+    it.each([
+        ['developer who applied', developer, ['withdrawn']],
+        ['company login', company, ['accepted', 'rejected']],
+        ['team recruiter', recruiter, ['accepted', 'rejected']],
+        ['team viewer', viewer, []],
+    ])('application: %s', (name, principal, expected) => {
+        const application = { ...jobRequest('pending'), direction: 'application' };
+        expect(availableTransitions(application, principal)).toEqual(expected);
+    });
+});
+
+describe('transitionJobRequest', () => {
+    it('refuses to withdraw an accepted request', async () => {
+        const result = await transitionJobRequest(jobRequest('accepted'), 'withdrawn', { principal: company });
+        expect(result).toMatchObject({ statusCode: 400 });
+    });
+
+    it.each([
+        ['developer withdrawing', developer, 'withdrawn'],
+        ['employer accepting', company, 'accepted'],
+        ['viewer withdrawing', viewer, 'withdrawn'],
+        ['other developer accepting', otherDeveloper, 'accepted'],
+        ['employer expiring', company, 'expired'],
+    ])('forbids the %s', async (name, principal, to) => {
+        const result = await transitionJobRequest(jobRequest('pending'), to, { principal });
+        expect(result).toMatchObject({ statusCode: 403 });
+    });
+});
+
+describe('transitionJobRequestsAsSystem', () => {
+    it('only makes transitions the system is allowed to', async () => {
+        await expect(transitionJobRequestsAsSystem({}, 'accepted', { reason: 'test' })).rejects.toThrow();
+        await expect(transitionJobRequestsAsSystem({}, 'withdrawn', { from: 'accepted', reason: 'test' })).rejects.toThrow();
+        await expect(transitionJobRequestsAsSystem({}, 'expired', { direction: 'application', reason: 'test' })).rejects.toThrow();
+    });
+});
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Developer = require('../models/Developer');
+const JobRequest = require('../models/JobRequest');
+const JobRequestBatch = require('../models/JobRequestBatch');
+const JobRequestTemplate = require('../models/JobRequestTemplate');
+const jobRequestsRouter = require('../routes/jobRequests');
+const { matchedSkills, unknownPlaceholders, placeholderError, renderTemplate } = require('../utils/jobRequestTemplates');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+const developer = { firstName: 'Sara', lastName: 'Ahmadi', city: 'Tehran', skills: ['Node.js', 'React', 'MongoDB'] };
+const employer = { companyName: 'Acme' };
+
+const template = {
+    name: 'Backend',
+    jobTitle: 'Backend Developer at {{companyName}}',
+    jobDescription: 'Hi {{firstName}}, your {{ matchedSkills }} experience caught our eye.',
+    salaryOffer: 4000,
+    salaryType: 'monthly',
+    interviewLocation: 'Online',
+    responseWindowDays: null,
+    skills: ['node.js', 'mongodb', 'Go'],
+};
+
+describe('matchedSkills', () => {
+    it('keeps the developer skills the job needs, ignoring case', () => {
+        expect(matchedSkills(developer.skills, template.skills)).toEqual(['Node.js', 'MongoDB']);
+        expect(matchedSkills(developer.skills, [])).toEqual([]);
+    });
+});
+
+describe('unknownPlaceholders', () => {
+    it('lists placeholders the renderer does not know, once each', () => {
+        expect(unknownPlaceholders({ jobTitle: '{{firstName}} {{salary}}', interviewNotes: '{{salary}} {{ team }}' }))
+            .toEqual(['salary', 'team']);
+        expect(unknownPlaceholders(template)).toEqual([]);
+    });
+
+    it('does not take inherited names for placeholders', () => {
+        expect(unknownPlaceholders({ jobTitle: '{{constructor}} {{toString}}' })).toEqual(['constructor', 'toString']);
+    });
+});
+
+describe('placeholderError', () => {
+    it('names the unknown placeholders and the available ones', () => {
+        expect(placeholderError({ jobTitle: '{{salary}} for {{firstName}}' })).toBe(
+            'Unknown placeholder(s): {{salary}}. Available: {{firstName}}, {{lastName}}, {{city}}, {{companyName}}, {{matchedSkills}}'
+        );
+    });
+
+    it('is null when every placeholder is known', () => {
+        expect(placeholderError({ jobTitle: '{{firstName}}', salaryOffer: 4000 })).toBeNull();
+    });
+});
+
+describe('renderTemplate', () => {
+    it('fills in the placeholders for the developer', () => {
+        expect(renderTemplate(template, {}, { developer, employer })).toEqual({
+            jobTitle: 'Backend Developer at Acme',
+            jobDescription: 'Hi Sara, your Node.js, MongoDB experience caught our eye.',
+            salaryOffer: 4000,
+            salaryType: 'monthly',
+            interviewLocation: 'Online',
+        });
+    });
+
+    it('lets the request override template fields', () => {
+        const offer = renderTemplate(template, { salaryOffer: 4500, interviewNotes: 'Bring {{city}} references' }, { developer, employer });
+        expect(offer).toMatchObject({ salaryOffer: 4500, interviewNotes: 'Bring Tehran references' });
+    });
+
+    it('leaves unknown placeholders as they are', () => {
+        expect(renderTemplate({ jobTitle: '{{role}} Developer' }, {}, { developer, employer }).jobTitle).toBe('{{role}} Developer');
+    });
+
+    it('leaves names inherited from Object as they are', () => {
+        const offer = renderTemplate({ jobTitle: '{{constructor}} at {{toString}}' }, {}, { developer, employer });
+        expect(offer.jobTitle).toBe('{{constructor}} at {{toString}}');
+    });
+});
+
+describe('sending job requests with unknown placeholders', () => {
+    const company = { _id: new mongoose.Types.ObjectId(), companyName: 'Acme', email: 'jobs@acme.com' };
+    const developerId = new mongoose.Types.ObjectId();
+    const asCompany = { user: company, userRole: 'Employer' };
+    let jobRequests;
+    let batches;
+
+    beforeEach(() => {
+        let developers;
+        [developers, jobRequests, batches] = useMemoryModels(Developer, JobRequest, JobRequestBatch, JobRequestTemplate);
+        developers.push({ _id: developerId, firstName: 'Sara', isAvailable: true });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('refuses them in the fields of a single request', async () => {
+        const res = await runRoute(jobRequestsRouter, 'post', '/', {
+            ...asCompany,
+            body: { developerId: developerId.toString(), jobTitle: 'Developer', salaryOffer: 4000, interviewNotes: 'Ask {{salary}}' },
+        });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toMatch(/^Unknown placeholder\(s\): \{\{salary\}\}/);
+        expect(jobRequests).toHaveLength(0);
+    });
+
+    it('refuses them in the template of a batch', async () => {
+        const res = await runRoute(jobRequestsRouter, 'post', '/batch', {
+            ...asCompany,
+            headers: { 'Idempotency-Key': 'batch-1' },
+            body: { developerIds: [developerId.toString()], template: { jobTitle: '{{constructor}} Developer', salaryOffer: 4000 } },
+        });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toMatch(/^Unknown placeholder\(s\): \{\{constructor\}\}/);
+        expect(batches).toHaveLength(0);
+        expect(jobRequests).toHaveLength(0);
+    });
+
+    it('sends a request whose placeholders are all known', async () => {
+        const res = await runRoute(jobRequestsRouter, 'post', '/', {
+            ...asCompany,
+            body: { developerId: developerId.toString(), jobTitle: 'Developer', salaryOffer: 4000, interviewNotes: 'Hi {{firstName}}' },
+        });
+
+        expect(res.statusCode).toBe(201);
+        expect(jobRequests).toHaveLength(1);
+    });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Developer = require('../models/Developer');
+const Employer = require('../models/Employer');
+const JobRequest = require('../models/JobRequest');
+const { registerTransport } = require('../utils/mailer');
+const { startJobs } = require('../jobs');
+const { useMemoryModels } = require('./helpers/memoryModels');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-06-01T09:00:00Z');
+
+const developer = { _id: new mongoose.Types.ObjectId(), firstName: 'Sara', lastName: 'Ahmadi', email: 'sara@example.com', password: 'not-used' };
+const employer = { _id: new mongoose.Types.ObjectId(), companyName: 'Acme', email: 'jobs@acme.com' };
+
+let jobRequests;
+let sentMail;
+
+beforeAll(() => {
+    registerTransport('console', () => ({
+        send: async (message) => {
+            sentMail.push(message);
+            return { id: 'test' };
+        },
+    }));
+});
+
+beforeEach(() => {
+    jest.useFakeTimers({ now, doNotFake: ['setImmediate', 'nextTick'] });
+    let developers;
+    let employers;
+    [developers, employers, jobRequests] = useMemoryModels(Developer, Employer, JobRequest);
+    developers.push({ ...developer });
+    employers.push({ ...employer });
+    sentMail = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+const pendingRequest = (expiresAt) => {
+    const stored = {
+        _id: new mongoose.Types.ObjectId(),
+        employerId: employer._id,
+        developerId: developer._id,
+        jobTitle: 'Backend developer',
+        salaryOffer: 1000,
+        status: 'pending',
+        statusHistory: [],
+        reminderSentAt: null,
+        expiresAt,
+    };
+    jobRequests.push(stored);
+    return stored;
+};
+
+// Let the jobs and the mail they send in the background finish
+const settle = async () => {
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+};
+
+describe('startJobs', () => {
+    it('reminds and expires job requests straight away', async () => {
+        pendingRequest(new Date(now.getTime() - HOUR_MS));
+        pendingRequest(new Date(now.getTime() + HOUR_MS));
+
+        startJobs();
+        await settle();
+
+        expect(jobRequests.map(doc => doc.status)).toEqual(['expired', 'pending']);
+        expect(sentMail.map(mail => mail.to).sort()).toEqual(['jobs@acme.com', 'sara@example.com']);
+        expect(console.log).toHaveBeenCalledWith('⏰ Sent 1 job request reminder(s), expired 1 job request(s)');
+    });
+
+    it('runs the expiry again every 15 minutes', async () => {
+        startJobs();
+        await settle();
+        const request = pendingRequest(new Date(now.getTime() + 10 * 60 * 1000));
+
+        jest.advanceTimersByTime(15 * 60 * 1000);
+        await settle();
+
+        expect(jobRequests.find(doc => doc._id.equals(request._id)).status).toBe('expired');
+    });
+
+    it('logs a failing run and keeps running', async () => {
+        jest.spyOn(JobRequest, 'find').mockImplementationOnce(() => {
+            throw new Error('connection lost');
+        });
+
+        startJobs();
+        await settle();
+        const request = pendingRequest(new Date(now.getTime() - HOUR_MS));
+        jest.advanceTimersByTime(15 * 60 * 1000);
+        await settle();
+
+        expect(console.error).toHaveBeenCalledWith('Background job job-request-expiry failed:', 'connection lost');
+        expect(jobRequests.find(doc => doc._id.equals(request._id)).status).toBe('expired');
+    });
+});
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { signToken, verifyToken, getJwks, assertKeyringConfigured, reloadKeyring } = require('../utils/keyring');
+
+const pem = (keyObject, type) => keyObject.export({ type, format: 'pem' });
+
+const ed25519 = crypto.generateKeyPairSync('ed25519');
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const edKey = { kid: 'ed-2026', alg: 'EdDSA', privateKey: pem(ed25519.privateKey, 'pkcs8') };
+const rsaKey = { kid: 'rsa-2025', alg: 'RS256', privateKey: pem(rsa.privateKey, 'pkcs8') };
+const hsKey = { kid: 'hs-1', alg: 'HS256', secret: 'a'.repeat(40) };
+
+const ENV_KEYS = ['NODE_ENV', 'JWT_SECRET', 'JWT_KEYS', 'JWT_KEYS_FILE', 'JWT_SIGNING_KEY_ID'];
+const originalEnv = Object.fromEntries(ENV_KEYS.map(name => [name, process.env[name]]));
+
+const configure = (env) => {
+    ENV_KEYS.forEach(name => delete process.env[name]);
+    Object.assign(process.env, { NODE_ENV: 'test' }, env);
+    reloadKeyring();
+};
+
+afterAll(() => {
+    ENV_KEYS.forEach(name => {
+        if (originalEnv[name] === undefined) delete process.env[name];
+        else process.env[name] = originalEnv[name];
+    });
+    reloadKeyring();
+});
+
+describe('signing and verifying', () => {
+    it.each([
+        ['EdDSA', edKey],
+        ['RS256', rsaKey],
+        ['HS256', hsKey],
+    ])('round-trips %s tokens with the kid in the header', (alg, key) => {
+        configure({ JWT_KEYS: JSON.stringify([key]) });
+        const token = signToken({ userId: 'u1' }, { expiresIn: '15m' });
+
+        expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg, kid: key.kid });
+        expect(verifyToken(token)).toMatchObject({ userId: 'u1' });
+    });
+
+    it('keeps verifying tokens of retired keys after rotation', () => {
+        configure({ JWT_KEYS: JSON.stringify([rsaKey]) });
+        const oldToken = signToken({ userId: 'u1' });
+
+        configure({ JWT_KEYS: JSON.stringify([edKey, rsaKey]), JWT_SIGNING_KEY_ID: 'ed-2026' });
+        expect(jwt.decode(signToken({ userId: 'u1' }), { complete: true }).header.kid).toBe('ed-2026');
+        expect(verifyToken(oldToken)).toMatchObject({ userId: 'u1' });
+    });
+
+    it('verifies tokens without a kid with JWT_SECRET', () => {
+        configure({ JWT_SECRET: 'b'.repeat(40), JWT_KEYS: JSON.stringify([edKey]) });
+        const legacyToken = jwt.sign({ userId: 'u1' }, 'b'.repeat(40));
+        expect(verifyToken(legacyToken)).toMatchObject({ userId: 'u1' });
+    });
+
+    it('rejects unknown kids, swapped algorithms and bad signatures', () => {
+        configure({ JWT_KEYS: JSON.stringify([edKey, hsKey]) });
+
+        expect(() => verifyToken(jwt.sign({}, 'x', { keyid: 'other' }))).toThrow(jwt.JsonWebTokenError);
+        expect(() => verifyToken(jwt.sign({}, 'x', { keyid: 'ed-2026' }))).toThrow(jwt.JsonWebTokenError);
+        expect(() => verifyToken(jwt.sign({}, 'x', { keyid: 'hs-1' }))).toThrow(jwt.JsonWebTokenError);
+
+        const [header, claims] = signToken({ userId: 'u1' }).split('.');
+        const forged = `${header}.${Buffer.from('{"userId":"u2"}').toString('base64url')}.${signToken({}).split('.')[2]}`;
+        expect(() => verifyToken(forged)).toThrow('invalid signature');
+        expect(() => verifyToken(`${header}.${claims}.`)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    it('reports expired EdDSA tokens like jsonwebtoken does', () => {
+        configure({ JWT_KEYS: JSON.stringify([edKey]) });
+        const token = signToken({ userId: 'u1', exp: Math.floor(Date.now() / 1000) - 10 });
+        expect(() => verifyToken(token)).toThrow(jwt.TokenExpiredError);
+    });
+});
+
+describe('getJwks', () => {
+    it('publishes the asymmetric public keys only', () => {
+        configure({ JWT_KEYS: JSON.stringify([edKey, rsaKey, hsKey]) });
+        const { keys } = getJwks();
+
+        expect(keys.map(key => key.kid)).toEqual(['ed-2026', 'rsa-2025']);
+        expect(keys[0]).toMatchObject({ kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA', use: 'sig' });
+        keys.forEach(key => expect(key.d).toBeUndefined());
+    });
+});
+
+describe('assertKeyringConfigured', () => {
+    it('lets development run on the fallback secret', () => {
+        configure({});
+        expect(() => assertKeyringConfigured()).not.toThrow();
+    });
+
+    it.each([
+        ['no keys', {}],
+        ['the example secret', { JWT_SECRET: 'your-super-secret-jwt-key-here' }],
+        ['a short secret', { JWT_SECRET: 'short' }],
+        ['only a retired public key', { JWT_KEYS: JSON.stringify([{ kid: 'old', alg: 'RS256', publicKey: pem(rsa.publicKey, 'spki') }]) }],
+        ['an unknown signing kid', { JWT_KEYS: JSON.stringify([edKey]), JWT_SIGNING_KEY_ID: 'missing' }],
+    ])('refuses production with %s', (name, env) => {
+        configure({ ...env, NODE_ENV: 'production' });
+        expect(() => assertKeyringConfigured()).toThrow();
+    });
+
+    it('accepts production with an asymmetric signing key', () => {
+        configure({ NODE_ENV: 'production', JWT_KEYS: JSON.stringify([edKey]) });
+        expect(() => assertKeyringConfigured()).not.toThrow();
+    });
+});
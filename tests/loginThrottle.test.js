@@ -0,0 +1,175 @@
+const loginThrottle = require('../utils/loginThrottle');
+const Developer = require('../models/Developer');
+const Employer = require('../models/Employer');
+const AuditLog = require('../models/AuditLog');
+const authRouter = require('../routes/auth');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+const { accountKey, ipKey, check, registerFailure, reset, setStore, MemoryStore } = loginThrottle;
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+
+// Keep setImmediate real: the route runner waits on it
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-05-04T10:00:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+    setStore(new MemoryStore());
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+const keysFor = (email, ip = '10.0.0.1') => ({ account: accountKey('login', email), ip: ipKey(ip) });
+
+const fail = async (keys, times) => {
+    let result;
+    for (let i = 0; i < times; i++) {
+        result = await registerFailure(keys);
+    }
+    return result;
+};
+
+describe('login throttle', () => {
+    it('lets the first failures through without delay', async () => {
+        const keys = keysFor('dev@example.com');
+        await fail(keys, 3);
+
+        expect(await check(keys)).toBeNull();
+    });
+
+    it('delays further attempts exponentially', async () => {
+        const keys = keysFor('dev@example.com');
+
+        await fail(keys, 4);
+        expect(await check(keys)).toEqual({ locked: false, retryAfterMs: SECOND_MS });
+
+        jest.advanceTimersByTime(SECOND_MS);
+        expect(await check(keys)).toBeNull();
+    });
+
+    it('locks the account after LOGIN_MAX_FAILED_ATTEMPTS failures', async () => {
+        const keys = keysFor('dev@example.com');
+
+        await fail(keys, 4);
+        const result = await registerFailure(keys);
+
+        expect(result).toMatchObject({ accountLocked: true, ipLocked: false, failures: 5 });
+        expect(await check(keys)).toEqual({ locked: true, retryAfterMs: 15 * MINUTE_MS });
+
+        jest.advanceTimersByTime(15 * MINUTE_MS);
+        expect(await check(keys)).toBeNull();
+    });
+
+    it('locks the account whichever IPs the failures come from', async () => {
+        for (let i = 0; i < 5; i++) {
+            await registerFailure(keysFor('dev@example.com', `10.0.0.${i}`));
+        }
+
+        expect(await check(keysFor('dev@example.com', '10.0.0.99'))).toMatchObject({ locked: true });
+        expect(await check(keysFor('other@example.com', '10.0.0.99'))).toBeNull();
+    });
+
+    it('treats emails case-insensitively', async () => {
+        await fail(keysFor('Dev@Example.com'), 5);
+
+        expect(await check(keysFor('dev@example.com'))).toMatchObject({ locked: true });
+    });
+
+    it('locks an IP after LOGIN_MAX_FAILED_ATTEMPTS_PER_IP failures across accounts', async () => {
+        let result;
+        for (let i = 0; i < 20; i++) {
+            result = await registerFailure(keysFor(`user${i}@example.com`));
+        }
+
+        expect(result).toMatchObject({ accountLocked: false, ipLocked: true });
+        expect(await check(keysFor('fresh@example.com'))).toMatchObject({ locked: true });
+        expect(await check(keysFor('fresh@example.com', '10.0.0.2'))).toBeNull();
+    });
+
+    it('reads the limits from the environment', async () => {
+        process.env.LOGIN_MAX_FAILED_ATTEMPTS = '2';
+        try {
+            const result = await fail(keysFor('dev@example.com'), 2);
+            expect(result.accountLocked).toBe(true);
+        } finally {
+            delete process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+        }
+    });
+
+    it('forgets failures once the window has passed', async () => {
+        const keys = keysFor('dev@example.com');
+        await fail(keys, 4);
+
+        jest.advanceTimersByTime(16 * MINUTE_MS);
+        const result = await registerFailure(keys);
+
+        expect(result.failures).toBe(1);
+        expect(await check(keys)).toBeNull();
+    });
+
+    it('clears an account on reset', async () => {
+        const keys = keysFor('dev@example.com');
+        await fail(keys, 5);
+
+        await reset(keys.account);
+
+        expect(await check({ account: keys.account })).toBeNull();
+    });
+});
+
+describe('POST /login throttling', () => {
+    let auditLogs;
+
+    beforeEach(() => {
+        [, , auditLogs] = useMemoryModels(Developer, Employer, AuditLog);
+    });
+
+    const login = (email, ip = '10.0.0.1') => runRoute(authRouter, 'post', '/login', {
+        ip,
+        body: { email, password: 'wrong-password' },
+    });
+
+    const failLogins = async (email, times) => {
+        for (let i = 0; i < times; i++) {
+            expect((await login(email)).statusCode).toBe(401);
+            // Step past the growing delay so only the lockout can block
+            jest.advanceTimersByTime(30 * SECOND_MS);
+        }
+    };
+
+    it('answers 429 with Retry-After once the account is locked', async () => {
+        await failLogins('dev@example.com', 5);
+
+        const res = await login('dev@example.com', '10.0.0.2');
+
+        expect(res.statusCode).toBe(429);
+        expect(res.headers['retry-after']).toBe(String(15 * 60 - 30));
+        expect(res.body.message).toMatch(/minute/);
+        expect(auditLogs.map(entry => entry.action)).toContain('auth.lockout');
+    });
+
+    it('answers 429 while a failing IP must wait', async () => {
+        for (let i = 0; i < 4; i++) {
+            await login(`user${i}@example.com`);
+        }
+
+        const res = await login('user0@example.com');
+
+        expect(res.statusCode).toBe(429);
+        expect(res.body.message).toMatch(/second/);
+    });
+
+    it('blocks every account from a locked IP', async () => {
+        for (let i = 0; i < 20; i++) {
+            await login(`user${i}@example.com`);
+            jest.advanceTimersByTime(30 * SECOND_MS);
+        }
+
+        expect((await login('fresh@example.com')).statusCode).toBe(429);
+        expect((await login('fresh@example.com', '10.0.0.2')).statusCode).toBe(401);
+        expect(auditLogs.map(entry => entry.action)).toContain('auth.ip_lockout');
+    });
+});
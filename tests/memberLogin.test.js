@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Employer = require('../models/Employer');
+const CompanyMember = require('../models/CompanyMember');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const authRouter = require('../routes/auth');
+const { registerTransport } = require('../utils/mailer');
+const { generateSecret, generateTotp } = require('../utils/totp');
+const loginThrottle = require('../utils/loginThrottle');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+const PASSWORD = 'Secret123!';
+
+let employers;
+let members;
+let sessions;
+let sentMail;
+
+beforeAll(() => {
+    registerTransport('console', () => ({
+        send: async (message) => {
+            sentMail.push(message);
+            return { id: 'test' };
+        },
+    }));
+});
+
+beforeEach(() => {
+    [employers, members, sessions] = useMemoryModels(Employer, CompanyMember, Session, RefreshToken);
+    loginThrottle.setStore(new loginThrottle.MemoryStore());
+    sentMail = [];
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const setUpCompany = (memberFields = {}) => {
+    const employer = {
+        _id: new mongoose.Types.ObjectId(),
+        companyName: 'Acme',
+        email: 'jobs@acme.com',
+        twoFactorEnabled: false,
+    };
+    const member = {
+        _id: new mongoose.Types.ObjectId(),
+        employerId: employer._id,
+        email: 'reza@acme.com',
+        name: 'Reza',
+        password: bcrypt.hashSync(PASSWORD, 4),
+        role: 'recruiter',
+        status: 'active',
+        twoFactorEnabled: false,
+        ...memberFields,
+    };
+    employers.push(employer);
+    members.push(member);
+    return { employer, member };
+};
+
+const memberLogin = () => runRoute(authRouter, 'post', '/member/login', {
+    body: { email: 'reza@acme.com', password: PASSWORD },
+});
+
+describe('POST /api/auth/member/login', () => {
+    it('issues company tokens for the member without 2FA', async () => {
+        const { member } = setUpCompany();
+
+        const res = await memberLogin();
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.token).toEqual(expect.any(String));
+        expect(sessions).toEqual([expect.objectContaining({ memberId: member._id, userModel: 'Employer' })]);
+    });
+
+    it('asks a member with 2FA for a code before issuing tokens', async () => {
+        setUpCompany({ twoFactorEnabled: true, twoFactorSecret: generateSecret() });
+
+        const res = await memberLogin();
+
+        expect(res.body).toMatchObject({ twoFactorRequired: true, challengeToken: expect.any(String) });
+        expect(res.body.token).toBeUndefined();
+        expect(sessions).toHaveLength(0);
+    });
+});
+
+describe('POST /api/auth/login/2fa for team members', () => {
+    const secret = generateSecret();
+
+    const finishLogin = async (code) => {
+        const { body } = await memberLogin();
+        return runRoute(authRouter, 'post', '/login/2fa', { body: { challengeToken: body.challengeToken, code } });
+    };
+
+    it('issues company tokens that remember the member', async () => {
+        const { employer, member } = setUpCompany({ twoFactorEnabled: true, twoFactorSecret: secret });
+
+        const res = await finishLogin(generateTotp(secret, Date.now()));
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data._id).toEqual(member._id);
+        expect(res.body.company._id).toEqual(employer._id);
+        expect(sessions).toEqual([expect.objectContaining({ userId: employer._id, memberId: member._id })]);
+    });
+
+    it('refuses a wrong code', async () => {
+        setUpCompany({ twoFactorEnabled: true, twoFactorSecret: secret });
+        const code = generateTotp(secret, Date.now());
+
+        const res = await finishLogin(code === '000000' ? '111111' : '000000');
+
+        expect(res.statusCode).toBe(401);
+        expect(sessions).toHaveLength(0);
+    });
+});
+
+describe('2FA setup for team members', () => {
+    it("turns on 2FA for the member's login, not the company's", async () => {
+        const { employer, member } = setUpCompany();
+        const asMember = { user: employer, userRole: 'Employer', member };
+
+        const setup = await runRoute(authRouter, 'post', '/2fa/setup', asMember);
+        const { secret, otpauthUrl } = setup.body.data;
+        const res = await runRoute(authRouter, 'post', '/2fa/enable', {
+            ...asMember,
+            body: { code: generateTotp(secret, Date.now()) },
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(otpauthUrl).toContain('reza%40acme.com');
+        expect(members[0]).toMatchObject({ twoFactorEnabled: true, twoFactorSecret: secret });
+        expect(employers[0].twoFactorEnabled).toBe(false);
+        expect(employers[0].twoFactorPendingSecret).toBeUndefined();
+    });
+});
+
+describe('password reset for team members', () => {
+    it('emails a reset link and sets the new password', async () => {
+        const { employer, member } = setUpCompany();
+        sessions.push(
+            { _id: new mongoose.Types.ObjectId(), userId: employer._id, userModel: 'Employer', memberId: member._id, revokedAt: null },
+            { _id: new mongoose.Types.ObjectId(), userId: employer._id, userModel: 'Employer', memberId: null, revokedAt: null }
+        );
+
+        await runRoute(authRouter, 'post', '/forgot-password', { body: { email: 'reza@acme.com', userType: 'CompanyMember' } });
+        const [mail] = sentMail;
+        const token = mail.text.match(/token=([a-f0-9]{64})&userType=CompanyMember/)[1];
+
+        const res = await runRoute(authRouter, 'post', '/reset-password', {
+            body: { token, userType: 'CompanyMember', newPassword: 'Changed456!' },
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(mail.to).toBe('reza@acme.com');
+        // Save hooks don't run on the memory models, so the password is stored as it was set
+        expect(members[0].password).toBe('Changed456!');
+        expect(sessions.map(session => session.revokedReason)).toEqual(['password_changed', undefined]);
+    });
+
+    it('sends nothing to invited members who have not joined yet', async () => {
+        setUpCompany({ status: 'invited', password: undefined });
+
+        const res = await runRoute(authRouter, 'post', '/forgot-password', { body: { email: 'reza@acme.com', userType: 'CompanyMember' } });
+
+        expect(res.statusCode).toBe(200);
+        expect(sentMail).toHaveLength(0);
+    });
+});
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const JobRequest = require('../models/JobRequest');
+const Message = require('../models/Message');
+const messagesRouter = require('../routes/messages');
+const { attachmentPath, isThreadOpen } = require('../utils/messages');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+describe('attachmentPath', () => {
+    it('resolves stored names inside the attachments directory', () => {
+        const filePath = attachmentPath('attachments-1700000000000-42.pdf');
+        expect(filePath).toBe(path.join(__dirname, '../uploads/message-attachments/attachments-1700000000000-42.pdf'));
+    });
+
+    it('never leaves the attachments directory', () => {
+        expect(attachmentPath('../resumes/resume-1.pdf')).toBe(path.join(__dirname, '../uploads/message-attachments/resume-1.pdf'));
+        expect(attachmentPath('..')).toBeNull();
+        expect(attachmentPath('')).toBeNull();
+        expect(attachmentPath(undefined)).toBeNull();
+    });
+});
+
+describe('isThreadOpen', () => {
+    it.each([
+        ['pending', true],
+        ['accepted', true],
+        ['rejected', false],
+        ['withdrawn', false],
+        ['expired', false],
+    ])('%s -> %s', (status, expected) => {
+        expect(isThreadOpen({ status })).toBe(expected);
+    });
+});
+
+describe('message thread routes', () => {
+    const employerId = new mongoose.Types.ObjectId();
+    const developerId = new mongoose.Types.ObjectId();
+    const jobRequestId = new mongoose.Types.ObjectId();
+
+    const developer = { user: { _id: developerId }, userRole: 'Developer' };
+    const otherDeveloper = { user: { _id: new mongoose.Types.ObjectId() }, userRole: 'Developer' };
+    const company = { user: { _id: employerId }, userRole: 'Employer' };
+    const otherCompany = { user: { _id: new mongoose.Types.ObjectId() }, userRole: 'Employer' };
+    const member = (role) => ({ ...company, member: { _id: new mongoose.Types.ObjectId(), role } });
+
+    let jobRequests;
+    let messages;
+
+    beforeEach(() => {
+        [jobRequests, messages] = useMemoryModels(JobRequest, Message);
+        jobRequests.push({ _id: jobRequestId, employerId, developerId, status: 'accepted' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const post = (as, body = { body: 'When can you start?' }) => runRoute(messagesRouter, 'post', '/', {
+        ...as,
+        params: { id: String(jobRequestId) },
+        body,
+    });
+
+    const read = (as) => runRoute(messagesRouter, 'get', '/', { ...as, params: { id: String(jobRequestId) } });
+
+    describe('posting', () => {
+        it.each([
+            ['the developer', developer, 'Developer', 'Developer'],
+            ['the company login', company, 'Employer', 'Employer'],
+            ['a recruiter, as themselves', member('recruiter'), 'Employer', 'CompanyMember'],
+        ])('lets %s write', async (name, as, side, senderModel) => {
+            const res = await post(as);
+
+            expect(res.statusCode).toBe(201);
+            expect(messages).toHaveLength(1);
+            expect(messages[0]).toMatchObject({ side, senderModel, body: 'When can you start?' });
+            expect(String(messages[0].jobRequestId)).toBe(String(jobRequestId));
+        });
+
+        it.each([
+            ['another developer', otherDeveloper],
+            ['another company', otherCompany],
+            ['a team viewer', member('viewer')],
+        ])('refuses %s', async (name, as) => {
+            const res = await post(as);
+
+            expect(res.statusCode).toBe(403);
+            expect(messages).toHaveLength(0);
+        });
+
+        it('needs a body or an attachment', async () => {
+            const res = await post(developer, { body: '   ' });
+
+            expect(res.statusCode).toBe(400);
+            expect(messages).toHaveLength(0);
+        });
+
+        it('answers 404 for an unknown job request', async () => {
+            jobRequests.length = 0;
+
+            expect((await post(developer)).statusCode).toBe(404);
+        });
+
+        it('turns a malformed job request ID away before storing attachments', async () => {
+            const findById = jest.spyOn(JobRequest, 'findById');
+
+            const res = await runRoute(messagesRouter, 'post', '/', {
+                ...developer,
+                params: { id: 'not-an-id' },
+                body: { body: 'Hello' },
+            });
+
+            expect(res.statusCode).toBe(404);
+            expect(findById).not.toHaveBeenCalled();
+        });
+
+        it('removes the attachments when sending fails', async () => {
+            const stored = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'hamkar-')), 'attachments-1.pdf');
+            fs.writeFileSync(stored, '%PDF-1.4');
+            jest.spyOn(JobRequest, 'findById').mockImplementation(() => {
+                throw new Error('connection lost');
+            });
+
+            await expect(runRoute(messagesRouter, 'post', '/', {
+                ...developer,
+                params: { id: String(jobRequestId) },
+                files: [{ path: stored }],
+            })).rejects.toThrow('connection lost');
+
+            expect(fs.existsSync(stored)).toBe(false);
+        });
+
+        it.each(['rejected', 'withdrawn', 'expired'])('is closed once the job request is %s', async (status) => {
+            jobRequests[0].status = status;
+
+            const res = await post(company);
+
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toBe(`Messages cannot be sent on a ${status} job request`);
+            expect(messages).toHaveLength(0);
+        });
+    });
+
+    describe('reading', () => {
+        beforeEach(async () => {
+            await post(company, { body: 'Hello' });
+            await post(developer, { body: 'Hi!' });
+        });
+
+        it.each([
+            ['the developer', developer],
+            ['the company login', company],
+            ['a team viewer', member('viewer')],
+        ])('lets %s read the thread', async (name, as) => {
+            const res = await read(as);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.map(message => message.body).sort()).toEqual(['Hello', 'Hi!']);
+            expect(res.body.pagination.total).toBe(2);
+        });
+
+        it.each([
+            ['another developer', otherDeveloper],
+            ['another company', otherCompany],
+        ])('refuses %s', async (name, as) => {
+            const res = await read(as);
+
+            expect(res.statusCode).toBe(403);
+        });
+
+        it("marks the other side's messages as read", async () => {
+            await read(developer);
+
+            const fromCompany = messages.find(message => message.side === 'Employer');
+            const fromDeveloper = messages.find(message => message.side === 'Developer');
+            expect(fromCompany.readAt).toBeInstanceOf(Date);
+            expect(String(fromCompany.readBy)).toBe(String(developerId));
+            expect(fromDeveloper.readAt).toBeNull();
+        });
+
+        it('keeps a closed thread readable', async () => {
+            jobRequests[0].status = 'rejected';
+
+            const res = await read(developer);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data).toHaveLength(2);
+        });
+    });
+});
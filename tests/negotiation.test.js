@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const JobRequest = require('../models/JobRequest');
+const { can } = require('../policies');
+const { latestProposal, currentTerms, proposeTerms, acceptProposal } = require('../utils/negotiation');
+const { useMemoryModels } = require('./helpers/memoryModels');
+
+const developer = { id: 'dev1', role: 'Developer', teamRole: null };
+const company = { id: 'emp1', role: 'Employer', teamRole: null };
+const recruiter = { id: 'emp1', role: 'Employer', teamRole: 'recruiter' };
+const viewer = { id: 'emp1', role: 'Employer', teamRole: 'viewer' };
+const admin = { id: 'adm1', role: 'Admin', teamRole: null };
+const actor = { actorId: 'dev1', actorModel: 'Developer' };
+
+const proposal = (version, side, salaryOffer) => ({ version, side, salaryOffer, salaryType: 'monthly' });
+
+const jobRequest = (overrides = {}) => ({
+    _id: 'jr1',
+    employerId: 'emp1',
+    developerId: 'dev1',
+    status: 'pending',
+    salaryOffer: 5000,
+    salaryType: 'yearly',
+    proposals: [],
+    agreedTerms: null,
+    ...overrides,
+});
+
+describe('negotiation permission', () => {
+    it.each([
+        ['developer it was sent to', developer, true],
+        ['company login', company, true],
+        ['team recruiter', recruiter, true],
+        ['team viewer', viewer, false],
+        ['admin', admin, false],
+    ])('%s -> %s', (name, principal, expected) => {
+        expect(can(principal, 'jobRequest:negotiate', jobRequest())).toBe(expected);
+    });
+});
+
+describe('currentTerms', () => {
+    it('starts with the original offer', () => {
+        expect(latestProposal(jobRequest())).toBeNull();
+        expect(currentTerms(jobRequest())).toMatchObject({ salaryOffer: 5000, salaryType: 'yearly' });
+    });
+
+    it('follows the latest proposal', () => {
+        const negotiated = jobRequest({ proposals: [proposal(1, 'Developer', 6000), proposal(2, 'Employer', 5500)] });
+        expect(currentTerms(negotiated)).toMatchObject({ salaryOffer: 5500, salaryType: 'monthly' });
+    });
+});
+
+describe('proposeTerms', () => {
+    it.each([
+        ['a team viewer', viewer, jobRequest(), 403],
+        ['a withdrawn request', developer, jobRequest({ status: 'withdrawn' }), 400],
+        ['agreed terms', developer, jobRequest({ agreedTerms: proposal(1, 'Employer', 5500) }), 409],
+    ])('refuses %s', async (name, principal, request, statusCode) => {
+        const result = await proposeTerms(request, { salaryOffer: 6000 }, { principal, actor });
+        expect(result).toMatchObject({ statusCode });
+    });
+});
+
+describe('acceptProposal', () => {
+    const negotiated = jobRequest({ proposals: [proposal(1, 'Developer', 6000), proposal(2, 'Employer', 5500)] });
+
+    it('only accepts the latest proposal', async () => {
+        const result = await acceptProposal(negotiated, 1, { principal: company, actor });
+        expect(result).toMatchObject({ statusCode: 409 });
+    });
+
+    it('leaves accepting a proposal to the other side', async () => {
+        const result = await acceptProposal(negotiated, 2, { principal: recruiter, actor });
+        expect(result).toMatchObject({ statusCode: 403 });
+    });
+
+    it('reports unknown versions', async () => {
+        const result = await acceptProposal(negotiated, 3, { principal: developer, actor });
+        expect(result).toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('acceptProposal writing agreed terms', () => {
+    const employerId = new mongoose.Types.ObjectId();
+    const developerId = new mongoose.Types.ObjectId();
+    const principal = { id: developerId, role: 'Developer', teamRole: null };
+    let stored;
+
+    beforeEach(() => {
+        [stored] = useMemoryModels(JobRequest);
+        stored.push(jobRequest({
+            _id: new mongoose.Types.ObjectId(),
+            employerId,
+            developerId,
+            proposals: [{ ...proposal(1, 'Employer', 5500), proposedBy: employerId, proposedByModel: 'Employer' }],
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('copies the accepted proposal onto the request', async () => {
+        const result = await acceptProposal(stored[0], 1, { principal, actor });
+
+        expect(result.jobRequest.agreedTerms).toMatchObject({ version: 1, side: 'Employer', salaryOffer: 5500 });
+        expect(stored[0]).toMatchObject({ salaryOffer: 5500, salaryType: 'monthly' });
+    });
+
+    it('never replaces terms that were already agreed', async () => {
+        const stale = { ...stored[0] };
+        await acceptProposal(stored[0], 1, { principal, actor });
+        const agreedAt = stored[0].agreedTerms.agreedAt;
+
+        const result = await acceptProposal(stale, 1, { principal, actor });
+
+        expect(result).toMatchObject({ statusCode: 409 });
+        expect(stored[0].agreedTerms.agreedAt).toBe(agreedAt);
+    });
+});
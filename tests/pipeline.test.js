@@ -0,0 +1,117 @@
+const {
+    DEFAULT_PIPELINE_STAGES,
+    stagesOf,
+    checkPipelineStages,
+    entryStageKey,
+    stageKeyOf,
+    groupByStage,
+    moveToStage,
+} = require('../utils/pipeline');
+const JobRequest = require('../models/JobRequest');
+const jobRequestsRouter = require('../routes/jobRequests');
+const { runRoute } = require('./helpers/http');
+
+const company = { id: 'emp1', role: 'Employer', teamRole: null };
+const viewer = { id: 'emp1', role: 'Employer', teamRole: 'viewer' };
+const developer = { id: 'dev1', role: 'Developer', teamRole: null };
+
+const stages = [
+    { key: 'intro-call', name: 'Intro call', outcome: null },
+    { key: 'trial-task', name: 'Trial task', outcome: null },
+    { key: 'hired', name: 'Hired', outcome: 'hired' },
+];
+
+describe('stagesOf', () => {
+    it('falls back to the default stages', () => {
+        expect(stagesOf(null)).toBe(DEFAULT_PIPELINE_STAGES);
+        expect(stagesOf({ pipelineStages: [] })).toBe(DEFAULT_PIPELINE_STAGES);
+    });
+
+    it('uses the company stages when there are some', () => {
+        expect(stagesOf({ pipelineStages: stages })).toEqual(stages);
+    });
+
+    it('lets the default stages pass its own checks', () => {
+        expect(checkPipelineStages(DEFAULT_PIPELINE_STAGES)).toBeNull();
+    });
+});
+
+describe('checkPipelineStages', () => {
+    it('needs a stage without an outcome', () => {
+        expect(checkPipelineStages([
+            { key: 'hired', name: 'Hired', outcome: 'hired' },
+            { key: 'declined', name: 'Declined', outcome: 'declined' },
+        ])).toMatch(/without an outcome/);
+    });
+
+    it('needs a hired stage', () => {
+        expect(checkPipelineStages([
+            { key: 'screening', name: 'Screening', outcome: null },
+            { key: 'declined', name: 'Declined', outcome: 'declined' },
+        ])).toMatch(/hired outcome/);
+    });
+});
+
+describe('stageKeyOf', () => {
+    it('starts accepted requests in the first stage without an outcome', () => {
+        expect(entryStageKey([{ key: 'declined', outcome: 'declined' }, ...stages])).toBe('intro-call');
+    });
+
+    it('puts requests without a known stage in the entry stage', () => {
+        expect(stageKeyOf({ stage: null }, stages)).toBe('intro-call');
+        expect(stageKeyOf({ stage: 'removed' }, stages)).toBe('intro-call');
+        expect(stageKeyOf({ stage: 'trial-task' }, stages)).toBe('trial-task');
+    });
+});
+
+describe('groupByStage', () => {
+    it('returns one column per stage, in order', () => {
+        const jobRequests = [{ stage: 'trial-task' }, { stage: null }, { stage: 'trial-task' }];
+        const columns = groupByStage(jobRequests, stages);
+
+        expect(columns.map(column => [column.key, column.count])).toEqual([
+            ['intro-call', 1],
+            ['trial-task', 2],
+            ['hired', 0],
+        ]);
+    });
+});
+
+describe('moveToStage', () => {
+    const jobRequest = (status) => ({ _id: 'jr1', employerId: 'emp1', developerId: 'dev1', status, stage: null });
+
+    it('forbids team viewers', async () => {
+        const result = await moveToStage(jobRequest('accepted'), 'hired', { principal: viewer });
+        expect(result).toMatchObject({ statusCode: 403 });
+    });
+
+    it('forbids the developer of the request', async () => {
+        const result = await moveToStage(jobRequest('accepted'), 'hired', { principal: developer });
+        expect(result).toMatchObject({ statusCode: 403 });
+    });
+
+    it('only moves accepted requests', async () => {
+        const result = await moveToStage(jobRequest('pending'), 'hired', { principal: company });
+        expect(result).toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('PATCH /api/job-requests/:id/stage', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('refuses developers before loading the request', async () => {
+        const findById = jest.spyOn(JobRequest, 'findById');
+
+        const res = await runRoute(jobRequestsRouter, 'patch', '/:id/stage', {
+            user: { _id: 'dev1' },
+            userRole: 'Developer',
+            params: { id: 'jr1' },
+            body: { stage: 'hired' },
+        });
+
+        expect(res.statusCode).toBe(403);
+        expect(findById).not.toHaveBeenCalled();
+    });
+});
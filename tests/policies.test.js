@@ -0,0 +1,402 @@
+const { can, canAny, principalOf, permissions, GUEST } = require('../policies');
+
+const developer = { id: 'dev1', role: 'Developer', teamRole: null };
+const otherDeveloper = { id: 'dev2', role: 'Developer', teamRole: null };
+const company = { id: 'emp1', role: 'Employer', teamRole: null };
+const owner = { id: 'emp1', role: 'Employer', teamRole: 'owner' };
+const recruiter = { id: 'emp1', role: 'Employer', teamRole: 'recruiter' };
+const viewer = { id: 'emp1', role: 'Employer', teamRole: 'viewer' };
+const otherCompany = { id: 'emp2', role: 'Employer', teamRole: null };
+const admin = { id: 'adm1', role: 'Admin', teamRole: null };
+
+const jobRequest = { employerId: 'emp1', developerId: 'dev1' };
+const privateProject = { developerId: 'dev1', isPublic: false };
+const publicProject = { developerId: 'dev1', isPublic: true };
+
+describe('permission list', () => {
+    it('uses resource:action:scope for every entry', () => {
+        Object.values(permissions).flat().forEach(permission => {
+            expect(permission).toMatch(/^[a-zA-Z]+:[a-z]+:(own|any|public)$/);
+        });
+    });
+});
+
+describe('can', () => {
+    describe('job requests', () => {
+        it.each([
+            ['developer it was sent to', developer, true],
+            ['other developer', otherDeveloper, false],
+            ['company login', company, true],
+            ['team owner', owner, true],
+            ['team recruiter', recruiter, true],
+            ['team viewer', viewer, true],
+            ['other company', otherCompany, false],
+            ['admin', admin, true],
+            ['guest', GUEST, false],
+        ])('read: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'jobRequest:read', jobRequest)).toBe(expected);
+        });
+
+        it.each([
+            ['developer', developer, false],
+            ['company login', company, true],
+            ['team owner', owner, true],
+            ['team recruiter', recruiter, true],
+            ['team viewer', viewer, false],
+            ['admin', admin, false],
+        ])('create: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'jobRequest:create', { employerId: user.id })).toBe(expected);
+        });
+
+        it.each([
+            ['developer it was sent to', developer, true],
+            ['other developer', otherDeveloper, false],
+            ['team recruiter', recruiter, true],
+            ['team viewer', viewer, false],
+            ['other company', otherCompany, false],
+            ['admin', admin, false],
+        ])('update: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'jobRequest:update', jobRequest)).toBe(expected);
+        });
+
+        it.each([
+            ['developer it was sent to', developer, true],
+            ['other developer', otherDeveloper, false],
+            ['company login', company, false],
+        ])('respond: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'jobRequest:respond', jobRequest)).toBe(expected);
+        });
+
+        it.each([
+            ['developer it was sent to', developer, false],
+            ['company login', company, true],
+            ['team owner', owner, true],
+            ['team recruiter', recruiter, true],
+            ['team viewer', viewer, false],
+            ['other company', otherCompany, false],
+            ['admin', admin, false],
+        ])('move between pipeline stages: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'jobRequest:move', jobRequest)).toBe(expected);
+        });
+
+        it.each([
+            ['developer', developer, false],
+            ['company login', company, false],
+            ['admin', admin, true],
+        ])('delete: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'jobRequest:delete', jobRequest)).toBe(expected);
+        });
+
+        it.each([
+            ['developer it was sent to', developer, true],
+            ['other developer', otherDeveloper, false],
+            ['company login', company, true],
+            ['team recruiter', recruiter, true],
+            ['team viewer', viewer, false],
+            ['other company', otherCompany, false],
+            ['admin', admin, false],
+        ])('send message: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'message:send', jobRequest)).toBe(expected);
+        });
+
+        it('matches populated references', () => {
+            const populated = { employerId: { _id: 'emp1' }, developerId: { _id: 'dev1' } };
+            expect(can(developer, 'jobRequest:read', populated)).toBe(true);
+            expect(can(company, 'jobRequest:read', populated)).toBe(true);
+            expect(can(otherDeveloper, 'jobRequest:read', populated)).toBe(false);
+        });
+    });
+
+    describe('projects', () => {
+        it.each([
+            ['owner, private', developer, privateProject, true],
+            ['other developer, private', otherDeveloper, privateProject, false],
+            ['other developer, public', otherDeveloper, publicProject, true],
+            ['employer, public', company, publicProject, true],
+            ['employer, private', company, privateProject, false],
+            ['guest, public', GUEST, publicProject, true],
+            ['guest, private', GUEST, privateProject, false],
+            ['admin, private', admin, privateProject, true],
+        ])('read: %s -> %s', (name, user, project, expected) => {
+            expect(can(user, 'project:read', project)).toBe(expected);
+        });
+
+        it.each([
+            ['owner', developer, true],
+            ['other developer', otherDeveloper, false],
+            ['employer', company, false],
+            ['admin', admin, false],
+        ])('update: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'project:update', privateProject)).toBe(expected);
+        });
+
+        it.each([
+            ['owner', developer, true],
+            ['other developer', otherDeveloper, false],
+            ['admin', admin, true],
+        ])('delete: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'project:delete', privateProject)).toBe(expected);
+        });
+    });
+
+    describe('profiles', () => {
+        it('lets developers update only their own profile', () => {
+            expect(can(developer, 'developer:update', { _id: 'dev1' })).toBe(true);
+            expect(can(developer, 'developer:update', { _id: 'dev2' })).toBe(false);
+            expect(can(admin, 'developer:update', { _id: 'dev2' })).toBe(true);
+        });
+
+        it('does not treat an employer with the same ID as the developer', () => {
+            expect(can({ ...company, id: 'dev1' }, 'developer:update', { _id: 'dev1' })).toBe(false);
+        });
+
+        it.each([
+            ['company login', company, true],
+            ['team owner', owner, true],
+            ['team recruiter', recruiter, false],
+            ['team viewer', viewer, false],
+            ['other company', otherCompany, false],
+        ])('employer profile update: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'employer:update', { _id: 'emp1' })).toBe(expected);
+        });
+
+        it('only lets admins edit any profile by ID', () => {
+            expect(canAny(developer, 'developer:update')).toBe(false);
+            expect(canAny(company, 'employer:update')).toBe(false);
+            expect(canAny(owner, 'employer:update')).toBe(false);
+            expect(canAny(admin, 'developer:update')).toBe(true);
+            expect(canAny(admin, 'employer:update')).toBe(true);
+            expect(canAny({ ...admin, impersonatedBy: 'adm2' }, 'developer:delete')).toBe(false);
+            expect(canAny(null, 'developer:update')).toBe(false);
+        });
+
+        it('only lets admins delete profiles', () => {
+            expect(can(developer, 'developer:delete', { _id: 'dev1' })).toBe(false);
+            expect(can(company, 'employer:delete', { _id: 'emp1' })).toBe(false);
+            expect(can(admin, 'developer:delete', { _id: 'dev1' })).toBe(true);
+            expect(can(admin, 'employer:delete', { _id: 'emp1' })).toBe(true);
+        });
+    });
+
+    describe('team and credentials', () => {
+        it.each([
+            ['company login', company, true],
+            ['team owner', owner, true],
+            ['team recruiter', recruiter, false],
+            ['team viewer', viewer, false],
+        ])('team manage: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'team:manage', { employerId: 'emp1' })).toBe(expected);
+        });
+
+        it('keeps other companies out of the team', () => {
+            expect(can(otherCompany, 'team:read', { employerId: 'emp1' })).toBe(false);
+        });
+
+        it.each([
+            ['developer', developer, true],
+            ['company login', company, true],
+            ['team owner', owner, false],
+            ['team recruiter', recruiter, false],
+            ['admin', admin, false],
+        ])('credentials update: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'credentials:update')).toBe(expected);
+        });
+
+        it.each([
+            ['developer', developer, true],
+            ['company login', company, true],
+            ['team owner', owner, true],
+            ['team viewer', viewer, true],
+            ['admin', admin, false],
+        ])('own 2FA update: %s -> %s', (name, user, expected) => {
+            expect(can(user, 'twoFactor:update')).toBe(expected);
+        });
+    });
+
+    describe('own account', () => {
+        it.each([
+            ['developer', developer, { _id: 'dev1' }, true],
+            ['company login', company, { _id: 'emp1' }, true],
+            ['team owner', owner, { _id: 'emp1' }, false],
+            ['other developer', otherDeveloper, { _id: 'dev1' }, false],
+            ['admin', admin, { _id: 'adm1' }, false],
+        ])('export and delete: %s -> %s', (name, user, account, expected) => {
+            expect(can(user, 'account:export', account)).toBe(expected);
+            expect(can(user, 'account:delete', account)).toBe(expected);
+        });
+    });
+
+    describe('hiring pipeline', () => {
+        it.each([
+            ['company login', company, true, true],
+            ['team owner', owner, true, true],
+            ['team recruiter', recruiter, true, false],
+            ['team viewer', viewer, true, false],
+            ['other company', otherCompany, false, false],
+            ['developer', developer, false, false],
+        ])('%s reads: %s, manages: %s', (name, user, reads, manages) => {
+            expect(can(user, 'pipeline:read', { employerId: 'emp1' })).toBe(reads);
+            expect(can(user, 'pipeline:manage', { employerId: 'emp1' })).toBe(manages);
+        });
+    });
+
+    describe('job request templates', () => {
+        it.each([
+            ['company login', company, true, true],
+            ['team owner', owner, true, true],
+            ['team recruiter', recruiter, true, true],
+            ['team viewer', viewer, true, false],
+            ['other company', otherCompany, false, false],
+            ['developer', developer, false, false],
+        ])('%s reads: %s, manages: %s', (name, user, reads, manages) => {
+            expect(can(user, 'jobRequestTemplate:read', { employerId: 'emp1' })).toBe(reads);
+            expect(can(user, 'jobRequestTemplate:manage', { employerId: 'emp1' })).toBe(manages);
+            expect(can(user, 'jobRequestTemplate:delete', { employerId: 'emp1' })).toBe(manages);
+        });
+    });
+
+    describe('shortlists', () => {
+        it.each([
+            ['company login', company, true, true],
+            ['team owner', owner, true, true],
+            ['team recruiter', recruiter, true, true],
+            ['team viewer', viewer, true, false],
+            ['other company', otherCompany, false, false],
+            ['developer', developer, false, false],
+            ['admin', admin, false, false],
+        ])('%s reads: %s, manages: %s', (name, user, reads, manages) => {
+            expect(can(user, 'shortlist:read', { employerId: 'emp1' })).toBe(reads);
+            expect(can(user, 'shortlist:manage', { employerId: 'emp1' })).toBe(manages);
+            expect(can(user, 'shortlist:delete', { employerId: 'emp1' })).toBe(manages);
+        });
+    });
+
+    describe('job postings', () => {
+        const openPosting = { employerId: 'emp1', isPublic: true };
+        const draftPosting = { employerId: 'emp1', isPublic: false };
+
+        it.each([
+            ['guest', null, true, false, false],
+            ['developer', developer, true, false, true],
+            ['company login', company, true, true, false],
+            ['team recruiter', recruiter, true, true, false],
+            ['team viewer', viewer, true, false, false],
+            ['other company', otherCompany, true, false, false],
+        ])('%s reads open: %s, manages: %s, applies: %s', (name, user, reads, manages, applies) => {
+            expect(can(user, 'jobPosting:read', openPosting)).toBe(reads);
+            expect(can(user, 'jobPosting:manage', openPosting)).toBe(manages);
+            expect(can(user, 'jobPosting:delete', openPosting)).toBe(manages);
+            expect(can(user, 'jobPosting:apply', openPosting)).toBe(applies);
+        });
+
+        it('hides drafts from everyone but the company', () => {
+            expect(can(null, 'jobPosting:read', draftPosting)).toBe(false);
+            expect(can(developer, 'jobPosting:read', draftPosting)).toBe(false);
+            expect(can(developer, 'jobPosting:apply', draftPosting)).toBe(false);
+            expect(can(otherCompany, 'jobPosting:read', draftPosting)).toBe(false);
+            expect(can(viewer, 'jobPosting:read', draftPosting)).toBe(true);
+            expect(can(admin, 'jobPosting:read', draftPosting)).toBe(true);
+        });
+    });
+
+    describe('files', () => {
+        it('lets users delete files their profile references', () => {
+            expect(can(developer, 'file:delete', { ownerId: 'dev1' })).toBe(true);
+            expect(can(developer, 'file:delete', { ownerId: null })).toBe(false);
+            expect(can(recruiter, 'file:delete', { ownerId: 'emp1' })).toBe(false);
+            expect(can(admin, 'file:delete', { ownerId: null })).toBe(true);
+        });
+    });
+
+    describe('without a resource', () => {
+        it('checks that the action is granted in some scope', () => {
+            expect(can(developer, 'project:update')).toBe(true);
+            expect(can(company, 'project:update')).toBe(false);
+            expect(can(viewer, 'jobRequest:create')).toBe(false);
+        });
+
+        it('denies unknown actions and roles', () => {
+            expect(can(developer, 'project:archive')).toBe(false);
+            expect(can({ id: 'x', role: 'Robot' }, 'project:read', publicProject)).toBe(false);
+            expect(can(null, 'project:read', publicProject)).toBe(true);
+            expect(can(null, 'project:read', privateProject)).toBe(false);
+        });
+    });
+});
+
+describe('API keys', () => {
+    const readKey = { ...company, apiKeyScopes: ['jobRequests:read'] };
+    const searchKey = { ...company, apiKeyScopes: ['search:read'] };
+
+    it('reads the company job requests with jobRequests:read', () => {
+        expect(can(readKey, 'jobRequest:read', jobRequest)).toBe(true);
+        expect(can(readKey, 'jobRequest:read', { employerId: 'emp2', developerId: 'dev1' })).toBe(false);
+        expect(can(searchKey, 'jobRequest:read', jobRequest)).toBe(false);
+    });
+
+    it('searches only with search:read', () => {
+        expect(can(searchKey, 'search:read')).toBe(true);
+        expect(can(readKey, 'search:read')).toBe(false);
+    });
+
+    it('never writes, even for the company login', () => {
+        const allScopes = { ...company, apiKeyScopes: ['jobRequests:read', 'search:read'] };
+        ['jobRequest:create', 'jobRequest:update', 'employer:update', 'team:manage', 'apiKey:manage', 'credentials:update']
+            .forEach(action => expect(can(allScopes, action, { employerId: 'emp1', _id: 'emp1' })).toBe(false));
+    });
+});
+
+describe('impersonation', () => {
+    const impersonatedDeveloper = { ...developer, impersonatedBy: 'adm1' };
+    const impersonatedCompany = { ...company, impersonatedBy: 'adm1' };
+
+    it('keeps read access of the impersonated user', () => {
+        expect(can(impersonatedDeveloper, 'developerDashboard:read')).toBe(true);
+        expect(can(impersonatedCompany, 'jobRequest:read', jobRequest)).toBe(true);
+    });
+
+    it.each([
+        ['password change', impersonatedDeveloper, 'password:update', undefined],
+        ['role switching and email verification', impersonatedDeveloper, 'credentials:update', undefined],
+        ['2FA changes', impersonatedCompany, 'twoFactor:update', undefined],
+        ['project deletion', impersonatedDeveloper, 'project:delete', privateProject],
+        ['session revocation', impersonatedDeveloper, 'session:delete', undefined],
+        ['API key management', impersonatedCompany, 'apiKey:manage', { employerId: 'emp1' }],
+        ['team management', impersonatedCompany, 'team:manage', { employerId: 'emp1' }],
+        ['data export', impersonatedDeveloper, 'account:export', { _id: 'dev1' }],
+        ['account deletion', impersonatedCompany, 'account:delete', { _id: 'emp1' }],
+        ['job request template deletion', impersonatedCompany, 'jobRequestTemplate:delete', { employerId: 'emp1' }],
+        ['job posting deletion', impersonatedCompany, 'jobPosting:delete', { employerId: 'emp1' }],
+        ['shortlist and candidate removal', impersonatedCompany, 'shortlist:delete', { employerId: 'emp1' }],
+    ])('blocks %s', (name, user, action, resource) => {
+        expect(can({ ...user, impersonatedBy: null }, action, resource)).toBe(true);
+        expect(can(user, action, resource)).toBe(false);
+    });
+});
+
+describe('principalOf', () => {
+    it('returns the guest for anonymous requests', () => {
+        expect(principalOf({})).toBe(GUEST);
+    });
+
+    it('takes the team role from the member', () => {
+        const req = { user: { _id: 'emp1' }, userRole: 'Employer', member: { role: 'viewer' } };
+        expect(principalOf(req)).toEqual({
+            id: 'emp1',
+            role: 'Employer',
+            teamRole: 'viewer',
+            apiKeyScopes: null,
+            impersonatedBy: null,
+        });
+    });
+
+    it('leaves the team role empty for the company login', () => {
+        const req = { user: { _id: 'emp1' }, userRole: 'Employer', member: null };
+        expect(principalOf(req).teamRole).toBeNull();
+    });
+
+    it('takes the scopes from an API key', () => {
+        const req = { user: { _id: 'emp1' }, userRole: 'Employer', member: null, apiKey: { scopes: ['search:read'] } };
+        expect(principalOf(req).apiKeyScopes).toEqual(['search:read']);
+    });
+});
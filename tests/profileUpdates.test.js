@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Developer = require('../models/Developer');
+const Employer = require('../models/Employer');
+const developersRouter = require('../routes/developers');
+const employersRouter = require('../routes/employers');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+describe('admin profile updates by ID', () => {
+    const admin = { _id: new mongoose.Types.ObjectId() };
+    let developer;
+    let employer;
+
+    beforeEach(() => {
+        const [developers, employers] = useMemoryModels(Developer, Employer);
+        developer = { _id: new mongoose.Types.ObjectId(), firstName: 'Sara', lastName: 'Ahmadi', email: 'sara@example.com' };
+        employer = { _id: new mongoose.Types.ObjectId(), companyName: 'Acme', email: 'jobs@acme.com' };
+        developers.push(developer);
+        employers.push(employer);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const updateDeveloper = (user, userRole) => runRoute(developersRouter, 'put', '/:id', {
+        user,
+        userRole,
+        params: { id: developer._id.toString() },
+        body: { city: 'Shiraz' },
+    });
+
+    const updateEmployer = (user, userRole, member = null) => runRoute(employersRouter, 'put', '/:id', {
+        user,
+        userRole,
+        member,
+        params: { id: employer._id.toString() },
+        body: { city: 'Shiraz' },
+    });
+
+    it('lets admins update a developer', async () => {
+        const res = await updateDeveloper(admin, 'Admin');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.city).toBe('Shiraz');
+    });
+
+    it('keeps developers on PUT /profile, even for their own ID', async () => {
+        const res = await updateDeveloper(developer, 'Developer');
+
+        expect(res.statusCode).toBe(403);
+    });
+
+    it('lets admins update an employer', async () => {
+        const res = await updateEmployer(admin, 'Admin');
+
+        expect(res.statusCode).toBe(200);
+    });
+
+    it('keeps companies and their owners on PUT /profile, even for their own ID', async () => {
+        expect((await updateEmployer(employer, 'Employer')).statusCode).toBe(403);
+        expect((await updateEmployer(employer, 'Employer', { role: 'owner' })).statusCode).toBe(403);
+    });
+});
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { issueAuthTokens, rotateRefreshToken } = require('../utils/tokens');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { createRequest, createResponse } = require('./helpers/http');
+
+describe('refresh token rotation', () => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+    let tokens;
+    let sessions;
+
+    beforeEach(() => {
+        [tokens, sessions] = useMemoryModels(RefreshToken, Session);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const login = () => issueAuthTokens(createRequest(), createResponse(), user, 'Developer');
+
+    it('exchanges a refresh token for a new pair in the same family', async () => {
+        const { refreshToken, sessionId } = await login();
+        const res = createResponse();
+
+        const rotated = await rotateRefreshToken(createRequest(), res, refreshToken);
+
+        expect(rotated.refreshToken).not.toBe(refreshToken);
+        expect(res.cookies.refreshToken.value).toBe(rotated.refreshToken);
+        expect(tokens).toHaveLength(2);
+        expect(tokens.every(token => token.family === sessionId.toString())).toBe(true);
+        expect(tokens[0]).toMatchObject({ revokedReason: 'rotated', replacedByHash: tokens[1].tokenHash });
+        expect(tokens[1].revokedAt).toBeNull();
+    });
+
+    it('revokes the whole family and ends the session when a rotated token is reused', async () => {
+        const { refreshToken } = await login();
+        const { refreshToken: latest } = await rotateRefreshToken(createRequest(), createResponse(), refreshToken);
+
+        const reused = await rotateRefreshToken(createRequest(), createResponse(), refreshToken);
+
+        expect(reused).toBeNull();
+        expect(sessions[0].revokedAt).toBeInstanceOf(Date);
+        expect(sessions[0].revokedReason).toBe('reuse_detected');
+        expect(tokens.every(token => token.revokedAt)).toBe(true);
+        expect(tokens[1].revokedReason).toBe('session_revoked');
+
+        // The token handed out by the last rotation is dead too
+        expect(await rotateRefreshToken(createRequest(), createResponse(), latest)).toBeNull();
+    });
+
+    it('leaves other sessions alone', async () => {
+        const { refreshToken } = await login();
+        const other = await login();
+        await rotateRefreshToken(createRequest(), createResponse(), refreshToken);
+
+        await rotateRefreshToken(createRequest(), createResponse(), refreshToken);
+
+        expect(sessions[1].revokedAt).toBeNull();
+        expect(await rotateRefreshToken(createRequest(), createResponse(), other.refreshToken)).not.toBeNull();
+    });
+
+    it('refuses unknown and expired tokens', async () => {
+        const { refreshToken } = await login();
+        tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+        expect(await rotateRefreshToken(createRequest(), createResponse(), 'unknown')).toBeNull();
+        expect(await rotateRefreshToken(createRequest(), createResponse(), refreshToken)).toBeNull();
+        expect(sessions[0].revokedAt).toBeNull();
+    });
+});
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const { visibleShortlists, canPrune, normalizeTags, describeCandidates, filterCandidates } = require('../utils/shortlists');
+const Shortlist = require('../models/Shortlist');
+const shortlistsRouter = require('../routes/shortlists');
+const { useMemoryModels } = require('./helpers/memoryModels');
+const { runRoute } = require('./helpers/http');
+
+const candidates = [
+    { developerId: 'dev1', notes: 'Strong on Node', tags: ['backend', 'senior'] },
+    { developerId: { _id: 'dev2', firstName: 'Sara' }, notes: '', tags: ['frontend'] },
+    { developerId: 'dev3', notes: '', tags: [] },
+];
+
+const latest = new Map([
+    ['dev1', { jobRequestId: 'jr1', status: 'pending', direction: 'outreach', total: 1 }],
+]);
+
+describe('visibleShortlists', () => {
+    it('shows shared lists and the viewer\'s own private ones', () => {
+        expect(visibleShortlists('emp1', { _id: 'member1' })).toEqual({
+            employerId: 'emp1',
+            $or: [{ shared: true }, { createdBy: 'member1' }],
+        });
+    });
+
+    it('treats the company login as the creator with no member', () => {
+        expect(visibleShortlists('emp1', null).$or[1]).toEqual({ createdBy: null });
+    });
+});
+
+describe('canPrune', () => {
+    const shortlist = { createdBy: 'member1' };
+
+    it.each([
+        ['the company login', true, null],
+        ['a team owner', true, { _id: 'member2', role: 'owner' }],
+        ['the recruiter who created it', true, { _id: 'member1', role: 'recruiter' }],
+        ['another recruiter', false, { _id: 'member2', role: 'recruiter' }],
+    ])('%s: %s', (name, expected, member) => {
+        expect(canPrune(shortlist, member)).toBe(expected);
+    });
+
+    it('refuses recruiters a list the company login created', () => {
+        expect(canPrune({ createdBy: null }, { _id: 'member1', role: 'recruiter' })).toBe(false);
+    });
+});
+
+describe('normalizeTags', () => {
+    it('trims, lower-cases and drops empty or repeated tags', () => {
+        expect(normalizeTags([' Backend', 'backend', 'Senior ', ''])).toEqual(['backend', 'senior']);
+        expect(normalizeTags()).toEqual([]);
+    });
+});
+
+describe('describeCandidates', () => {
+    it('adds the latest job request, populated or not', () => {
+        const described = describeCandidates(candidates, latest);
+
+        expect(described[0]).toMatchObject({ contacted: true, jobRequest: { status: 'pending' } });
+        expect(described[1]).toMatchObject({ contacted: false, jobRequest: null, developerId: { firstName: 'Sara' } });
+        expect(described[2].contacted).toBe(false);
+    });
+});
+
+describe('filterCandidates', () => {
+    const described = describeCandidates(candidates, latest);
+    const ids = (list) => list.map(candidate => candidate.developerId._id || candidate.developerId);
+
+    it('keeps everyone without filters', () => {
+        expect(filterCandidates(described)).toHaveLength(3);
+    });
+
+    it('filters on whether a job request was sent', () => {
+        expect(ids(filterCandidates(described, { contacted: true }))).toEqual(['dev1']);
+        expect(ids(filterCandidates(described, { contacted: false }))).toEqual(['dev2', 'dev3']);
+    });
+
+    it('filters on a tag, ignoring case', () => {
+        expect(ids(filterCandidates(described, { tag: 'Senior' }))).toEqual(['dev1']);
+        expect(ids(filterCandidates(described, { tag: 'frontend', contacted: true }))).toEqual([]);
+    });
+});
+
+describe('deleting while impersonating', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const asImpersonatedCompany = (params) => ({
+        user: { _id: 'emp1' },
+        userRole: 'Employer',
+        impersonator: { _id: 'adm1' },
+        params,
+    });
+
+    it('refuses to delete a shortlist', async () => {
+        const deleteOne = jest.spyOn(Shortlist, 'deleteOne');
+
+        const res = await runRoute(shortlistsRouter, 'delete', '/:id', asImpersonatedCompany({ id: 'list1' }));
+
+        expect(res.statusCode).toBe(403);
+        expect(deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses to remove a candidate', async () => {
+        const findOneAndUpdate = jest.spyOn(Shortlist, 'findOneAndUpdate');
+
+        const res = await runRoute(shortlistsRouter, 'delete', '/:id/candidates/:developerId',
+            asImpersonatedCompany({ id: 'list1', developerId: 'dev1' }));
+
+        expect(res.statusCode).toBe(403);
+        expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+});
+
+describe('pruning a shared shortlist', () => {
+    const company = { _id: new mongoose.Types.ObjectId(), companyName: 'Acme' };
+    const creator = { _id: new mongoose.Types.ObjectId(), employerId: company._id, role: 'recruiter' };
+    const recruiter = { _id: new mongoose.Types.ObjectId(), employerId: company._id, role: 'recruiter' };
+    const owner = { _id: new mongoose.Types.ObjectId(), employerId: company._id, role: 'owner' };
+    const developerId = new mongoose.Types.ObjectId();
+    let shortlists;
+    let shortlist;
+
+    beforeEach(() => {
+        [shortlists] = useMemoryModels(Shortlist);
+        shortlist = {
+            _id: new mongoose.Types.ObjectId(),
+            employerId: company._id,
+            name: 'Backend',
+            shared: true,
+            createdBy: creator._id,
+            candidates: [{ developerId, notes: '', tags: [] }],
+        };
+        shortlists.push(shortlist);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const as = (member, params) => ({
+        user: company,
+        userRole: 'Employer',
+        member,
+        params: { id: shortlist._id.toString(), ...params },
+    });
+
+    const deleteList = (member) => runRoute(shortlistsRouter, 'delete', '/:id', as(member));
+
+    const removeCandidate = (member) => runRoute(shortlistsRouter, 'delete', '/:id/candidates/:developerId',
+        as(member, { developerId: developerId.toString() }));
+
+    it('keeps another recruiter from deleting it', async () => {
+        const res = await deleteList(recruiter);
+
+        expect(res.statusCode).toBe(403);
+        expect(shortlists).toHaveLength(1);
+    });
+
+    it('keeps another recruiter from removing its candidates', async () => {
+        const res = await removeCandidate(recruiter);
+
+        expect(res.statusCode).toBe(403);
+        expect(shortlists[0].candidates).toHaveLength(1);
+    });
+
+    it.each([
+        ['its creator', creator],
+        ['a team owner', owner],
+        ['the company login', null],
+    ])('lets %s delete it', async (name, member) => {
+        const res = await deleteList(member);
+
+        expect(res.statusCode).toBe(200);
+        expect(shortlists).toHaveLength(0);
+    });
+
+    it.each([
+        ['its creator', creator],
+        ['a team owner', owner],
+    ])('lets %s remove a candidate', async (name, member) => {
+        const res = await removeCandidate(member);
+
+        expect(res.statusCode).toBe(200);
+        expect(shortlists[0].candidates).toHaveLength(0);
+    });
+
+    it('answers 404 for a developer who is not on it', async () => {
+        const res = await runRoute(shortlistsRouter, 'delete', '/:id/candidates/:developerId',
+            as(creator, { developerId: new mongoose.Types.ObjectId().toString() }));
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body.message).toBe('This developer is not on the shortlist');
+    });
+});
@@ -0,0 +1,145 @@
+const { base32Encode, base32Decode, generateTotp, verifyTotp } = require('../utils/totp');
+const { generateRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+
+// The shared secret of the RFC 4226 and RFC 6238 test vectors, "12345678901234567890"
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const STEP_MS = 30 * 1000;
+
+describe('base32', () => {
+    it('encodes the RFC secret', () => {
+        expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    it('decodes regardless of case, spaces and padding', () => {
+        expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==').toString()).toBe('12345678901234567890');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+        expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character');
+    });
+});
+
+describe('generateTotp', () => {
+    // RFC 4226 appendix D: HOTP values for counters 0 to 9 (a TOTP step is a counter)
+    it.each([
+        [0, '755224'], [1, '287082'], [2, '359152'], [3, '969429'], [4, '338314'],
+        [5, '254676'], [6, '287922'], [7, '162583'], [8, '399871'], [9, '520489'],
+    ])('matches RFC 4226 for counter %i', (counter, expected) => {
+        expect(generateTotp(SECRET, counter * STEP_MS)).toBe(expected);
+    });
+
+    // RFC 6238 appendix B (SHA-1), truncated to 6 digits
+    it.each([
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+        [20000000000, '353130'],
+    ])('matches RFC 6238 at T=%i', (seconds, expected) => {
+        expect(generateTotp(SECRET, seconds * 1000)).toBe(expected);
+    });
+});
+
+describe('verifyTotp', () => {
+    const timestamp = 1111111111 * 1000;
+    const step = Math.floor(timestamp / STEP_MS);
+
+    it('returns the step of a current code', () => {
+        expect(verifyTotp(SECRET, '050471', { timestamp })).toBe(step);
+    });
+
+    it.each([-1, 1])('accepts a code %i step away for clock drift', (offset) => {
+        const code = generateTotp(SECRET, timestamp + offset * STEP_MS);
+        expect(verifyTotp(SECRET, code, { timestamp })).toBe(step + offset);
+    });
+
+    it.each([-2, 2])('rejects a code %i steps away', (offset) => {
+        const code = generateTotp(SECRET, timestamp + offset * STEP_MS);
+        expect(verifyTotp(SECRET, code, { timestamp })).toBeNull();
+    });
+
+    it('honours a wider window', () => {
+        const code = generateTotp(SECRET, timestamp - 2 * STEP_MS);
+        expect(verifyTotp(SECRET, code, { timestamp, window: 2 })).toBe(step - 2);
+    });
+
+    it('ignores spaces in the code', () => {
+        expect(verifyTotp(SECRET, '050 471', { timestamp })).toBe(step);
+    });
+
+    it.each([
+        ['a wrong code', '123456'],
+        ['too few digits', '50471'],
+        ['too many digits', '0504710'],
+        ['letters', '05o471'],
+        ['nothing', undefined],
+    ])('rejects %s', (name, code) => {
+        expect(verifyTotp(SECRET, code, { timestamp })).toBeNull();
+    });
+});
+
+describe('verifySecondFactor', () => {
+    const now = 1111111111 * 1000;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const user = (fields = {}) => ({
+        twoFactorSecret: SECRET,
+        twoFactorLastUsedStep: null,
+        twoFactorRecoveryCodes: [],
+        ...fields,
+    });
+
+    it('accepts a valid code and remembers its step', () => {
+        const account = user();
+
+        expect(verifySecondFactor(account, { code: generateTotp(SECRET, now) })).toBe(true);
+        expect(account.twoFactorLastUsedStep).toBe(Math.floor(now / STEP_MS));
+    });
+
+    it('refuses to replay a code inside its window', () => {
+        const account = user();
+        const code = generateTotp(SECRET, now);
+        verifySecondFactor(account, { code });
+
+        jest.advanceTimersByTime(10 * 1000);
+
+        expect(verifySecondFactor(account, { code })).toBe(false);
+    });
+
+    it('refuses an earlier code once a later one was used', () => {
+        const account = user();
+        verifySecondFactor(account, { code: generateTotp(SECRET, now) });
+
+        expect(verifySecondFactor(account, { code: generateTotp(SECRET, now - STEP_MS) })).toBe(false);
+    });
+
+    it('accepts the next code', () => {
+        const account = user();
+        verifySecondFactor(account, { code: generateTotp(SECRET, now) });
+
+        jest.advanceTimersByTime(STEP_MS);
+
+        expect(verifySecondFactor(account, { code: generateTotp(SECRET, Date.now()) })).toBe(true);
+    });
+
+    it('consumes a recovery code', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+        const account = user({ twoFactorRecoveryCodes: [...hashes] });
+
+        expect(verifySecondFactor(account, { recoveryCode: codes[3].toUpperCase() })).toBe(true);
+        expect(account.twoFactorRecoveryCodes).toHaveLength(hashes.length - 1);
+        expect(verifySecondFactor(account, { recoveryCode: codes[3] })).toBe(false);
+    });
+
+    it('refuses a request without a code', () => {
+        expect(verifySecondFactor(user(), {})).toBe(false);
+    });
+});
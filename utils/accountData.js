@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const Developer = require('../models/Developer');
+const Employer = require('../models/Employer');
+const Project = require('../models/Project');
+const JobRequest = require('../models/JobRequest');
+const CompanyMember = require('../models/CompanyMember');
+const ApiKey = require('../models/ApiKey');
+const Message = require('../models/Message');
+const CalendarFeed = require('../models/CalendarFeed');
+const JobRequestBatch = require('../models/JobRequestBatch');
+const JobRequestTemplate = require('../models/JobRequestTemplate');
+const JobPosting = require('../models/JobPosting');
+const Shortlist = require('../models/Shortlist');
+const { listActiveSessions, revokeAllSessions } = require('./sessions');
+const { unlinkProfile } = require('./accounts');
+const { recordAudit } = require('./audit');
+const { transitionJobRequestsAsSystem } = require('./jobRequestStateMachine');
+const { deleteMessages } = require('./messages');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+const uploadsDir = path.join(__dirname, '../uploads');
+const profileModels = { Developer, Employer };
+
+// Free text on job requests that both sides see and that may be about either of them
+const SHARED_FREE_TEXT = [
+    'interviewNotes',
+    'agreedTerms.terms',
+    'proposals.$[].terms',
+    'statusHistory.$[].note',
+    'stageHistory.$[].note',
+];
+
+/**
+ * Path on disk of an uploaded file URL (`/uploads/...`), or null for
+ * external URLs and anything that would point outside the uploads directory
+ */
+const uploadedFilePath = (url) => {
+    if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+
+    const filePath = path.join(uploadsDir, url.slice('/uploads/'.length));
+    return filePath.startsWith(uploadsDir + path.sep) ? filePath : null;
+};
+
+/**
+ * The uploaded files a profile references, as { type, url }
+ */
+const uploadedFilesOf = (role, profile, projects = []) => {
+    const files = role === 'Developer'
+        ? [
+            { type: 'resume', url: profile.resumeUrl },
+            { type: 'profilePicture', url: profile.profilePicture },
+            ...projects.map(project => ({ type: 'projectImage', url: project.imageUrl })),
+        ]
+        : [{ type: 'companyLogo', url: profile.companyLogo }];
+
+    return files.filter(file => uploadedFilePath(file.url));
+};
+
+/**
+ * Everything we hold about a profile, for GET /api/auth/me/export.
+ * Uploaded files are embedded as base64.
+ */
+const exportAccountData = async (role, userId) => {
+    const profile = await profileModels[role].findById(userId);
+    const ownerFilter = role === 'Developer' ? { developerId: userId } : { employerId: userId };
+
+    const [projects, jobRequests, messages, sessions] = await Promise.all([
+        role === 'Developer' ? Project.find({ developerId: userId }) : [],
+        JobRequest.find(ownerFilter).sort({ createdAt: -1 }),
+        Message.find(ownerFilter).sort({ createdAt: -1 }),
+        listActiveSessions(userId, role),
+    ]);
+
+    const data = {
+        exportedAt: new Date(),
+        role,
+        profile: profile.getPublicProfile(),
+        projects,
+        jobRequests,
+        messages,
+        sessions: sessions.map(session => session.getSummary()),
+    };
+
+    if (role === 'Employer') {
+        const [teamMembers, apiKeys, jobRequestTemplates, jobPostings, shortlists] = await Promise.all([
+            CompanyMember.find({ employerId: userId }),
+            ApiKey.find({ employerId: userId }),
+            JobRequestTemplate.find({ employerId: userId }),
+            JobPosting.find({ employerId: userId }),
+            Shortlist.find({ employerId: userId }),
+        ]);
+        data.teamMembers = teamMembers.map(member => member.getPublicProfile());
+        data.apiKeys = apiKeys.map(apiKey => apiKey.getSummary());
+        data.jobRequestTemplates = jobRequestTemplates;
+        data.jobPostings = jobPostings;
+        data.shortlists = shortlists;
+    }
+
+    data.files = [];
+    for (const file of uploadedFilesOf(role, profile, projects)) {
+        const filePath = uploadedFilePath(file.url);
+        if (!fs.existsSync(filePath)) continue;
+
+        data.files.push({
+            ...file,
+            filename: path.basename(filePath),
+            encoding: 'base64',
+            content: (await fs.promises.readFile(filePath)).toString('base64'),
+        });
+    }
+
+    return data;
+};
+
+/**
+ * When an account asked to be deleted now will actually be deleted
+ */
+const deletionDate = () => new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Cancel a scheduled deletion, from the cancel endpoint or by logging in during
+ * the grace period (`via`). Resolves to the profile, or to null when no deletion
+ * was scheduled.
+ */
+const cancelDeletion = async (req, role, userId, via) => {
+    const profile = await profileModels[role].findOneAndUpdate(
+        { _id: userId, deletionScheduledAt: { $ne: null }, deletionStartedAt: null },
+        { deletionScheduledAt: null },
+        { new: true }
+    );
+
+    if (!profile) return null;
+
+    await recordAudit(req, {
+        action: 'account.deletion_cancelled',
+        actorId: userId,
+        actorModel: role,
+        targetId: userId,
+        targetModel: role,
+        metadata: { via },
+    });
+
+    return profile;
+};
+
+/**
+ * Remove the shared free text from job requests, one field at a time so that
+ * requests without the field (or without the array) are left alone
+ */
+const clearSharedFreeText = async (filter) => {
+    for (const field of SHARED_FREE_TEXT) {
+        await JobRequest.updateMany(
+            { ...filter, [field.replace('.$[]', '')]: { $exists: true } },
+            { $unset: { [field]: 1 } }
+        );
+    }
+};
+
+/**
+ * Delete a profile for good: its files, projects, messages, team and keys go, its sessions
+ * are revoked, and the job requests the other side still sees keep no personal data.
+ *
+ * The profile is claimed first, so a login that cancelled the deletion in the meantime
+ * keeps the account, and once claimed a login can no longer cancel it halfway.
+ * Resolves to whether the profile was deleted.
+ */
+const purgeAccount = async (role, { _id: userId }) => {
+    const profile = await profileModels[role].findOneAndUpdate(
+        { _id: userId, deletionScheduledAt: { $ne: null, $lte: new Date() } },
+        { deletionStartedAt: new Date() },
+        { new: true }
+    );
+    if (!profile) return false;
+
+    const projects = role === 'Developer' ? await Project.find({ developerId: userId }) : [];
+
+    await Promise.all(uploadedFilesOf(role, profile, projects).map(file => (
+        fs.promises.rm(uploadedFilePath(file.url), { force: true })
+    )));
+
+    if (role === 'Developer') {
+        await Project.deleteMany({ developerId: userId });
+        await deleteMessages({ developerId: userId, side: 'Developer' });
+        await transitionJobRequestsAsSystem({ developerId: userId }, 'rejected', { reason: 'account_deleted' });
+        await transitionJobRequestsAsSystem({ developerId: userId }, 'withdrawn', { direction: 'application', reason: 'account_deleted' });
+        await JobRequest.updateMany({ developerId: userId }, { $unset: { developerNotes: 1 } });
+        await clearSharedFreeText({ developerId: userId });
+        await Shortlist.updateMany({ 'candidates.developerId': userId }, { $pull: { candidates: { developerId: userId } } });
+    } else {
+        await transitionJobRequestsAsSystem({ employerId: userId }, 'withdrawn', { reason: 'account_deleted' });
+        await transitionJobRequestsAsSystem({ employerId: userId }, 'rejected', { direction: 'application', reason: 'account_deleted' });
+        await deleteMessages({ employerId: userId, side: 'Employer' });
+        await JobRequest.updateMany({ employerId: userId }, { $unset: { employerNotes: 1 }, sentBy: null });
+        await clearSharedFreeText({ employerId: userId });
+        await CompanyMember.deleteMany({ employerId: userId });
+        await ApiKey.deleteMany({ employerId: userId });
+        await JobRequestBatch.deleteMany({ employerId: userId });
+        await JobRequestTemplate.deleteMany({ employerId: userId });
+        await JobPosting.deleteMany({ employerId: userId });
+        await Shortlist.deleteMany({ employerId: userId });
+    }
+
+    await CalendarFeed.deleteMany({ userId, userModel: role });
+    await revokeAllSessions(userId, role, 'account_deleted');
+    await profileModels[role].deleteOne({ _id: userId });
+    await unlinkProfile(role, userId);
+
+    await recordAudit(null, {
+        action: 'account.delete',
+        targetId: userId,
+        targetModel: role,
+        metadata: { scheduledAt: profile.deletionScheduledAt },
+    });
+
+    return true;
+};
+
+/**
+ * Delete every account whose grace period is over. Resolves to how many were deleted.
+ */
+const purgeDueAccounts = async () => {
+    let purged = 0;
+
+    for (const role of Object.keys(profileModels)) {
+        const due = await profileModels[role].find({ deletionScheduledAt: { $ne: null, $lte: new Date() } });
+        for (const profile of due) {
+            if (await purgeAccount(role, profile)) {
+                purged++;
+            }
+        }
+    }
+
+    return purged;
+};
+
+module.exports = {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    exportAccountData,
+    deletionDate,
+    cancelDeletion,
+    purgeAccount,
+    purgeDueAccounts,
+};
@@ -0,0 +1,108 @@
+const Account = require('../models/Account');
+const Developer = require('../models/Developer');
+const Employer = require('../models/Employer');
+
+/**
+ * Shared identity for people who are both a Developer and an Employer.
+ *
+ * Profiles are only ever linked after the caller proved they know the
+ * password of every profile involved, so a profile someone else created
+ * with the same email can't be pulled into an identity.
+ */
+
+const profileModels = { Developer, Employer };
+
+const otherRoleOf = (role) => (role === 'Developer' ? 'Employer' : 'Developer');
+
+/**
+ * Find the identity a profile is linked to. Looked up by the profile rather than
+ * its email, so an email that doesn't match the identity can't reach another profile.
+ */
+const findAccountOf = (role, profileId) => Account.findOne({ [Account.PROFILE_FIELDS[role]]: profileId });
+
+/**
+ * Link a profile to the identity of its email, creating the identity if needed
+ */
+const linkProfile = (email, role, profileId) => {
+    return Account.findOneAndUpdate(
+        { email: String(email).toLowerCase() },
+        { $set: { [Account.PROFILE_FIELDS[role]]: profileId } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Remove a deleted profile from its identity
+ */
+const unlinkProfile = async (role, profileId) => {
+    const field = Account.PROFILE_FIELDS[role];
+    const account = await Account.findOneAndUpdate(
+        { [field]: profileId },
+        { $unset: { [field]: 1 } },
+        { new: true }
+    );
+
+    // Drop identities that no longer link anything
+    if (account && account.getRoles().length === 0) {
+        await Account.deleteOne({ _id: account._id });
+    }
+};
+
+/**
+ * Before creating a profile for `role`, check the email's profile of the other role.
+ * Resolves to { conflict: true } when that profile exists and the password doesn't match it,
+ * otherwise to { otherProfile } (null when there is none) so the caller can link it.
+ */
+const checkIdentityForSignup = async (email, role, password) => {
+    const otherRole = otherRoleOf(role);
+    const otherProfile = await profileModels[otherRole].findOne({ email }).select('+password');
+
+    if (!otherProfile) {
+        return { conflict: false, otherProfile: null, otherRole };
+    }
+
+    const passwordMatches = await otherProfile.comparePassword(password);
+    return { conflict: !passwordMatches, otherProfile, otherRole };
+};
+
+/**
+ * Load the profile linked to an identity for a role
+ */
+const loadLinkedProfile = (account, role, select) => {
+    const profileId = account && account.getProfileId(role);
+    if (!profileId) return null;
+
+    const query = profileModels[role].findById(profileId);
+    return select ? query.select(select) : query;
+};
+
+/**
+ * Give every other profile linked to a profile's identity the same new password.
+ * Resolves to the profiles that were updated.
+ */
+const syncLinkedPasswords = async (role, profileId, newPassword) => {
+    const account = await findAccountOf(role, profileId);
+    if (!account) return [];
+
+    const updated = [];
+    for (const linkedRole of account.getRoles().filter(r => r !== role)) {
+        const profile = await loadLinkedProfile(account, linkedRole);
+        if (profile) {
+            profile.password = newPassword;
+            await profile.save({ validateBeforeSave: false });
+            updated.push({ role: linkedRole, profileId: profile._id });
+        }
+    }
+
+    return updated;
+};
+
+module.exports = {
+    profileModels,
+    findAccountOf,
+    linkProfile,
+    unlinkProfile,
+    checkIdentityForSignup,
+    loadLinkedProfile,
+    syncLinkedPasswords,
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('./tokens');
+
+const KEY_PREFIX = 'hk_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// The only requests API keys are accepted on, all of which only read data.
+// A route without a path covers the whole router. The developer search is a
+// POST because its filters travel in the body.
+const API_KEY_ROUTES = [
+    { method: 'GET', baseUrl: '/api/job-requests' },
+    { method: 'GET', baseUrl: '/api/search' },
+    { method: 'POST', baseUrl: '/api/search', path: '/developers' },
+];
+
+/**
+ * Create a new random key. Only its hash is stored; the key itself is shown once.
+ */
+const generateApiKey = () => {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+    return {
+        key,
+        prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashToken(key),
+    };
+};
+
+/**
+ * Whether the request goes to a route that accepts API keys
+ */
+const isApiKeyRoute = (req) => {
+    const path = req.path.replace(/\/+$/, '').toLowerCase() || '/';
+    return API_KEY_ROUTES.some(route => route.method === req.method
+        && route.baseUrl === req.baseUrl
+        && (!route.path || route.path === path));
+};
+
+/**
+ * Find the active key for a presented value and record its use
+ */
+const useApiKey = async (presentedKey, req) => {
+    if (typeof presentedKey !== 'string' || !presentedKey.startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(presentedKey) });
+    if (!apiKey || !apiKey.isActive()) return null;
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+        await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+    }
+
+    return apiKey;
+};
+
+module.exports = {
+    generateApiKey,
+    isApiKeyRoute,
+    useApiKey,
+};
@@ -0,0 +1,37 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Write an audit entry. Failures are logged and never break the request.
+ */
+const recordAudit = async (req, { action, actorId, actorModel, targetId, targetModel, metadata }) => {
+    try {
+        await AuditLog.create({
+            action,
+            actorId,
+            actorModel,
+            targetId,
+            targetModel,
+            ip: req && req.ip,
+            userAgent: req && req.headers['user-agent'],
+            metadata,
+        });
+    } catch (error) {
+        console.error('Failed to write audit log:', error.message);
+    }
+};
+
+/**
+ * Who is acting in a request, for the actor fields of an audit entry.
+ * Company team members are recorded as themselves, not as the company.
+ */
+const actorOf = (req) => {
+    if (req.member) {
+        return { actorId: req.member._id, actorModel: 'CompanyMember' };
+    }
+    return { actorId: req.user._id, actorModel: req.userRole };
+};
+
+module.exports = {
+    recordAudit,
+    actorOf,
+};
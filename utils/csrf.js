@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+// Methods that never change state and need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * The CSRF cookie goes wherever the auth cookies go, but scripts may read it
+ */
+const csrfCookieOptions = () => ({
+    httpOnly: false,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+});
+
+/**
+ * Make sure the browser holds a CSRF token (double-submit cookie) and return it.
+ * An existing token is kept so other open tabs keep working.
+ */
+const ensureCsrfCookie = (req, res) => {
+    const current = req.cookies && req.cookies[CSRF_COOKIE];
+    const csrfToken = CSRF_TOKEN_PATTERN.test(current || '') ? current : crypto.randomBytes(32).toString('hex');
+
+    res.cookie(CSRF_COOKIE, csrfToken, csrfCookieOptions());
+    return csrfToken;
+};
+
+/**
+ * Remove the CSRF cookie together with the auth cookies
+ */
+const clearCsrfCookie = (res) => {
+    res.clearCookie(CSRF_COOKIE, csrfCookieOptions());
+};
+
+/**
+ * Whether a request authenticated by cookie may go ahead: safe methods always may,
+ * others must echo the CSRF cookie in the X-CSRF-Token header. A cross-site page
+ * can make the browser send the cookie but cannot read it to set the header.
+ */
+const hasValidCsrfToken = (req) => {
+    if (SAFE_METHODS.includes(req.method)) return true;
+
+    const cookieToken = req.cookies && req.cookies[CSRF_COOKIE];
+    const headerToken = req.headers[CSRF_HEADER];
+    if (typeof cookieToken !== 'string' || typeof headerToken !== 'string') return false;
+    if (!CSRF_TOKEN_PATTERN.test(cookieToken) || cookieToken.length !== headerToken.length) return false;
+
+    return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+};
+
+module.exports = {
+    ensureCsrfCookie,
+    clearCsrfCookie,
+    hasValidCsrfToken,
+};
@@ -0,0 +1,136 @@
+/**
+ * Plain-text email bodies sent by the API
+ */
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const passwordReset = ({ name, token, userType, expiresInMinutes }) => {
+    const link = `${appUrl()}/reset-password?token=${token}&userType=${userType}`;
+    return {
+        subject: 'Reset your Hamkar password',
+        text: [
+            `Hi ${name},`,
+            '',
+            'We received a request to reset your Hamkar password.',
+            `Open the link below within ${expiresInMinutes} minutes to choose a new one:`,
+            '',
+            link,
+            '',
+            'If you did not ask for this, you can ignore this email. Your password will not change.',
+        ].join('\n'),
+    };
+};
+
+const emailVerification = ({ name, token, userType, expiresInHours }) => {
+    const link = `${appUrl()}/verify-email?token=${token}&userType=${userType}`;
+    return {
+        subject: 'Confirm your Hamkar email address',
+        text: [
+            `Hi ${name},`,
+            '',
+            'Please confirm your email address by opening the link below',
+            `within ${expiresInHours} hours:`,
+            '',
+            link,
+            '',
+            'If you did not create a Hamkar account, you can ignore this email.',
+        ].join('\n'),
+    };
+};
+
+const accountLocked = ({ name, token, lockedMinutes }) => {
+    const link = `${appUrl()}/unlock-account?token=${token}`;
+    return {
+        subject: 'Your Hamkar account has been locked',
+        text: [
+            `Hi ${name},`,
+            '',
+            'We locked your account after several failed login attempts.',
+            `It unlocks on its own in ${lockedMinutes} minutes.`,
+            '',
+            'If it was you, you can unlock it right away with this link:',
+            '',
+            link,
+            '',
+            'If it was not you, someone may be guessing your password.',
+            'Consider changing it and turning on two-factor authentication.',
+        ].join('\n'),
+    };
+};
+
+const teamInvitation = ({ name, companyName, inviterName, role, token, expiresInDays }) => {
+    const link = `${appUrl()}/team/accept-invitation?token=${token}`;
+    return {
+        subject: `Join ${companyName} on Hamkar`,
+        text: [
+            name ? `Hi ${name},` : 'Hi,',
+            '',
+            `${inviterName} invited you to the ${companyName} hiring team on Hamkar as a ${role}.`,
+            `Open the link below within ${expiresInDays} days to choose a password and join:`,
+            '',
+            link,
+            '',
+            'If you were not expecting this invitation, you can ignore this email.',
+        ].join('\n'),
+    };
+};
+
+const accountDeletionScheduled = ({ name, deleteAt }) => {
+    const link = `${appUrl()}/login`;
+    return {
+        subject: 'Your Hamkar account will be deleted',
+        text: [
+            `Hi ${name},`,
+            '',
+            `As you asked, your Hamkar account will be deleted on ${deleteAt.toUTCString()}.`,
+            'Your profile, projects and uploaded files will be removed, and your name will be',
+            'taken off the job requests you were part of.',
+            '',
+            'Changed your mind? Log in before then and cancel the deletion from your account settings:',
+            '',
+            link,
+            '',
+            'If you did not ask for this, log in and cancel it, then change your password.',
+        ].join('\n'),
+    };
+};
+
+const jobRequestExpiring = ({ name, companyName, jobTitle, expiresAt, jobRequestId }) => {
+    const link = `${appUrl()}/job-requests/${jobRequestId}`;
+    return {
+        subject: `Reply to ${companyName} before ${expiresAt.toUTCString()}`,
+        text: [
+            `Hi ${name},`,
+            '',
+            `${companyName} is waiting for your answer to their job request for ${jobTitle}.`,
+            `The request expires on ${expiresAt.toUTCString()} if you have not accepted or rejected it by then.`,
+            '',
+            link,
+        ].join('\n'),
+    };
+};
+
+const jobRequestExpired = ({ companyName, developerName, jobTitle }) => {
+    const link = `${appUrl()}/job-requests`;
+    return {
+        subject: `Your job request for ${jobTitle} expired`,
+        text: [
+            `Hi ${companyName},`,
+            '',
+            `${developerName} did not answer your job request for ${jobTitle} in time, so it has expired.`,
+            'You can send them a new request whenever you like:',
+            '',
+            link,
+        ].join('\n'),
+    };
+};
+
+module.exports = {
+    passwordReset,
+    emailVerification,
+    accountLocked,
+    teamInvitation,
+    accountDeletionScheduled,
+    jobRequestExpiring,
+    jobRequestExpired,
+};
@@ -0,0 +1,127 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for interview invites and feeds.
+ *
+ * Times are written in UTC, which every calendar accepts without a VTIMEZONE
+ * block; the timezone the interview was planned in is named in the description.
+ * An interview keeps one UID for its whole life and its SEQUENCE goes up on
+ * every change, so calendars update or cancel the event they already have.
+ */
+
+const PRODUCT_ID = '-//Hamkar//Interviews//EN';
+const UID_DOMAIN = 'hamkar';
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Quote a parameter value such as CN; parameter values cannot contain double quotes
+ */
+const quoteParam = (value) => `"${String(value).replace(/["\r\n]/g, '')}"`;
+
+/**
+ * A date-time in UTC form, e.g. 20261102T093000Z
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line so no line is longer than 75 octets, without splitting characters
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * The stable UID of a job request's interview
+ */
+const interviewUid = (jobRequest) => `interview-${jobRequest._id}@${UID_DOMAIN}`;
+
+/**
+ * VEVENT lines for the interview of a job request. `employer` and `developer` are the
+ * populated profiles, if any; with `invite` the organizer and attendee are included.
+ */
+const interviewEvent = (jobRequest, { employer, developer, invite = false } = {}) => {
+    const start = new Date(jobRequest.interviewDate);
+    const end = new Date(start.getTime() + (jobRequest.interviewDurationMinutes || 60) * 60 * 1000);
+    const companyName = employer ? employer.companyName : 'a deleted company';
+    const developerName = developer ? `${developer.firstName} ${developer.lastName}` : 'a deleted developer';
+
+    const description = [
+        `Interview for ${jobRequest.jobTitle} between ${companyName} and ${developerName}.`,
+        `Planned in ${jobRequest.interviewTimezone || 'UTC'}: ${jobRequest.formattedInterviewDate || start.toISOString()}.`,
+        jobRequest.interviewNotes,
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${interviewUid(jobRequest)}`,
+        `DTSTAMP:${formatDateTime(new Date())}`,
+        `SEQUENCE:${jobRequest.interviewSequence || 0}`,
+        `DTSTART:${formatDateTime(start)}`,
+        `DTEND:${formatDateTime(end)}`,
+        `SUMMARY:${escapeText(`Interview: ${jobRequest.jobTitle} (${companyName})`)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        ...(jobRequest.interviewLocation ? [`LOCATION:${escapeText(jobRequest.interviewLocation)}`] : []),
+        `STATUS:${jobRequest.interviewStatus === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        ...(jobRequest.updatedAt ? [`LAST-MODIFIED:${formatDateTime(jobRequest.updatedAt)}`] : []),
+    ];
+
+    if (invite && employer && employer.email) {
+        lines.push(`ORGANIZER;CN=${quoteParam(companyName)}:mailto:${employer.email}`);
+    }
+    if (invite && developer && developer.email) {
+        lines.push(`ATTENDEE;CN=${quoteParam(developerName)};ROLE=REQ-PARTICIPANT:mailto:${developer.email}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * A whole calendar from VEVENT line groups. `method` is PUBLISH for feeds,
+ * REQUEST or CANCEL for invites; `name` labels a feed in calendar apps.
+ */
+const buildCalendar = (events, { method = 'PUBLISH', name } = {}) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flat(),
+    'END:VCALENDAR',
+].map(foldLine).join('\r\n') + '\r\n';
+
+module.exports = {
+    escapeText,
+    formatDateTime,
+    foldLine,
+    interviewUid,
+    interviewEvent,
+    buildCalendar,
+};
@@ -0,0 +1,139 @@
+const JobRequest = require('../models/JobRequest');
+const { can } = require('../policies');
+
+/**
+ * Interview scheduling on job requests.
+ *
+ * The employer proposes time slots (each with its own timezone) and the
+ * developer picks one, which sets `interviewDate`. Proposing slots again while
+ * an interview is scheduled reschedules it: the current time stays until the
+ * developer picks a new one. Either side can cancel. Every change to an
+ * interview that was already in someone's calendar raises `interviewSequence`
+ * so calendar apps replace their copy (see utils/ical.js).
+ */
+
+// Interviews can be planned for requests that are still open
+const SCHEDULABLE_STATUSES = ['pending', 'accepted'];
+
+// Statuses in which the interview is in the calendars
+const CALENDAR_STATUSES = ['scheduled', 'rescheduling'];
+
+const changedInTheMeantime = {
+    statusCode: 409,
+    message: 'The job request was changed in the meantime. Reload it and try again.',
+};
+
+// Matches the request only while its interview is as it was read
+const unchangedFilter = (jobRequest) => ({
+    _id: jobRequest._id,
+    status: { $in: SCHEDULABLE_STATUSES },
+    interviewStatus: jobRequest.interviewStatus || null,
+    interviewSequence: jobRequest.interviewSequence || 0,
+});
+
+const applyChange = async (jobRequest, update) => {
+    const updated = await JobRequest.findOneAndUpdate(unchangedFilter(jobRequest), update, { new: true, runValidators: true });
+    return updated ? { jobRequest: updated } : changedInTheMeantime;
+};
+
+const checkSchedulable = (jobRequest) => (SCHEDULABLE_STATUSES.includes(jobRequest.status)
+    ? null
+    : { statusCode: 400, message: `Interviews cannot be planned for a ${jobRequest.status} job request` });
+
+/**
+ * Offer interview slots (employer). Resolves to { jobRequest } or { statusCode, message }.
+ */
+const proposeInterviewSlots = async (jobRequest, { slots, location }, { principal }) => {
+    if (principal.role !== 'Employer' || !can(principal, 'jobRequest:update', jobRequest)) {
+        return { statusCode: 403, message: 'Only the employer can propose interview slots' };
+    }
+
+    const problem = checkSchedulable(jobRequest);
+    if (problem) return problem;
+
+    if (slots.some(slot => new Date(slot.start) <= new Date())) {
+        return { statusCode: 400, message: 'Interview slots must be in the future' };
+    }
+
+    const scheduled = CALENDAR_STATUSES.includes(jobRequest.interviewStatus);
+
+    return applyChange(jobRequest, {
+        $set: {
+            interviewSlots: slots,
+            interviewStatus: scheduled ? 'rescheduling' : 'proposed',
+            ...(location && { interviewLocation: location }),
+        },
+    });
+};
+
+/**
+ * Pick one of the proposed slots (developer). Resolves to { jobRequest } or { statusCode, message }.
+ */
+const selectInterviewSlot = async (jobRequest, slotId, { principal }) => {
+    if (!can(principal, 'jobRequest:respond', jobRequest)) {
+        return { statusCode: 403, message: 'Only the developer can pick an interview slot' };
+    }
+
+    const problem = checkSchedulable(jobRequest);
+    if (problem) return problem;
+
+    const slot = jobRequest.interviewSlots.find(candidate => candidate._id.toString() === String(slotId));
+    if (!slot) {
+        return { statusCode: 404, message: 'Interview slot not found' };
+    }
+    if (slot.start <= new Date()) {
+        return { statusCode: 400, message: 'This interview slot has already passed' };
+    }
+
+    // A new event starts at sequence 0; an event calendars already have is revised
+    const revisesEvent = jobRequest.interviewStatus === 'rescheduling'
+        || (jobRequest.interviewStatus === 'proposed' && jobRequest.interviewSequence > 0);
+
+    return applyChange(jobRequest, {
+        $set: {
+            interviewDate: slot.start,
+            interviewTimezone: slot.timezone,
+            interviewDurationMinutes: slot.durationMinutes,
+            interviewStatus: 'scheduled',
+            interviewSlots: [],
+        },
+        ...(revisesEvent && { $inc: { interviewSequence: 1 } }),
+    });
+};
+
+/**
+ * Call off the interview or the open proposal (either side).
+ * Resolves to { jobRequest } or { statusCode, message }.
+ */
+const cancelInterview = async (jobRequest, { principal }) => {
+    if (!can(principal, 'jobRequest:respond', jobRequest) && !can(principal, 'jobRequest:update', jobRequest)) {
+        return { statusCode: 403, message: 'You cannot cancel this interview' };
+    }
+
+    if (!['proposed', ...CALENDAR_STATUSES].includes(jobRequest.interviewStatus)) {
+        return { statusCode: 400, message: 'There is no interview to cancel' };
+    }
+
+    const inCalendars = CALENDAR_STATUSES.includes(jobRequest.interviewStatus);
+
+    return applyChange(jobRequest, {
+        $set: { interviewStatus: 'cancelled', interviewSlots: [] },
+        ...(inCalendars && { $inc: { interviewSequence: 1 } }),
+    });
+};
+
+/**
+ * Fields for an interview the employer sets directly (on creation or with PUT)
+ */
+const directlyScheduled = (jobRequest) => ({
+    $set: { interviewStatus: 'scheduled', interviewSlots: [] },
+    ...(jobRequest && jobRequest.interviewDate && { $inc: { interviewSequence: 1 } }),
+});
+
+module.exports = {
+    CALENDAR_STATUSES,
+    proposeInterviewSlots,
+    selectInterviewSlot,
+    cancelInterview,
+    directlyScheduled,
+};
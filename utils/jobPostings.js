@@ -0,0 +1,102 @@
+const JobRequest = require('../models/JobRequest');
+const { initialStatusChange } = require('./jobRequestStateMachine');
+
+/**
+ * Job postings and applications to them.
+ *
+ * An application is a job request with `direction: 'application'`: the
+ * developer sends it, the employer accepts or rejects it, and from then on
+ * it is handled like any other job request (messages, negotiation,
+ * interviews, the hiring pipeline).
+ */
+
+// Statuses in which an application blocks applying again
+const ACTIVE_APPLICATION_STATUSES = ['pending', 'accepted'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const listOf = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * MongoDB filter for the public listing from its query parameters (validated with schemas.jobPostingSearch)
+ */
+const postingSearchFilter = ({ q, skills, city, remotePolicy, salaryMin, employerId } = {}) => {
+    const filter = { status: 'open' };
+    const conditions = [];
+
+    if (q) {
+        const pattern = { $regex: escapeRegex(q.trim()), $options: 'i' };
+        conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+    }
+
+    if (skills) {
+        filter.requiredSkills = { $in: listOf(skills).map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i')) };
+    }
+
+    if (city) {
+        filter.city = { $regex: escapeRegex(city.trim()), $options: 'i' };
+    }
+
+    if (remotePolicy) {
+        filter.remotePolicy = { $in: listOf(remotePolicy) };
+    }
+
+    // Postings that may pay at least this much; postings without a maximum stay in
+    if (salaryMin !== undefined) {
+        conditions.push({ $or: [{ salaryMax: null }, { salaryMax: { $gte: Number(salaryMin) } }] });
+    }
+
+    if (employerId) {
+        filter.employerId = employerId;
+    }
+
+    if (conditions.length > 0) {
+        filter.$and = conditions;
+    }
+
+    return filter;
+};
+
+/**
+ * Apply to an open posting as a developer. The salary defaults to the top of the posting's range.
+ * Resolves to { jobRequest } or { statusCode, message }.
+ */
+const applyToJobPosting = async (posting, { developer, actor, salaryOffer, coverLetter }) => {
+    if (posting.status !== 'open') {
+        return { statusCode: 400, message: 'This job posting is not accepting applications' };
+    }
+
+    const alreadyApplied = await JobRequest.exists({
+        jobPostingId: posting._id,
+        developerId: developer._id,
+        status: { $in: ACTIVE_APPLICATION_STATUSES },
+    });
+    if (alreadyApplied) {
+        return { statusCode: 400, message: 'You have already applied to this job posting' };
+    }
+
+    const salary = salaryOffer ?? posting.salaryMax ?? posting.salaryMin;
+    if (salary === null || salary === undefined) {
+        return { statusCode: 400, message: 'This job posting has no salary range; say what you expect with salaryOffer' };
+    }
+
+    const jobRequest = await JobRequest.create({
+        direction: 'application',
+        jobPostingId: posting._id,
+        employerId: posting.employerId,
+        developerId: developer._id,
+        jobTitle: posting.title,
+        jobDescription: posting.description,
+        salaryOffer: salary,
+        salaryType: posting.salaryType,
+        ...(coverLetter && { developerNotes: coverLetter }),
+        statusHistory: [initialStatusChange(actor)],
+    });
+
+    return { jobRequest };
+};
+
+module.exports = {
+    postingSearchFilter,
+    applyToJobPosting,
+};
@@ -0,0 +1,146 @@
+const JobRequest = require('../models/JobRequest');
+const { transitionJobRequestsAsSystem, directionFilter } = require('./jobRequestStateMachine');
+const { sendMailInBackground } = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+
+/**
+ * Expiry of unanswered job requests.
+ *
+ * Every pending request gets an `expiresAt` when it is sent: the window the
+ * request asks for, else the company's `responseWindowDays`, else the server
+ * default. The developer is reminded once shortly before, and requests still
+ * pending afterwards are moved to `expired` by a background job. Applications
+ * to job postings don't expire.
+ */
+
+const JOB_REQUEST_RESPONSE_DAYS = parseInt(process.env.JOB_REQUEST_RESPONSE_DAYS) || 14;
+const JOB_REQUEST_REMINDER_HOURS = parseInt(process.env.JOB_REQUEST_REMINDER_HOURS) || 48;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a request sent now (or at `from`) expires
+ */
+const expiryDate = ({ requestedDays, employer } = {}, from = new Date()) => {
+    const days = requestedDays || (employer && employer.responseWindowDays) || JOB_REQUEST_RESPONSE_DAYS;
+    return new Date(from.getTime() + days * DAY_MS);
+};
+
+const isOverdue = (jobRequest, now = new Date()) => jobRequest.status === 'pending'
+    && Boolean(jobRequest.expiresAt) && jobRequest.expiresAt <= now;
+
+/**
+ * Expire the given requests if they are still pending past their expiry.
+ * Resolves to the number of requests expired.
+ */
+const expireJobRequests = async (filter) => {
+    const result = await transitionJobRequestsAsSystem(
+        { ...filter, expiresAt: { $ne: null, $lte: new Date() } },
+        'expired',
+        { reason: 'response_window_passed' }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Give pending requests sent before expiry existed their company's window, counted from when they were sent.
+ * Resolves to the number of requests given an expiry.
+ */
+const backfillExpiryDates = async () => {
+    const unset = await JobRequest.find({ ...directionFilter('outreach'), status: 'pending', expiresAt: null })
+        .populate('employerId', 'responseWindowDays');
+
+    let backfilled = 0;
+    for (const jobRequest of unset) {
+        const result = await JobRequest.updateOne(
+            { _id: jobRequest._id, status: 'pending', expiresAt: null },
+            { expiresAt: expiryDate({ employer: jobRequest.employerId }, jobRequest.createdAt) }
+        );
+        backfilled += result.modifiedCount;
+    }
+
+    return backfilled;
+};
+
+/**
+ * Email developers whose pending requests expire within the reminder window.
+ * Each request is reminded at most once. Resolves to the number of reminders sent.
+ */
+const remindExpiringJobRequests = async () => {
+    const now = new Date();
+    const due = await JobRequest.find({
+        status: 'pending',
+        reminderSentAt: null,
+        expiresAt: { $gt: now, $lte: new Date(now.getTime() + JOB_REQUEST_REMINDER_HOURS * 60 * 60 * 1000) },
+    })
+        .populate('employerId', 'companyName')
+        .populate('developerId', 'firstName email');
+
+    let reminded = 0;
+    for (const jobRequest of due) {
+        // Claim the reminder first so parallel runs don't send it twice
+        const claimed = await JobRequest.updateOne(
+            { _id: jobRequest._id, status: 'pending', reminderSentAt: null },
+            { reminderSentAt: new Date() }
+        );
+        if (claimed.modifiedCount === 0 || !jobRequest.developerId) continue;
+
+        sendMailInBackground({
+            to: jobRequest.developerId.email,
+            ...emailTemplates.jobRequestExpiring({
+                name: jobRequest.developerId.firstName,
+                companyName: jobRequest.employerId ? jobRequest.employerId.companyName : 'A company',
+                jobTitle: jobRequest.jobTitle,
+                expiresAt: jobRequest.expiresAt,
+                jobRequestId: jobRequest._id,
+            }),
+        });
+        reminded++;
+    }
+
+    return reminded;
+};
+
+/**
+ * Move overdue pending requests to `expired` and tell their employers.
+ * Resolves to the number of requests expired.
+ */
+const expireOverdueJobRequests = async () => {
+    await backfillExpiryDates();
+
+    const due = await JobRequest.find({ status: 'pending', expiresAt: { $ne: null, $lte: new Date() } })
+        .populate('employerId', 'companyName email')
+        .populate('developerId', 'firstName lastName');
+
+    let expired = 0;
+    for (const jobRequest of due) {
+        // Skips requests answered since they were read
+        if (await expireJobRequests({ _id: jobRequest._id }) === 0) continue;
+        expired++;
+
+        if (!jobRequest.employerId) continue;
+        sendMailInBackground({
+            to: jobRequest.employerId.email,
+            ...emailTemplates.jobRequestExpired({
+                companyName: jobRequest.employerId.companyName,
+                developerName: jobRequest.developerId
+                    ? `${jobRequest.developerId.firstName} ${jobRequest.developerId.lastName}`
+                    : 'The developer',
+                jobTitle: jobRequest.jobTitle,
+            }),
+        });
+    }
+
+    return expired;
+};
+
+module.exports = {
+    JOB_REQUEST_RESPONSE_DAYS,
+    JOB_REQUEST_REMINDER_HOURS,
+    expiryDate,
+    isOverdue,
+    expireJobRequests,
+    backfillExpiryDates,
+    remindExpiringJobRequests,
+    expireOverdueJobRequests,
+};
@@ -0,0 +1,227 @@
+const JobRequest = require('../models/JobRequest');
+const { can } = require('../policies');
+const { loadStages, entryStageKey, stageChange } = require('./pipeline');
+
+/**
+ * Job request status changes.
+ *
+ * Each transition names who may make it: a role, checked together with the
+ * permission through the policy module, or `system` for changes the API makes
+ * itself (for example when an account is deleted). `effects` resolves to the
+ * fields that change along with the status; it gets the job request, the
+ * acting user (null for the system) and the note.
+ *
+ * Requests an employer sends (`outreach`) are answered by the developer.
+ * Applications to job postings run the other way: the employer answers and
+ * the developer can withdraw. Each transition belongs to one direction.
+ */
+
+const clearInterview = { $unset: { interviewDate: 1, interviewLocation: 1, interviewSlots: 1, interviewStatus: 1 } };
+
+const developerResponse = ({ note }) => ({
+    $set: { respondedAt: new Date(), ...(note && { developerNotes: note }) },
+});
+
+const employerResponse = ({ note }) => ({
+    $set: { respondedAt: new Date(), ...(note && { employerNotes: note }) },
+});
+
+// Accepted requests enter the company's hiring pipeline
+const enterPipeline = async ({ jobRequest, actor }) => {
+    const stage = entryStageKey(await loadStages(jobRequest.employerId));
+    return { $set: { stage }, $push: { stageHistory: stageChange(null, stage, actor) } };
+};
+
+const transitions = [
+    {
+        direction: 'outreach',
+        from: 'pending',
+        to: 'accepted',
+        actors: ['Developer'],
+        permission: 'jobRequest:respond',
+        effects: async (context) => {
+            const response = developerResponse(context);
+            const pipeline = await enterPipeline(context);
+            return { ...pipeline, $set: { ...response.$set, ...pipeline.$set } };
+        },
+    },
+    {
+        direction: 'outreach',
+        from: 'pending',
+        to: 'rejected',
+        actors: ['Developer', 'system'],
+        permission: 'jobRequest:respond',
+        effects: async (context) => (context.actor ? { ...clearInterview, ...developerResponse(context) } : clearInterview),
+    },
+    {
+        direction: 'outreach',
+        from: 'pending',
+        to: 'withdrawn',
+        actors: ['Employer', 'system'],
+        permission: 'jobRequest:update',
+        effects: async () => clearInterview,
+    },
+    {
+        direction: 'outreach',
+        from: 'pending',
+        to: 'expired',
+        actors: ['system'],
+        permission: 'jobRequest:update',
+        effects: async () => clearInterview,
+    },
+    {
+        direction: 'application',
+        from: 'pending',
+        to: 'accepted',
+        actors: ['Employer'],
+        permission: 'jobRequest:update',
+        effects: async (context) => {
+            const response = employerResponse(context);
+            const pipeline = await enterPipeline(context);
+            return { ...pipeline, $set: { ...response.$set, ...pipeline.$set } };
+        },
+    },
+    {
+        direction: 'application',
+        from: 'pending',
+        to: 'rejected',
+        actors: ['Employer', 'system'],
+        permission: 'jobRequest:update',
+        effects: async (context) => (context.actor ? { ...clearInterview, ...employerResponse(context) } : clearInterview),
+    },
+    {
+        direction: 'application',
+        from: 'pending',
+        to: 'withdrawn',
+        actors: ['Developer', 'system'],
+        permission: 'jobRequest:respond',
+        effects: async () => clearInterview,
+    },
+];
+
+// Requests from before applications existed have no direction
+const directionOf = (jobRequest) => jobRequest.direction || 'outreach';
+
+/**
+ * Filter for the job requests of one direction
+ */
+const directionFilter = (direction) => (direction === 'outreach'
+    ? { direction: { $ne: 'application' } }
+    : { direction });
+
+/**
+ * The transition between two statuses in a direction, if there is one
+ */
+const findTransition = (from, to, direction = 'outreach') => transitions
+    .find(transition => transition.direction === direction && transition.from === from && transition.to === to);
+
+/**
+ * Statuses a user can move a job request to from its current status
+ */
+const availableTransitions = (jobRequest, principal) => transitions
+    .filter(transition => transition.direction === directionOf(jobRequest)
+        && transition.from === jobRequest.status
+        && transition.actors.includes(principal.role)
+        && can(principal, transition.permission, jobRequest))
+    .map(transition => transition.to);
+
+/**
+ * Build the update for a transition: the new status, its effects and a history entry.
+ * `actor` is { actorId, actorModel } (see actorOf in utils/audit), or null for the system.
+ */
+const buildTransitionUpdate = async (transition, { jobRequest, actor = null, note, reason } = {}) => {
+    const effects = await transition.effects({ jobRequest, actor, note });
+
+    return {
+        ...effects,
+        $set: { ...effects.$set, status: transition.to },
+        $push: {
+            ...effects.$push,
+            statusHistory: {
+                from: transition.from,
+                to: transition.to,
+                changedBy: actor ? actor.actorId : null,
+                changedByModel: actor ? actor.actorModel : null,
+                reason,
+                note,
+                changedAt: new Date(),
+            },
+        },
+    };
+};
+
+/**
+ * Move a job request to a new status on behalf of a user.
+ * Resolves to { jobRequest } with the updated document, or to { statusCode, message }
+ * when the change is not allowed or the request changed in the meantime.
+ */
+const transitionJobRequest = async (jobRequest, to, { principal, actor, note }) => {
+    const transition = findTransition(jobRequest.status, to, directionOf(jobRequest));
+
+    if (!transition) {
+        return {
+            statusCode: 400,
+            message: `A ${jobRequest.status} job request cannot be changed to ${to}`,
+        };
+    }
+
+    if (!transition.actors.includes(principal.role) || !can(principal, transition.permission, jobRequest)) {
+        return {
+            statusCode: 403,
+            message: `You cannot change this job request to ${to}`,
+        };
+    }
+
+    // Only apply the change if nobody else changed the status since it was read
+    const updated = await JobRequest.findOneAndUpdate(
+        { _id: jobRequest._id, status: transition.from },
+        await buildTransitionUpdate(transition, { jobRequest, actor, note }),
+        { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+        return {
+            statusCode: 409,
+            message: 'The job request was changed in the meantime. Reload it and try again.',
+        };
+    }
+
+    return { jobRequest: updated };
+};
+
+/**
+ * Apply a system transition to every job request of a direction matching a filter
+ * (the filter's status is set to the transition's starting status)
+ */
+const transitionJobRequestsAsSystem = async (filter, to, { from = 'pending', direction = 'outreach', reason }) => {
+    const transition = findTransition(from, to, direction);
+    if (!transition || !transition.actors.includes('system')) {
+        throw new Error(`The system cannot change ${direction} job requests from ${from} to ${to}`);
+    }
+
+    return JobRequest.updateMany(
+        { ...filter, ...directionFilter(direction), status: from },
+        await buildTransitionUpdate(transition, { reason })
+    );
+};
+
+/**
+ * The history entry for a newly sent job request
+ */
+const initialStatusChange = (actor) => ({
+    from: null,
+    to: 'pending',
+    changedBy: actor.actorId,
+    changedByModel: actor.actorModel,
+    changedAt: new Date(),
+});
+
+module.exports = {
+    transitions,
+    directionFilter,
+    findTransition,
+    availableTransitions,
+    transitionJobRequest,
+    transitionJobRequestsAsSystem,
+    initialStatusChange,
+};
@@ -0,0 +1,99 @@
+/**
+ * Job request templates.
+ *
+ * A template holds the offer fields a company sends again and again. Its text
+ * fields can contain placeholders such as `{{firstName}}`, which are filled in
+ * for each developer when a request is sent from the template. Fields given
+ * with the request override the template's.
+ */
+
+// Offer fields a template can hold
+const TEMPLATE_FIELDS = [
+    'jobTitle',
+    'jobDescription',
+    'salaryOffer',
+    'salaryType',
+    'interviewLocation',
+    'interviewNotes',
+    'responseWindowDays',
+];
+
+// Fields whose placeholders are filled in
+const TEXT_FIELDS = ['jobTitle', 'jobDescription', 'interviewNotes'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// What each placeholder is replaced with
+const placeholders = {
+    firstName: ({ developer }) => developer.firstName,
+    lastName: ({ developer }) => developer.lastName,
+    city: ({ developer }) => developer.city,
+    companyName: ({ employer }) => employer.companyName,
+    matchedSkills: ({ developer, template }) => matchedSkills(developer.skills, template.skills).join(', '),
+};
+
+const PLACEHOLDERS = Object.keys(placeholders);
+
+/**
+ * The developer's skills the template asks for, in the developer's spelling
+ */
+const matchedSkills = (developerSkills = [], wantedSkills = []) => {
+    const wanted = new Set(wantedSkills.map(skill => skill.toLowerCase()));
+    return developerSkills.filter(skill => wanted.has(skill.toLowerCase()));
+};
+
+/**
+ * Placeholder names in the text fields that are not known, to refuse them when a template is saved or a request sent
+ */
+const unknownPlaceholders = (fields) => [...new Set(TEXT_FIELDS
+    .filter(field => typeof fields[field] === 'string')
+    .flatMap(field => [...fields[field].matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))
+    .filter(name => !PLACEHOLDERS.includes(name)))];
+
+/**
+ * Why the text fields can't be sent, or null when every placeholder in them is known
+ */
+const placeholderError = (fields) => {
+    const unknown = unknownPlaceholders(fields);
+    if (unknown.length === 0) return null;
+
+    const list = (names) => names.map(name => `{{${name}}}`).join(', ');
+    return `Unknown placeholder(s): ${list(unknown)}. Available: ${list(PLACEHOLDERS)}`;
+};
+
+// Only the placeholders' own names, so {{constructor}} or {{toString}} stay as written
+const renderText = (text, context) => text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(placeholders, name) ? String(placeholders[name](context) || '') : placeholder
+));
+
+/**
+ * The offer for one developer: the template's fields, overridden by the request's,
+ * with the placeholders filled in
+ */
+const renderTemplate = (template, overrides, { developer, employer }) => {
+    const offer = {};
+    TEMPLATE_FIELDS.forEach(field => {
+        if (template[field] !== undefined && template[field] !== null && template[field] !== '') {
+            offer[field] = template[field];
+        }
+    });
+    Object.assign(offer, overrides);
+
+    const context = { developer, employer, template };
+    TEXT_FIELDS.forEach(field => {
+        if (typeof offer[field] === 'string') {
+            offer[field] = renderText(offer[field], context);
+        }
+    });
+
+    return offer;
+};
+
+module.exports = {
+    TEMPLATE_FIELDS,
+    PLACEHOLDERS,
+    matchedSkills,
+    unknownPlaceholders,
+    placeholderError,
+    renderTemplate,
+};
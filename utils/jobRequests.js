@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const JobRequest = require('../models/JobRequest');
+const JobRequestBatch = require('../models/JobRequestBatch');
+const JobRequestTemplate = require('../models/JobRequestTemplate');
+const Developer = require('../models/Developer');
+const { initialStatusChange } = require('./jobRequestStateMachine');
+const { expiryDate, isOverdue, expireJobRequests } = require('./jobRequestExpiry');
+const { renderTemplate } = require('./jobRequestTemplates');
+
+/**
+ * Sending job requests, to one developer or to a shortlist at once.
+ *
+ * A batch is stored under the client's Idempotency-Key before anything is
+ * sent, and each result is recorded as soon as it is known. Retrying with the
+ * same key returns the stored report; retrying a batch whose run stopped half
+ * way resumes it, skipping developers it already sent to.
+ */
+
+const BATCH_KEY_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// How long a run holds a batch before a retry may take it over
+const BATCH_LOCK_MS = 2 * 60 * 1000;
+
+const lockExpiry = () => new Date(Date.now() + BATCH_LOCK_MS);
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Whether an Idempotency-Key header can name a batch
+ */
+const validIdempotencyKey = (key) => !!key && key.length <= MAX_IDEMPOTENCY_KEY_LENGTH;
+
+/**
+ * Optionally require a confirmed email before contacting developers
+ */
+const mustVerifyEmail = (employer) => process.env.REQUIRE_VERIFIED_EMPLOYERS === 'true' && !employer.emailVerified;
+
+/**
+ * Send a job request with the given offer to one developer, after checking the developer is
+ * available and has no pending request from the company. With `templateId` in the offer, the
+ * company's template fills in the fields the offer leaves out.
+ * Resolves to { jobRequest } or { statusCode, message }.
+ */
+const sendJobRequest = async ({ employer, member, actor, developerId, offer, batchId = null }) => {
+    const developer = await Developer.findById(developerId);
+    if (!developer) {
+        return { statusCode: 404, message: 'Developer not found' };
+    }
+
+    if (!developer.isAvailable) {
+        return { statusCode: 400, message: 'Developer is not available for work' };
+    }
+
+    const existingRequest = await JobRequest.findOne({ employerId: employer._id, developerId, status: 'pending' });
+
+    // An overdue request the expiry job has not reached yet doesn't block a new one
+    const stillPending = existingRequest
+        && !(isOverdue(existingRequest) && await expireJobRequests({ _id: existingRequest._id }) > 0);
+
+    if (stillPending) {
+        return { statusCode: 400, message: 'You already have a pending request to this developer' };
+    }
+
+    const { templateId, ...overrides } = offer;
+    let template = null;
+    if (templateId) {
+        template = await JobRequestTemplate.findOne({ _id: templateId, employerId: employer._id });
+        if (!template) {
+            return { statusCode: 404, message: 'Job request template not found' };
+        }
+    }
+
+    const { responseWindowDays, ...fields } = template
+        ? renderTemplate(template, overrides, { developer, employer })
+        : overrides;
+    const jobRequest = new JobRequest({
+        ...fields,
+        developerId,
+        templateId: template ? template._id : null,
+        employerId: employer._id,
+        sentBy: member ? member._id : null,
+        batchId,
+        expiresAt: expiryDate({ requestedDays: responseWindowDays, employer }),
+        statusHistory: [initialStatusChange(actor)],
+        ...(fields.interviewDate && { interviewStatus: 'scheduled' }),
+    });
+
+    try {
+        await jobRequest.save();
+    } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        return { statusCode: 400, message: Object.values(error.errors).map(err => err.message).join(', ') };
+    }
+
+    return { jobRequest };
+};
+
+const batchReport = (batch) => ({
+    batchId: batch._id,
+    sent: batch.results.filter(result => result.success).length,
+    failed: batch.results.filter(result => !result.success).length,
+    results: batch.results,
+});
+
+/**
+ * Find or start the batch stored under the key. Resolves to { batch, replayed }
+ * or { statusCode, message } when the key belongs to another batch or is in use.
+ */
+const claimBatch = async ({ employer, member, idempotencyKey, requestHash }) => {
+    try {
+        const batch = await JobRequestBatch.create({
+            employerId: employer._id,
+            sentBy: member ? member._id : null,
+            idempotencyKey,
+            requestHash,
+            lockedUntil: lockExpiry(),
+            expiresAt: new Date(Date.now() + BATCH_KEY_RETENTION_MS),
+        });
+        return { batch, replayed: false };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const existing = await JobRequestBatch.findOne({ employerId: employer._id, idempotencyKey });
+    if (!existing) {
+        // Expired between the insert and the read
+        return { statusCode: 409, message: 'This batch is being sent. Try again shortly.' };
+    }
+    if (existing.requestHash !== requestHash) {
+        return { statusCode: 422, message: 'This Idempotency-Key was already used for a different batch' };
+    }
+    if (existing.status === 'completed') {
+        return { batch: existing, replayed: true };
+    }
+
+    const resumed = await JobRequestBatch.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedUntil: { $lte: new Date() } },
+        { lockedUntil: lockExpiry() },
+        { new: true }
+    );
+    return resumed
+        ? { batch: resumed, replayed: false }
+        : { statusCode: 409, message: 'This batch is being sent. Try again shortly.' };
+};
+
+/**
+ * Send the same offer to each developer. Developers who cannot get one are reported
+ * without stopping the others. `fingerprint` is what the client asked for, to tell a
+ * retry from another batch under the same key, when that isn't the developers and offer.
+ * Resolves to { report, replayed } or { statusCode, message }.
+ */
+const sendJobRequestBatch = async ({ employer, member, actor, developerIds, template, idempotencyKey, fingerprint = { developerIds, template } }) => {
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(fingerprint)).digest('hex');
+
+    const claimed = await claimBatch({ employer, member, idempotencyKey, requestHash });
+    if (!claimed.batch) return claimed;
+
+    const { batch, replayed } = claimed;
+    if (replayed) return { report: batchReport(batch), replayed };
+
+    for (const developerId of developerIds) {
+        if (batch.results.some(result => result.developerId.toString() === developerId)) continue;
+
+        // A request an interrupted run sent before it could record the result
+        const earlier = await JobRequest.findOne({ batchId: batch._id, developerId });
+        const result = earlier
+            ? { jobRequest: earlier }
+            : await sendJobRequest({ employer, member, actor, developerId, offer: template, batchId: batch._id });
+
+        const entry = result.jobRequest
+            ? { developerId, success: true, jobRequestId: result.jobRequest._id }
+            : { developerId, success: false, statusCode: result.statusCode, message: result.message };
+
+        await JobRequestBatch.updateOne({ _id: batch._id }, { $push: { results: entry }, lockedUntil: lockExpiry() });
+        batch.results.push(entry);
+    }
+
+    await JobRequestBatch.updateOne({ _id: batch._id }, { status: 'completed' });
+
+    return { report: batchReport(batch), replayed };
+};
+
+module.exports = {
+    validIdempotencyKey,
+    mustVerifyEmail,
+    sendJobRequest,
+    sendJobRequestBatch,
+};
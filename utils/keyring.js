@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'EdDSA'];
+const MIN_SECRET_LENGTH = 32;
+const DEFAULT_KID = 'default';
+const DEVELOPMENT_SECRET = 'fallback-secret';
+
+// Secrets copied from env.example or the docs are not secret
+const PLACEHOLDER_SECRETS = [DEVELOPMENT_SECRET, 'your-super-secret-jwt-key-here'];
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// PEM keys in a single-line environment variable have their newlines escaped
+const readPem = (pem) => pem.replace(/\\n/g, '\n');
+
+/**
+ * Turn one configured key into the form used for signing and verification.
+ * Asymmetric keys without a private key can only verify (retired keys).
+ */
+const normalizeKey = (config) => {
+    const { kid, alg } = config;
+    if (!kid || typeof kid !== 'string') {
+        throw new Error('Every JWT key needs a kid');
+    }
+    if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+        throw new Error(`JWT key ${kid}: alg must be one of ${SUPPORTED_ALGORITHMS.join(', ')}`);
+    }
+
+    if (alg === 'HS256') {
+        if (!config.secret) {
+            throw new Error(`JWT key ${kid}: HS256 keys need a secret`);
+        }
+        return { kid, alg, signingKey: config.secret, verificationKey: config.secret, secret: config.secret };
+    }
+
+    if (!config.privateKey && !config.publicKey) {
+        throw new Error(`JWT key ${kid}: ${alg} keys need a privateKey or a publicKey`);
+    }
+    const signingKey = config.privateKey ? crypto.createPrivateKey(readPem(config.privateKey)) : null;
+    const verificationKey = config.publicKey
+        ? crypto.createPublicKey(readPem(config.publicKey))
+        : crypto.createPublicKey(signingKey);
+
+    const expectedType = alg === 'EdDSA' ? 'ed25519' : 'rsa';
+    if (verificationKey.asymmetricKeyType !== expectedType) {
+        throw new Error(`JWT key ${kid}: ${alg} needs an ${expectedType} key`);
+    }
+
+    return { kid, alg, signingKey, verificationKey };
+};
+
+/**
+ * Read the configured keys: JWT_KEYS (JSON) or JWT_KEYS_FILE (path to JSON), each a list of
+ * { kid, alg, secret | privateKey | publicKey }. JWT_SECRET is kept as the HS256 key "default",
+ * which also verifies tokens issued before key IDs were used.
+ */
+const loadKeyConfigs = () => {
+    let configs = [];
+    if (process.env.JWT_KEYS_FILE) {
+        configs = JSON.parse(fs.readFileSync(process.env.JWT_KEYS_FILE, 'utf8'));
+    } else if (process.env.JWT_KEYS) {
+        configs = JSON.parse(process.env.JWT_KEYS);
+    }
+    if (!Array.isArray(configs)) {
+        throw new Error('JWT_KEYS must be a JSON array of keys');
+    }
+
+    if (process.env.JWT_SECRET && !configs.some(config => config.kid === DEFAULT_KID)) {
+        configs = [...configs, { kid: DEFAULT_KID, alg: 'HS256', secret: process.env.JWT_SECRET }];
+    }
+
+    // Local development keeps working without any configuration
+    if (configs.length === 0 && process.env.NODE_ENV !== 'production') {
+        configs = [{ kid: DEFAULT_KID, alg: 'HS256', secret: DEVELOPMENT_SECRET }];
+    }
+
+    return configs;
+};
+
+/**
+ * Build the keyring: every key verifies, one of them signs.
+ * The signing key is JWT_SIGNING_KEY_ID, or else the first key that can sign.
+ */
+const buildKeyring = () => {
+    const keys = loadKeyConfigs().map(normalizeKey);
+
+    const kids = keys.map(key => key.kid);
+    const duplicate = kids.find((kid, index) => kids.indexOf(kid) !== index);
+    if (duplicate) {
+        throw new Error(`JWT key ${duplicate} is configured twice`);
+    }
+
+    const signingKid = process.env.JWT_SIGNING_KEY_ID;
+    const signing = signingKid
+        ? keys.find(key => key.kid === signingKid)
+        : keys.find(key => key.signingKey);
+
+    if (signingKid && !signing) {
+        throw new Error(`JWT_SIGNING_KEY_ID ${signingKid} is not a configured key`);
+    }
+    if (!signing || !signing.signingKey) {
+        throw new Error('No JWT signing key is configured');
+    }
+
+    return {
+        signing,
+        byKid: new Map(keys.map(key => [key.kid, key])),
+    };
+};
+
+let keyring = null;
+
+const getKeyring = () => {
+    if (!keyring) {
+        keyring = buildKeyring();
+    }
+    return keyring;
+};
+
+/**
+ * Forget the loaded keys so the next call reads the configuration again
+ */
+const reloadKeyring = () => {
+    keyring = null;
+};
+
+/**
+ * Sign a JWT with the current signing key and put its kid in the header
+ */
+const signToken = (payload, { expiresIn } = {}) => {
+    const { signing } = getKeyring();
+    const options = expiresIn === undefined ? {} : { expiresIn };
+
+    if (signing.alg !== 'EdDSA') {
+        return jwt.sign(payload, signing.signingKey, { ...options, algorithm: signing.alg, keyid: signing.kid });
+    }
+
+    // jsonwebtoken has no EdDSA support: let it build the claims, then sign them with Ed25519
+    const [, claims] = jwt.sign(payload, null, { ...options, algorithm: 'none' }).split('.');
+    const signingInput = `${base64url({ alg: 'EdDSA', typ: 'JWT', kid: signing.kid })}.${claims}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), signing.signingKey);
+    return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verify a JWT against the key named by its kid (tokens without one use the "default" key).
+ * Throws the jsonwebtoken errors (JsonWebTokenError, TokenExpiredError) like jwt.verify.
+ */
+const verifyToken = (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+        throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const key = getKeyring().byKid.get(decoded.header.kid || DEFAULT_KID);
+    if (!key || key.alg !== decoded.header.alg) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+
+    if (key.alg !== 'EdDSA') {
+        return jwt.verify(token, key.verificationKey, { algorithms: [key.alg] });
+    }
+
+    const [header, claims, signature] = token.split('.');
+    if (!signature) {
+        throw new jwt.JsonWebTokenError('jwt signature is required');
+    }
+    const valid = crypto.verify(null, Buffer.from(`${header}.${claims}`), key.verificationKey, Buffer.from(signature, 'base64url'));
+    if (!valid) {
+        throw new jwt.JsonWebTokenError('invalid signature');
+    }
+
+    // The signature is checked; let jsonwebtoken check exp and nbf on the claims
+    return jwt.verify(`${base64url({ alg: 'none', typ: 'JWT' })}.${claims}.`, undefined, { algorithms: ['none'] });
+};
+
+/**
+ * Public keys for other services to verify our tokens. HS256 secrets are never published.
+ */
+const getJwks = () => {
+    const keys = [...getKeyring().byKid.values()]
+        .filter(key => key.alg !== 'HS256')
+        .map(key => ({
+            ...key.verificationKey.export({ format: 'jwk' }),
+            kid: key.kid,
+            alg: key.alg,
+            use: 'sig',
+        }));
+
+    return { keys };
+};
+
+/**
+ * Check the key configuration at startup (loading it throws when it is invalid or has
+ * no signing key). Production also refuses placeholder and short HS256 secrets.
+ */
+const assertKeyringConfigured = () => {
+    const { byKid } = getKeyring();
+    if (process.env.NODE_ENV !== 'production') return;
+
+    [...byKid.values()]
+        .filter(key => key.alg === 'HS256')
+        .forEach(key => {
+            if (PLACEHOLDER_SECRETS.includes(key.secret) || key.secret.length < MIN_SECRET_LENGTH) {
+                throw new Error(`JWT key ${key.kid} needs a random secret of at least ${MIN_SECRET_LENGTH} characters`);
+            }
+        });
+};
+
+module.exports = {
+    signToken,
+    verifyToken,
+    getJwks,
+    assertKeyringConfigured,
+    reloadKeyring,
+};
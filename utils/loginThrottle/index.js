@@ -0,0 +1,136 @@
+const MemoryStore = require('./memoryStore');
+const MongoStore = require('./mongoStore');
+
+/**
+ * Failed login tracking per account and per IP.
+ *
+ * - After FREE_ATTEMPTS failures every further attempt has to wait an
+ *   exponentially growing delay (1s, 2s, 4s ... capped at 30s).
+ * - LOGIN_MAX_FAILED_ATTEMPTS failures on an account lock it for LOGIN_LOCKOUT_MINUTES.
+ * - LOGIN_MAX_FAILED_ATTEMPTS_PER_IP failures from one IP lock that IP the same way.
+ * - Failures are forgotten LOGIN_ATTEMPT_WINDOW_MINUTES after the last one.
+ *
+ * Counters live in the store selected by LOGIN_ATTEMPT_STORE (mongo or memory).
+ */
+
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+const settings = () => ({
+    maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    maxIpFailures: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 20,
+    lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+    windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000,
+});
+
+const stores = {
+    memory: () => new MemoryStore(),
+    mongo: () => new MongoStore(),
+};
+
+let store = null;
+
+/**
+ * Store in use, created from LOGIN_ATTEMPT_STORE on first use
+ */
+const getStore = () => {
+    if (!store) {
+        const name = process.env.LOGIN_ATTEMPT_STORE || 'mongo';
+        if (!stores[name]) {
+            throw new Error(`Unknown login attempt store: ${name}`);
+        }
+        store = stores[name]();
+    }
+    return store;
+};
+
+/**
+ * Replace the store (custom backends, tests)
+ */
+const setStore = (customStore) => {
+    store = customStore;
+};
+
+const accountKey = (scope, identifier) => `account:${scope}:${String(identifier).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const delayFor = (failures) => {
+    if (failures <= FREE_ATTEMPTS) return 0;
+    return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+};
+
+/**
+ * Check whether an attempt may proceed.
+ * Resolves to null, or to { locked, retryAfterMs } for the strictest block.
+ */
+const check = async (keys) => {
+    const now = Date.now();
+    let block = null;
+
+    for (const key of Object.values(keys).filter(Boolean)) {
+        const record = await getStore().get(key);
+        if (!record) continue;
+
+        let candidate = null;
+        if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+            candidate = { locked: true, retryAfterMs: record.lockedUntil.getTime() - now };
+        } else if (record.lastFailureAt) {
+            const waitUntil = record.lastFailureAt.getTime() + delayFor(record.failures);
+            if (waitUntil > now) {
+                candidate = { locked: false, retryAfterMs: waitUntil - now };
+            }
+        }
+
+        if (candidate && (!block || candidate.retryAfterMs > block.retryAfterMs)) {
+            block = candidate;
+        }
+    }
+
+    return block;
+};
+
+/**
+ * Count a failed attempt and lock the account or IP once it crosses its limit.
+ * Reports which locks were applied by this failure.
+ */
+const registerFailure = async ({ account, ip }) => {
+    const { maxAccountFailures, maxIpFailures, lockoutMs, windowMs } = settings();
+    const lockedUntil = new Date(Date.now() + lockoutMs);
+    const result = { accountLocked: false, ipLocked: false, lockedUntil, failures: 0 };
+
+    if (account) {
+        const record = await getStore().increment(account, { windowMs });
+        result.failures = record.failures;
+        if (record.failures >= maxAccountFailures) {
+            await getStore().lock(account, lockedUntil);
+            result.accountLocked = true;
+        }
+    }
+
+    if (ip) {
+        const record = await getStore().increment(ip, { windowMs });
+        if (record.failures >= maxIpFailures) {
+            await getStore().lock(ip, lockedUntil);
+            result.ipLocked = true;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Clear the counters of a key (successful login, unlock link)
+ */
+const reset = (key) => getStore().reset(key);
+
+module.exports = {
+    accountKey,
+    ipKey,
+    check,
+    registerFailure,
+    reset,
+    setStore,
+    MemoryStore,
+    MongoStore,
+};
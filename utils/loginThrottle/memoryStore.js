@@ -0,0 +1,58 @@
+/**
+ * In-memory login attempt store.
+ * Counters live in the process, so use it for single-instance deployments and tests.
+ *
+ * Every store implements:
+ *   get(key)                        -> { failures, lastFailureAt, lockedUntil } | null
+ *   increment(key, { windowMs })    -> record after counting one more failure
+ *   lock(key, until)                -> void
+ *   reset(key)                      -> void
+ */
+class MemoryStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(key) {
+        const record = this.records.get(key);
+        if (!record) return null;
+
+        if (record.expiresAt <= Date.now()) {
+            this.records.delete(key);
+            return null;
+        }
+
+        return { ...record };
+    }
+
+    async increment(key, { windowMs }) {
+        const now = Date.now();
+        const existing = await this.get(key);
+
+        // Failures older than the window don't count any more
+        const stale = !existing || !existing.lastFailureAt || now - existing.lastFailureAt.getTime() > windowMs;
+
+        const record = {
+            failures: stale ? 1 : existing.failures + 1,
+            lastFailureAt: new Date(now),
+            lockedUntil: existing ? existing.lockedUntil : null,
+            expiresAt: Math.max(now + windowMs, existing && existing.lockedUntil ? existing.lockedUntil.getTime() : 0),
+        };
+
+        this.records.set(key, record);
+        return { ...record };
+    }
+
+    async lock(key, until) {
+        const record = this.records.get(key) || { failures: 0, lastFailureAt: null };
+        record.lockedUntil = until;
+        record.expiresAt = Math.max(record.expiresAt || 0, until.getTime());
+        this.records.set(key, record);
+    }
+
+    async reset(key) {
+        this.records.delete(key);
+    }
+}
+
+module.exports = MemoryStore;
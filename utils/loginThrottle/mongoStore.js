@@ -0,0 +1,68 @@
+const LoginAttempt = require('../../models/LoginAttempt');
+
+/**
+ * MongoDB login attempt store.
+ * Counters are shared by every API instance using the same database.
+ * See memoryStore.js for the store interface.
+ */
+class MongoStore {
+    async get(key) {
+        const record = await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        if (!record) return null;
+
+        return {
+            failures: record.failures,
+            lastFailureAt: record.lastFailureAt,
+            lockedUntil: record.lockedUntil,
+        };
+    }
+
+    async increment(key, { windowMs }) {
+        const now = new Date();
+        const windowStart = new Date(now.getTime() - windowMs);
+
+        // Single atomic update: restart the count when the last failure is outside the window
+        const record = await LoginAttempt.findOneAndUpdate(
+            { key },
+            [
+                {
+                    $set: {
+                        key,
+                        failures: {
+                            $cond: [
+                                { $lt: [{ $ifNull: ['$lastFailureAt', new Date(0)] }, windowStart] },
+                                1,
+                                { $add: ['$failures', 1] },
+                            ],
+                        },
+                        lastFailureAt: now,
+                        expiresAt: {
+                            $max: [new Date(now.getTime() + windowMs), { $ifNull: ['$lockedUntil', now] }],
+                        },
+                    },
+                },
+            ],
+            { upsert: true, new: true }
+        ).lean();
+
+        return {
+            failures: record.failures,
+            lastFailureAt: record.lastFailureAt,
+            lockedUntil: record.lockedUntil,
+        };
+    }
+
+    async lock(key, until) {
+        await LoginAttempt.updateOne(
+            { key },
+            { $set: { lockedUntil: until }, $max: { expiresAt: until } },
+            { upsert: true }
+        );
+    }
+
+    async reset(key) {
+        await LoginAttempt.deleteOne({ key });
+    }
+}
+
+module.exports = MongoStore;
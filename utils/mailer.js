@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable mail delivery.
+ *
+ * A transport is created by a factory and exposes `send(message)`.
+ * The active transport is chosen with MAIL_TRANSPORT (default: console).
+ * Register other drivers (SMTP, an API provider, ...) with registerTransport().
+ */
+
+const transports = {
+    // Print emails to stdout; handy for local development
+    console: () => ({
+        send: async (message) => {
+            console.log('📧 Email', JSON.stringify(message, null, 2));
+            return { id: `console-${Date.now()}` };
+        },
+    }),
+
+    // Write each email as a JSON file under MAIL_FILE_DIR
+    file: () => {
+        const dir = path.resolve(process.env.MAIL_FILE_DIR || './tmp/mail');
+        return {
+            send: async (message) => {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+                await fs.promises.writeFile(
+                    path.join(dir, `${id}.json`),
+                    JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+                );
+                return { id };
+            },
+        };
+    },
+};
+
+let activeTransport = null;
+
+/**
+ * Add or replace a transport driver
+ */
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+    activeTransport = null;
+};
+
+/**
+ * Resolve the configured transport, creating it on first use
+ */
+const getTransport = () => {
+    if (!activeTransport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        const factory = transports[name];
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        activeTransport = factory();
+    }
+    return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ */
+const sendMail = ({ to, subject, text, html }) => {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'Hamkar <no-reply@hamkar.local>',
+        to,
+        subject,
+        text,
+        html,
+    });
+};
+
+/**
+ * Send an email without blocking the request; failures are only logged
+ */
+const sendMailInBackground = (message) => {
+    Promise.resolve()
+        .then(() => sendMail(message))
+        .catch(error => console.error('Failed to send email:', error.message));
+};
+
+module.exports = {
+    registerTransport,
+    sendMail,
+    sendMailInBackground,
+};
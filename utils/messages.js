@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const Message = require('../models/Message');
+const { uploadsDir } = require('../middlewares/fileUpload');
+
+const attachmentsDir = path.join(uploadsDir, 'message-attachments');
+
+// Threads take new messages while the job request is still going; afterwards they can only be read
+const OPEN_THREAD_STATUSES = ['pending', 'accepted'];
+
+/**
+ * Path on disk of a message attachment, or null for names that would point outside its directory
+ */
+const attachmentPath = (filename) => {
+    const filePath = path.join(attachmentsDir, path.basename(filename || ''));
+    return filename && filePath.startsWith(attachmentsDir + path.sep) ? filePath : null;
+};
+
+/**
+ * Whether new messages can still be sent on a job request
+ */
+const isThreadOpen = (jobRequest) => OPEN_THREAD_STATUSES.includes(jobRequest.status);
+
+// The field on a message that names the user's side of the job request
+const participantField = (role) => (role === 'Developer' ? 'developerId' : 'employerId');
+
+/**
+ * How many messages from the other side a developer or company has not read yet,
+ * optionally within one job request
+ */
+const unreadMessageCount = (role, userId, jobRequestId) => Message.countDocuments({
+    [participantField(role)]: userId,
+    ...(jobRequestId && { jobRequestId }),
+    side: { $ne: role },
+    readAt: null,
+});
+
+/**
+ * Mark the other side's messages in a thread as read by this user. Admins reading
+ * along, impersonating or not, and API keys leave the messages unread.
+ * `actor` is { actorId, actorModel } (see actorOf in utils/audit).
+ */
+const markThreadRead = async (jobRequestId, principal, actor) => {
+    if (!['Developer', 'Employer'].includes(principal.role) || principal.impersonatedBy || principal.apiKeyScopes) return;
+
+    await Message.updateMany(
+        { jobRequestId, side: { $ne: principal.role }, readAt: null },
+        { readAt: new Date(), readBy: actor.actorId, readByModel: actor.actorModel }
+    );
+};
+
+/**
+ * Delete the messages matching a filter together with their attachments
+ */
+const deleteMessages = async (filter) => {
+    const messages = await Message.find(filter).select('attachments');
+
+    await Promise.all(messages
+        .flatMap(message => message.attachments)
+        .map(attachment => attachmentPath(attachment.filename))
+        .filter(Boolean)
+        .map(filePath => fs.promises.rm(filePath, { force: true })));
+
+    await Message.deleteMany(filter);
+};
+
+module.exports = {
+    OPEN_THREAD_STATUSES,
+    attachmentPath,
+    isThreadOpen,
+    unreadMessageCount,
+    markThreadRead,
+    deleteMessages,
+};
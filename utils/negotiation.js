@@ -0,0 +1,147 @@
+const JobRequest = require('../models/JobRequest');
+const { can } = require('../policies');
+
+/**
+ * Offer negotiation on job requests.
+ *
+ * Either side can propose terms (salary, salary type, start date, free-text
+ * terms) while a request is pending or accepted. Proposals are numbered from 1
+ * and never change; a counter-offer is simply the next version. Only the latest
+ * proposal can be accepted, and only by the other side. Accepting it copies the
+ * salary and start date onto the job request and stores the proposal as
+ * `agreedTerms`, after which the negotiation is closed.
+ */
+
+const NEGOTIABLE_STATUSES = ['pending', 'accepted'];
+const TERM_FIELDS = ['salaryOffer', 'salaryType', 'startDate', 'terms'];
+
+/**
+ * The latest proposal, or null before anyone proposed anything
+ */
+const latestProposal = (jobRequest) => {
+    const proposals = jobRequest.proposals || [];
+    return proposals.length > 0 ? proposals[proposals.length - 1] : null;
+};
+
+/**
+ * The terms currently on the table: the latest proposal, or the employer's original offer
+ */
+const currentTerms = (jobRequest) => {
+    const source = latestProposal(jobRequest) || jobRequest;
+    return TERM_FIELDS.reduce((terms, field) => ({ ...terms, [field]: source[field] }), {});
+};
+
+/**
+ * Why the negotiation of a job request is closed to this user, as { statusCode, message }, or null
+ */
+const checkNegotiation = (jobRequest, principal) => {
+    if (!can(principal, 'jobRequest:negotiate', jobRequest)) {
+        return { statusCode: 403, message: 'You cannot negotiate this job request' };
+    }
+    if (!NEGOTIABLE_STATUSES.includes(jobRequest.status)) {
+        return { statusCode: 400, message: `A ${jobRequest.status} job request cannot be negotiated` };
+    }
+    if (jobRequest.agreedTerms) {
+        return { statusCode: 409, message: 'The terms of this job request have already been agreed' };
+    }
+    return null;
+};
+
+// Matches the request only while nobody else proposed, agreed or closed it since it was read
+const unchangedFilter = (jobRequest) => ({
+    _id: jobRequest._id,
+    status: { $in: NEGOTIABLE_STATUSES },
+    // Agreed terms are written once: no update through this filter can replace them
+    agreedTerms: null,
+    proposals: { $size: (jobRequest.proposals || []).length },
+});
+
+const changedInTheMeantime = {
+    statusCode: 409,
+    message: 'The job request was changed in the meantime. Reload it and try again.',
+};
+
+/**
+ * Add a proposal. Terms left out keep their current value, so every proposal is complete.
+ * `actor` is { actorId, actorModel } (see actorOf in utils/audit).
+ * Resolves to { jobRequest } with the updated document, or to { statusCode, message }.
+ */
+const proposeTerms = async (jobRequest, terms, { principal, actor }) => {
+    const problem = checkNegotiation(jobRequest, principal);
+    if (problem) return problem;
+
+    const proposal = {
+        ...currentTerms(jobRequest),
+        ...Object.fromEntries(TERM_FIELDS.filter(field => terms[field] !== undefined).map(field => [field, terms[field]])),
+        version: (jobRequest.proposals || []).length + 1,
+        side: principal.role,
+        proposedBy: actor.actorId,
+        proposedByModel: actor.actorModel,
+        createdAt: new Date(),
+    };
+
+    const updated = await JobRequest.findOneAndUpdate(
+        unchangedFilter(jobRequest),
+        { $push: { proposals: proposal } },
+        { new: true, runValidators: true }
+    );
+
+    return updated ? { jobRequest: updated } : changedInTheMeantime;
+};
+
+/**
+ * Accept a proposal by version. Only the latest one can be accepted, and not by the side that made it.
+ * Resolves to { jobRequest } with the updated document, or to { statusCode, message }.
+ */
+const acceptProposal = async (jobRequest, version, { principal, actor }) => {
+    const problem = checkNegotiation(jobRequest, principal);
+    if (problem) return problem;
+
+    const proposal = (jobRequest.proposals || []).find(candidate => candidate.version === version);
+    if (!proposal) {
+        return { statusCode: 404, message: 'Proposal not found' };
+    }
+    if (version !== jobRequest.proposals.length) {
+        return { statusCode: 409, message: 'Only the latest proposal can be accepted' };
+    }
+    if (proposal.side === principal.role) {
+        return { statusCode: 403, message: 'The other side has to accept your proposal' };
+    }
+
+    const { salaryOffer, salaryType, startDate, terms } = proposal;
+    const updated = await JobRequest.findOneAndUpdate(
+        unchangedFilter(jobRequest),
+        {
+            $set: {
+                salaryOffer,
+                salaryType,
+                ...(startDate && { startDate }),
+                agreedTerms: {
+                    version,
+                    side: proposal.side,
+                    proposedBy: proposal.proposedBy,
+                    proposedByModel: proposal.proposedByModel,
+                    salaryOffer,
+                    salaryType,
+                    startDate,
+                    terms,
+                    createdAt: proposal.createdAt,
+                    acceptedBy: actor.actorId,
+                    acceptedByModel: actor.actorModel,
+                    agreedAt: new Date(),
+                },
+            },
+        },
+        { new: true, runValidators: true }
+    );
+
+    return updated ? { jobRequest: updated } : changedInTheMeantime;
+};
+
+module.exports = {
+    NEGOTIABLE_STATUSES,
+    latestProposal,
+    currentTerms,
+    proposeTerms,
+    acceptProposal,
+};
@@ -0,0 +1,172 @@
+const Employer = require('../models/Employer');
+const JobRequest = require('../models/JobRequest');
+const { can } = require('../policies');
+
+/**
+ * Hiring pipeline of accepted job requests.
+ *
+ * Each company orders its own stages; a stage with an `outcome` (hired or
+ * declined) ends the process. Companies that never set stages use the
+ * defaults below. Accepting a job request puts it in the first stage
+ * without an outcome.
+ */
+
+const DEFAULT_PIPELINE_STAGES = [
+    { key: 'screening', name: 'Screening', outcome: null },
+    { key: 'technical-interview', name: 'Technical interview', outcome: null },
+    { key: 'final-interview', name: 'Final interview', outcome: null },
+    { key: 'offer', name: 'Offer', outcome: null },
+    { key: 'hired', name: 'Hired', outcome: 'hired' },
+    { key: 'declined', name: 'Declined', outcome: 'declined' },
+];
+
+/**
+ * The stages of a company (its own, or the defaults)
+ */
+const stagesOf = (employer) => {
+    const stages = employer && employer.pipelineStages;
+    if (!stages || stages.length === 0) return DEFAULT_PIPELINE_STAGES;
+
+    return stages.map(({ key, name, outcome }) => ({ key, name, outcome: outcome || null }));
+};
+
+/**
+ * Load the stages of a company by its ID
+ */
+const loadStages = async (employerId) => {
+    const employer = await Employer.findById(employerId).select('+pipelineStages');
+    return stagesOf(employer);
+};
+
+/**
+ * Check a new list of stages; returns an error message, or null when it can be saved
+ */
+const checkPipelineStages = (stages) => {
+    if (!stages.some(stage => !stage.outcome)) {
+        return 'The pipeline needs at least one stage without an outcome';
+    }
+    if (!stages.some(stage => stage.outcome === 'hired')) {
+        return 'The pipeline needs a stage with the hired outcome';
+    }
+    return null;
+};
+
+/**
+ * The stage accepted job requests start in: the first one without an outcome
+ */
+const entryStageKey = (stages) => (stages.find(stage => !stage.outcome) || stages[0]).key;
+
+/**
+ * The stage an accepted job request is in. Requests accepted before the
+ * company had a pipeline count as being in its entry stage.
+ */
+const stageKeyOf = (jobRequest, stages) => {
+    const known = jobRequest.stage && stages.some(stage => stage.key === jobRequest.stage);
+    return known ? jobRequest.stage : entryStageKey(stages);
+};
+
+/**
+ * History entry for a stage change; `actor` is { actorId, actorModel } (see actorOf in utils/audit)
+ */
+const stageChange = (from, to, actor, note) => ({
+    from,
+    to,
+    changedBy: actor.actorId,
+    changedByModel: actor.actorModel,
+    note,
+    changedAt: new Date(),
+});
+
+/**
+ * Move an accepted job request to another stage of its company's pipeline.
+ * Resolves to { jobRequest } with the updated document, or to { statusCode, message }.
+ */
+const moveToStage = async (jobRequest, stageKey, { principal, actor, note }) => {
+    if (!can(principal, 'jobRequest:move', jobRequest)) {
+        return { statusCode: 403, message: 'You cannot move this job request' };
+    }
+
+    if (jobRequest.status !== 'accepted') {
+        return { statusCode: 400, message: 'Only accepted job requests are in the hiring pipeline' };
+    }
+
+    const stages = await loadStages(jobRequest.employerId);
+    if (!stages.some(stage => stage.key === stageKey)) {
+        return { statusCode: 400, message: `Unknown pipeline stage: ${stageKey}` };
+    }
+
+    const from = stageKeyOf(jobRequest, stages);
+    if (from === stageKey) {
+        return { statusCode: 400, message: 'The job request is already in this stage' };
+    }
+
+    // Only apply the move if nobody else moved the request since it was read
+    const updated = await JobRequest.findOneAndUpdate(
+        { _id: jobRequest._id, status: 'accepted', stage: jobRequest.stage || null },
+        {
+            $set: { stage: stageKey },
+            $push: { stageHistory: stageChange(from, stageKey, actor, note) },
+        },
+        { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+        return {
+            statusCode: 409,
+            message: 'The job request was changed in the meantime. Reload it and try again.',
+        };
+    }
+
+    return { jobRequest: updated };
+};
+
+/**
+ * Group accepted job requests into the columns of a company's pipeline
+ */
+const groupByStage = (jobRequests, stages) => stages.map(stage => {
+    const inStage = jobRequests.filter(jobRequest => stageKeyOf(jobRequest, stages) === stage.key);
+    return { ...stage, count: inStage.length, jobRequests: inStage };
+});
+
+/**
+ * Funnel of a company's pipeline: per stage, how many accepted requests are in it
+ * now and how many have ever reached it
+ */
+const pipelineFunnel = async (employerId) => {
+    const stages = await loadStages(employerId);
+    const entryStage = entryStageKey(stages);
+
+    const [current, reached] = await Promise.all([
+        JobRequest.aggregate([
+            { $match: { employerId, status: 'accepted' } },
+            { $group: { _id: { $ifNull: ['$stage', entryStage] }, count: { $sum: 1 } } },
+        ]),
+        JobRequest.aggregate([
+            { $match: { employerId, status: 'accepted' } },
+            { $project: { stages: { $setUnion: [{ $ifNull: ['$stageHistory.to', []] }, [{ $ifNull: ['$stage', entryStage] }]] } } },
+            { $unwind: '$stages' },
+            { $group: { _id: '$stages', count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const countFor = (counts, key) => (counts.find(entry => entry._id === key) || { count: 0 }).count;
+
+    return stages.map(stage => ({
+        ...stage,
+        current: countFor(current, stage.key),
+        reached: countFor(reached, stage.key),
+    }));
+};
+
+module.exports = {
+    DEFAULT_PIPELINE_STAGES,
+    stagesOf,
+    loadStages,
+    checkPipelineStages,
+    entryStageKey,
+    stageKeyOf,
+    stageChange,
+    moveToStage,
+    groupByStage,
+    pipelineFunnel,
+};
@@ -0,0 +1,136 @@
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+// Don't write lastSeenAt on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Turn a user agent into a short "Browser on OS" label
+ */
+const describeDevice = (userAgent = '') => {
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//],
+        ['curl', /^curl\//],
+        ['Postman', /PostmanRuntime\//],
+    ];
+    const systems = [
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad|iPod/],
+        ['Windows', /Windows/],
+        ['macOS', /Mac OS X|Macintosh/],
+        ['Linux', /Linux/],
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return 'Unknown device';
+    if (!system) return browser[0];
+    if (!browser) return system[0];
+    return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Record a new login
+ */
+const createSession = (req, { userId, role, memberId = null, impersonatedBy = null, expiresAt }) => {
+    return Session.create({
+        userId,
+        userModel: role,
+        memberId,
+        impersonatedBy,
+        device: describeDevice(req.headers['user-agent']),
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        expiresAt,
+    });
+};
+
+/**
+ * Find a session that can still authenticate requests and bump its lastSeenAt
+ */
+const touchActiveSession = async (sessionId, req) => {
+    const session = await Session.findOne({
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+
+    if (!session) return null;
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+        await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip });
+    }
+
+    return session;
+};
+
+/**
+ * Revoke sessions matching a filter along with their refresh tokens
+ */
+const revokeSessions = async (filter, reason) => {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+    const ids = sessions.map(session => session._id);
+
+    if (ids.length === 0) return 0;
+
+    const now = new Date();
+    await Promise.all([
+        Session.updateMany({ _id: { $in: ids } }, { revokedAt: now, revokedReason: reason }),
+        RefreshToken.updateMany(
+            { family: { $in: ids.map(id => id.toString()) }, revokedAt: null },
+            { revokedAt: now, revokedReason: 'session_revoked' }
+        ),
+    ]);
+
+    return ids.length;
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = (sessionId, reason) => revokeSessions({ _id: sessionId }, reason);
+
+/**
+ * Revoke every session of a user except the one given.
+ * Company team members are told apart by memberId (null for the company login itself).
+ */
+const revokeOtherSessions = (userId, role, exceptSessionId, reason, memberId = null) => {
+    const filter = { userId, userModel: role, memberId };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    return revokeSessions(filter, reason);
+};
+
+/**
+ * Revoke every session of a profile, including those of its company team members
+ */
+const revokeAllSessions = (userId, role, reason) => revokeSessions({ userId, userModel: role }, reason);
+
+/**
+ * List the active sessions of a user, most recently used first
+ */
+const listActiveSessions = (userId, role, memberId = null) => {
+    return Session.find({
+        userId,
+        userModel: role,
+        memberId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = {
+    describeDevice,
+    createSession,
+    touchActiveSession,
+    revokeSession,
+    revokeOtherSessions,
+    revokeAllSessions,
+    listActiveSessions,
+};
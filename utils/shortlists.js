@@ -0,0 +1,90 @@
+const JobRequest = require('../models/JobRequest');
+
+/**
+ * Candidate shortlists.
+ *
+ * A shortlist is a named set of developers a company keeps an eye on, each
+ * with the team's own notes and tags. Shared lists are visible to the whole
+ * team; a private list only to the member (or company login) that created it.
+ * A candidate counts as contacted once the company has any job request with
+ * them, whichever side started it.
+ */
+
+/**
+ * Filter for the shortlists a company login or team member can see
+ */
+const visibleShortlists = (employerId, member) => ({
+    employerId,
+    $or: [{ shared: true }, { createdBy: member ? member._id : null }],
+});
+
+/**
+ * Whether the member may delete the shortlist or take candidates off it: whoever created it,
+ * team owners and the company login may
+ */
+const canPrune = (shortlist, member) => !member || member.role === 'owner'
+    || String(shortlist.createdBy) === String(member._id);
+
+/**
+ * Tags as stored: trimmed, lower case, without empties or repeats
+ */
+const normalizeTags = (tags = []) => [...new Set(tags
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean))];
+
+/**
+ * The company's latest job request with each of the developers, keyed by developer ID
+ */
+const latestJobRequests = async (employerId, developerIds) => {
+    const latest = await JobRequest.aggregate([
+        { $match: { employerId, developerId: { $in: developerIds } } },
+        { $sort: { createdAt: -1 } },
+        {
+            $group: {
+                _id: '$developerId',
+                jobRequestId: { $first: '$_id' },
+                status: { $first: '$status' },
+                direction: { $first: '$direction' },
+                jobTitle: { $first: '$jobTitle' },
+                createdAt: { $first: '$createdAt' },
+                total: { $sum: 1 },
+            },
+        },
+    ]);
+
+    return new Map(latest.map(({ _id, ...summary }) => [_id.toString(), summary]));
+};
+
+const developerIdOf = (candidate) => (candidate.developerId && candidate.developerId._id
+    ? candidate.developerId._id
+    : candidate.developerId).toString();
+
+/**
+ * Candidates with `contacted` and a summary of their latest job request (or null)
+ */
+const describeCandidates = (candidates, latest) => candidates.map(candidate => {
+    const jobRequest = latest.get(developerIdOf(candidate)) || null;
+    return {
+        ...(candidate.toObject ? candidate.toObject() : candidate),
+        contacted: !!jobRequest,
+        jobRequest,
+    };
+});
+
+/**
+ * Described candidates narrowed by `contacted` and `tag`; either may be left out
+ */
+const filterCandidates = (candidates, { contacted, tag } = {}) => candidates.filter(candidate => (
+    (contacted === undefined || candidate.contacted === contacted)
+    && (!tag || candidate.tags.includes(tag.trim().toLowerCase()))
+));
+
+module.exports = {
+    visibleShortlists,
+    canPrune,
+    normalizeTags,
+    latestJobRequests,
+    developerIdOf,
+    describeCandidates,
+    filterCandidates,
+};
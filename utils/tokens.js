@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { createSession, revokeSession } = require('./sessions');
+const { ensureCsrfCookie, clearCsrfCookie } = require('./csrf');
+const { signToken, verifyToken } = require('./keyring');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const REFRESH_COOKIE_PATH = '/api/auth';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const IMPERSONATION_EXPIRES_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 15;
+
+/**
+ * Hash an opaque token for storage
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Base cookie options shared by the auth cookies
+ */
+const baseCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+});
+
+/**
+ * Sign a short-lived access token bound to a session.
+ * Impersonation tokens also name the admin in the `imp` claim.
+ */
+const signAccessToken = ({ userId, role, sessionId, impersonatedBy, expiresIn = ACCESS_TOKEN_EXPIRES_IN }) => {
+    const payload = { userId, role, sid: sessionId };
+    if (impersonatedBy) {
+        payload.imp = impersonatedBy.toString();
+    }
+
+    return signToken(payload, { expiresIn });
+};
+
+/**
+ * Expiry date for a refresh token issued now
+ */
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Create and store a new refresh token inside a family
+ */
+const createRefreshToken = async (req, { userId, role, family, expiresAt }) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    const record = await RefreshToken.create({
+        userId,
+        userModel: role,
+        tokenHash: hashToken(refreshToken),
+        family,
+        expiresAt,
+        createdByIp: req.ip,
+        userAgent: req.headers['user-agent'],
+    });
+
+    return { refreshToken, record };
+};
+
+/**
+ * Put both tokens in cookies
+ */
+const setAuthCookies = (res, { token, refreshToken, refreshExpiresAt }) => {
+    const { exp } = jwt.decode(token);
+
+    res.cookie('token', token, {
+        ...baseCookieOptions(),
+        maxAge: exp * 1000 - Date.now(),
+    });
+    res.cookie('refreshToken', refreshToken, {
+        ...baseCookieOptions(),
+        path: REFRESH_COOKIE_PATH,
+        maxAge: refreshExpiresAt.getTime() - Date.now(),
+    });
+};
+
+/**
+ * Remove both auth cookies and the CSRF cookie
+ */
+const clearAuthCookies = (res) => {
+    res.clearCookie('token', baseCookieOptions());
+    res.clearCookie('refreshToken', { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH });
+    clearCsrfCookie(res);
+};
+
+/**
+ * Record a new session for a freshly authenticated user, set the cookies
+ * and return both tokens for the response body.
+ * The session id is the refresh token family. Company team members get a
+ * session of their employer that remembers the member.
+ */
+const issueAuthTokens = async (req, res, user, role, { memberId = null } = {}) => {
+    const expiresAt = refreshTokenExpiry();
+    const session = await createSession(req, { userId: user._id, role, memberId, expiresAt });
+    const family = session._id.toString();
+
+    const { refreshToken } = await createRefreshToken(req, { userId: user._id, role, family, expiresAt });
+    const token = signAccessToken({ userId: user._id, role, sessionId: family });
+
+    setAuthCookies(res, { token, refreshToken, refreshExpiresAt: expiresAt });
+    ensureCsrfCookie(req, res);
+
+    return { token, refreshToken, sessionId: session._id };
+};
+
+/**
+ * Let an admin act as a user for a short while. The session exists only as
+ * long as the access token; there is no refresh token and no cookie, so the
+ * admin's own login stays untouched.
+ */
+const issueImpersonationToken = async (req, admin, user, role) => {
+    const expiresAt = new Date(Date.now() + IMPERSONATION_EXPIRES_MINUTES * 60 * 1000);
+    const session = await createSession(req, { userId: user._id, role, impersonatedBy: admin._id, expiresAt });
+
+    const token = signAccessToken({
+        userId: user._id,
+        role,
+        sessionId: session._id.toString(),
+        impersonatedBy: admin._id,
+        expiresIn: IMPERSONATION_EXPIRES_MINUTES * 60,
+    });
+
+    return { token, sessionId: session._id, expiresAt };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Presenting a token that was already rotated revokes the whole family.
+ * Resolves to null when the token cannot be used.
+ */
+const rotateRefreshToken = async (req, res, presentedToken) => {
+    const tokenHash = hashToken(presentedToken);
+    const current = await RefreshToken.findOne({ tokenHash });
+
+    if (!current) {
+        return null;
+    }
+
+    if (current.revokedAt) {
+        if (current.revokedReason === 'rotated') {
+            await revokeSession(current.family, 'reuse_detected');
+        }
+        return null;
+    }
+
+    if (current.expiresAt <= new Date()) {
+        return null;
+    }
+
+    const expiresAt = refreshTokenExpiry();
+    const session = await Session.findOneAndUpdate(
+        { _id: current.family, revokedAt: null },
+        { expiresAt, lastSeenAt: new Date(), ip: req.ip },
+        { new: true }
+    );
+
+    if (!session) {
+        return null;
+    }
+
+    const { refreshToken, record } = await createRefreshToken(req, {
+        userId: current.userId,
+        role: current.userModel,
+        family: current.family,
+        expiresAt,
+    });
+
+    // Only one concurrent refresh may win; the loser is treated as reuse
+    const rotated = await RefreshToken.findOneAndUpdate(
+        { _id: current._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'rotated', replacedByHash: record.tokenHash }
+    );
+
+    if (!rotated) {
+        await revokeSession(current.family, 'reuse_detected');
+        return null;
+    }
+
+    const token = signAccessToken({ userId: current.userId, role: current.userModel, sessionId: current.family });
+    setAuthCookies(res, { token, refreshToken, refreshExpiresAt: expiresAt });
+    ensureCsrfCookie(req, res);
+
+    return { token, refreshToken, userId: current.userId, role: current.userModel };
+};
+
+/**
+ * Sign a short-lived token that is only good for one purpose (never for API access)
+ */
+const signPurposeToken = (purpose, payload, expiresIn) => {
+    return signToken({ ...payload, purpose }, { expiresIn });
+};
+
+/**
+ * Verify a purpose-bound token; resolves to null when it is invalid, expired or for another purpose
+ */
+const verifyPurposeToken = (purpose, token) => {
+    try {
+        const decoded = verifyToken(token);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Sign the token that links the two steps of a 2FA login
+ */
+const signTwoFactorChallenge = ({ userId, role }) => {
+    return signPurposeToken('2fa', { userId, role }, TWO_FACTOR_CHALLENGE_EXPIRES_IN);
+};
+
+/**
+ * Verify a 2FA challenge token
+ */
+const verifyTwoFactorChallenge = (challengeToken) => verifyPurposeToken('2fa', challengeToken);
+
+module.exports = {
+    hashToken,
+    signPurposeToken,
+    verifyPurposeToken,
+    signTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    issueAuthTokens,
+    issueImpersonationToken,
+    rotateRefreshToken,
+    clearAuthCookies,
+};
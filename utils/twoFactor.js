@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { verifyTotp } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields needed to check a second factor; they are not selected by default
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+const hashRecoveryCode = (code) => {
+    const normalized = code.toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate one-time recovery codes; store the hashes, show the codes once
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+        codes,
+        hashes: codes.map(hashRecoveryCode),
+    };
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * Used codes are consumed on the document; the caller must save it.
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = verifyTotp(user.twoFactorSecret, code);
+
+        // A code is only good once, even inside its 30 second window
+        if (step === null || (user.twoFactorLastUsedStep && step <= user.twoFactorLastUsedStep)) {
+            return false;
+        }
+
+        user.twoFactorLastUsedStep = step;
+        return true;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const index = (user.twoFactorRecoveryCodes || []).indexOf(hash);
+        if (index === -1) {
+            return false;
+        }
+
+        user.twoFactorRecoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    return false;
+};
+
+module.exports = {
+    TWO_FACTOR_FIELDS,
+    generateRecoveryCodes,
+    verifySecondFactor,
+};